@@ -0,0 +1,395 @@
+/**
+ * HydroBlox Analytics Panel for PWA Export
+ *
+ * Profiles a numeric time series item inside its report:
+ * - Summary statistics and percentiles
+ * - Duration / exceedance curve with the values exceeded 5% ... 95% of the time
+ * - Monthly means and annual aggregates
+ * - Annual maxima with Gumbel, GEV and Log-Pearson III return-period estimates
+ * - Climatology mode for daily series: day-of-year envelope with the latest year overlaid,
+ *   month x year heatmap and anomalies against the multi-year mean
+ * Series stored without timestamps get dates from a start date and time step, which the
+ * panel shows as an assumption and lets the user change. A missing-value code (e.g. the
+ * WaterML noDataValue -9999 left in extracted values) can be excluded the same way.
+ */
+const STEPS = { day: 'Daily', hour: 'Hourly', month: 'Monthly' };
+const NO_DATA_CODES = [-9999, -999];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+export class AnalyticsPanel {
+    /**
+     * @param {Object} options
+     * @param {HydroAnalytics} options.analytics - Statistics
+     * @param {ChartRenderer} options.renderer - Built-in renderer for the plots
+     * @param {Function} options.downsample - Optional (points, target) => points for long curves
+     */
+    constructor(options = {}) {
+        this.analytics = options.analytics;
+        this.renderer = options.renderer;
+        this.downsample = options.downsample || (points => points);
+    }
+
+    /**
+     * Render the panel
+     * @param {HTMLElement} container - Target element
+     * @param {Object} options
+     * @param {Array<{name: string, x: Array|null, y: Array}>} options.series - Numeric series of the item
+     * @param {Object} options.dates - Assumed dates for series without timestamps:
+     *                                 { start (ms), step ('day' | 'hour' | 'month'), source (text) } or null
+     * @param {string} options.mode - 'statistics' (default) or 'climatology'
+     * @param {Function} options.onOpenInCharts - Climatology only: (series, dates) => void, offered as a button
+     */
+    render(container, { series, dates = null, mode = 'statistics', onOpenInCharts = null }) {
+        container.innerHTML = '';
+        container.classList.add('analytics-panel');
+        this.width = container.clientWidth;
+
+        const controls = document.createElement('div');
+        controls.className = 'analytics-controls';
+        container.appendChild(controls);
+        const results = document.createElement('div');
+        results.className = 'analytics-results';
+        container.appendChild(results);
+
+        const state = {
+            index: 0,
+            start: dates && Number.isFinite(dates.start) ? dates.start : null,
+            step: dates && dates.step ? dates.step : 'day'
+        };
+
+        let select = null;
+        if (series.length > 1) {
+            select = document.createElement('select');
+            select.className = 'form-control form-control-sm';
+            series.forEach((s, index) => select.appendChild(new Option(s.name, String(index))));
+            controls.appendChild(this.labelled('Series', select));
+        }
+
+        const dateControls = document.createElement('div');
+        dateControls.className = 'analytics-date-controls';
+        controls.appendChild(dateControls);
+
+        const noData = document.createElement('input');
+        noData.type = 'number';
+        noData.className = 'form-control form-control-sm analytics-no-data';
+        noData.placeholder = 'none';
+        noData.title = 'Values equal to this code are treated as missing';
+        controls.appendChild(this.labelled('Missing value', noData));
+
+        const update = () => {
+            const current = series[state.index];
+            const code = noData.value === '' ? null : Number(noData.value);
+            const values = code === null ? current.y : current.y.map(value => (value === code ? null : value));
+            this.renderDateControls(dateControls, current, state, dates, update);
+            if (mode === 'climatology') {
+                this.renderClimatology(results, { ...current, y: values }, this.resolveDates(current, state), { onOpenInCharts });
+            } else {
+                this.renderResults(results, { ...current, y: values }, this.resolveDates(current, state));
+            }
+        };
+        const selectSeries = (index) => {
+            state.index = index;
+            // Suggest a common missing-value code when the series contains one
+            const code = NO_DATA_CODES.find(candidate => series[index].y.includes(candidate));
+            noData.value = code !== undefined ? String(code) : '';
+            update();
+        };
+        if (select) {
+            select.addEventListener('change', () => selectSeries(Number(select.value)));
+        }
+        noData.addEventListener('change', update);
+        selectSeries(0);
+    }
+
+    /**
+     * Start date / step inputs for undated series; a note for dated ones
+     */
+    renderDateControls(container, series, state, dates, update) {
+        container.innerHTML = '';
+        if (this.hasDates(series)) {
+            container.innerHTML = '<span class="analytics-note">Dates from the stored timestamps</span>';
+            return;
+        }
+
+        const start = document.createElement('input');
+        start.type = 'date';
+        start.className = 'form-control form-control-sm';
+        start.value = state.start !== null ? new Date(state.start).toISOString().substring(0, 10) : '';
+        const step = document.createElement('select');
+        step.className = 'form-control form-control-sm';
+        Object.entries(STEPS).forEach(([value, label]) => step.appendChild(new Option(label, value, false, value === state.step)));
+
+        const note = document.createElement('span');
+        note.className = 'analytics-note';
+        if (state.start === null) {
+            note.textContent = 'No timestamps stored: set a start date for aggregates and return periods';
+        } else if (dates && dates.source && state.start === dates.start && state.step === dates.step) {
+            note.textContent = `No timestamps stored: dates assumed from ${dates.source}`;
+        } else {
+            note.textContent = 'No timestamps stored: dates assumed from the start date and step';
+        }
+
+        const apply = () => {
+            const parsed = Date.parse(start.value);
+            state.start = Number.isNaN(parsed) ? null : parsed;
+            state.step = step.value;
+            update();
+        };
+        start.addEventListener('change', apply);
+        step.addEventListener('change', apply);
+
+        container.appendChild(this.labelled('Start', start));
+        container.appendChild(this.labelled('Step', step));
+        container.appendChild(note);
+    }
+
+    /**
+     * Timestamps (ms) of a series, or null if it has none and no start date is set
+     */
+    resolveDates(series, state) {
+        if (this.hasDates(series)) {
+            return series.x.map(value => this.renderer.parseDate(value));
+        }
+        if (state.start === null) return null;
+        return this.analytics.generateDates(series.y.length, state.start, state.step);
+    }
+
+    hasDates(series) {
+        return Array.isArray(series.x) && series.x.length > 0 && this.renderer.isDateLike(series.x[0]);
+    }
+
+    renderResults(container, series, dates) {
+        container.innerHTML = '';
+        const summary = this.analytics.summary(series.y);
+        if (!summary) {
+            container.innerHTML = '<div class="analytics-note">No numeric values to analyze</div>';
+            return;
+        }
+
+        // Summary and percentiles
+        const stats = [
+            ['Count', summary.count], ['Missing', summary.missing], ['Mean', summary.mean], ['Std. dev.', summary.std],
+            ['Min', summary.min], ['Max', summary.max],
+            ...summary.percentiles.map(({ p, value }) => [`P${p}`, value])
+        ];
+        const summarySection = this.section(container, 'Summary and percentiles');
+        summarySection.appendChild(this.table(stats.map(([label]) => label), [stats.map(([, value]) => this.format(value))]));
+
+        // Duration curve
+        const curve = this.analytics.durationCurve(series.y);
+        const curveSection = this.section(container, 'Duration / exceedance curve');
+        curveSection.appendChild(this.plot([{ name: series.name, points: curve.points }], { chartType: 'line', isDate: false, xLabel: '% of time equalled or exceeded' }));
+        curveSection.appendChild(this.table(
+            curve.levels.map(level => `Q${level.exceedance}`),
+            [curve.levels.map(level => this.format(level.value))]
+        ));
+
+        if (!dates) {
+            const note = document.createElement('div');
+            note.className = 'analytics-note';
+            note.textContent = 'Monthly and annual aggregates, annual maxima and return periods need dates.';
+            container.appendChild(note);
+            return;
+        }
+
+        // Monthly and annual aggregates
+        const monthly = this.analytics.aggregate(series.y, dates, 'month');
+        const monthlySection = this.section(container, 'Monthly means');
+        monthlySection.appendChild(this.plot(
+            [{ name: `${series.name} (monthly mean)`, points: monthly.map(row => ({ x: row.start, y: row.mean })) }],
+            { chartType: monthly.length > 60 ? 'line' : 'column', isDate: true }
+        ));
+
+        const annual = this.analytics.aggregate(series.y, dates, 'year');
+        const annualSection = this.section(container, 'Annual aggregates');
+        annualSection.appendChild(this.table(
+            ['Year', 'Mean', 'Total', 'Min', 'Max', 'Values'],
+            annual.map(row => [row.period, this.format(row.mean), this.format(row.total), this.format(row.min), this.format(row.max), row.count])
+        ));
+
+        // Annual maxima and return periods
+        const maxima = this.analytics.annualMaxima(series.y, dates);
+        const maximaSection = this.section(container, 'Annual maxima and return periods');
+        maximaSection.appendChild(this.table(
+            ['Year', 'Date', 'Maximum', 'Empirical T (years)', 'Values'],
+            maxima.map(entry => [entry.year, new Date(entry.date).toISOString().substring(0, 10), this.format(entry.value), this.format(entry.returnPeriod), entry.count])
+        ));
+
+        const estimates = this.analytics.returnPeriods(maxima.map(entry => entry.value));
+        const column = values => (values ? values.map(value => this.format(value)) : estimates.periods.map(() => 'n/a'));
+        const gumbel = column(estimates.gumbel);
+        const gev = column(estimates.gev);
+        const lp3 = column(estimates.lp3);
+        maximaSection.appendChild(this.table(
+            ['Return period (years)', 'Gumbel', 'GEV', 'Log-Pearson III'],
+            estimates.periods.map((T, index) => [T, gumbel[index], gev[index], lp3[index]])
+        ));
+        estimates.notes.forEach(text => {
+            const note = document.createElement('div');
+            note.className = 'analytics-note';
+            note.textContent = text;
+            maximaSection.appendChild(note);
+        });
+    }
+
+    /**
+     * Day-of-year envelope, month x year heatmap and anomaly plot of a daily series
+     * @param {HTMLElement} container - Target element
+     * @param {{name: string, y: Array}} series - Series values
+     * @param {Array<number>|null} dates - Timestamps in ms, one per value
+     * @param {Object} options - { onOpenInCharts }
+     */
+    renderClimatology(container, series, dates, options = {}) {
+        container.innerHTML = '';
+        if (container.clientWidth) this.width = container.clientWidth;
+
+        const note = (text) => {
+            const element = document.createElement('div');
+            element.className = 'analytics-note';
+            element.textContent = text;
+            container.appendChild(element);
+        };
+        if (!dates) {
+            note('Climatology views need dates: set a start date.');
+            return;
+        }
+        if (!this.analytics.isDaily(dates)) {
+            note('Climatology views need daily values.');
+            return;
+        }
+        const climatology = this.analytics.climatology(series.y, dates);
+        if (climatology.years.length < 2) {
+            note('Climatology views need at least two years of data.');
+            return;
+        }
+
+        if (typeof options.onOpenInCharts === 'function') {
+            const open = document.createElement('button');
+            open.type = 'button';
+            open.className = 'btn btn-sm btn-outline-primary';
+            open.innerHTML = '<i class="fas fa-chart-line"></i> Open in charts';
+            open.addEventListener('click', () => options.onOpenInCharts(series, dates));
+            container.appendChild(open);
+        }
+
+        // Envelope of all years with the latest one on top
+        const first = climatology.years[0];
+        const latest = climatology.years[climatology.years.length - 1];
+        const latestDays = climatology.byYear.get(latest);
+        const envelope = this.section(container, `Day-of-year envelope, ${first}-${latest}`);
+        const line = key => climatology.days.map(day => ({ x: day.day, y: day[key] }));
+        envelope.appendChild(this.plot([
+            { name: 'Max', points: line('max') },
+            { name: 'Median', points: line('median') },
+            { name: 'Min', points: line('min') },
+            { name: `${latest} (${latestDays.filter(value => value !== null).length} days)`, points: latestDays.map((y, index) => ({ x: index + 1, y })) }
+        ], { chartType: 'line', isDate: false, xLabel: 'Day of year (29 Feb counted with 28 Feb)' }));
+
+        const heatmap = this.section(container, 'Monthly means by year');
+        heatmap.appendChild(this.heatmap(this.analytics.monthYearMatrix(series.y, dates)));
+
+        const { anomalies, smoothed } = this.analytics.anomalies(series.y, dates, climatology);
+        const anomaly = this.section(container, `Anomaly against the ${first}-${latest} day-of-year mean`);
+        anomaly.appendChild(this.plot([
+            { name: 'Daily anomaly', points: anomalies },
+            { name: '30-day mean', points: smoothed }
+        ], { chartType: 'line', isDate: true }));
+    }
+
+    /**
+     * Month x year table coloured from the lowest to the highest monthly mean
+     */
+    heatmap({ years, cells, min, max }) {
+        const wrapper = this.table(['Year', ...MONTHS], years.map((year, index) => [year, ...cells[index].map(value => this.format(value))]));
+        const rows = wrapper.querySelectorAll('tbody tr');
+        years.forEach((year, row) => {
+            cells[row].forEach((value, month) => {
+                if (value === null) return;
+                const cell = rows[row].cells[month + 1];
+                const t = max > min ? (value - min) / (max - min) : 0.5;
+                cell.style.background = this.heatColor(t);
+                cell.style.color = t > 0.6 ? '#fff' : '#212529';
+                cell.title = `${MONTHS[month]} ${year}: ${this.format(value)}`;
+            });
+        });
+        wrapper.querySelector('table').classList.add('analytics-heatmap');
+
+        const legend = document.createElement('div');
+        legend.className = 'analytics-heatmap-legend';
+        legend.innerHTML = `<span>${this.format(min)}</span><span class="analytics-heatmap-scale" style="background: linear-gradient(to right, ${this.heatColor(0)}, ${this.heatColor(0.5)}, ${this.heatColor(1)});"></span><span>${this.format(max)}</span>`;
+        wrapper.appendChild(legend);
+        return wrapper;
+    }
+
+    /**
+     * Sequential blue scale for t in 0..1
+     */
+    heatColor(t) {
+        const from = [239, 243, 255];
+        const to = [8, 48, 107];
+        const mix = from.map((channel, index) => Math.round(channel + (to[index] - channel) * t));
+        return `rgb(${mix.join(', ')})`;
+    }
+
+    section(container, title) {
+        const section = document.createElement('div');
+        section.className = 'analytics-section';
+        const heading = document.createElement('div');
+        heading.className = 'analytics-section-title';
+        heading.textContent = title;
+        section.appendChild(heading);
+        container.appendChild(section);
+        return section;
+    }
+
+    plot(series, { chartType, isDate, xLabel = '' }) {
+        const width = Math.max(this.width || 0, 320);
+        const wrapper = document.createElement('div');
+        wrapper.appendChild(this.renderer.createPlot(
+            series.map(s => ({ ...s, points: this.downsample(s.points, width) })),
+            { chartType, isDate, width, height: 220, colorOffset: 0 }
+        ));
+        if (xLabel) {
+            const label = document.createElement('div');
+            label.className = 'analytics-axis-label';
+            label.textContent = xLabel;
+            wrapper.appendChild(label);
+        }
+        return wrapper;
+    }
+
+    table(headers, rows) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'table-responsive';
+        const table = document.createElement('table');
+        table.className = 'table table-sm analytics-table';
+        const headRow = table.createTHead().insertRow();
+        headers.forEach(header => {
+            const cell = document.createElement('th');
+            cell.textContent = header;
+            headRow.appendChild(cell);
+        });
+        const body = table.createTBody();
+        rows.forEach(row => {
+            const tr = body.insertRow();
+            row.forEach(value => {
+                tr.insertCell().textContent = value;
+            });
+        });
+        wrapper.appendChild(table);
+        return wrapper;
+    }
+
+    labelled(text, control) {
+        const label = document.createElement('label');
+        label.textContent = text;
+        label.appendChild(control);
+        return label;
+    }
+
+    format(value) {
+        if (value === null || value === undefined || Number.isNaN(value)) return '—';
+        if (typeof value !== 'number') return String(value);
+        return this.renderer.formatNumber(value);
+    }
+}
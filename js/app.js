@@ -26,6 +26,84 @@ class ExportedApp {
         
         // Initialize MetadataExplorer for JSON viewing (like main app)
         this.metadataExplorer = null;
+        
+        // WaterML parser for retrieved time series items (loaded on demand)
+        this.watermlParser = null;
+        
+        // Workflow DAG view (loaded on demand)
+        this.workflowGraph = null;
+        
+        // SVG chart renderer used when HydroLang visualize.draw is unavailable (loaded on demand)
+        this.chartRenderer = null;
+        
+        // InteractiveChart class for zoomable time series (loaded on demand; one instance per chart)
+        this.InteractiveChart = null;
+        
+        // MapView class for the built-in SVG map, used when the HydroLang map cannot be shown
+        this.MapView = null;
+        // Built-in map in the maps section, and the bundled offline basemap (loaded once)
+        this.builtInMap = null;
+        this.basemapRequest = null;
+        // Leaflet map HydroLang drew the maps section with (renderMap does not return it)
+        this.leafletMap = null;
+        // Sites of the retrieved series in all workflows (collected once per import) and their map
+        this.stationsRequest = null;
+        this.stationMap = null;
+        
+        // LayerManager class, and the panel of the layers added to the current map
+        this.LayerManager = null;
+        this.layerManager = null;
+        // MapStyle instance classifying layer features for thematic styles
+        this.mapStyle = null;
+        // User layout state kept in IndexedDB (map layer styles), loaded once
+        this.layoutStateRequest = null;
+        
+        // Station, time range and row selection shared by the map, charts and tables in the split and
+        // showcase layouts (loaded on demand)
+        this.selectionBus = null;
+        // Items being rendered; the views they create are filtered to the selected station once they are done
+        this.renderingItems = 0;
+        this.stationRefilter = { pending: false, timer: null };
+        
+        // Visible range of each interactive chart, kept when the chart is redrawn
+        this.chartRanges = new Map();
+        
+        // LTTB / min-max downsampling of large chart series (loaded on demand)
+        this.downsampler = null;
+        
+        // Duration curve, aggregates and return periods for numeric series (loaded on demand)
+        this.analyticsPanel = null;
+        
+        // Water balance workspace relating a balance to its drivers (loaded on demand)
+        this.waterBalancePanel = null;
+        
+        // DataGrid class for item tables (loaded on demand; one instance per rendered table)
+        this.DataGrid = null;
+        
+        // JSON / CSV / TSV / ZIP downloads of item data (loaded on demand)
+        this.dataExporter = null;
+        
+        // Detects republished exports and new service workers (loaded on demand)
+        this.updateManager = null;
+        
+        // Matcher/renderer/exporter per item type, including custom blocks (loaded on demand)
+        this.itemHandlers = null;
+        
+        // Source, inputs and outputs of Code Blocks (loaded on demand)
+        this.codeBlockViewer = null;
+        
+        // Sandboxed worker runner for re-running JavaScript Code Blocks (loaded on demand)
+        this.codeRunner = null;
+        
+        // What-if recomputation: in-memory results and the edited values per item
+        this.whatIf = null;
+        this.whatIfValues = new Map();
+        
+        // Draw item currently shown in the charts and tables sections
+        this.displayedDrawItems = {};
+        
+        // Result of the export integrity check run after DBManager.importData
+        this.integrityReport = null;
     }
 
     /**
@@ -51,6 +129,9 @@ class ExportedApp {
                 this.dbManager = window.db;
             }
             
+            // Check the export for broken lineage once the import has finished
+            this.watchImportCompletion();
+            
             // Set up basic UI (doesn't require Hydrolang)
             this.showLoading(true, 'Setting up interface...');
             this.setupUI();
@@ -72,7 +153,7 @@ class ExportedApp {
                 }
             } catch (hydrolangError) {
                 console.error('Hydrolang failed to load:', hydrolangError);
-                this.showError('Visualization libraries failed to load. Maps and charts will not be available.');
+                this.showError('Visualization libraries failed to load. Maps and charts will use the built-in renderers.', { type: 'warning' });
                 // Continue - basic functionality still works
             }
             
@@ -80,6 +161,9 @@ class ExportedApp {
             this.initialized = true;
             console.log('Application initialized successfully');
             
+            // Map the sites of the retrieved series in every workflow
+            this.renderStationMap();
+            
         } catch (error) {
             console.error('Fatal error during initialization:', error);
             this.showError(`Application failed to start: ${error.message}`);
@@ -164,6 +248,12 @@ class ExportedApp {
                     return markResolved(true);
             }
             
+            // The module loader already gave up before the app started
+            if (window.hydrolangLoadError) {
+                console.error('Module loading error:', window.hydrolangLoadError);
+                return markResolved(false);
+            }
+            
             // Check if Hydrolang class is available but not initialized
             if (window.Hydrolang) {
                 try {
@@ -796,6 +886,9 @@ class ExportedApp {
         // CRITICAL: Populate dataset select with items from THIS workflow only
         this.populateDatasetSelect(workflowId);
         
+        // Draw the workflow as a graph next to the dataset select
+        this.renderWorkflowGraph(workflowId);
+        
         // Update workflow info
         this.updateWorkflowInfo(workflow);
         
@@ -807,6 +900,9 @@ class ExportedApp {
         
         // Update Data Summary
         this.updateDataSummary();
+        
+        // clearVisualizations() emptied the maps section; put the station map back
+        this.renderStationMap();
     }
     
     /**
@@ -840,6 +936,27 @@ class ExportedApp {
         console.log(`✓ Populated dataset select with ${items.length} items from workflow ${workflowId}`);
     }
 
+    /**
+     * Render the workflow dependency graph built from item `data` links
+     */
+    async renderWorkflowGraph(workflowId) {
+        const graphContainer = document.getElementById('workflow-graph');
+        if (!graphContainer) return;
+        
+        const workflow = this.workflows[workflowId];
+        if (!workflow) return;
+        
+        await this.initializeWorkflowGraph();
+        if (!this.workflowGraph) return;
+        
+        const emptyState = document.querySelector('.graph-panel .empty-state');
+        if (emptyState) emptyState.style.display = 'none';
+        
+        this.workflowGraph.selectedId = null;
+        this.workflowGraph.render(graphContainer, workflow);
+        console.log(`✓ Rendered workflow graph for ${workflowId}`);
+    }
+
     updateWorkflowInfo(workflow) {
         const infoDiv = document.getElementById('workflow-info');
         if (!infoDiv) return;
@@ -878,120 +995,92 @@ class ExportedApp {
         
         this.visualizations.clear();
         this.mapInitialized = false;
+        this.builtInMap = null;
+        this.leafletMap = null;
+        this.stationMap = null;
+        this.layerManager = null;
+        // The brushed range and picked rows belonged to the views just removed; the station stays selected
+        if (this.selectionBus) {
+            this.selectionBus.publish('range', null);
+            this.selectionBus.publish('rows', null);
+        }
     }
 
     /**
-     * Handle an item from the workflow - matches results manager behavior
+     * Handle an item from the workflow: render it with the handler registered for its type
      */
     async handleItem(item) {
-        // CRITICAL: Get itemName from multiple sources and normalize it (matches results-manager.js)
-        // Check for corrupted itemNames (e.g., "Layers--01", "item-name", etc.)
-        let itemName = item.itemName || item.settings?.itemName || '';
-        const itemType = item.type || item.settings?.type || '';
-        const uniqueId = item.uniqueId || '';
-        const name = item.name || item.settings?.name || '';
-        
-        // CRITICAL: Try to recover correct itemName if corrupted (matches results-manager.js logic)
-        if (!['renderMap', 'Layers', 'draw', 'addCustomLegend'].includes(itemName)) {
-            // Try to recover from name attribute (e.g., "Layers--01" or "renderMap--02")
-            if (name) {
-                const nameMatch = name.match(/(Layers|renderMap|draw|addCustomLegend)/i);
-                if (nameMatch) {
-                    itemName = nameMatch[1] === 'Layers' ? 'Layers' : 
-                              nameMatch[1].toLowerCase() === 'rendermap' ? 'renderMap' : 
-                              nameMatch[1].toLowerCase();
-                }
-            }
-            // Try to recover from uniqueId
-            if (!['renderMap', 'Layers', 'draw', 'addCustomLegend'].includes(itemName)) {
-                if (uniqueId.match(/layers/i)) {
-                    itemName = 'Layers';
-                } else if (uniqueId.match(/rendermap/i)) {
-                    itemName = 'renderMap';
-                } else if (uniqueId.match(/draw/i)) {
-                    itemName = 'draw';
-                }
-            }
-            // Check type as fallback
-            if (itemType === 'visualization' && !['renderMap', 'Layers', 'draw', 'addCustomLegend'].includes(itemName)) {
-                // If it's a visualization type but no itemName, check uniqueId pattern
-                if (uniqueId.match(/layers/i)) {
-                    itemName = 'Layers';
-                } else if (uniqueId.match(/rendermap/i)) {
-                    itemName = 'renderMap';
-                } else {
-                    itemName = 'draw'; // Default fallback
-                }
-            }
+        this.renderingItems++;
+        try {
+            await this.renderItem(item);
+        } finally {
+            this.renderingItems--;
+            if (this.stationRefilter.pending) this.refilterStation();
+        }
+    }
+
+    /**
+     * Render an item with the handler registered for its type
+     */
+    async renderItem(item) {
+        await this.initializeItemHandlers();
+        if (!this.itemHandlers) {
+            await this.generateQuickReport({ uniqueId: item.uniqueId, ...item });
+            return;
         }
         
-        console.log(`handleItem() called for: ${uniqueId}`, {
+        const { handler, itemName, problems } = this.itemHandlers.resolve(item);
+        console.log(`handleItem() called for: ${item.uniqueId}`, {
             itemName,
-            itemType,
-            name,
-            uniqueId,
-            parameters: item.parameters || item.settings?.parameters,
+            handler: handler ? handler.id : null,
+            problems,
             fullItem: item
         });
         
-        // CRITICAL: Handle Code Blocks - they need their code and settings preserved
-        if (itemName === 'Code Block' || item.settings?.codeBlockType === 'code') {
-            console.log(`Code Block item: ${item.name || item.uniqueId} (${item.settings?.language || 'javascript'})`);
-            return;
+        // CRITICAL: Report misrouted items instead of guessing a renderer for them
+        if (problems.length > 0) {
+            console.warn(`Item "${item.uniqueId}": ${problems.join('; ')}`);
+            this.showError(`"${item.name || item.uniqueId}" may not display as intended: ${problems.join('; ')}.`, { type: 'warning' });
         }
         
-        // Determine the type of item (maps, charts, or tables) - matches results-manager.js handleDatasetSelection
-        let type;
-        if (itemName === 'renderMap' || itemName === 'Layers') {
-            type = 'maps';
-        } else if (itemName === 'draw' && (item.parameters?.type === 'chart' || item.settings?.parameters?.type === 'chart')) {
-            type = 'charts';
-        } else if (itemName === 'draw' && (item.parameters?.type === 'table' || item.settings?.parameters?.type === 'table')) {
-            type = 'tables';
-        } else {
-            // For non-visualization items, try to create a quick visualization if results exist
-            console.log(`Item ${itemName} is not a recognized visualization item, trying quick visualization`);
-            if (item.results) {
-                await this.createVisualization(item.uniqueId, item);
-            }
+        if (!handler) {
+            // Still show whatever data the item has
+            await this.generateQuickReport({ uniqueId: item.uniqueId, ...item });
             return;
         }
         
-        console.log(`Determined visualization type: ${type} for item: ${itemName}`);
-        
-        // Switch to the appropriate tab
-        this.showVisualizationTab(type);
-        console.log(`Switched to ${type} tab`);
-        
-        // Handle the item based on its type (matches results-manager.js handleDatasetSelection)
         try {
-            switch (type) {
-                case 'maps':
-                    if (itemName === 'Layers') {
-                        console.log(`Calling addLayersToMap() for: ${uniqueId}`);
-                        await this.addLayersToMap(item);
-                    } else {
-                        console.log(`Calling populateMaps() for: ${uniqueId}`);
-                        await this.populateMaps(item);
-                    }
-                    break;
-                case 'charts':
-                case 'tables':
-                    console.log(`Calling handleDrawItems() for: ${uniqueId} (type: ${type})`);
-                    await this.handleDrawItems(item);
-                    break;
-            }
-            console.log(`✓ Successfully handled visualization item: ${itemName}`);
+            await handler.render(this, item);
+            console.log(`✓ Handled item ${item.uniqueId} with the "${handler.id}" handler`);
         } catch (error) {
-            console.error(`Error handling visualization item ${itemName}:`, error);
+            console.error(`Error handling item ${item.uniqueId} with the "${handler.id}" handler:`, error);
             throw error;
         }
     }
 
+    /**
+     * Register a renderer/exporter for a HydroBlox block type (see js/item-handlers.js)
+     * Scripts loaded before the app can instead push handlers onto window.HydroBloxItemHandlers.
+     * @param {Object} handler - { id, itemNames or match, render, export? }
+     * @returns {Promise<Function>} - Removes the handler again
+     */
+    async registerItemHandler(handler) {
+        await this.initializeItemHandlers();
+        if (!this.itemHandlers) {
+            throw new Error('Item handlers are not available in this session');
+        }
+        return this.itemHandlers.register(handler);
+    }
+
     /**
      * Load item data from IndexedDB - matches results manager
      */
     async loadItemDataFromIndexedDB(uniqueId) {
+        // What-if results replace stored data for every consumer (charts, tables, Code Block inputs)
+        if (this.whatIf && this.whatIf.overrides.has(uniqueId)) {
+            return this.whatIf.overrides.get(uniqueId);
+        }
+        
         try {
             // Ensure database is ready
             if (!this.dbManager || !this.dbManager.ready) {
@@ -1019,6 +1108,7 @@ class ExportedApp {
             } catch (e) {
                 console.warn(`Could not load data for ${uniqueId} from filesystem`);
             }
+            console.warn(`Broken lineage: no data found for "${uniqueId}" in the database or the exported item files`);
             return null;
         } catch (error) {
             console.error(`Error loading data for item ${uniqueId}:`, error);
@@ -1026,12 +1116,27 @@ class ExportedApp {
         }
     }
 
+    /**
+     * Tell the user when an item is rendered without some of its inputs
+     * @param {Object} item - Item being rendered
+     * @param {Array<string>} missingIds - Input IDs that had no data
+     */
+    reportMissingInputs(item, missingIds) {
+        if (!Array.isArray(missingIds) || missingIds.length === 0) return;
+        
+        const label = item.name || item.uniqueId;
+        console.warn(`Item ${item.uniqueId} is missing ${missingIds.length} input(s):`, missingIds);
+        this.showError(`"${label}" is missing input data for: ${missingIds.join(', ')}. Results may be incomplete.`, { type: 'warning' });
+    }
+
     /**
      * Handle draw items - matches results manager handleDrawItems
      */
     async handleDrawItems(drawItem) {
         try {
             const drawType = drawItem.parameters?.type || 'chart';
+            // Remember what each section shows so what-if changes can redraw it
+            this.displayedDrawItems[drawType] = drawItem.uniqueId;
             
             // For tables, try to use createDataTable as fallback if Hydrolang is not available
             if (drawType === 'table' && (!window.lang || !window.lang.visualize || !window.lang.visualize.draw)) {
@@ -1041,6 +1146,7 @@ class ExportedApp {
                 const drawDataPromises = dataIds.map(depId => this.loadItemDataFromIndexedDB(depId));
                 const drawData = await Promise.all(drawDataPromises);
                 const validDrawData = drawData.filter(data => data != null);
+                this.reportMissingInputs(drawItem, dataIds.filter((depId, index) => drawData[index] == null));
                 
                 if (validDrawData.length > 0) {
                     const targetSection = document.getElementById('tables-section');
@@ -1057,11 +1163,12 @@ class ExportedApp {
                         
                         const container = document.createElement('div');
                         container.className = 'table-container';
+                        container.dataset.item = drawItem.uniqueId;
                         container.style.cssText = 'width: 100%; padding: 20px;';
                         targetSection.appendChild(container);
                         
                         // Use first data item for table display
-                        this.createDataTable(container, validDrawData[0], drawItem.uniqueId);
+                        await this.createDataTable(container, validDrawData[0], drawItem.uniqueId);
                         console.log('✓ Created fallback table using createDataTable');
                         return;
                     }
@@ -1069,9 +1176,14 @@ class ExportedApp {
                 return;
             }
             
-            if (!window.lang || !window.lang.visualize || !window.lang.visualize.draw) {
-                console.warn('Hydrolang visualize.draw not available');
-                return;
+            // Charts can still be drawn offline with the built-in renderer
+            const useBuiltInChart = !window.lang || !window.lang.visualize || !window.lang.visualize.draw;
+            if (useBuiltInChart) {
+                if (drawType !== 'chart') {
+                    console.warn('Hydrolang visualize.draw not available');
+                    return;
+                }
+                console.warn('Hydrolang visualize.draw not available, using built-in chart renderer');
             }
 
             // Prevent multiple simultaneous renders
@@ -1094,6 +1206,7 @@ class ExportedApp {
 
                 // Filter out any null or undefined data
                 const validDrawData = drawData.filter(data => data != null);
+                this.reportMissingInputs(drawItem, dataIds.filter((depId, index) => drawData[index] == null));
 
                 if (validDrawData.length === 0) {
                     console.warn(`No valid data found for draw item ${drawItem.uniqueId}`);
@@ -1136,6 +1249,7 @@ class ExportedApp {
                 const container = document.createElement('div');
                 container.id = uniqueContainerId;
                 container.className = `${drawType}-container`;
+                container.dataset.item = drawItem.uniqueId;
                 container.style.cssText = 'width: 100%; height: 100%; min-height: 400px; display: block; position: relative;';
                 targetSection.appendChild(container);
 
@@ -1157,18 +1271,25 @@ class ExportedApp {
 
                 console.log(`Rendering ${drawType} in container: ${uniqueContainerId}`);
                 
-                // CRITICAL: Ensure lang is ready
-                if (!window.lang || !window.lang.visualize || !window.lang.visualize.draw) {
-                    console.warn('Hydrolang visualize.draw not available', {
-                        lang: !!window.lang,
-                        visualize: !!window.lang?.visualize,
-                        draw: !!window.lang?.visualize?.draw
-                    });
+                // Line and scatter charts get zoom, brush, crosshair and range tools on the full stored data
+                if (drawType === 'chart' && await this.renderInteractiveChart(container, drawParams, drawItem.uniqueId)) {
+                    if (!useBuiltInChart) {
+                        this.addStaticChartButton(container, drawParams);
+                    }
+                    console.log(`Rendered interactive chart: ${drawItem.uniqueId}`);
+                    return;
+                }
+                
+                if (useBuiltInChart) {
+                    const rendered = await this.renderBuiltInChart(container, drawParams);
+                    if (!rendered) {
+                        console.warn(`No plottable data for draw item ${drawItem.uniqueId}`);
+                    }
                     return;
                 }
                 
-                // Call the draw function
-                await window.lang.visualize.draw(drawParams);
+                // Call the draw function with series reduced to the container width
+                await window.lang.visualize.draw(await this.downsampleDrawParams(drawParams, container.clientWidth, 'columns'));
                 
                 console.log(`Successfully rendered ${drawType}: ${drawItem.uniqueId} in ${uniqueContainerId}`);
 
@@ -1199,9 +1320,10 @@ class ExportedApp {
                         targetSection.innerHTML = '';
                         const container = document.createElement('div');
                         container.className = 'table-container';
+                        container.dataset.item = drawItem.uniqueId;
                         container.style.cssText = 'width: 100%; padding: 20px;';
                         targetSection.appendChild(container);
-                        this.createDataTable(container, validDrawData[0], drawItem.uniqueId);
+                        await this.createDataTable(container, validDrawData[0], drawItem.uniqueId);
                         console.log('✓ Created fallback table after visualization error');
                         return;
                     }
@@ -1210,6 +1332,35 @@ class ExportedApp {
                 }
             }
             
+            // For charts, try the built-in renderer if HydroLang failed
+            if (drawType === 'chart' && targetSection) {
+                try {
+                    const dataIds = Array.isArray(drawItem.data) ? drawItem.data : [];
+                    const drawData = await Promise.all(dataIds.map(depId => this.loadItemDataFromIndexedDB(depId)));
+                    const validDrawData = drawData.filter(data => data != null);
+                    
+                    if (validDrawData.length > 0) {
+                        targetSection.innerHTML = '';
+                        const container = document.createElement('div');
+                        container.className = 'chart-container';
+                        container.dataset.item = drawItem.uniqueId;
+                        container.style.cssText = 'width: 100%; min-height: 400px; display: block; position: relative;';
+                        targetSection.appendChild(container);
+                        const rendered = await this.renderBuiltInChart(container, {
+                            params: { ...drawItem.parameters },
+                            args: { ...drawItem.arguments },
+                            data: validDrawData
+                        });
+                        if (rendered) {
+                            console.log('✓ Rendered chart with built-in renderer after visualization error');
+                            return;
+                        }
+                    }
+                } catch (fallbackError) {
+                    console.error('Built-in chart rendering also failed:', fallbackError);
+                }
+            }
+            
             if (targetSection) {
                 targetSection.innerHTML = '<div class="error-message" style="padding: 20px; text-align: center; color: #dc3545;">Failed to render visualization. Please try again.</div>';
             }
@@ -1227,16 +1378,6 @@ class ExportedApp {
      */
     async populateMaps(mapItem) {
         try {
-            // CRITICAL: Ensure lang is ready
-            if (!window.lang || !window.lang.map || !window.lang.map.renderMap) {
-                console.warn('Hydrolang map.renderMap not available', {
-                    lang: !!window.lang,
-                    map: !!window.lang?.map,
-                    renderMap: !!window.lang?.map?.renderMap
-                });
-                return;
-            }
-
             const mapsSection = document.getElementById('maps-section');
             if (!mapsSection) {
                 console.error('Maps section not found');
@@ -1270,6 +1411,12 @@ class ExportedApp {
                 console.log('✓ Created map container');
             }
             
+            // A new map starts without layers
+            if (this.layerManager) {
+                this.layerManager.container.remove();
+                this.layerManager = null;
+            }
+            
             // Clear existing map content and show container
             mapContainer.innerHTML = '';
             mapContainer.style.display = 'block';
@@ -1301,20 +1448,24 @@ class ExportedApp {
                 // NO data parameter - renderMap just initializes the map
             };
 
-            console.log(`Rendering map in container: ${uniqueContainerId}`);
-            
-            // CRITICAL: Ensure lang is ready
-            if (!window.lang || !window.lang.map || !window.lang.map.renderMap) {
-                console.warn('Hydrolang map.renderMap not available', {
-                    lang: !!window.lang,
-                    map: !!window.lang?.map,
-                    renderMap: !!window.lang?.map?.renderMap
+            // Without HydroLang, or offline (Leaflet and its tiles come from the web), draw the built-in map
+            if (!this.canUseHydroLangMap()) {
+                console.warn('Hydrolang map not usable, drawing the built-in map', {
+                    renderMap: !!window.lang?.map?.renderMap,
+                    online: navigator.onLine
                 });
+                await this.renderBuiltInMapItem(mapContainer, mapItem);
                 return;
             }
             
+            console.log(`Rendering map in container: ${uniqueContainerId}`);
+            
             // Render the map
+            this.builtInMap = null;
+            this.watchLeafletMap();
+            this.createdLeafletMap = null;
             await window.lang.map.renderMap(mapParams);
+            this.leafletMap = this.createdLeafletMap;
             
             // CRITICAL: Ensure container is visible and has dimensions after render
             mapContainer.style.display = 'block';
@@ -1343,10 +1494,9 @@ class ExportedApp {
     }
 
     /**
-     * Add layers to map - matches results manager addLayersToMap
+     * Create a default map when no renderMap item has been rendered yet
      */
-    async addLayersToMap(layerItem) {
-        // CRITICAL: If map not initialized, create a default map first
+    async ensureMapInitialized() {
         if (!this.mapInitialized) {
             console.log('Map not initialized, creating default map first...');
             // Create a default map item to initialize the map
@@ -1367,6 +1517,14 @@ class ExportedApp {
             // Wait a bit for map to be ready
             await new Promise(resolve => setTimeout(resolve, 500));
         }
+    }
+
+    /**
+     * Add layers to map - matches results manager addLayersToMap
+     */
+    async addLayersToMap(layerItem) {
+        // CRITICAL: If map not initialized, create a default map first
+        await this.ensureMapInitialized();
 
         // CRITICAL: Ensure only one map container exists (prevent multiple Leaflet instances)
         const mapsSection = document.getElementById('maps-section');
@@ -1381,6 +1539,11 @@ class ExportedApp {
             }
         }
 
+        if (this.builtInMap) {
+            await this.addLayersToBuiltInMap(layerItem);
+            return;
+        }
+
         try {
             // CRITICAL: Ensure lang is ready
             if (!window.lang || !window.lang.map || !window.lang.map.Layers) {
@@ -1426,11 +1589,21 @@ class ExportedApp {
 
             console.log(`Adding layer to map: ${layerItem.uniqueId} with ${validLayerData.length} data source(s)`);
 
-            await window.lang.map.Layers({
+            const layer = await window.lang.map.Layers({
                 args,
                 params,
                 data: layerData
             });
+            
+            const map = this.leafletMap;
+            if (layer && map && map.hasLayer(layer)) {
+                await this.registerMapLayer({
+                    id: layerItem.uniqueId,
+                    name: args.name || layerItem.name || layerItem.uniqueId,
+                    color: this.leafletLayerColor(layer),
+                    controls: this.leafletLayerControls(layer, map)
+                });
+            }
 
             console.log(`Successfully added layer: ${layerItem.uniqueId}`);
 
@@ -1440,104 +1613,869 @@ class ExportedApp {
     }
 
     /**
-     * Create visualization for non-draw items (fallback)
+     * The layer panel of the current map, created below the map on first use
+     * @returns {Promise<Object|null>} - LayerManager, or null if the module is not available
      */
-    async createVisualization(itemId, item) {
-        const container = document.getElementById('visualization-container');
-        if (!container) return;
-
-        // Create visualization element
-        const vizElement = document.createElement('div');
-        vizElement.className = 'visualization-item';
-        vizElement.id = `viz-${itemId}`;
-
-        // Create visualization based on item type and data
-        if (item.results) {
-            const include = this.layoutConfig?.include || { maps: true, charts: true, tables: true };
-            if (item.type === 'chart') {
-                if (!include.charts) return;
-                this.createChart(vizElement, item.results);
-            } else if (item.type === 'map') {
-                if (!include.maps) return;
-                this.createMap(vizElement, item.results);
-            } else if (item.type === 'table') {
-                if (!include.tables) return;
-                this.createTable(vizElement, item.results);
-            }
+    async getLayerManager() {
+        if (this.layerManager && this.layerManager.container.isConnected) return this.layerManager;
+        
+        await this.initializeLayerManager();
+        await this.initializeMapStyle();
+        const mapsSection = document.getElementById('maps-section');
+        if (!this.LayerManager || !mapsSection) return null;
+        
+        const container = document.createElement('div');
+        const mapContainer = document.getElementById('map');
+        if (mapContainer && mapContainer.parentNode === mapsSection) {
+            mapContainer.after(container);
+        } else {
+            mapsSection.appendChild(container);
         }
+        this.layerManager = new this.LayerManager(container, {
+            createTable: (tableContainer, rows, layer) => this.createDataTable(tableContainer, rows, null, { layer: layer.id }),
+            styler: this.mapStyle,
+            onStyleChange: (layerId, style) => this.saveMapStyle(layerId, style)
+        });
+        return this.layerManager;
+    }
 
-        container.appendChild(vizElement);
-        this.visualizations.set(itemId, vizElement);
+    /**
+     * List a map layer in the layer panel, with the style the user last gave it
+     * @param {Object} layer - { id, name, color, controls }, see LayerManager.add
+     */
+    async registerMapLayer(layer) {
+        const manager = await this.getLayerManager();
+        if (!manager) return;
+        
+        const state = await this.getLayoutState();
+        manager.add({ ...layer, style: state.mapStyles[layer.id] || null });
     }
 
-    createChart(element, data) {
-        // Use Hydrolang visualization if available
-        if (window.suite && window.suite.lang && window.suite.lang.visualize && window.suite.lang.visualize.draw) {
-            try {
-                const containerId = `chart-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-                element.innerHTML = `<div id="${containerId}" class="chart-container" style="width: 100%; height: 400px;"></div>`;
+    /**
+     * The user's layout state stored in IndexedDB
+     * @returns {Promise<Object>} - { mapStyles: { layerId: style } }
+     */
+    getLayoutState() {
+        if (!this.layoutStateRequest) {
+            this.layoutStateRequest = (async () => {
+                let stored = null;
+                if (this.dbManager && typeof this.dbManager.getLayoutState === 'function') {
+                    try {
+                        stored = await this.dbManager.getLayoutState();
+                    } catch (error) {
+                        console.warn('Could not read the layout state:', error);
+                    }
+                }
+                return { mapStyles: { ...(stored?.mapStyles || {}) } };
+            })();
+        }
+        return this.layoutStateRequest;
+    }
 
-                // Prepare data for Hydrolang visualization
-                const chartData = Array.isArray(data) ? data : [data];
+    /**
+     * Keep a layer's style (or its removal) in the layout state
+     * @param {string} layerId - Layer ID
+     * @param {Object|null} style - MapStyle settings, or null for the default style
+     */
+    async saveMapStyle(layerId, style) {
+        const state = await this.getLayoutState();
+        if (style) {
+            state.mapStyles[layerId] = style;
+        } else {
+            delete state.mapStyles[layerId];
+        }
+        
+        if (!this.dbManager || typeof this.dbManager.storeLayoutState !== 'function') return;
+        try {
+            await this.dbManager.storeLayoutState(state);
+        } catch (error) {
+            console.warn('Could not save the map style:', error);
+        }
+    }
 
-                const drawParams = {
-                    params: {
-                        type: 'chart',
-                        id: containerId,
-                        name: data.title || 'Chart'
-                    },
-                    args: {
-                        responsive: true,
-                        chartType: data.chartType || 'line'
-                    },
-                    data: chartData
-                };
+    /**
+     * Layer panel controls for a Leaflet layer added by HydroLang
+     * @param {Object} layer - Leaflet layer (GeoJSON, marker, tile or raster layer)
+     * @param {Object} map - Leaflet map the layer was added to
+     * @returns {Object} - { setVisible, setOpacity, setStyle, zoomTo, bringToFront, features, highlight }
+     */
+    leafletLayerControls(layer, map) {
+        // Styles the layer was drawn with, so opacity, thematic styles and highlights can be undone
+        const originals = new WeakMap();
+        const current = { opacity: 1, paint: null, highlighted: new Set() };
+        const parts = () => (typeof layer.getLayers === 'function' ? layer.getLayers() : [layer]);
+        // Parts in the order of features(), as first drawn
+        const drawn = parts();
+        // HydroLang draws points as L.marker, which can be neither colored, sized nor outlined: while a
+        // thematic style or a highlight is applied they are swapped for circle markers at the same place
+        const circles = new Map();
+        const markers = new Map();
+        const drawnPart = part => markers.get(part) || part;
+        const pointSymbols = () => {
+            const Leaflet = window.L;
+            const wanted = (Boolean(current.paint) || current.highlighted.size > 0) && Boolean(Leaflet?.circleMarker) && typeof layer.getLayers === 'function';
+            const next = drawn.map(part => {
+                if (!wanted || !(part instanceof Leaflet.Marker)) return part;
+                if (!circles.has(part)) {
+                    const circle = Leaflet.circleMarker(part.getLatLng(), { radius: 6, color: '#3388ff', weight: 2, fillColor: '#3388ff', fillOpacity: 0.6 });
+                    circle.feature = part.feature;
+                    const popup = part.getPopup();
+                    if (popup) circle.bindPopup(popup.getContent());
+                    circles.set(part, circle);
+                    markers.set(circle, part);
+                }
+                return circles.get(part);
+            });
+            const shown = new Set(parts());
+            if (next.length === shown.size && next.every(part => shown.has(part))) return;
+            layer.clearLayers();
+            next.forEach(part => layer.addLayer(part));
+        };
+        const repaint = () => parts().forEach(part => {
+            if (typeof part.setStyle !== 'function') {
+                if (typeof part.setOpacity === 'function') part.setOpacity(current.opacity);
+                return;
+            }
+            if (!originals.has(part)) {
+                const { color, fillColor, opacity, fillOpacity, radius, weight } = part.options;
+                originals.set(part, { color, fillColor, opacity, fillOpacity, radius, weight });
+            }
+            const original = originals.get(part);
+            const styled = current.paint && part.feature ? current.paint(part.feature) : null;
+            const style = {
+                opacity: (original.opacity ?? 1) * current.opacity,
+                // Styled polygons are filled more strongly so the classes can be told apart
+                fillOpacity: (styled?.color ? 0.7 : original.fillOpacity ?? 0.2) * current.opacity
+            };
+            const color = styled?.color || original.color;
+            const fillColor = styled?.color || original.fillColor;
+            if (color) style.color = color;
+            if (fillColor) style.fillColor = fillColor;
+            // Features picked in a linked table are outlined
+            style.weight = original.weight ?? 3;
+            if (current.highlighted.has(drawnPart(part))) {
+                style.color = '#ffc107';
+                style.weight += 2;
+            }
+            part.setStyle(style);
+            const radius = styled?.radius || original.radius;
+            if (radius && typeof part.setRadius === 'function') part.setRadius(radius);
+        });
+        
+        return {
+            setVisible: visible => (visible ? map.addLayer(layer) : map.removeLayer(layer)),
+            setOpacity: opacity => {
+                current.opacity = opacity;
+                repaint();
+            },
+            setStyle: paint => {
+                current.paint = paint;
+                pointSymbols();
+                repaint();
+            },
+            zoomTo: () => {
+                const bounds = typeof layer.getBounds === 'function' ? layer.getBounds() : null;
+                if (bounds && bounds.isValid()) {
+                    map.fitBounds(bounds, { padding: [24, 24] });
+                } else if (typeof layer.getLatLng === 'function') {
+                    map.setView(layer.getLatLng(), Math.max(map.getZoom(), 12));
+                }
+            },
+            bringToFront: () => {
+                if (typeof layer.bringToFront === 'function') layer.bringToFront();
+            },
+            features: () => {
+                // Listed in the order first drawn, which swapping point symbols does not change
+                if (typeof layer.getLayers === 'function') {
+                    return drawn.map(part => part.toGeoJSON());
+                }
+                const geojson = typeof layer.toGeoJSON === 'function' ? layer.toGeoJSON() : null;
+                if (!geojson) return [];
+                return geojson.type === 'FeatureCollection' ? geojson.features : [geojson];
+            },
+            highlight: indexes => {
+                current.highlighted = new Set(indexes.map(index => drawn[index]).filter(Boolean));
+                pointSymbols();
+                repaint();
+            }
+        };
+    }
 
-                window.suite.lang.visualize.draw(drawParams).then(() => {
-                    console.log('Chart rendered successfully');
-                }).catch(error => {
-                    console.error('Error rendering chart:', error);
-                    this.fallbackChartRender(element, data, containerId);
-                });
+    /**
+     * Keep the last Leaflet map created, so the map HydroLang draws can be used without reaching
+     * into Leaflet internals
+     */
+    watchLeafletMap() {
+        if (this.leafletMapWatched || !window.L?.Map?.addInitHook) return;
+        this.leafletMapWatched = true;
+        const app = this;
+        window.L.Map.addInitHook(function () {
+            app.createdLeafletMap = this;
+        });
+    }
 
-            } catch (error) {
-                console.error('Error creating chart with Hydrolang:', error);
-                this.fallbackChartRender(element, data);
-            }
-        } else {
-            this.fallbackChartRender(element, data);
-        }
+    /**
+     * Stroke or fill color of the first vector part of a Leaflet layer, for the legend
+     */
+    leafletLayerColor(layer) {
+        const parts = typeof layer.getLayers === 'function' ? layer.getLayers() : [layer];
+        const styled = parts.find(part => part.options && (part.options.color || part.options.fillColor));
+        return styled ? styled.options.color || styled.options.fillColor : null;
     }
 
-    fallbackChartRender(element, data, containerId) {
-        // Fallback simple chart implementation
-        const id = containerId || `chart-${Date.now()}`;
-        element.innerHTML = `
-            <div class="chart-container">
-                <h4>${data.title || 'Chart'}</h4>
-                <div id="${id}" class="chart-placeholder">
-                    <div class="fallback-chart" style="width: 100%; height: 300px; border: 1px solid #ddd; display: flex; align-items: center; justify-content: center; background: #f8f9fa;">
-                        <div style="text-align: center;">
-                            <i class="fas fa-chart-line" style="font-size: 48px; color: #6c757d; margin-bottom: 10px;"></i>
-                            <p style="margin: 0; color: #6c757d;">Chart visualization</p>
-                            <small style="color: #999;">Data loaded successfully</small>
-                        </div>
-                    </div>
-                </div>
-                <div class="chart-data" style="margin-top: 10px; padding: 10px; background: #f8f9fa; border-radius: 4px; font-family: monospace; font-size: 12px;">
-                    <strong>Data Preview:</strong><br>
-                    ${JSON.stringify(data, null, 2).substring(0, 500)}${JSON.stringify(data).length > 500 ? '...' : ''}
-                </div>
-            </div>
-        `;
+    /**
+     * Whether HydroLang's Leaflet map can be shown: it needs HydroLang and the network
+     */
+    canUseHydroLangMap() {
+        return Boolean(window.lang?.map?.renderMap) && navigator.onLine !== false;
     }
 
-    createMap(element, data) {
-        // Use Hydrolang map if available
-        if (window.lang && window.lang.map && window.lang.map.renderMap) {
-            try {
-                const containerId = `map-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-                element.innerHTML = `<div id="${containerId}" class="map-container" style="width: 100%; height: 400px;"></div>`;
+    /**
+     * Draw a renderMap item with the built-in map, centered on its lat/lon at its zoom
+     * @param {HTMLElement} container - Map container
+     * @param {Object} mapItem - renderMap item
+     */
+    async renderBuiltInMapItem(container, mapItem) {
+        const view = await this.createBuiltInMap(container, { height: 500 });
+        if (!view) {
+            container.innerHTML = '<div class="error-message" style="padding: 20px; text-align: center; color: #dc3545;">Map could not be drawn in this session.</div>';
+            return;
+        }
+        const params = mapItem.parameters || {};
+        const lat = Number(params.lat ?? 40.75);
+        const lon = Number(params.lon ?? -111.87);
+        view.setView(Number.isFinite(lat) ? lat : 40.75, Number.isFinite(lon) ? lon : -111.87, Number(mapItem.arguments?.zoom) || 10);
+        this.builtInMap = view;
+        this.mapInitialized = true;
+        console.log(`Rendered map ${mapItem.uniqueId} with the built-in renderer`);
+    }
+
+    /**
+     * Add a Layers item's data to the built-in map and fit the map to everything drawn
+     * @param {Object} layerItem - Layers item
+     */
+    async addLayersToBuiltInMap(layerItem) {
+        const dataIds = Array.isArray(layerItem.data) && layerItem.data.length > 0
+            ? layerItem.data
+            : (Array.isArray(layerItem.settings?.data) ? layerItem.settings.data : []);
+        const name = layerItem.name || layerItem.uniqueId;
+        
+        const added = [];
+        for (const [index, depId] of dataIds.entries()) {
+            const data = await this.loadItemDataFromIndexedDB(depId);
+            const layer = data != null ? this.builtInMap.addLayer({
+                // Same ID as the HydroLang layer of a single source, so stored styles apply to both maps
+                id: dataIds.length > 1 ? `${layerItem.uniqueId}-${index}` : layerItem.uniqueId,
+                name: dataIds.length > 1 ? `${name} (${depId})` : name,
+                data
+            }) : null;
+            if (layer) added.push(layer);
+        }
+        
+        if (added.length === 0) {
+            this.showError(`"${name}" has no coordinates or GeoJSON features to draw on the map.`, { type: 'warning' });
+            return;
+        }
+        this.builtInMap.fit();
+        const view = this.builtInMap;
+        for (const layer of added) {
+            await this.registerMapLayer({
+                id: layer.id,
+                name: layer.name,
+                color: layer.color,
+                controls: {
+                    setVisible: visible => view.updateLayer(layer.id, { visible }),
+                    setOpacity: opacity => view.updateLayer(layer.id, { opacity }),
+                    setStyle: paint => view.updateLayer(layer.id, { style: paint }),
+                    zoomTo: () => view.fitLayer(layer.id),
+                    bringToFront: () => view.bringToFront(layer.id),
+                    features: () => layer.features,
+                    highlight: indexes => view.updateLayer(layer.id, { highlight: indexes.map(index => layer.features[index]).filter(Boolean) })
+                }
+            });
+        }
+        console.log(`Added ${added.length} layer(s) from ${layerItem.uniqueId} to the built-in map`);
+    }
+
+    /**
+     * Built-in map in a container, with the offline basemap when it loads
+     * @param {HTMLElement} container - Target element
+     * @param {Object} options - { height }
+     * @returns {Promise<Object|null>} - MapView, or null if the module is not available
+     */
+    async createBuiltInMap(container, options = {}) {
+        await this.initializeMapView();
+        if (!this.MapView) return null;
+        
+        const basemap = await this.loadBasemap();
+        return new this.MapView(container, { basemap, height: options.height || 400 });
+    }
+
+    /**
+     * The bundled offline basemap (coastlines, rivers, country borders, US states), or null if missing
+     * @returns {Promise<Object|null>}
+     */
+    loadBasemap() {
+        if (!this.basemapRequest) {
+            this.basemapRequest = fetch('data/basemap/basemap.json')
+                .then(response => (response.ok ? response.json() : null))
+                .catch(error => {
+                    console.warn('Offline basemap not available:', error);
+                    return null;
+                });
+        }
+        return this.basemapRequest;
+    }
+
+    /**
+     * Sites of the retrieved WaterML series in every workflow, with the variables measured at each
+     * @returns {Promise<Array<Object>>} - { key, name, code, network, latitude, longitude, elevation, variables },
+     *   each variable { name, code, unit, start, end, count, workflowId, itemId, itemName, seriesIndex }
+     */
+    collectStations() {
+        if (!this.stationsRequest) {
+            this.stationsRequest = (async () => {
+                const stations = new Map();
+                for (const [workflowId, workflow] of Object.entries(this.workflows || {})) {
+                    const items = Array.isArray(workflow.items) ? workflow.items : [];
+                    for (const item of items) {
+                        if (!item?.uniqueId) continue;
+                        const record = await this.getItemRecord(item.uniqueId);
+                        const parsed = record ? await this.parseWaterML(record.data) : null;
+                        if (!parsed) continue;
+                        
+                        parsed.series.forEach((series, seriesIndex) => {
+                            const site = series.site;
+                            if (!Number.isFinite(site.latitude) || !Number.isFinite(site.longitude)) return;
+                            const key = this.stationKey(site);
+                            if (!stations.has(key)) {
+                                stations.set(key, {
+                                    key,
+                                    name: site.name,
+                                    code: site.code,
+                                    network: site.network,
+                                    latitude: site.latitude,
+                                    longitude: site.longitude,
+                                    elevation: site.elevation,
+                                    variables: []
+                                });
+                            }
+                            stations.get(key).variables.push({
+                                name: series.variable.name,
+                                code: series.variable.code,
+                                unit: series.units?.abbreviation || series.units?.name || '',
+                                start: series.period.start,
+                                end: series.period.end,
+                                count: series.count,
+                                workflowId,
+                                itemId: item.uniqueId,
+                                itemName: item.name || item.uniqueId,
+                                seriesIndex
+                            });
+                        });
+                    }
+                }
+                console.log(`✓ Found ${stations.size} station(s) in retrieved series`);
+                return [...stations.values()];
+            })().catch(error => {
+                console.warn('Could not collect station locations:', error);
+                this.stationsRequest = null;
+                return [];
+            });
+        }
+        return this.stationsRequest;
+    }
+
+    /**
+     * Key identifying a WaterML site across workflows: the same site code in the same network is the
+     * same station, wherever it was retrieved; sites without a code are told apart by their coordinates
+     * @param {Object} site - Parsed series site
+     * @returns {string|null}
+     */
+    stationKey(site) {
+        if (!site) return null;
+        if (site.code) return `${site.network || ''}:${site.code}`;
+        return Number.isFinite(site.latitude) && Number.isFinite(site.longitude) ? `${site.latitude},${site.longitude}` : null;
+    }
+
+    /**
+     * Map of the stations behind the retrieved series, below any workflow map in the maps section
+     */
+    async renderStationMap() {
+        const mapsSection = document.getElementById('maps-section');
+        if (!mapsSection) return;
+        
+        const stations = await this.collectStations();
+        if (stations.length === 0) return;
+        
+        let wrapper = mapsSection.querySelector('.station-map');
+        if (!wrapper) {
+            wrapper = document.createElement('div');
+            wrapper.className = 'station-map';
+            mapsSection.appendChild(wrapper);
+        }
+        wrapper.innerHTML = '';
+        const heading = document.createElement('div');
+        heading.className = 'station-map-title';
+        heading.textContent = `Stations in retrieved series (${stations.length})`;
+        const mapContainer = document.createElement('div');
+        wrapper.appendChild(heading);
+        wrapper.appendChild(mapContainer);
+        
+        const view = await this.createBuiltInMap(mapContainer, { height: 400 });
+        // A later call (e.g. a workflow switch) replaced this container while the basemap loaded
+        if (!mapContainer.isConnected) return;
+        if (!view) {
+            wrapper.remove();
+            return;
+        }
+        const placeholder = mapsSection.querySelector('.placeholder[data-type="map"]');
+        if (placeholder) {
+            placeholder.style.display = 'none';
+        }
+        
+        view.addLayer({
+            id: 'stations',
+            name: 'Stations',
+            data: stations.map(station => ({
+                type: 'Feature',
+                properties: {
+                    site: station.name || 'N/A',
+                    code: station.code || 'N/A',
+                    network: station.network || 'N/A',
+                    variables: station.variables.length,
+                    station
+                },
+                geometry: { type: 'Point', coordinates: [station.longitude, station.latitude] }
+            })),
+            popup: feature => this.createStationPopup(feature.properties.station),
+            onSelect: feature => this.selectStation(feature.properties.station)
+        });
+        view.fit();
+        this.stationMap = view;
+        
+        const selected = this.selectionBus?.get('station');
+        if (selected) this.highlightStations([selected.key]);
+    }
+
+    /**
+     * Popup content for a station: its variables, each opening the series report
+     * @param {Object} station - Entry from collectStations()
+     * @returns {HTMLElement}
+     */
+    createStationPopup(station) {
+        const formatDate = (value) => value ? value.split('T')[0] : 'N/A';
+        const element = document.createElement('div');
+        element.className = 'station-popup';
+        
+        const title = document.createElement('div');
+        title.className = 'station-popup-title';
+        title.textContent = station.name || station.code || 'Station';
+        const details = document.createElement('div');
+        details.className = 'station-popup-details';
+        details.textContent = [
+            [station.network, station.code].filter(Boolean).join(' '),
+            `${station.latitude}, ${station.longitude}`,
+            station.elevation !== null ? `${station.elevation} m` : null
+        ].filter(Boolean).join(' · ');
+        element.appendChild(title);
+        element.appendChild(details);
+        
+        const list = document.createElement('ul');
+        list.className = 'station-popup-variables';
+        station.variables.forEach(variable => {
+            const entry = document.createElement('li');
+            const open = document.createElement('button');
+            open.type = 'button';
+            open.className = 'btn btn-link btn-sm p-0';
+            open.title = `Open the series report of ${variable.itemName}`;
+            open.textContent = `${variable.name || variable.code || 'Series'}${variable.unit ? ` (${variable.unit})` : ''}`;
+            open.addEventListener('click', () => this.openStationSeries(variable));
+            const period = document.createElement('div');
+            period.className = 'station-popup-period';
+            period.textContent = `${formatDate(variable.start)} to ${formatDate(variable.end)}, ${variable.count} values · ${variable.itemName}`;
+            entry.appendChild(open);
+            entry.appendChild(period);
+            list.appendChild(entry);
+        });
+        element.appendChild(list);
+        return element;
+    }
+
+    /**
+     * Open the series report of a station variable, switching to its workflow first
+     * @param {Object} variable - Variable entry of a station
+     */
+    async openStationSeries(variable) {
+        if (variable.workflowId !== this.currentWorkflowId) {
+            const workflowSelect = document.getElementById('workflow-select');
+            if (workflowSelect) workflowSelect.value = variable.workflowId;
+            await this.loadWorkflow(variable.workflowId);
+        }
+        await this.selectItem(variable.itemId);
+        
+        const report = document.getElementById(`report-viz-${variable.itemId}`);
+        const section = report ? report.querySelectorAll('.series-report')[variable.seriesIndex] : null;
+        (section || report)?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    /**
+     * Selection bus linking the map, charts and tables. Only the split and showcase layouts show
+     * them side by side, so the other layouts get null and their views stay independent.
+     * @returns {Promise<Object|null>} - SelectionBus
+     */
+    async getSelectionBus() {
+        if (!['split', 'showcase'].includes(this.layoutConfig?.type)) return null;
+        if (!this.selectionBus) {
+            await this.initializeSelectionBus();
+        }
+        return this.selectionBus;
+    }
+
+    /**
+     * Subscribe a chart or table to the selection bus for as long as its container is on the page
+     * @param {HTMLElement} container - The view's container
+     * @param {string} channel - Selection channel
+     * @param {Function} handler - (value) => void
+     * @param {Object} source - The view, so it is not called for its own selections
+     */
+    linkView(container, channel, handler, source) {
+        const unsubscribe = this.selectionBus.subscribe(channel, value => {
+            if (!container.isConnected) {
+                unsubscribe();
+                return;
+            }
+            handler(value);
+        }, source);
+        const current = this.selectionBus.get(channel);
+        if (current) handler(current);
+    }
+
+    /**
+     * Station clicked on the station map: charts and tables of other sites are hidden
+     * @param {Object} station - Entry from collectStations()
+     */
+    async selectStation(station) {
+        const bus = await this.getSelectionBus();
+        if (!bus) return;
+        bus.publish('station', { key: station.key, name: station.name, code: station.code, network: station.network }, this.stationMap);
+    }
+
+    /**
+     * Show only the charts and tables of a station, with a banner to show them all again.
+     * Views whose site cannot be traced (e.g. workspace results) stay visible.
+     * @param {Object|null} station - Selected station, null to show every view
+     */
+    async filterToStation(station) {
+        this.highlightStations(station ? [station.key] : []);
+        
+        for (const [type, label] of [['charts', 'chart'], ['tables', 'table']]) {
+            const section = document.getElementById(`${type}-section`);
+            if (!section) continue;
+            
+            const views = [...section.children].filter(element => element.matches('.chart-container, .table-container'));
+            let hidden = 0;
+            for (const view of views) {
+                const sites = station ? await this.containerSites(view) : [];
+                const other = sites.length > 0 && !sites.includes(station.key);
+                view.classList.toggle('selection-hidden', other);
+                if (other) hidden++;
+            }
+            
+            [...section.children].filter(element => element.classList.contains('selection-filter')).forEach(element => element.remove());
+            if (!station || views.length === 0) continue;
+            const banner = document.createElement('div');
+            banner.className = 'selection-filter';
+            const text = document.createElement('span');
+            text.textContent = `Station ${station.name || station.code}: ${hidden === 0 ? `every ${label} shown` : `${hidden} ${label}${hidden === 1 ? '' : 's'} of other sites hidden`}`;
+            const clear = document.createElement('button');
+            clear.type = 'button';
+            clear.className = 'btn btn-sm btn-outline-secondary';
+            clear.innerHTML = '<i class="fas fa-times"></i> Show all';
+            clear.addEventListener('click', () => this.selectionBus.publish('station', null));
+            banner.appendChild(text);
+            banner.appendChild(clear);
+            section.insertBefore(banner, section.firstChild);
+        }
+    }
+
+    /**
+     * Filter newly created charts and tables to the selected station with one pass over the sections:
+     * after the item being rendered is done, or on the next turn for views created on their own
+     */
+    refilterStation() {
+        this.stationRefilter.pending = true;
+        if (this.renderingItems > 0 || this.stationRefilter.timer) return;
+        this.stationRefilter.timer = setTimeout(() => {
+            this.stationRefilter.timer = null;
+            if (this.renderingItems > 0 || !this.stationRefilter.pending) return;
+            this.stationRefilter.pending = false;
+            const station = this.selectionBus?.get('station');
+            if (station) this.filterToStation(station);
+        }, 0);
+    }
+
+    /**
+     * Outline stations on the station map
+     * @param {Array<string>} keys - Station keys; empty to clear the highlight
+     */
+    highlightStations(keys) {
+        const layer = this.stationMap?.layers.find(entry => entry.id === 'stations');
+        if (!layer) return;
+        this.stationMap.updateLayer('stations', {
+            highlight: layer.features.filter(feature => keys.includes(feature.properties.station.key))
+        });
+    }
+
+    /**
+     * Table rows picked in a linked table: outline their stations, or the layer features of an attribute table
+     * @param {Object|null} selection - { rows, sites, layer } from the selection bus
+     */
+    async highlightSelectedRows(selection) {
+        (this.layerManager?.layers || []).forEach(layer => {
+            if (typeof layer.controls.highlight !== 'function') return;
+            // Attribute table rows are numbered from 1 in the order of the layer's features
+            layer.controls.highlight(selection && selection.layer === layer.id ? selection.rows.map(row => row.feature - 1) : []);
+        });
+        
+        const station = this.selectionBus.get('station');
+        if (!selection || selection.layer) {
+            this.highlightStations(station ? [station.key] : []);
+            return;
+        }
+        const stations = await this.collectStations();
+        this.highlightStations(stations
+            .filter(entry => selection.sites.includes(entry.key) || selection.rows.some(row => this.rowMatchesStation(row, entry)))
+            .map(entry => entry.key));
+    }
+
+    /**
+     * Whether a table row names a station by its site code or its coordinates
+     */
+    rowMatchesStation(row, station) {
+        const entries = Object.entries(row);
+        const value = pattern => {
+            const entry = entries.find(([key]) => pattern.test(key));
+            return entry && entry[1] !== null && entry[1] !== '' ? entry[1] : null;
+        };
+        const code = value(/^(site_?code|site_?id|station_?(code|id)|code)$/i);
+        if (code !== null && station.code && String(code) === String(station.code)) return true;
+        
+        const latitude = Number(value(/^(lat|latitude)$/i) ?? NaN);
+        const longitude = Number(value(/^(lon|lng|long|longitude)$/i) ?? NaN);
+        return Math.abs(latitude - station.latitude) < 1e-4 && Math.abs(longitude - station.longitude) < 1e-4;
+    }
+
+    /**
+     * Station keys of a chart or table container: set when a series was charted or tabled, or
+     * traced through the `data` inputs of the draw item that rendered it
+     * @param {HTMLElement} container - Chart or table container
+     * @returns {Promise<Array<string>>} - Empty when the view cannot be traced to a station
+     */
+    async containerSites(container) {
+        if (container.dataset.sites) return JSON.parse(container.dataset.sites);
+        if (!container.dataset.item) return [];
+        
+        const stations = await this.collectStations();
+        const items = Array.isArray(this.currentWorkflow?.items) ? this.currentWorkflow.items : [];
+        const sites = new Set();
+        const visited = new Set();
+        const visit = (itemId) => {
+            if (visited.has(itemId)) return;
+            visited.add(itemId);
+            stations.forEach(station => {
+                if (station.variables.some(variable => variable.itemId === itemId)) sites.add(station.key);
+            });
+            const item = items.find(entry => entry.uniqueId === itemId);
+            (Array.isArray(item?.data) ? item.data : []).forEach(visit);
+        };
+        visit(container.dataset.item);
+        return [...sites];
+    }
+
+    /**
+     * Add an addCustomLegend item's legend to the map, creating the default map first if needed
+     */
+    async addLegendToMap(legendItem) {
+        await this.ensureMapInitialized();
+        
+        const args = legendItem.arguments || legendItem.settings?.arguments || {};
+        const manager = await this.getLayerManager();
+        if (manager) {
+            manager.addLegend({
+                id: legendItem.uniqueId,
+                title: legendItem.name || 'Legend',
+                text: this.legendText(args.div)
+            });
+        }
+        // The built-in map has no HydroLang map to attach the legend to
+        if (this.builtInMap) return;
+        
+        if (!window.lang || !window.lang.map || !window.lang.map.addCustomLegend) {
+            console.warn('Hydrolang map.addCustomLegend not available');
+            return;
+        }
+        
+        try {
+            await window.lang.map.addCustomLegend({
+                params: legendItem.parameters || legendItem.settings?.parameters || {},
+                args: legendItem.arguments || legendItem.settings?.arguments || {}
+            });
+            console.log(`Successfully added legend: ${legendItem.uniqueId}`);
+        } catch (error) {
+            console.error('Error adding map legend:', error);
+        }
+    }
+
+    /**
+     * Plain text of an addCustomLegend div (an element or its stored HTML), one line per <br> or block
+     * @param {*} div - args.div of the legend item
+     * @returns {string}
+     */
+    legendText(div) {
+        const html = typeof div === 'string' ? div : (typeof div?.innerHTML === 'string' ? div.innerHTML : '');
+        if (!html) return '';
+        // Parsed inertly: nothing in the stored HTML runs or loads
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        template.content.querySelectorAll('br, div, p, li, tr').forEach(element => element.after('\n'));
+        return template.content.textContent.split('\n').map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean).join('\n');
+    }
+
+    /**
+     * Create visualization for non-draw items (fallback)
+     */
+    async createVisualization(itemId, item) {
+        const container = document.getElementById('visualization-container');
+        if (!container) return;
+
+        // Create visualization element
+        const vizElement = document.createElement('div');
+        vizElement.className = 'visualization-item';
+        vizElement.id = `viz-${itemId}`;
+
+        // Create visualization based on item type and data
+        if (item.results) {
+            const include = this.layoutConfig?.include || { maps: true, charts: true, tables: true };
+            if (item.type === 'chart') {
+                if (!include.charts) return;
+                this.createChart(vizElement, item.results);
+            } else if (item.type === 'map') {
+                if (!include.maps) return;
+                this.createMap(vizElement, item.results);
+            } else if (item.type === 'table') {
+                if (!include.tables) return;
+                this.createTable(vizElement, item.results);
+            }
+        }
+
+        container.appendChild(vizElement);
+        this.visualizations.set(itemId, vizElement);
+    }
+
+    createChart(element, data) {
+        // Use Hydrolang visualization if available
+        if (window.suite && window.suite.lang && window.suite.lang.visualize && window.suite.lang.visualize.draw) {
+            try {
+                const containerId = `chart-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+                element.innerHTML = `<div id="${containerId}" class="chart-container" style="width: 100%; height: 400px;"></div>`;
+
+                // Prepare data for Hydrolang visualization
+                const chartData = Array.isArray(data) ? data : [data];
+
+                const drawParams = {
+                    params: {
+                        type: 'chart',
+                        id: containerId,
+                        name: data?.title || 'Chart'
+                    },
+                    args: {
+                        responsive: true,
+                        chartType: data?.chartType || 'line'
+                    },
+                    data: chartData
+                };
+
+                this.downsampleDrawParams(drawParams, element.clientWidth, 'columns').then(reduced => window.suite.lang.visualize.draw(reduced)).then(() => {
+                    console.log('Chart rendered successfully');
+                }).catch(error => {
+                    console.error('Error rendering chart:', error);
+                    this.fallbackChartRender(element, data, containerId);
+                });
+
+            } catch (error) {
+                console.error('Error creating chart with Hydrolang:', error);
+                this.fallbackChartRender(element, data);
+            }
+        } else {
+            this.fallbackChartRender(element, data);
+        }
+    }
+
+    fallbackChartRender(element, data, containerId) {
+        // Draw with the built-in renderer; keep the data preview if nothing is plottable
+        const id = containerId || `chart-${Date.now()}`;
+        if (data === null || data === undefined) {
+            this.renderChartPreview(element, data, id);
+            return;
+        }
+        // The title comes from item data and ids may hold spaces (e.g. analyze-Code Block-1), so the
+        // placeholder is built as nodes rather than looked up by id
+        element.innerHTML = '<div class="chart-container"><h4></h4></div>';
+        element.querySelector('h4').textContent = data.title || 'Chart';
+        const placeholder = document.createElement('div');
+        placeholder.id = id;
+        placeholder.className = 'chart-placeholder';
+        element.firstChild.appendChild(placeholder);
+        
+        const chartData = Array.isArray(data) ? data : [data];
+        this.renderBuiltInChart(placeholder, {
+            params: { type: 'chart', chartType: data.chartType || 'line' },
+            data: chartData
+        }).then(rendered => {
+            if (!rendered) {
+                this.renderChartPreview(element, data, id);
+            }
+        }).catch(error => {
+            console.error('Error rendering built-in chart:', error);
+            this.renderChartPreview(element, data, id);
+        });
+    }
+
+    /**
+     * Placeholder with a data preview for chart data the built-in renderer cannot plot
+     */
+    renderChartPreview(element, data, id) {
+        const preview = JSON.stringify(data ?? null, null, 2);
+        element.innerHTML = `
+            <div class="chart-container">
+                <h4></h4>
+                <div class="chart-placeholder">
+                    <div class="fallback-chart" style="width: 100%; height: 300px; border: 1px solid #ddd; display: flex; align-items: center; justify-content: center; background: #f8f9fa;">
+                        <div style="text-align: center;">
+                            <i class="fas fa-chart-line" style="font-size: 48px; color: #6c757d; margin-bottom: 10px;"></i>
+                            <p style="margin: 0; color: #6c757d;">Chart visualization</p>
+                            <small style="color: #999;">Data loaded successfully</small>
+                        </div>
+                    </div>
+                </div>
+                <div class="chart-data" style="margin-top: 10px; padding: 10px; background: #f8f9fa; border-radius: 4px; font-family: monospace; font-size: 12px;">
+                    <strong>Data Preview:</strong><br>
+                    <span class="chart-data-preview"></span>
+                </div>
+            </div>
+        `;
+        element.querySelector('h4').textContent = data?.title || 'Chart';
+        element.querySelector('.chart-placeholder').id = id;
+        element.querySelector('.chart-data-preview').textContent = `${preview.substring(0, 500)}${preview.length > 500 ? '...' : ''}`;
+    }
+
+    createMap(element, data) {
+        // Use Hydrolang map if available and online
+        if (this.canUseHydroLangMap()) {
+            try {
+                const containerId = `map-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+                element.innerHTML = `<div id="${containerId}" class="map-container" style="width: 100%; height: 400px;"></div>`;
 
                 // Prepare data for Hydrolang map
                 const mapParams = {
@@ -1584,28 +2522,64 @@ class ExportedApp {
     }
 
     fallbackMapRender(element, data, containerId) {
-        // Fallback simple map implementation
+        // Draw with the built-in map; keep the configuration preview if there is nothing to place
         const id = containerId || `map-${Date.now()}`;
+        element.innerHTML = '<div class="map-container"><h4></h4></div>';
+        element.querySelector('h4').textContent = data.title || 'Map';
+        const placeholder = document.createElement('div');
+        placeholder.id = id;
+        placeholder.className = 'map-placeholder';
+        element.firstChild.appendChild(placeholder);
+        
+        this.createBuiltInMap(placeholder).then(view => {
+            const layers = view && Array.isArray(data.layers)
+                ? data.layers.map((layer, index) => view.addLayer({ name: layer.params?.name || `Layer ${index + 1}`, data: layer.data })).filter(Boolean)
+                : [];
+            const lat = Number(data.lat);
+            const lon = Number(data.lon);
+            if (layers.length > 0) {
+                view.fit();
+            } else if (view && data.lat !== undefined && data.lon !== undefined && Number.isFinite(lat) && Number.isFinite(lon)) {
+                view.setView(lat, lon, Number(data.zoom) || 10);
+            } else {
+                this.renderMapPreview(element, data, id);
+            }
+        }).catch(error => {
+            console.error('Error rendering built-in map:', error);
+            this.renderMapPreview(element, data, id);
+        });
+    }
+
+    /**
+     * Placeholder with the map configuration for map data without coordinates
+     */
+    renderMapPreview(element, data, id) {
         element.innerHTML = `
             <div class="map-container">
-                <h4>${data.title || 'Map'}</h4>
-                <div id="${id}" class="map-placeholder">
+                <h4></h4>
+                <div class="map-placeholder">
                     <div class="fallback-map" style="width: 100%; height: 300px; border: 1px solid #ddd; display: flex; align-items: center; justify-content: center; background: #f8f9fa;">
                         <div style="text-align: center;">
                             <i class="fas fa-map" style="font-size: 48px; color: #6c757d; margin-bottom: 10px;"></i>
-                            <p style="margin: 0; color: #6c757d;">Map visualization</p>
-                            <small style="color: #999;">Location: ${data.lat || 'N/A'}, ${data.lon || 'N/A'}</small>
+                            <p style="margin: 0; color: #6c757d;">No coordinates to map</p>
+                            <small class="map-location" style="color: #999;"></small>
                         </div>
                     </div>
                 </div>
                 <div class="map-data" style="margin-top: 10px; padding: 10px; background: #f8f9fa; border-radius: 4px; font-family: monospace; font-size: 12px;">
                     <strong>Map Configuration:</strong><br>
-                    Latitude: ${data.lat || 'Default'}<br>
-                    Longitude: ${data.lon || 'Default'}<br>
-                    Layers: ${data.layers ? data.layers.length : 0}
+                    <span data-field="lat"></span><br>
+                    <span data-field="lon"></span><br>
+                    <span data-field="layers"></span>
                 </div>
             </div>
         `;
+        element.querySelector('h4').textContent = data?.title || 'Map';
+        element.querySelector('.map-placeholder').id = id;
+        element.querySelector('.map-location').textContent = `Location: ${data?.lat || 'N/A'}, ${data?.lon || 'N/A'}`;
+        element.querySelector('[data-field="lat"]').textContent = `Latitude: ${data?.lat || 'Default'}`;
+        element.querySelector('[data-field="lon"]').textContent = `Longitude: ${data?.lon || 'Default'}`;
+        element.querySelector('[data-field="layers"]').textContent = `Layers: ${Array.isArray(data?.layers) ? data.layers.length : 0}`;
     }
 
     createTable(element, data) {
@@ -1671,13 +2645,25 @@ class ExportedApp {
     }
 
     // Add reporting functionality
-    async generateQuickReport(result) {
+    /**
+     * Show an item's stored data as a report card
+     * @param {Object} result - Item to report ({ uniqueId, name, ... })
+     * @param {Object} options
+     * @param {*} options.data - Data to show instead of the stored data (e.g. a Code Block re-run, never persisted)
+     * @param {boolean} options.append - Keep the reports already shown
+     * @param {boolean} options.downloads - Show download buttons for the stored record (default true)
+     * @param {Function} options.render - Custom content renderer (container, data); defaults to series/table views
+     */
+    async generateQuickReport(result, options = {}) {
         try {
             // Use the same data loading pattern as loadItemDataFromIndexedDB with fallback
-            let data = null;
+            // (what-if results stand in for the stored data until they are reset)
+            const overridden = !('data' in options) && Boolean(this.whatIf?.overrides.has(result.uniqueId));
+            const hasData = 'data' in options || overridden;
+            let data = 'data' in options ? options.data : (overridden ? this.whatIf.overrides.get(result.uniqueId) : null);
             
             // Try to get from database manager first
-            if (this.dbManager && typeof this.dbManager.getResult === 'function') {
+            if (!hasData && this.dbManager && typeof this.dbManager.getResult === 'function') {
                 try {
                     const dbResult = await this.dbManager.getResult(result.uniqueId);
                     if (dbResult && dbResult.data !== undefined) {
@@ -1689,7 +2675,7 @@ class ExportedApp {
             }
             
             // Fallback: try to load from data/items folder
-            if (!data) {
+            if (!hasData && !data) {
                 try {
                     const response = await fetch(`data/items/${result.uniqueId}.json`);
                     if (response.ok) {
@@ -1707,7 +2693,9 @@ class ExportedApp {
             const reportsPlaceholder = document.querySelector('.reports-panel .placeholder');
 
             // Clear existing reports and hide placeholder
-            reportList.innerHTML = '';
+            if (!options.append) {
+                reportList.innerHTML = '';
+            }
             if (reportPlaceholder) {
                 reportPlaceholder.style.display = 'none';
             }
@@ -1735,6 +2723,14 @@ class ExportedApp {
             reportTitle.textContent = result.name || result.uniqueId || 'Report';
             
             reportHeader.appendChild(reportTitle);
+            reportHeader.classList.add('d-flex', 'align-items-center', 'justify-content-between');
+            const analyticsButton = this.createAnalyticsButton('statistics');
+            const climatologyButton = this.createAnalyticsButton('climatology');
+            reportHeader.appendChild(analyticsButton);
+            reportHeader.appendChild(climatologyButton);
+            if (options.downloads !== false) {
+                reportHeader.appendChild(this.createDownloadButtons(result.uniqueId));
+            }
             
             // Create report content (always visible, scrollable)
             const reportContent = document.createElement('div');
@@ -1755,342 +2751,1228 @@ class ExportedApp {
             reportItem.appendChild(reportHeader);
             reportItem.appendChild(reportContent);
             reportList.appendChild(reportItem);
+            
+            // Offered for any item holding a numeric series
+            this.attachAnalytics([analyticsButton, climatologyButton], vizContainer, data, result);
 
-            // Create interactive JSON tree or table view
-            this.createDataTable(vizContainer, data, result.uniqueId);
+            if (typeof options.render === 'function') {
+                await options.render(vizContainer, data);
+                return;
+            }
+
+            await this.renderReportData(vizContainer, data, result);
         } catch (error) {
             console.error('Error generating quick report:', error);
         }
     }
 
-    createDataTable(container, data, uniqueId) {
-        if (!data) {
-            container.innerHTML = '<div style="text-align: center; color: #6c757d; padding: 20px;">No data available</div>';
-            return;
+    /**
+     * Default report content: WaterML series, otherwise a data grid
+     * @param {HTMLElement} container - Report visualization container
+     * @param {*} data - Item data
+     * @param {Object} result - Item being reported
+     */
+    async renderReportData(container, data, result) {
+        // Retrieved WaterML items are shown as normalized series instead of the raw XML-to-JSON tree
+        const parsed = await this.parseWaterML(data);
+        if (parsed && parsed.series.length > 0) {
+            this.renderSeriesReport(container, parsed, result, data);
+        } else {
+            // Create interactive JSON tree or table view
+            await this.createDataTable(container, data, result.uniqueId);
         }
+    }
 
-        // Handle arrays
-        if (Array.isArray(data)) {
-            if (data.length === 0) {
-                container.innerHTML = '<div style="text-align: center; color: #6c757d; padding: 20px;">Empty array</div>';
-                return;
-            }
+    /**
+     * Header button that toggles the analytics panel in the given mode ('statistics' or 'climatology'),
+     * hidden until the data has a numeric series
+     */
+    createAnalyticsButton(mode) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-sm btn-outline-primary report-analytics';
+        button.dataset.mode = mode;
+        if (mode === 'climatology') {
+            button.style.cssText = 'display: none; margin-right: 8px;';
+            button.title = 'Day-of-year envelope, month x year heatmap and anomalies of a daily series';
+            button.innerHTML = '<i class="fas fa-calendar-alt"></i> Climatology';
+        } else {
+            button.style.cssText = 'display: none; margin-left: auto; margin-right: 8px;';
+            button.title = 'Duration curve, aggregates, annual maxima and return periods';
+            button.innerHTML = '<i class="fas fa-chart-area"></i> Analytics';
+        }
+        return button;
+    }
+    
+    /**
+     * Show the analytics buttons if the data holds numeric series, and toggle the panel on click.
+     * Each button opens the panel in its own mode; clicking the open mode again closes it.
+     * @param {Array<HTMLElement>} buttons - Buttons from createAnalyticsButton
+     * @param {HTMLElement} container - Report visualization container
+     * @param {*} data - Item data
+     * @param {Object} result - Item being reported
+     */
+    async attachAnalytics(buttons, container, data, result) {
+        const series = await this.getAnalyticsSeries(data);
+        if (series.length === 0) return;
+        
+        buttons.forEach(button => {
+            button.style.display = '';
+            button.addEventListener('click', async () => {
+                const mode = button.dataset.mode;
+                const open = container.querySelector(':scope > .analytics-panel');
+                buttons.forEach(other => other.classList.remove('active'));
+                if (open) {
+                    open.remove();
+                    if (open.dataset.mode === mode) return;
+                }
+                
+                await this.initializeAnalytics();
+                if (!this.analyticsPanel) {
+                    this.showError('Analytics are not available in this session.', { type: 'warning' });
+                    return;
+                }
+                const panel = document.createElement('div');
+                panel.dataset.mode = mode;
+                container.insertBefore(panel, container.firstChild);
+                button.classList.add('active');
+                this.analyticsPanel.render(panel, {
+                    series,
+                    mode,
+                    dates: await this.guessSeriesDates(series, result.uniqueId),
+                    onOpenInCharts: (chosen, dates) => this.chartClimatology(chosen, dates, result.name || result.uniqueId)
+                });
+            });
+        });
+    }
 
-            // For array of objects, create a table
-            if (typeof data[0] === 'object' && data[0] !== null) {
-                this.createObjectArrayTable(container, data, uniqueId);
-            } else {
-                // For array of primitives
-                this.createPrimitiveArrayTable(container, data, uniqueId);
-            }
+    /**
+     * Show the climatology views of a daily series in the charts section
+     * @param {{name: string, y: Array}} series - Series values
+     * @param {Array<number>} dates - Timestamps in ms, one per value
+     * @param {string} title - Item name
+     */
+    async chartClimatology(series, dates, title) {
+        await this.initializeAnalytics();
+        if (!this.analyticsPanel) return;
+        const chartsSection = this.prepareVisualizationSection('charts');
+        if (!chartsSection) return;
+        
+        const heading = document.createElement('h6');
+        heading.textContent = `${title} - ${series.name} climatology`;
+        chartsSection.appendChild(heading);
+        const container = document.createElement('div');
+        container.className = 'chart-container analytics-panel';
+        container.style.cssText = 'width: 100%; display: block; position: relative;';
+        chartsSection.appendChild(container);
+        this.analyticsPanel.renderClimatology(container, series, dates);
+    }
+
+    /**
+     * Open the water balance workspace for the current workflow in the charts section
+     */
+    async openWaterBalance() {
+        const workflow = this.currentWorkflow;
+        if (!workflow) {
+            this.showError('Select a workflow first.', { type: 'warning' });
+            return;
         }
-        // Handle objects
-        else if (typeof data === 'object' && data !== null) {
-            this.createObjectTable(container, data, uniqueId);
+        await this.initializeWaterBalance();
+        if (!this.waterBalancePanel) {
+            this.showError('The water balance workspace is not available in this session.', { type: 'warning' });
+            return;
         }
-        // Handle primitives
-        else {
-            container.innerHTML = `<div style="padding: 20px; text-align: center;">
-                <strong>Value:</strong> ${JSON.stringify(data)}
-            </div>`;
+        
+        const candidates = await this.getWaterBalanceCandidates(workflow);
+        const chartsSection = this.prepareVisualizationSection('charts');
+        if (!chartsSection) return;
+        
+        const heading = document.createElement('h6');
+        heading.textContent = `${workflow.name || workflow.id} - Water balance`;
+        chartsSection.appendChild(heading);
+        const container = document.createElement('div');
+        container.className = 'chart-container';
+        container.style.cssText = 'width: 100%; display: block; position: relative;';
+        chartsSection.appendChild(container);
+        
+        if (candidates.length === 0) {
+            container.innerHTML = '<div class="analytics-note">No item of this workflow holds a numeric series.</div>';
+            return;
+        }
+        this.waterBalancePanel.render(container, {
+            candidates,
+            guessDates: candidate => this.guessSeriesDates([candidate.series], candidate.itemId),
+            onTable: (rows, title) => this.tableRows(rows, title),
+            onDownload: (rows, filename, format) => this.downloadRows(rows, filename, format)
+        });
+    }
+
+    /**
+     * Numeric series of every data/analyze item in a workflow, labelled by item (and series when an item has several)
+     * @param {Object} workflow - Workflow
+     * @returns {Promise<Array<{label: string, itemId: string, series: Object}>>}
+     */
+    async getWaterBalanceCandidates(workflow) {
+        const items = (Array.isArray(workflow.items) ? workflow.items : []).filter(item => item && item.type !== 'visualization');
+        const candidates = [];
+        for (const item of items) {
+            const series = await this.getAnalyticsSeries(await this.loadItemDataFromIndexedDB(item.uniqueId));
+            const name = item.name || item.uniqueId;
+            series.forEach(entry => candidates.push({
+                label: series.length > 1 ? `${name} › ${entry.name}` : name,
+                itemId: item.uniqueId,
+                series: entry
+            }));
+        }
+        return candidates;
+    }
+
+    /**
+     * Numeric series of an item (WaterML series, value arrays, numeric arrays inside objects)
+     * with at least 10 values
+     * @param {*} data - Item data
+     * @returns {Promise<Array<{name: string, x: Array|null, y: Array}>>}
+     */
+    async getAnalyticsSeries(data) {
+        if (data === null || data === undefined || typeof data !== 'object') return [];
+        await this.initializeChartRenderer();
+        if (!this.chartRenderer) return [];
+        
+        try {
+            const series = this.chartRenderer.normalizeSeries(await this.prepareChartData([data]));
+            return series.filter(s => s.y.filter(value => value !== null).length >= 10);
+        } catch (error) {
+            console.warn('Could not read numeric series for analytics:', error);
+            return [];
         }
     }
 
-    createObjectArrayTable(container, data, uniqueId) {
-        const maxRows = 10;
-        const previewData = data.slice(0, maxRows);
+    /**
+     * Dates for series stored without timestamps: taken from a retrieved WaterML series with the
+     * same number of values (or one more, e.g. after a diff or a dropped header), looking in the
+     * current workflow first and then in the other workflows of the export
+     * @param {Array} series - Series from getAnalyticsSeries
+     * @param {string} uniqueId - Item being analyzed
+     * @returns {Promise<{start: number, step: string, source: string}|null>}
+     */
+    async guessSeriesDates(series, uniqueId) {
+        const undated = series.find(s => !(Array.isArray(s.x) && s.x.length > 0 && this.chartRenderer.isDateLike(s.x[0])));
+        if (!undated) return null;
+        
+        const workflows = [this.currentWorkflow, ...Object.values(this.workflows || {}).filter(workflow => workflow !== this.currentWorkflow)];
+        const items = workflows.flatMap(workflow => (Array.isArray(workflow?.items) ? workflow.items : []));
+        const seen = new Set([uniqueId]);
+        for (const item of items) {
+            if (!item || seen.has(item.uniqueId)) continue;
+            seen.add(item.uniqueId);
+            const record = await this.getItemRecord(item.uniqueId);
+            const parsed = record ? await this.parseWaterML(record.data) : null;
+            if (!parsed) continue;
+            
+            for (const candidate of parsed.series) {
+                const timestamps = candidate.timestamps || [];
+                const offset = timestamps.length - undated.y.length;
+                if (timestamps.length < 2 || offset < 0 || offset > 1) continue;
+                
+                const first = this.chartRenderer.parseDate(timestamps[offset]);
+                const spacing = this.chartRenderer.parseDate(timestamps[offset + 1]) - first;
+                const step = spacing === 3600 * 1000 ? 'hour' : (spacing === 24 * 3600 * 1000 ? 'day' : (spacing >= 28 * 24 * 3600 * 1000 && spacing <= 31 * 24 * 3600 * 1000 ? 'month' : null));
+                if (!step || !Number.isFinite(first)) continue;
+                return { start: first, step, source: `"${item.name || item.uniqueId}" (${timestamps.length} timestamps)` };
+            }
+        }
+        return null;
+    }
 
-        // Get all unique keys from first few objects
-        const allKeys = new Set();
-        previewData.slice(0, 5).forEach(item => {
-            if (typeof item === 'object' && item !== null) {
-                Object.keys(item).forEach(key => allKeys.add(key));
+    /**
+     * Report for transform/analyze items with what-if parameter controls above the data
+     * @param {Object} item - Workflow item
+     */
+    async generateWhatIfReport(item) {
+        await this.generateQuickReport({ uniqueId: item.uniqueId, ...item }, {
+            render: async (container, data) => {
+                await this.renderWhatIfControls(container, item);
+                await this.renderReportData(container, data, item);
             }
         });
+    }
 
-        const keys = Array.from(allKeys).slice(0, 6); // Limit columns
-
-        const table = document.createElement('table');
-        table.style.cssText = `
-            width: 100%;
-            border-collapse: collapse;
-            font-size: 12px;
-            background: white;
-            border-radius: 4px;
-            overflow: hidden;
-            box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+    /**
+     * Editable parameters/arguments of an item with Recompute and Reset actions
+     * @param {HTMLElement} container - Report visualization container
+     * @param {Object} item - Workflow item
+     */
+    async renderWhatIfControls(container, item) {
+        await this.initializeWhatIf();
+        if (!this.whatIf || !this.whatIf.canRecompute(item)) return;
+        
+        const values = this.whatIfValues.get(item.uniqueId) || this.whatIf.getEditableValues(item);
+        const overridden = this.whatIf.overrides.has(item.uniqueId);
+        const { escapeHtml } = await import('./html-escape.js');
+        const field = (group, key, value) => `
+            <label style="display: flex; flex-direction: column; font-size: 11px; margin: 0; min-width: 120px;">
+                <span>${escapeHtml(group)}.${escapeHtml(key)}</span>
+                <input type="text" class="form-control form-control-sm" data-group="${group}" data-key="${escapeHtml(key)}" value="${escapeHtml(typeof value === 'object' ? JSON.stringify(value) : value)}">
+            </label>`;
+        
+        const panel = document.createElement('details');
+        panel.className = 'what-if-panel';
+        panel.open = overridden;
+        panel.style.cssText = 'border: 1px solid #e9ecef; border-radius: 4px; margin-bottom: 8px; font-size: 12px;';
+        panel.innerHTML = `
+            <summary style="cursor: pointer; padding: 6px 10px; background: #f8f9fa; font-weight: 600;">
+                What-if parameters${overridden ? ' <span class="badge badge-warning" style="margin-left: 6px;">what-if values, not saved</span>' : ''}
+            </summary>
+            <div style="padding: 8px 10px;">
+                <div style="display: flex; flex-wrap: wrap; gap: 8px;">
+                    ${Object.entries(values.params).map(([key, value]) => field('params', key, value)).join('')}
+                    ${Object.entries(values.args).map(([key, value]) => field('args', key, value)).join('')}
+                </div>
+                <div style="display: flex; align-items: center; gap: 8px; margin-top: 8px;">
+                    <button type="button" class="btn btn-sm btn-primary what-if-run">Recompute</button>
+                    <button type="button" class="btn btn-sm btn-outline-secondary what-if-reset"${overridden ? '' : ' disabled'}>Reset to stored</button>
+                    <span class="what-if-status" style="color: #6c757d;"></span>
+                </div>
+            </div>
         `;
+        
+        const status = panel.querySelector('.what-if-status');
+        panel.querySelector('.what-if-run').addEventListener('click', async () => {
+            const edited = { params: {}, args: {} };
+            panel.querySelectorAll('input[data-group]').forEach(input => {
+                const original = values[input.dataset.group][input.dataset.key];
+                let value = input.value;
+                // Structured values (e.g. keep lists) are edited as JSON
+                if (original && typeof original === 'object') {
+                    try {
+                        value = JSON.parse(value);
+                    } catch (error) {
+                        value = original;
+                    }
+                }
+                edited[input.dataset.group][input.dataset.key] = value;
+            });
+            status.textContent = 'Recomputing…';
+            await this.recomputeWhatIf(item, edited);
+        });
+        panel.querySelector('.what-if-reset').addEventListener('click', () => this.resetWhatIf(item));
+        
+        container.appendChild(panel);
+    }
 
-        // Header
-        const thead = document.createElement('thead');
-        const headerRow = document.createElement('tr');
-        headerRow.style.background = '#f8f9fa';
-
-        keys.forEach(key => {
-            const th = document.createElement('th');
-            th.textContent = key.length > 15 ? key.substring(0, 15) + '...' : key;
-            th.title = key;
-            th.style.cssText = `
-                padding: 8px 12px;
-                text-align: left;
-                font-weight: 500;
-                color: #495057;
-                border-bottom: 1px solid #e1e5e9;
-                max-width: 150px;
-                white-space: nowrap;
-                overflow: hidden;
-                text-overflow: ellipsis;
-            `;
-            headerRow.appendChild(th);
+    /**
+     * Recompute an item with edited values and its downstream items, then refresh what is on screen
+     * @param {Object} item - Edited item
+     * @param {{params: Object, args: Object}} values - Edited parameters and arguments
+     */
+    async recomputeWhatIf(item, values) {
+        await this.initializeWhatIf();
+        if (!this.whatIf) return;
+        
+        const items = Array.isArray(this.currentWorkflow?.items) ? this.currentWorkflow.items : [];
+        const outcome = await this.whatIf.recompute(items, item.uniqueId, values);
+        console.log(`What-if recompute from ${item.uniqueId}`, outcome);
+        
+        // Items that could not be recomputed lost their earlier what-if results and show stored data again;
+        // the edited item's editor keeps the values just tried, so they can be corrected
+        outcome.stale.forEach(entry => this.whatIfValues.delete(entry.id));
+        this.whatIfValues.set(item.uniqueId, values);
+        const own = outcome.stale.find(entry => entry.id === item.uniqueId);
+        if (own) {
+            this.showError(`"${item.name || item.uniqueId}" could not be recomputed: ${own.reason}. Showing its stored data and that of the items below it.`, { type: 'warning' });
+        } else if (outcome.stale.length > 0) {
+            this.showError(`Showing stored data for ${outcome.stale.map(entry => `"${entry.id}" (${entry.reason})`).join(', ')}.`, { type: 'warning' });
+        }
+        
+        await this.refreshAfterWhatIf(item, outcome.redraw);
+    }
+
+    /**
+     * Drop the what-if results of an item and everything downstream of it
+     */
+    async resetWhatIf(item) {
+        if (!this.whatIf) return;
+        
+        const items = Array.isArray(this.currentWorkflow?.items) ? this.currentWorkflow.items : [];
+        const affected = this.whatIf.getAffectedItems(items, item.uniqueId);
+        this.whatIf.reset(affected.map(entry => entry.uniqueId));
+        affected.forEach(entry => this.whatIfValues.delete(entry.uniqueId));
+        
+        const redraw = affected.filter(entry => (entry.type || entry.settings?.type) === 'visualization').map(entry => entry.uniqueId);
+        await this.refreshAfterWhatIf(item, redraw);
+    }
+
+    /**
+     * Re-show the edited item's report and redraw affected charts/tables that are on screen
+     */
+    async refreshAfterWhatIf(item, redrawIds) {
+        await this.generateWhatIfReport(item);
+        
+        const items = Array.isArray(this.currentWorkflow?.items) ? this.currentWorkflow.items : [];
+        const displayed = Object.values(this.displayedDrawItems);
+        for (const id of redrawIds) {
+            const drawItem = items.find(entry => entry.uniqueId === id);
+            if (drawItem && displayed.includes(id)) {
+                await this.handleDrawItems(drawItem);
+            }
+        }
+        if (this.workflowGraph) {
+            this.workflowGraph.setSelected(item.uniqueId);
+        }
+    }
+
+    /**
+     * Show a Code Block's source, its input items and its stored output
+     * @param {HTMLElement} container - Report visualization container
+     * @param {Object} item - Code Block item
+     * @param {*} output - Stored result of the Code Block
+     */
+    async renderCodeBlockReport(container, item, output) {
+        await this.initializeCodeBlockViewer();
+        if (!this.codeBlockViewer) {
+            await this.createDataTable(container, output, item.uniqueId);
+            return;
+        }
+        
+        const inputs = await this.getCodeBlockInputs(item);
+        const language = this.codeBlockViewer.normalizeLanguage(item.settings?.language);
+        
+        // Python needs the optional Pyodide bundle in js/pyodide/
+        await this.initializeCodeRunner();
+        const canRun = this.codeRunner ? await this.codeRunner.isAvailable(language) : false;
+        
+        container.style.maxHeight = 'none';
+        this.codeBlockViewer.render(container, {
+            item,
+            inputs,
+            output,
+            onRun: canRun ? (edits) => this.rerunCodeBlock(item, edits) : null,
+            runNote: !canRun && language === 'python'
+                ? 'Python Code Blocks can be re-run when this export bundles the Pyodide runtime in js/pyodide/.'
+                : null
         });
-        thead.appendChild(headerRow);
-        table.appendChild(thead);
-
-        // Body
-        const tbody = document.createElement('tbody');
-        previewData.forEach((item, index) => {
-            const row = document.createElement('tr');
-            row.style.borderBottom = '1px solid #f1f3f4';
-
-            keys.forEach(key => {
-                const td = document.createElement('td');
-                let originalValue = item && typeof item === 'object' ? item[key] : '';
-                let cellValue = originalValue;
-
-                if (cellValue === null || cellValue === undefined) {
-                    td.textContent = '';
-                    td.style.color = '#6c757d';
-                } else if (typeof cellValue === 'object') {
-                    td.innerHTML = `<span class="json-expand-btn" style="cursor: pointer; color: #007bff;"><i class="fas fa-expand-alt" style="margin-right: 4px;"></i>Object</span>`;
-                    td.dataset.originalValue = JSON.stringify(cellValue);
-                    td.dataset.valueType = 'object';
-                    td.querySelector('.json-expand-btn').addEventListener('click', (e) => {
-                        e.stopPropagation();
-                        this.showJsonExpander(originalValue, `${key} - Data Explorer`, item.uniqueId);
-                    });
-                } else if (typeof cellValue === 'string' && cellValue.length > 30) {
-                    const truncated = cellValue.substring(0, 30) + '...';
-                    td.innerHTML = `<span class="json-expand-btn" style="cursor: pointer;" title="Click to expand">${truncated}</span>`;
-                    td.dataset.fullText = cellValue;
-                    td.querySelector('.json-expand-btn').addEventListener('click', (e) => {
-                        e.stopPropagation();
-                        this.showJsonExpander(cellValue, `${key} - Text Content`, item.uniqueId);
+    }
+
+    /**
+     * Input items of a Code Block in `data` order, with their stored data
+     * @param {Object} item - Code Block item
+     * @returns {Promise<Array<{id: string, item: Object|null, data: *}>>}
+     */
+    async getCodeBlockInputs(item) {
+        const workflowItems = Array.isArray(this.currentWorkflow?.items) ? this.currentWorkflow.items : [];
+        const inputIds = Array.isArray(item.data) ? item.data : (Array.isArray(item.settings?.data) ? item.settings.data : []);
+        return Promise.all(inputIds.map(async (id) => {
+            const inputItem = workflowItems.find(i => i.uniqueId === id) || null;
+            return {
+                id,
+                item: inputItem,
+                data: inputItem ? await this.loadItemDataFromIndexedDB(id) : null
+            };
+        }));
+    }
+
+    /**
+     * Re-run a Code Block against its stored inputs and show the result next to the stored one.
+     * The result is not persisted.
+     * @param {Object} item - Code Block item
+     * @param {Object} edits - { code, parameters, arguments } as edited in the viewer
+     * @returns {Promise<Object|null>} - Run outcome ({ ok, result, error, logs, duration })
+     */
+    async rerunCodeBlock(item, edits = {}) {
+        await this.initializeCodeRunner();
+        if (!this.codeRunner) {
+            this.showError('Code Blocks cannot be re-run in this session.', { type: 'warning' });
+            return null;
+        }
+        
+        const inputs = await this.getCodeBlockInputs(item);
+        const missing = inputs.filter(input => input.data === null || input.data === undefined).map(input => input.id);
+        if (missing.length > 0) {
+            this.showError(`Re-running "${item.name || item.uniqueId}" without stored data for: ${missing.join(', ')}.`, { type: 'warning' });
+        }
+        
+        // HydroBlox binds `data` as the list of dependency results, also for a single dependency
+        const data = inputs.map(input => input.data);
+        const run = await this.codeRunner.run({
+            language: this.codeBlockViewer ? this.codeBlockViewer.normalizeLanguage(item.settings?.language) : 'javascript',
+            code: edits.code ?? item.settings?.code ?? '',
+            data,
+            params: edits.parameters ?? item.parameters ?? {},
+            args: edits.arguments ?? item.arguments ?? {}
+        });
+        
+        const storedRecord = await this.getItemRecord(item.uniqueId);
+        const stored = storedRecord ? storedRecord.data : null;
+        const diff = run.ok ? this.codeRunner.diff(stored, run.result) : null;
+        console.log(`Re-ran ${item.uniqueId} in ${run.duration} ms`, { ok: run.ok, diff });
+        
+        // Replace the previous re-run of this block, keep the stored report above it
+        const previous = document.getElementById(`report-viz-${item.uniqueId}-rerun`);
+        if (previous) previous.closest('.report-item')?.remove();
+        
+        await this.generateQuickReport({
+            uniqueId: `${item.uniqueId}-rerun`,
+            name: `${item.name || item.uniqueId} (re-run, not saved)`
+        }, {
+            data: run.ok ? run.result : null,
+            append: true,
+            downloads: false,
+            render: (container, result) => this.renderRerunResult(container, run, diff, result, stored)
+        });
+        return run;
+    }
+
+    /**
+     * Show a Code Block re-run: status, console output, differences from the stored output and the result
+     */
+    async renderRerunResult(container, run, diff, result, stored) {
+        const status = document.createElement('div');
+        status.style.cssText = 'font-size: 12px; padding: 6px 8px; margin-bottom: 8px; border-radius: 4px;';
+        if (!run.ok) {
+            status.style.background = '#f8d7da';
+            status.style.color = '#721c24';
+            status.textContent = `${run.error?.name || 'Error'}: ${run.error?.message || 'The Code Block failed'}`;
+        } else if (diff && diff.equal) {
+            status.style.background = '#d4edda';
+            status.style.color = '#155724';
+            status.textContent = `Finished in ${run.duration} ms. Matches the stored output.`;
+        } else {
+            status.style.background = '#fff3cd';
+            status.style.color = '#856404';
+            status.textContent = `Finished in ${run.duration} ms. ${diff ? diff.count : 0} difference(s) from the stored output.`;
+        }
+        container.appendChild(status);
+        
+        if (Array.isArray(run.logs) && run.logs.length > 0) {
+            const logs = document.createElement('pre');
+            logs.style.cssText = 'font-size: 11px; background: #f8f9fa; padding: 6px 8px; max-height: 160px; overflow: auto; margin-bottom: 8px;';
+            logs.textContent = run.logs.map(entry => (['log', 'stdout'].includes(entry.level) ? entry.text : `[${entry.level}] ${entry.text}`)).join('\n');
+            container.appendChild(logs);
+        }
+        
+        if (diff && !diff.equal) {
+            // Which parts of the output disagree, then the first differing values
+            const keys = new Set([
+                ...Object.keys(stored && typeof stored === 'object' ? stored : {}),
+                ...Object.keys(result && typeof result === 'object' ? result : {})
+            ]);
+            if (keys.size > 0) {
+                const summary = document.createElement('table');
+                summary.className = 'table table-sm';
+                summary.style.cssText = 'font-size: 11px; margin-bottom: 8px;';
+                summary.innerHTML = '<thead><tr><th>Output</th><th>Stored</th><th>Re-run</th><th>Differences</th></tr></thead>';
+                const body = document.createElement('tbody');
+                const describe = (value) => (value === undefined ? '—' : (Array.isArray(value) ? `Array(${value.length})` : (value && typeof value === 'object' ? `Object(${Object.keys(value).length})` : String(value))));
+                keys.forEach(key => {
+                    const row = document.createElement('tr');
+                    const count = diff.byKey[key] || 0;
+                    [key, describe(stored?.[key]), describe(result?.[key]), count === 0 ? '✓ same' : String(count)].forEach(text => {
+                        const cell = document.createElement('td');
+                        cell.textContent = text;
+                        row.appendChild(cell);
                     });
-                } else {
-                    td.textContent = cellValue;
-                }
+                    if (count > 0) row.style.color = '#856404';
+                    body.appendChild(row);
+                });
+                summary.appendChild(body);
+                container.appendChild(summary);
+            }
+            
+            const list = document.createElement('ul');
+            list.style.cssText = 'font-size: 11px; font-family: monospace; max-height: 160px; overflow: auto; padding-left: 18px; margin-bottom: 8px;';
+            const format = (value) => (value === undefined ? '—' : JSON.stringify(value)?.slice(0, 80));
+            diff.differences.forEach(difference => {
+                const li = document.createElement('li');
+                li.textContent = `${difference.path}: ${format(difference.original)} → ${format(difference.rerun)}`;
+                list.appendChild(li);
+            });
+            if (diff.count > diff.differences.length) {
+                const li = document.createElement('li');
+                li.textContent = `… and ${diff.count - diff.differences.length} more`;
+                list.appendChild(li);
+            }
+            container.appendChild(list);
+        }
+        
+        if (run.ok) {
+            await this.createDataTable(container, result, null);
+        }
+    }
 
-                td.style.cssText = `
-                    padding: 8px 12px;
-                    color: #495057;
-                    max-width: 150px;
-                    white-space: nowrap;
-                    overflow: hidden;
-                    text-overflow: ellipsis;
-                `;
-                row.appendChild(td);
+    /**
+     * Parse item data as WaterML if it looks like a retrieved time series
+     * @param {*} data - Item data
+     * @returns {Promise<Object|null>} - Parsed { query, series } or null if not WaterML
+     */
+    async parseWaterML(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+        
+        await this.initializeWaterMLParser();
+        if (!this.watermlParser || !this.watermlParser.isWaterML(data)) return null;
+        
+        try {
+            return this.watermlParser.parse(data);
+        } catch (error) {
+            console.warn('Failed to parse WaterML payload:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Render a summary of parsed WaterML series with chart, table and download actions
+     * @param {HTMLElement} container - Report visualization container
+     * @param {Object} parsed - Parsed WaterML ({ query, series })
+     * @param {Object} result - Item being reported
+     * @param {Object} rawData - Original item data (for the raw JSON view)
+     */
+    renderSeriesReport(container, parsed, result, rawData) {
+        const itemLabel = result.name || result.uniqueId;
+        
+        parsed.series.forEach((series, index) => {
+            const unit = series.units?.abbreviation || series.units?.name || '';
+            const seriesTitle = [series.site.name, series.variable.name].filter(Boolean).join(' - ') || itemLabel;
+            const formatDate = (value) => value ? value.split('T')[0] : 'N/A';
+            const location = series.site.latitude !== null && series.site.longitude !== null
+                ? `${series.site.latitude}, ${series.site.longitude}`
+                : 'N/A';
+            
+            const section = document.createElement('div');
+            section.className = 'series-report';
+            section.style.cssText = 'padding: 4px 0 12px 0; font-size: 12px; color: #495057;';
+            if (index > 0) {
+                section.style.borderTop = '1px solid #e1e5e9';
+                section.style.paddingTop = '12px';
+            }
+            
+            const rows = [
+                ['Site', `${series.site.name || 'N/A'}${series.site.code ? ` (${series.site.code})` : ''}`],
+                ['Location', location],
+                ['Elevation', series.site.elevation !== null ? `${series.site.elevation} m` : 'N/A'],
+                ['Variable', `${series.variable.name || 'N/A'}${series.variable.code ? ` (${series.variable.code})` : ''}`],
+                ['Units', unit || 'N/A'],
+                ['Period', `${formatDate(series.period.start)} to ${formatDate(series.period.end)}`],
+                ['Values', `${series.count} (${series.missingCount} missing)`]
+            ];
+            
+            // Site and variable names come from the WaterML payload, so they are set as text
+            section.innerHTML = `
+                <div class="series-title" style="font-weight: 600; margin-bottom: 6px;"></div>
+                <table style="width: 100%; border-collapse: collapse; margin-bottom: 8px;"><tbody></tbody></table>
+                <div class="series-actions d-flex flex-wrap gap-1">
+                    <button type="button" class="btn btn-sm btn-outline-primary" data-action="chart"><i class="fas fa-chart-line"></i> Chart</button>
+                    <button type="button" class="btn btn-sm btn-outline-primary" data-action="climatology"><i class="fas fa-calendar-alt"></i> Climatology</button>
+                    <button type="button" class="btn btn-sm btn-outline-primary" data-action="table"><i class="fas fa-table"></i> Table</button>
+                    <button type="button" class="btn btn-sm btn-outline-secondary" data-action="csv"><i class="fas fa-download"></i> CSV</button>
+                    <button type="button" class="btn btn-sm btn-outline-secondary" data-action="raw"><i class="fas fa-code"></i> Raw</button>
+                </div>
+            `;
+            
+            section.querySelector('.series-title').textContent = seriesTitle;
+            const tbody = section.querySelector('tbody');
+            rows.forEach(([label, value]) => {
+                const row = document.createElement('tr');
+                row.style.borderBottom = '1px solid #f1f3f4';
+                const labelCell = document.createElement('td');
+                labelCell.style.cssText = 'padding: 4px 8px; font-weight: 500; width: 35%;';
+                labelCell.textContent = label;
+                const valueCell = document.createElement('td');
+                valueCell.style.padding = '4px 8px';
+                valueCell.textContent = value;
+                row.append(labelCell, valueCell);
+                tbody.appendChild(row);
+            });
+            
+            const fileBase = `${result.uniqueId || 'series'}${parsed.series.length > 1 ? `-${index + 1}` : ''}`;
+            section.querySelector('[data-action="chart"]').addEventListener('click', () => this.chartSeries(series, seriesTitle));
+            section.querySelector('[data-action="climatology"]').addEventListener('click', async () => {
+                await this.initializeChartRenderer();
+                if (!this.chartRenderer) return;
+                const dates = series.timestamps.map(timestamp => this.chartRenderer.parseDate(timestamp));
+                this.chartClimatology({ name: series.variable.name || 'Value', y: series.values }, dates, seriesTitle);
+            });
+            section.querySelector('[data-action="table"]').addEventListener('click', () => this.tableSeries(series, seriesTitle));
+            section.querySelector('[data-action="csv"]').addEventListener('click', () => {
+                const valueHeader = unit ? `value (${unit})` : 'value';
+                this.downloadRows(this.watermlParser.toRows(series), `${fileBase}.csv`, 'csv', { value: valueHeader });
             });
-            tbody.appendChild(row);
+            section.querySelector('[data-action="raw"]').addEventListener('click', () => {
+                this.showJsonExpander(rawData, `${itemLabel} - Raw WaterML`, result.uniqueId);
+            });
+            
+            container.appendChild(section);
         });
-        table.appendChild(tbody);
+    }
 
-        container.appendChild(table);
+    /**
+     * Chart a parsed WaterML series in the charts section
+     * @param {Object} series - Parsed series
+     * @param {string} title - Chart title
+     */
+    async chartSeries(series, title) {
+        const chartsSection = this.prepareVisualizationSection('charts');
+        if (!chartsSection) return;
+        
+        const containerId = `series-chart-${Date.now()}`;
+        const container = document.createElement('div');
+        container.id = containerId;
+        container.className = 'chart-container';
+        const site = this.stationKey(series.site);
+        if (site) container.dataset.sites = JSON.stringify([site]);
+        container.style.cssText = 'width: 100%; height: 100%; min-height: 400px; display: block; position: relative;';
+        chartsSection.appendChild(container);
+        
+        const unit = series.units?.abbreviation || '';
+        const seriesName = `${series.variable.name || 'Value'}${unit ? ` (${unit})` : ''}`;
+        
+        const interactive = await this.renderInteractiveChart(container, {
+            params: { type: 'chart', name: title },
+            args: { names: [seriesName] },
+            data: [{ name: seriesName, x: series.timestamps, y: series.values }]
+        });
+        if (interactive) return;
+        
+        if (window.lang && window.lang.visualize && window.lang.visualize.draw) {
+            try {
+                await window.lang.visualize.draw({
+                    params: { type: 'chart', id: containerId, name: title },
+                    args: { responsive: true, names: [seriesName] },
+                    data: [series.timestamps, series.values]
+                });
+                return;
+            } catch (error) {
+                console.error('Error charting series with Hydrolang:', error);
+            }
+        }
+        
+        const rendered = await this.renderBuiltInChart(container, {
+            params: { type: 'chart', name: title },
+            args: { names: [seriesName] },
+            data: [{ name: seriesName, x: series.timestamps, y: series.values }]
+        });
+        if (!rendered) {
+            container.innerHTML = '<div style="text-align: center; color: #6c757d; padding: 20px;">No values to chart</div>';
+        }
+    }
 
-        if (data.length > maxRows) {
-            const moreInfo = document.createElement('div');
-            moreInfo.style.cssText = `
-                padding: 12px;
-                text-align: center;
-                color: #6c757d;
-                font-size: 12px;
-                background: #f8f9fa;
-                margin-top: 8px;
-                border-radius: 4px;
-            `;
-            moreInfo.textContent = `Showing ${maxRows} of ${data.length} items`;
-            container.appendChild(moreInfo);
+    /**
+     * Draw a chart with the built-in SVG renderer
+     * Takes the same { params, args, data } shape as HydroLang visualize.draw.
+     * @param {HTMLElement} container - Target element
+     * @param {Object} drawParams - Draw parameters
+     * @returns {Promise<boolean>} - false if the renderer is unavailable or nothing was plottable
+     */
+    async renderBuiltInChart(container, drawParams) {
+        await this.initializeChartRenderer();
+        if (!this.chartRenderer || !container) return false;
+        
+        try {
+            const reduced = await this.downsampleDrawParams(drawParams, container.clientWidth);
+            return this.chartRenderer.render(container, reduced);
+        } catch (error) {
+            console.error('Built-in chart renderer failed:', error);
+            return false;
         }
     }
 
-    createPrimitiveArrayTable(container, data, uniqueId) {
-        const maxRows = 15;
-        const previewData = data.slice(0, maxRows);
+    /**
+     * Draw a line or scatter chart with wheel/drag zoom, an overview brush, a crosshair tooltip
+     * and a range picker. Each view is resolved from the full data, ignoring maxPoints.
+     * @param {HTMLElement} container - Target element
+     * @param {Object} drawParams - { params, args, data } as passed to visualize.draw
+     * @param {string} rangeKey - Optional key under which the visible range survives redraws
+     * @returns {Promise<boolean>} - false for other chart types, or if nothing was plottable
+     */
+    async renderInteractiveChart(container, drawParams, rangeKey = null) {
+        const chartType = String(drawParams.params?.chartType || drawParams.args?.chartType || 'line').toLowerCase();
+        if (!container || !['line', 'area', 'scatter'].includes(chartType)) return false;
+        
+        await this.initializeChartRenderer();
+        await this.initializeChartInteractions();
+        await this.initializeDownsampler();
+        if (!this.chartRenderer || !this.InteractiveChart) return false;
+        
+        try {
+            const data = await this.prepareChartData(drawParams.data);
+            // Set once the chart is drawn, so the initial range is not taken for a brush
+            let linked = false;
+            const chart = new this.InteractiveChart(this.chartRenderer, {
+                downsample: this.downsampler
+                    ? (points, target, options) => this.downsampler.downsampleAsync(points, target, options)
+                    : undefined,
+                range: rangeKey ? this.chartRanges.get(rangeKey) : null,
+                onRangeChange: range => {
+                    if (rangeKey) this.chartRanges.set(rangeKey, range);
+                    if (linked) this.publishChartRange(chart, range);
+                }
+            });
+            const rendered = chart.render(container, { ...drawParams, data });
+            if (rendered) linked = await this.linkChart(container, chart);
+            return rendered;
+        } catch (error) {
+            console.error('Interactive chart failed:', error);
+            return false;
+        }
+    }
 
-        const table = document.createElement('table');
-        table.style.cssText = `
-            width: 100%;
-            border-collapse: collapse;
-            font-size: 12px;
-            background: white;
-            border-radius: 4px;
-            overflow: hidden;
-            box-shadow: 0 1px 3px rgba(0,0,0,0.1);
-        `;
+    /**
+     * Link a dated interactive chart to the selection bus: its zoom and brush publish the time range,
+     * and the dates of rows picked in linked tables are ringed on it
+     * @returns {Promise<boolean>} - Whether the chart is linked
+     */
+    async linkChart(container, chart) {
+        const bus = await this.getSelectionBus();
+        if (!bus || !chart.isDate) return false;
+        
+        this.linkView(container, 'rows', selection => {
+            const dates = (selection?.rows || [])
+                .map(row => Object.values(row).find(value => this.chartRenderer.isDateLike(value)))
+                .filter(Boolean);
+            chart.highlight(dates);
+        }, chart);
+        if (bus.get('station')) this.refilterStation();
+        return true;
+    }
 
-        // Header
-        const thead = document.createElement('thead');
-        const headerRow = document.createElement('tr');
-        headerRow.style.background = '#f8f9fa';
-        headerRow.innerHTML = `
-            <th style="padding: 8px 12px; text-align: left; font-weight: 500; color: #495057; border-bottom: 1px solid #e1e5e9; width: 80px;">Index</th>
-            <th style="padding: 8px 12px; text-align: left; font-weight: 500; color: #495057; border-bottom: 1px solid #e1e5e9;">Value</th>
-        `;
-        thead.appendChild(headerRow);
-        table.appendChild(thead);
+    /**
+     * Publish a chart's visible range; the full series clears the range
+     */
+    publishChartRange(chart, [start, end]) {
+        if (!this.selectionBus) return;
+        const [fullStart, fullEnd] = chart.fullDomain;
+        const full = start <= fullStart && end >= fullEnd;
+        this.selectionBus.publish('range', full ? null : { start, end }, chart);
+    }
 
-        // Body
-        const tbody = document.createElement('tbody');
-        previewData.forEach((item, index) => {
-            const row = document.createElement('tr');
-            row.style.borderBottom = '1px solid #f1f3f4';
+    /**
+     * Offer the original HydroLang chart next to the interactive one
+     */
+    addStaticChartButton(container, drawParams) {
+        const toolbar = container.querySelector('.ts-chart-toolbar');
+        if (!toolbar) return;
+        
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-sm btn-outline-secondary';
+        button.innerHTML = '<i class="fas fa-chart-line"></i> HydroLang chart';
+        button.title = 'Show the chart as drawn by HydroLang';
+        button.addEventListener('click', async () => {
+            container.innerHTML = '';
+            try {
+                await window.lang.visualize.draw(await this.downsampleDrawParams(drawParams, container.clientWidth, 'columns'));
+            } catch (error) {
+                console.error('Error drawing HydroLang chart:', error);
+                await this.renderBuiltInChart(container, drawParams);
+            }
+        });
+        toolbar.insertBefore(button, toolbar.querySelector('.ts-chart-status'));
+    }
 
-            let displayValue = item;
-            if (typeof item === 'string' && item.length > 50) {
-                displayValue = item.substring(0, 50) + '...';
+    /**
+     * Reduce line/area/scatter/column series longer than the chart's pixel width with the
+     * level-of-detail downsampler (min/max buckets or LTTB, extremes always kept).
+     * maxPoints no longer thins the data; it is set to the reduced length so every kept point is drawn.
+     * @param {Object} drawParams - { params, args, data } as passed to visualize.draw
+     * @param {number} width - Chart width in pixels (0 when not laid out yet)
+     * @param {string} format - 'series' ({ name, x, y } objects for the built-in renderer) or
+     *                          'columns' ([x, y1, y2, ...] for HydroLang, with bypassNormalization)
+     * @returns {Promise<Object>} - New draw parameters; unchanged ones when nothing needs reducing
+     */
+    async downsampleDrawParams(drawParams, width, format = 'series') {
+        const params = drawParams.params || {};
+        const args = drawParams.args || {};
+        const data = await this.prepareChartData(drawParams.data);
+        const unchanged = format === 'columns' ? drawParams : { ...drawParams, data };
+        
+        const chartType = String(params.chartType || args.chartType || 'line').toLowerCase();
+        if (!['line', 'area', 'scatter', 'column'].includes(chartType)) return unchanged;
+        
+        await this.initializeChartRenderer();
+        await this.initializeDownsampler();
+        if (!this.chartRenderer || !this.downsampler) return unchanged;
+        
+        // The built-in renderer would otherwise thin the series to maxPoints evenly spaced samples
+        const { maxPoints, ...withoutMaxPoints } = params;
+        if (format === 'series') {
+            unchanged.params = withoutMaxPoints;
+        }
+        
+        try {
+            const names = this.chartRenderer.parseNames(params.names ?? args.names);
+            const series = this.chartRenderer.normalizeSeries(data, names);
+            const target = Math.max(100, Math.round(width || 800));
+            if (!series.some(s => s.y.length > target)) return unchanged;
+            
+            const { series: reduced, aligned } = await this.downsampler.reduceSeries(series, target);
+            const length = Math.max(...reduced.map(s => s.y.length));
+            console.log(`Downsampled chart series to ${length} points for ${target}px`);
+            
+            if (format === 'columns') {
+                // HydroLang columns need one shared x axis
+                if (!aligned) return unchanged;
+                return {
+                    ...drawParams,
+                    params: { ...params, names: reduced.map(s => s.name), maxPoints: length, bypassNormalization: true },
+                    data: [reduced[0].x, ...reduced.map(s => s.y)]
+                };
             }
+            return { ...drawParams, params: withoutMaxPoints, data: reduced };
+        } catch (error) {
+            console.warn('Could not downsample chart data, drawing it as is:', error);
+            return unchanged;
+        }
+    }
 
-            row.innerHTML = `
-                <td style="padding: 8px 12px; color: #6c757d; font-family: monospace;">${index}</td>
-                <td style="padding: 8px 12px; color: #495057;" title="${typeof item === 'string' ? item : String(item)}">${displayValue}</td>
-            `;
-            tbody.appendChild(row);
+    /**
+     * Convert retrieved WaterML inputs into { name, x, y } series; other data passes through unchanged
+     * @param {Array} data - Draw data (one entry per input)
+     * @returns {Promise<Array>}
+     */
+    async prepareChartData(data) {
+        const inputs = Array.isArray(data) ? data : [data];
+        await this.initializeWaterMLParser();
+        if (!this.watermlParser) return inputs;
+        
+        return inputs.flatMap(entry => {
+            const parsed = this.watermlParser.parse(entry);
+            if (!parsed) return [entry];
+            return parsed.series.map(series => {
+                const unit = series.units?.abbreviation || '';
+                return {
+                    name: `${series.variable.name || series.site.name || 'Value'}${unit ? ` (${unit})` : ''}`,
+                    x: series.timestamps,
+                    y: series.values
+                };
+            });
         });
-        table.appendChild(tbody);
+    }
 
-        container.appendChild(table);
+    /**
+     * Show a parsed WaterML series as a table in the tables section
+     * @param {Object} series - Parsed series
+     * @param {string} title - Table title
+     */
+    tableSeries(series, title) {
+        const site = this.stationKey(series.site);
+        this.tableRows(this.watermlParser.toRows(series), title, site ? [site] : null);
+    }
 
-        if (data.length > maxRows) {
-            const moreInfo = document.createElement('div');
-            moreInfo.style.cssText = `
-                padding: 12px;
-                text-align: center;
-                color: #6c757d;
-                font-size: 12px;
-                background: #f8f9fa;
-                margin-top: 8px;
-                border-radius: 4px;
-            `;
-            moreInfo.textContent = `Showing ${maxRows} of ${data.length} items`;
-            container.appendChild(moreInfo);
+    /**
+     * Show row objects as a table in the tables section
+     * @param {Array<Object>} rows - Row objects sharing the same keys
+     * @param {string} title - Table title
+     * @param {Array<string>|null} sites - Station keys of the rows, for the linked selection
+     */
+    tableRows(rows, title, sites = null) {
+        const tablesSection = this.prepareVisualizationSection('tables');
+        if (!tablesSection) return;
+        
+        const container = document.createElement('div');
+        container.className = 'table-container';
+        if (sites) container.dataset.sites = JSON.stringify(sites);
+        container.style.cssText = 'width: 100%; padding: 20px;';
+        const heading = document.createElement('h4');
+        heading.style.cssText = 'font-size: 1rem; margin-bottom: 12px;';
+        heading.textContent = title;
+        container.appendChild(heading);
+        tablesSection.appendChild(container);
+        
+        this.createDataTable(container, rows, null);
+    }
+
+    /**
+     * Switch to a visualization tab and clear its section for new content
+     * @param {string} type - 'maps', 'charts' or 'tables'
+     * @returns {HTMLElement|null} - The emptied section
+     */
+    prepareVisualizationSection(type) {
+        const section = document.getElementById(`${type}-section`);
+        if (!section) {
+            console.error(`Target section ${type}-section not found`);
+            return null;
+        }
+        
+        this.showVisualizationTab(type);
+        
+        while (section.firstChild) {
+            section.removeChild(section.firstChild);
         }
+        return section;
     }
 
-    createObjectTable(container, data, uniqueId) {
-        const keys = Object.keys(data);
-        const maxKeys = 15;
-        const previewKeys = keys.slice(0, maxKeys);
+    /**
+     * Download row objects as CSV/TSV through the DataExporter
+     * @param {Array<Object>} rows - Row objects sharing the same keys
+     * @param {string} filename - Suggested file name
+     * @param {string} format - 'csv' or 'tsv'
+     * @param {Object} headerLabels - Optional display labels keyed by column name
+     */
+    async downloadRows(rows, filename, format = 'csv', headerLabels = {}) {
+        await this.initializeDataExporter();
+        if (!this.dataExporter) {
+            this.showError('Downloads are not available in this session.', { type: 'warning' });
+            return;
+        }
+        
+        const labelled = (Array.isArray(rows) ? rows : []).map(row => Object.fromEntries(
+            Object.entries(row).map(([column, value]) => [headerLabels[column] || column, value])
+        ));
+        const text = this.dataExporter.toDelimited(labelled, format === 'tsv' ? '\t' : ',');
+        if (!text) {
+            this.showError(`"${filename}" has no rows to export.`, { type: 'warning' });
+            return;
+        }
+        this.downloadFile(text, filename, format === 'tsv' ? 'text/tab-separated-values' : 'text/csv');
+    }
 
-        const table = document.createElement('table');
-        table.style.cssText = `
-            width: 100%;
-            border-collapse: collapse;
-            font-size: 12px;
-            background: white;
-            border-radius: 4px;
-            overflow: hidden;
-            box-shadow: 0 1px 3px rgba(0,0,0,0.1);
-        `;
+    /**
+     * Trigger a browser download for generated content
+     * @param {string|Blob} content - File content
+     * @param {string} filename - Suggested file name
+     * @param {string} mimeType - MIME type for string content
+     */
+    downloadFile(content, filename, mimeType = 'text/plain') {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
 
-        // Header
-        const thead = document.createElement('thead');
-        const headerRow = document.createElement('tr');
-        headerRow.style.background = '#f8f9fa';
-        headerRow.innerHTML = `
-            <th style="padding: 8px 12px; text-align: left; font-weight: 500; color: #495057; border-bottom: 1px solid #e1e5e9; width: 40%;">Property</th>
-            <th style="padding: 8px 12px; text-align: left; font-weight: 500; color: #495057; border-bottom: 1px solid #e1e5e9;">Value</th>
+    /**
+     * Small JSON / CSV / TSV download buttons for a report card header
+     * @param {string} uniqueId - Item to download
+     * @returns {HTMLElement}
+     */
+    createDownloadButtons(uniqueId) {
+        const group = document.createElement('div');
+        group.className = 'btn-group btn-group-sm report-downloads';
+        group.setAttribute('role', 'group');
+        group.innerHTML = `
+            <button type="button" class="btn btn-outline-secondary" data-format="json" title="Download stored record as JSON"><i class="fas fa-download"></i> JSON</button>
+            <button type="button" class="btn btn-outline-secondary" data-format="csv" title="Download flattened data as CSV">CSV</button>
+            <button type="button" class="btn btn-outline-secondary" data-format="tsv" title="Download flattened data as Excel-compatible TSV">TSV</button>
         `;
-        thead.appendChild(headerRow);
-        table.appendChild(thead);
-
-        // Body
-        const tbody = document.createElement('tbody');
-        previewKeys.forEach(key => {
-            const row = document.createElement('tr');
-            row.style.borderBottom = '1px solid #f1f3f4';
-
-            let value = data[key];
-            let displayValue;
-
-            const keyDisplay = key.length > 25 ? key.substring(0, 25) + '...' : key;
-
-            const keyTd = document.createElement('td');
-            keyTd.textContent = keyDisplay;
-            keyTd.title = key;
-            keyTd.style.cssText = `
-                padding: 8px 12px;
-                color: #495057;
-                font-weight: 500;
-                max-width: 150px;
-                overflow: hidden;
-                text-overflow: ellipsis;
-                white-space: nowrap;
-            `;
+        group.querySelectorAll('[data-format]').forEach(button => {
+            button.addEventListener('click', () => this.exportItem(uniqueId, button.dataset.format));
+        });
+        return group;
+    }
 
-            const valueTd = document.createElement('td');
-            valueTd.style.cssText = `
-                padding: 8px 12px;
-                color: #495057;
-                max-width: 200px;
-                overflow: hidden;
-                text-overflow: ellipsis;
-                white-space: nowrap;
-            `;
+    /**
+     * Download one item's data
+     * @param {string} uniqueId - Item to download
+     * @param {string} format - 'json' (raw stored record), 'csv' or 'tsv' (flattened data)
+     */
+    async exportItem(uniqueId, format) {
+        await this.initializeDataExporter();
+        if (!this.dataExporter) {
+            this.showError('Downloads are not available in this session.', { type: 'warning' });
+            return;
+        }
+        
+        const record = await this.getItemRecord(uniqueId);
+        if (!record) {
+            this.showError(`No stored data found for "${uniqueId}".`, { type: 'warning' });
+            return;
+        }
+        
+        const fileBase = this.dataExporter.safeFileName(uniqueId);
+        if (format === 'json') {
+            this.downloadFile(this.dataExporter.toJSON(record), `${fileBase}.json`, 'application/json');
+            return;
+        }
+        
+        const delimiter = format === 'tsv' ? '\t' : ',';
+        const text = this.dataExporter.toDelimited(await this.getItemExportData(uniqueId, record.data), delimiter);
+        if (!text) {
+            this.showError(`"${uniqueId}" has no tabular data to export. Use JSON instead.`, { type: 'warning' });
+            return;
+        }
+        this.downloadFile(text, `${fileBase}.${format}`, format === 'tsv' ? 'text/tab-separated-values' : 'text/csv');
+    }
 
-            if (value === null || value === undefined) {
-                valueTd.innerHTML = '<em style="color: #6c757d;">null</em>';
-            } else if (typeof value === 'object') {
-                if (Array.isArray(value)) {
-                    valueTd.innerHTML = `<span class="json-expand-btn" style="cursor: pointer; color: #007bff;"><i class="fas fa-expand-alt" style="margin-right: 4px;"></i>Array(${value.length})</span>`;
-                    valueTd.dataset.originalValue = JSON.stringify(value);
-                    valueTd.dataset.valueType = 'array';
-                    valueTd.querySelector('.json-expand-btn').addEventListener('click', (e) => {
-                        e.stopPropagation();
-                        this.showJsonExpander(value, `${key} - Data Explorer`, uniqueId);
-                    });
-                } else {
-                    valueTd.innerHTML = `<span class="json-expand-btn" style="cursor: pointer; color: #007bff;"><i class="fas fa-expand-alt" style="margin-right: 4px;"></i>Object(${Object.keys(value).length} keys)</span>`;
-                    valueTd.dataset.originalValue = JSON.stringify(value);
-                    valueTd.dataset.valueType = 'object';
-                    valueTd.querySelector('.json-expand-btn').addEventListener('click', (e) => {
-                        e.stopPropagation();
-                        this.showJsonExpander(value, `${key} - Data Explorer`, uniqueId);
-                    });
-                }
-            } else if (typeof value === 'string' && value.length > 40) {
-                const truncated = value.substring(0, 40) + '...';
-                valueTd.innerHTML = `<span class="json-expand-btn" style="cursor: pointer;" title="Click to expand">${truncated}</span>`;
-                valueTd.dataset.fullText = value;
-                valueTd.querySelector('.json-expand-btn').addEventListener('click', (e) => {
-                    e.stopPropagation();
-                    this.showJsonExpander(value, `${key} - Text Content`, uniqueId);
-                });
-            } else {
-                valueTd.textContent = String(value);
-                valueTd.title = typeof value === 'string' ? value : String(value);
+    /**
+     * Download every item of a workflow as a ZIP: workflow.json plus a JSON (and CSV when tabular) file per item
+     * @param {string} workflowId - Workflow to bundle
+     */
+    async exportWorkflowBundle(workflowId) {
+        const workflow = workflowId && this.workflows ? this.workflows[workflowId] : null;
+        if (!workflow) {
+            this.showError('Select a workflow to download first.', { type: 'warning' });
+            return;
+        }
+        
+        await this.initializeDataExporter();
+        if (!this.dataExporter) {
+            this.showError('Downloads are not available in this session.', { type: 'warning' });
+            return;
+        }
+        
+        const files = [{ name: 'workflow.json', content: this.dataExporter.toJSON(workflow) }];
+        const missing = [];
+        const items = Array.isArray(workflow.items) ? workflow.items : [];
+        
+        for (const item of items) {
+            const record = await this.getItemRecord(item.uniqueId);
+            if (!record) {
+                missing.push(item.uniqueId);
+                continue;
+            }
+            const fileBase = `items/${this.dataExporter.safeFileName(item.uniqueId)}`;
+            files.push({ name: `${fileBase}.json`, content: this.dataExporter.toJSON(record) });
+            
+            const csv = this.dataExporter.toDelimited(await this.getItemExportData(item.uniqueId, record.data), ',');
+            if (csv) {
+                files.push({ name: `${fileBase}.csv`, content: csv });
             }
+        }
+        
+        this.downloadFile(this.dataExporter.createZip(files), `${this.dataExporter.safeFileName(workflowId)}.zip`, 'application/zip');
+        console.log(`✓ Exported workflow bundle ${workflowId} (${files.length} files)`);
+        
+        if (missing.length > 0) {
+            this.showError(`Bundle created without data for: ${missing.join(', ')}`, { type: 'warning' });
+        }
+    }
 
-            row.appendChild(keyTd);
-            row.appendChild(valueTd);
-            tbody.appendChild(row);
-        });
-        table.appendChild(tbody);
+    /**
+     * Stored record for an item, falling back to the exported item file
+     * @param {string} uniqueId - Item ID
+     * @returns {Promise<Object|null>}
+     */
+    async getItemRecord(uniqueId) {
+        if (this.dbManager && typeof this.dbManager.getResult === 'function') {
+            try {
+                const record = await this.dbManager.getResult(uniqueId);
+                if (record) return record;
+            } catch (error) {
+                console.warn(`Could not load ${uniqueId} from dbManager:`, error);
+            }
+        }
+        
+        try {
+            const response = await fetch(`data/items/${encodeURIComponent(uniqueId)}.json`);
+            if (response.ok) {
+                return await response.json();
+            }
+        } catch (error) {
+            console.warn(`Could not load ${uniqueId} from filesystem:`, error);
+        }
+        return null;
+    }
 
-        container.appendChild(table);
+    /**
+     * Data for CSV/TSV as shaped by the item's handler exporter
+     * @param {string} uniqueId - Item ID
+     * @param {*} data - Stored item data
+     * @returns {Promise<*>}
+     */
+    async getItemExportData(uniqueId, data) {
+        const items = Array.isArray(this.currentWorkflow?.items) ? this.currentWorkflow.items : [];
+        const item = items.find(i => i.uniqueId === uniqueId) ||
+            Object.values(this.workflows || {}).flatMap(w => (Array.isArray(w.items) ? w.items : [])).find(i => i.uniqueId === uniqueId);
+        
+        await this.initializeItemHandlers();
+        const handler = item && this.itemHandlers ? this.itemHandlers.resolve(item).handler : null;
+        if (handler && typeof handler.export === 'function') {
+            return handler.export(this, item, data);
+        }
+        return this.getExportData(data);
+    }
 
-        if (keys.length > maxKeys) {
-            const moreInfo = document.createElement('div');
-            moreInfo.style.cssText = `
-                padding: 12px;
-                text-align: center;
-                color: #6c757d;
-                font-size: 12px;
-                background: #f8f9fa;
-                margin-top: 8px;
-                border-radius: 4px;
-            `;
-            moreInfo.textContent = `Showing ${maxKeys} of ${keys.length} properties`;
-            container.appendChild(moreInfo);
+    /**
+     * Data in the shape used for CSV/TSV: WaterML is exported as dateTime/value rows, everything else as stored
+     * @param {*} data - Item data
+     * @returns {Promise<*>}
+     */
+    async getExportData(data) {
+        const parsed = await this.parseWaterML(data);
+        if (!parsed || parsed.series.length === 0) return data;
+        
+        return parsed.series.flatMap(series => this.watermlParser.toRows(series).map(row => ({
+            site: series.site.code,
+            variable: series.variable.code,
+            units: series.units?.abbreviation || '',
+            ...row
+        })));
+    }
+
+    /**
+     * Show item data in a virtualized, sortable and filterable grid. Tables in the tables section and
+     * layer attribute tables take part in the linked selection of the split and showcase layouts.
+     * @param {HTMLElement} container - Target element
+     * @param {*} data - Item data
+     * @param {string|null} uniqueId - Source item, used when cells are opened in the Data Explorer
+     * @param {Object} options - { layer }: ID of the map layer whose attribute table this is
+     */
+    async createDataTable(container, data, uniqueId, options = {}) {
+        if (!data) {
+            container.innerHTML = '<div style="text-align: center; color: #6c757d; padding: 20px;">No data available</div>';
+            return;
+        }
+
+        if (Array.isArray(data) && data.length === 0) {
+            container.innerHTML = '<div style="text-align: center; color: #6c757d; padding: 20px;">Empty array</div>';
+            return;
         }
+
+        // Handle primitives
+        if (typeof data !== 'object') {
+            container.innerHTML = `<div style="padding: 20px; text-align: center;">
+                <strong>Value:</strong> ${JSON.stringify(data)}
+            </div>`;
+            return;
+        }
+
+        await this.initializeDataGrid();
+        if (!this.DataGrid) {
+            container.innerHTML = '<div style="text-align: center; color: #6c757d; padding: 20px;">Table view is unavailable</div>';
+            return;
+        }
+
+        const linked = (options.layer || container.classList.contains('table-container')) && await this.getSelectionBus();
+        const grid = new this.DataGrid(container, data, {
+            onExpand: (value, title) => this.showJsonExpander(value, title, uniqueId),
+            onSelect: linked ? rows => this.publishRows(grid, container, rows, options.layer || null) : null
+        });
+        if (linked) await this.linkTable(container, grid);
+        return grid;
+    }
+
+    /**
+     * Highlight the rows of a table that fall in the time range brushed on a chart
+     */
+    async linkTable(container, grid) {
+        await this.initializeChartRenderer();
+        const renderer = this.chartRenderer;
+        const dateColumn = renderer ? grid.columns.find((column, index) => {
+            const row = grid.rows.find(entry => entry[index] !== null && entry[index] !== undefined);
+            return row ? renderer.isDateLike(row[index]) : false;
+        }) : null;
+        
+        if (dateColumn) {
+            this.linkView(container, 'range', range => {
+                grid.highlight(range ? row => {
+                    const value = row[dateColumn.key];
+                    if (!renderer.isDateLike(value)) return false;
+                    const time = renderer.parseDate(value);
+                    return time >= range.start && time <= range.end;
+                } : null);
+            }, grid);
+        }
+        if (this.selectionBus.get('station')) this.refilterStation();
+    }
+
+    /**
+     * Publish the rows picked in a table, with the stations of the table
+     */
+    async publishRows(grid, container, rows, layerId) {
+        const sites = layerId ? [] : await this.containerSites(container);
+        this.selectionBus.publish('rows', rows.length > 0 ? { rows, sites, layer: layerId } : null, grid);
     }
 
     showError(message, options = {}) {
@@ -2315,53 +4197,83 @@ class ExportedApp {
         window.addEventListener('online', () => this.updateOnlineStatus(true));
         window.addEventListener('offline', () => this.updateOnlineStatus(false));
         this.updateOnlineStatus(navigator.onLine);
+        this.watchOfflineAvailability();
+        this.watchForUpdates();
 
         // Add dataset selection handling for reports
         const datasetSelect = document.getElementById('dataset-select');
         if (datasetSelect) {
             datasetSelect.addEventListener('change', async () => {
                 const selectedId = datasetSelect.value;
-                if (!selectedId || !this.currentWorkflow) return;
+                if (!selectedId) return;
+                await this.selectItem(selectedId);
+            });
+        }
+        
+        // Workflow-wide tools
+        const toolSelect = document.getElementById('workflow-tool-select');
+        if (toolSelect) {
+            toolSelect.addEventListener('change', async () => {
+                const tool = toolSelect.value;
+                toolSelect.value = '';
+                if (tool === 'water-balance') {
+                    await this.openWaterBalance();
+                }
+            });
+        }
+        
+        // Per-item and whole-workflow downloads
+        const downloadSelect = document.getElementById('item-download-select');
+        if (downloadSelect) {
+            downloadSelect.addEventListener('change', async () => {
+                const format = downloadSelect.value;
+                downloadSelect.value = '';
+                if (!format) return;
                 
-                    // Find item in array by uniqueId
-                    const items = Array.isArray(this.currentWorkflow.items) ? this.currentWorkflow.items : [];
-                    const item = items.find(i => i.uniqueId === selectedId);
-                if (!item) {
-                    console.warn(`Item not found: ${selectedId}`);
+                if (format === 'bundle') {
+                    await this.exportWorkflowBundle(this.currentWorkflowId);
                     return;
                 }
                 
-                // CRITICAL: Check if this is a visualization item or data item
-                // Check multiple sources for itemName to handle different data structures
-                const itemName = item.itemName || item.settings?.itemName || item.name || '';
-                const itemType = item.type || item.settings?.type || '';
-                const isVisualization = ['renderMap', 'Layers', 'draw', 'addCustomLegend'].includes(itemName) ||
-                                      itemType === 'visualization' ||
-                                      itemName?.toLowerCase().includes('map') ||
-                                      itemName?.toLowerCase().includes('chart') ||
-                                      itemName?.toLowerCase().includes('table') ||
-                                      itemName?.toLowerCase() === 'layers';
-                
-                console.log(`Item selected: ${selectedId}`, {
-                    itemName,
-                    itemType,
-                    isVisualization,
-                    fullItem: item
-                });
-                
-                if (isVisualization) {
-                    // Handle visualization items - route to appropriate tab and render
-                    console.log(`Routing visualization item to handleItem(): ${itemName}`);
-                    await this.handleItem(item);
-                } else {
-                    // Handle data items - generate quick report
-                    console.log(`Generating report for data item: ${selectedId}`);
-                        await this.generateQuickReport({ uniqueId: selectedId, ...item });
+                const selectedId = datasetSelect ? datasetSelect.value : '';
+                if (!selectedId) {
+                    this.showError('Select an item to download first.', { type: 'warning' });
+                    return;
                 }
+                await this.exportItem(selectedId, format);
             });
         }
     }
     
+    /**
+     * Show an item from the current workflow - shared by the dataset dropdown and the workflow graph
+     * @param {string} selectedId - uniqueId of the item
+     */
+    async selectItem(selectedId) {
+        if (!selectedId || !this.currentWorkflow) return;
+        
+        // Find item in array by uniqueId
+        const items = Array.isArray(this.currentWorkflow.items) ? this.currentWorkflow.items : [];
+        const item = items.find(i => i.uniqueId === selectedId);
+        if (!item) {
+            console.warn(`Item not found: ${selectedId}`);
+            return;
+        }
+        
+        // Keep the dropdown and graph selection in sync
+        const datasetSelect = document.getElementById('dataset-select');
+        if (datasetSelect && datasetSelect.value !== selectedId) {
+            datasetSelect.value = selectedId;
+        }
+        if (this.workflowGraph) {
+            this.workflowGraph.setSelected(selectedId);
+        }
+        
+        // The item handler registry decides between visualizations and data reports
+        console.log(`Item selected: ${selectedId}`, { fullItem: item });
+        await this.handleItem(item);
+    }
+    
     /**
      * Update online/offline status display
      * @param {boolean} isOnline - Whether the app is online
@@ -2369,7 +4281,7 @@ class ExportedApp {
     updateOnlineStatus(isOnline) {
         const statusIndicator = document.getElementById('online-status');
         if (!statusIndicator) {
-            const header = document.querySelector('.controls-section');
+            const header = this.getStatusContainer();
             if (header) {
                 const indicator = document.createElement('div');
                 indicator.id = 'online-status';
@@ -2379,20 +4291,91 @@ class ExportedApp {
                 indicator.style.fontSize = '0.8rem';
                 header.appendChild(indicator);
             }
-        }
+        }
+        
+        const indicator = document.getElementById('online-status');
+        if (indicator) {
+            if (isOnline) {
+                indicator.textContent = 'Online';
+                indicator.style.backgroundColor = '#d4edda';
+                indicator.style.color = '#155724';
+            } else {
+                indicator.textContent = 'Offline';
+                indicator.style.backgroundColor = '#f8d7da';
+                indicator.style.color = '#721c24';
+            }
+        }
+    }
+    
+    /**
+     * Container for the header status indicators
+     * @returns {HTMLElement|null}
+     */
+    getStatusContainer() {
+        return document.querySelector('.controls-section') || document.querySelector('.workflow-controls');
+    }
+    
+    /**
+     * Track which item files the service worker has cached for offline use
+     * The worker reports each precached file during install; on later visits it answers a status request.
+     */
+    watchOfflineAvailability() {
+        if (!('serviceWorker' in navigator)) return;
+        
+        this.offlineItems = new Map();
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            const message = event.data || {};
+            if (message.type === 'PRECACHE_RESULT') {
+                this.offlineItems.set(message.itemId, message.ok);
+                if (!message.ok) {
+                    console.warn(`Item ${message.itemId} could not be cached for offline use:`, message.error);
+                }
+                const cached = Array.from(this.offlineItems.values()).filter(Boolean).length;
+                this.updateOfflineAvailability({ cached, total: this.offlineItems.size, missing: [], inProgress: true });
+            } else if (message.type === 'PRECACHE_COMPLETE' || message.type === 'OFFLINE_STATUS') {
+                this.updateOfflineAvailability(message);
+            }
+        });
         
-        const indicator = document.getElementById('online-status');
-        if (indicator) {
-            if (isOnline) {
-                indicator.textContent = 'Online';
-                indicator.style.backgroundColor = '#d4edda';
-                indicator.style.color = '#155724';
+        navigator.serviceWorker.ready.then(registration => {
+            if (registration.active) {
+                registration.active.postMessage({ type: 'GET_OFFLINE_STATUS' });
+            }
+        }).catch(error => console.warn('Could not query offline availability:', error));
+    }
+    
+    /**
+     * Show "Available offline: N/M items" next to the online status
+     * @param {Object} status - { cached, total, missing, inProgress }
+     */
+    updateOfflineAvailability(status) {
+        let indicator = document.getElementById('offline-availability');
+        if (!indicator) {
+            const header = this.getStatusContainer();
+            if (!header) return;
+            indicator = document.createElement('div');
+            indicator.id = 'offline-availability';
+            indicator.style.padding = '4px 8px';
+            indicator.style.borderRadius = '4px';
+            indicator.style.fontSize = '0.8rem';
+            indicator.style.whiteSpace = 'nowrap';
+            const onlineStatus = document.getElementById('online-status');
+            if (onlineStatus && onlineStatus.parentNode === header) {
+                header.insertBefore(indicator, onlineStatus);
             } else {
-                indicator.textContent = 'Offline';
-                indicator.style.backgroundColor = '#f8d7da';
-                indicator.style.color = '#721c24';
+                header.appendChild(indicator);
             }
         }
+        
+        const total = status.total || 0;
+        const cached = Math.min(status.cached || 0, total);
+        const complete = total > 0 && cached === total;
+        indicator.innerHTML = `<i class="fas ${complete ? 'fa-check-circle' : 'fa-cloud-download-alt'}" style="margin-right: 4px;"></i>Available offline: ${cached}/${total} items`;
+        indicator.style.backgroundColor = complete ? '#d4edda' : '#fff3cd';
+        indicator.style.color = complete ? '#155724' : '#856404';
+        indicator.title = status.inProgress
+            ? 'Caching item files for offline use...'
+            : (status.missing && status.missing.length > 0 ? `Not cached: ${status.missing.join(', ')}` : 'All exported items are cached');
     }
     
     /**
@@ -2477,6 +4460,245 @@ class ExportedApp {
         });
     }
     
+    /**
+     * Run the export integrity check after DBManager.importData has finished
+     */
+    watchImportCompletion() {
+        if (!this.dbManager) return;
+        
+        if (this.dbManager.lastImport) {
+            this.runIntegrityCheck(this.dbManager.lastImport);
+            this.checkForExportUpdate(this.dbManager.lastImport);
+        }
+        document.addEventListener('db-import-complete', (event) => {
+            this.runIntegrityCheck(event.detail);
+            this.checkForExportUpdate(event.detail);
+            // Newly imported items may carry more sites
+            this.stationsRequest = null;
+            this.renderStationMap();
+        });
+    }
+    
+    /**
+     * Listen for a new service worker waiting to take over
+     */
+    async watchForUpdates() {
+        await this.initializeUpdateManager();
+        if (!this.updateManager) return;
+        
+        try {
+            await this.updateManager.watchServiceWorker();
+        } catch (error) {
+            console.warn('Could not watch for service worker updates:', error);
+        }
+    }
+    
+    /**
+     * Compare the export just imported with the published app-info.json
+     * @param {Object} importResult - DBManager.lastImport
+     */
+    async checkForExportUpdate(importResult) {
+        if (!importResult || !importResult.success || !this.dbManager) return;
+        
+        await this.initializeUpdateManager();
+        if (!this.updateManager) return;
+        
+        try {
+            const storedExport = await this.dbManager.getExportVersion();
+            if (!storedExport) return;
+            
+            await this.updateManager.checkExport({
+                version: storedExport.version,
+                exportDate: storedExport.exportDate,
+                itemIndex: storedExport.itemIndex || importResult.itemIndex || [],
+                workflows: importResult.workflows || this.workflows || {}
+            });
+        } catch (error) {
+            console.warn('Export update check failed:', error);
+        }
+    }
+    
+    /**
+     * Non-blocking banner describing an available update
+     * @param {Object} summary - Change summary from UpdateManager
+     */
+    showUpdateBanner(summary) {
+        let banner = document.getElementById('update-banner');
+        if (!banner) {
+            banner = document.createElement('div');
+            banner.id = 'update-banner';
+            banner.setAttribute('role', 'status');
+            banner.style.cssText = `
+                position: fixed;
+                bottom: 16px;
+                left: 50%;
+                transform: translateX(-50%);
+                z-index: 1050;
+                max-width: 560px;
+                width: calc(100% - 32px);
+                background: #fff;
+                border: 1px solid #b6d4fe;
+                border-left: 4px solid #0d6efd;
+                border-radius: 6px;
+                box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+                padding: 12px 16px;
+                font-size: 0.85rem;
+            `;
+            document.body.appendChild(banner);
+        }
+        
+        // Workflow and item ids come from the new export and are set as text
+        const list = (label, ids) => ids && ids.length > 0
+            ? `${label}: ${ids.slice(0, 5).join(', ')}${ids.length > 5 ? ` and ${ids.length - 5} more` : ''}`
+            : '';
+        const changes = [
+            list('Workflows added', summary.workflowsAdded),
+            list('Workflows removed', summary.workflowsRemoved),
+            list('Items added', summary.itemsAdded),
+            list('Items removed', summary.itemsRemoved),
+            list('Items updated', summary.itemsChanged)
+        ].filter(Boolean);
+        
+        const heading = summary.export
+            ? `A new export is available (v${summary.to.version || '?'}, exported ${summary.to.exportDate ? new Date(summary.to.exportDate).toLocaleString() : 'unknown'})`
+            : 'An updated version of this app is available';
+        
+        banner.innerHTML = `
+            <div style="display: flex; align-items: flex-start; gap: 12px;">
+                <i class="fas fa-sync-alt" style="color: #0d6efd; margin-top: 3px;"></i>
+                <div style="flex: 1;">
+                    <strong class="update-heading"></strong>
+                    ${changes.length > 0 ? '<ul class="update-changes" style="margin: 6px 0 0 0; padding-left: 18px; color: #495057;"></ul>' : ''}
+                </div>
+            </div>
+            <div style="display: flex; justify-content: flex-end; gap: 8px; margin-top: 10px;">
+                <button type="button" class="btn btn-sm btn-outline-secondary" data-action="dismiss">Later</button>
+                <button type="button" class="btn btn-sm btn-primary" data-action="apply">Update now</button>
+            </div>
+        `;
+        banner.querySelector('.update-heading').textContent = heading;
+        const changeList = banner.querySelector('.update-changes');
+        changes.forEach(change => {
+            const entry = document.createElement('li');
+            entry.textContent = change;
+            changeList.appendChild(entry);
+        });
+        banner.style.display = 'block';
+        
+        banner.querySelector('[data-action="dismiss"]').addEventListener('click', () => {
+            banner.style.display = 'none';
+        });
+        banner.querySelector('[data-action="apply"]').addEventListener('click', async (event) => {
+            event.target.disabled = true;
+            event.target.textContent = 'Updating...';
+            await this.updateManager.apply();
+        });
+    }
+    
+    /**
+     * Cross-reference workflows, item index and stored items, then show the result in the Data Summary panel
+     * @param {Object} importResult - DBManager.lastImport
+     */
+    async runIntegrityCheck(importResult) {
+        if (!importResult) return;
+        
+        try {
+            const { ExportIntegrityChecker } = await import('./export-integrity.js');
+            const workflows = importResult.workflows && Object.keys(importResult.workflows).length > 0
+                ? importResult.workflows
+                : (this.workflows || {});
+            
+            this.integrityReport = new ExportIntegrityChecker().check({
+                workflows,
+                itemIndex: importResult.itemIndex,
+                storedIds: importResult.success ? importResult.storedIds : null,
+                failedItems: importResult.failedItems
+            });
+            
+            if (this.integrityReport.summary.ok) {
+                console.log('✓ Export integrity check passed');
+            } else {
+                console.warn(`Export integrity check found ${this.integrityReport.summary.issueCount} issue(s):`, this.integrityReport);
+            }
+            this.renderIntegrityReport(this.integrityReport);
+        } catch (error) {
+            console.warn('Export integrity check failed to run:', error);
+        }
+    }
+    
+    /**
+     * Render the integrity report in the Data Summary panel
+     * @param {Object} report - Report from ExportIntegrityChecker
+     */
+    renderIntegrityReport(report) {
+        const panelContent = document.querySelector('.data-panel .panel-content');
+        if (!panelContent) return;
+        
+        let reportEl = document.getElementById('integrity-report');
+        if (!reportEl) {
+            reportEl = document.createElement('div');
+            reportEl.id = 'integrity-report';
+            reportEl.style.cssText = 'padding: 0 8px 8px 8px; font-size: 0.75rem;';
+            panelContent.appendChild(reportEl);
+        }
+        
+        // Entries are [id, detail]; both come from the export and are set as text
+        const sections = [
+            {
+                title: 'Missing inputs',
+                entries: report.missingInputs.map(issue => [issue.inputId, ` (input of ${issue.itemId})`])
+            },
+            {
+                title: 'Unavailable item files',
+                entries: report.missingItemFiles.map(issue => [issue.itemId, ` - ${issue.reason}`])
+            },
+            {
+                title: 'Orphaned item files',
+                entries: report.orphanedItemFiles.map(issue => [issue.itemId, ' (not used by any workflow)'])
+            },
+            {
+                title: 'Duplicate IDs',
+                entries: report.duplicateIds.map(issue => [issue.id, ` - ${issue.count}x in ${issue.source}`])
+            },
+            {
+                title: 'Mismatched workflowId',
+                entries: report.workflowIdMismatches.map(issue => [issue.itemId, ` - index says ${issue.indexWorkflowId}, found in ${issue.workflowIds.join(', ')}`])
+            }
+        ].filter(section => section.entries.length > 0);
+        
+        const badgeStyle = report.summary.ok
+            ? 'background: #d4edda; color: #155724;'
+            : 'background: #fff3cd; color: #856404;';
+        const badgeText = report.summary.ok
+            ? 'No issues'
+            : `${report.summary.issueCount} issue${report.summary.issueCount !== 1 ? 's' : ''}`;
+        
+        reportEl.innerHTML = `
+            <div class="stat-item">
+                <label>Integrity</label>
+                <span class="integrity-badge" style="padding: 2px 6px; border-radius: 4px; ${badgeStyle}">${badgeText}</span>
+            </div>
+        `;
+        sections.forEach(section => {
+            const details = document.createElement('details');
+            details.style.marginTop = '4px';
+            const summary = document.createElement('summary');
+            summary.style.cssText = 'cursor: pointer; color: #495057;';
+            summary.textContent = `${section.title} (${section.entries.length})`;
+            const list = document.createElement('ul');
+            list.style.cssText = 'margin: 4px 0 0 0; padding-left: 1.2rem; color: #6c757d;';
+            section.entries.forEach(([id, detail]) => {
+                const entry = document.createElement('li');
+                const code = document.createElement('code');
+                code.textContent = String(id);
+                entry.append(code, detail);
+                list.appendChild(entry);
+            });
+            details.append(summary, list);
+            reportEl.appendChild(details);
+        });
+    }
+    
     /**
      * Show workflows modal with connected workflows
      */
@@ -2560,6 +4782,351 @@ class ExportedApp {
         }
     }
     
+    /**
+     * Load the WaterML parser used for retrieved time series items
+     */
+    async initializeWaterMLParser() {
+        if (this.watermlParser) return;
+        
+        try {
+            const { WaterMLParser } = await import('./waterml-parser.js');
+            this.watermlParser = new WaterMLParser();
+            console.log('✓ WaterMLParser initialized');
+        } catch (error) {
+            console.warn('Failed to load WaterMLParser, retrieved items will be shown as raw JSON:', error);
+        }
+    }
+    
+    /**
+     * Load the built-in chart renderer used when HydroLang visualize.draw is unavailable
+     */
+    async initializeChartRenderer() {
+        if (this.chartRenderer) return;
+        
+        try {
+            const { ChartRenderer } = await import('./chart-renderer.js');
+            this.chartRenderer = new ChartRenderer();
+            console.log('✓ ChartRenderer initialized');
+        } catch (error) {
+            console.warn('Failed to load ChartRenderer, charts need HydroLang:', error);
+        }
+    }
+    
+    /**
+     * Load the zoom/brush/crosshair layer for time-series charts
+     */
+    async initializeChartInteractions() {
+        if (this.InteractiveChart) return;
+        
+        try {
+            const { InteractiveChart } = await import('./chart-interactions.js');
+            this.InteractiveChart = InteractiveChart;
+            console.log('✓ InteractiveChart initialized');
+        } catch (error) {
+            console.warn('Failed to load chart interactions, charts will be static:', error);
+        }
+    }
+    
+    /**
+     * Load the layer panel for map layers added from the workflow
+     */
+    async initializeLayerManager() {
+        if (this.LayerManager) return;
+        
+        try {
+            const { LayerManager } = await import('./layer-manager.js');
+            this.LayerManager = LayerManager;
+            console.log('✓ LayerManager initialized');
+        } catch (error) {
+            console.warn('Failed to load layer manager:', error);
+        }
+    }
+    
+    /**
+     * Load the classifier for thematic map layer styles
+     */
+    async initializeMapStyle() {
+        if (this.mapStyle) return;
+        
+        try {
+            const { MapStyle } = await import('./map-style.js');
+            this.mapStyle = new MapStyle();
+            console.log('✓ MapStyle initialized');
+        } catch (error) {
+            console.warn('Failed to load map styles, layers cannot be styled by attribute:', error);
+        }
+    }
+    
+    /**
+     * Load the selection bus and follow its station and row selections on the map
+     */
+    async initializeSelectionBus() {
+        if (this.selectionBus) return;
+        
+        try {
+            const { SelectionBus } = await import('./selection-bus.js');
+            if (this.selectionBus) return;
+            this.selectionBus = new SelectionBus();
+            this.selectionBus.subscribe('station', station => this.filterToStation(station));
+            this.selectionBus.subscribe('rows', selection => this.highlightSelectedRows(selection));
+            console.log('✓ SelectionBus initialized');
+        } catch (error) {
+            console.warn('Failed to load selection bus, maps, charts and tables will not be linked:', error);
+        }
+    }
+    
+    /**
+     * Load the built-in SVG map used when the HydroLang map cannot be shown
+     */
+    async initializeMapView() {
+        if (this.MapView) return;
+        
+        try {
+            const { MapView } = await import('./map-view.js');
+            this.MapView = MapView;
+            console.log('✓ MapView initialized');
+        } catch (error) {
+            console.warn('Failed to load built-in map:', error);
+        }
+    }
+    
+    /**
+     * Load the LTTB / min-max downsampler for large chart series
+     */
+    async initializeDownsampler() {
+        if (this.downsampler) return;
+        
+        try {
+            const { Downsampler } = await import('./downsampler.js');
+            this.downsampler = new Downsampler();
+            console.log('✓ Downsampler initialized');
+        } catch (error) {
+            console.warn('Failed to load Downsampler, large series are drawn as stored:', error);
+        }
+    }
+    
+    /**
+     * Load the hydrology analytics panel shown from item reports
+     */
+    async initializeAnalytics() {
+        if (this.analyticsPanel) return;
+        
+        await this.initializeChartRenderer();
+        await this.initializeDownsampler();
+        if (!this.chartRenderer) return;
+        
+        try {
+            const [{ HydroAnalytics }, { AnalyticsPanel }] = await Promise.all([
+                import('./hydro-analytics.js'),
+                import('./analytics-panel.js')
+            ]);
+            this.analyticsPanel = new AnalyticsPanel({
+                analytics: new HydroAnalytics(),
+                renderer: this.chartRenderer,
+                downsample: this.downsampler ? (points, target) => this.downsampler.downsample(points, target) : undefined
+            });
+            console.log('✓ AnalyticsPanel initialized');
+        } catch (error) {
+            console.warn('Failed to load analytics panel:', error);
+        }
+    }
+    
+    /**
+     * Load the water balance calculation and its workspace
+     */
+    async initializeWaterBalance() {
+        if (this.waterBalancePanel) return;
+        
+        await this.initializeAnalytics();
+        if (!this.analyticsPanel) return;
+        
+        try {
+            const [{ WaterBalance }, { WaterBalancePanel }] = await Promise.all([
+                import('./water-balance.js'),
+                import('./water-balance-panel.js')
+            ]);
+            this.waterBalancePanel = new WaterBalancePanel({
+                waterBalance: new WaterBalance(),
+                panel: this.analyticsPanel
+            });
+            console.log('✓ WaterBalancePanel initialized');
+        } catch (error) {
+            console.warn('Failed to load water balance workspace:', error);
+        }
+    }
+    
+    /**
+     * Load the virtualized grid used for item data tables
+     */
+    async initializeDataGrid() {
+        if (this.DataGrid) return;
+        
+        try {
+            const { DataGrid } = await import('./data-grid.js');
+            this.DataGrid = DataGrid;
+            console.log('✓ DataGrid initialized');
+        } catch (error) {
+            console.warn('Failed to load DataGrid, tables will not be available:', error);
+        }
+    }
+    
+    /**
+     * Load the exporter used for item and workflow downloads
+     */
+    async initializeDataExporter() {
+        if (this.dataExporter) return;
+        
+        try {
+            const { DataExporter } = await import('./data-exporter.js');
+            this.dataExporter = new DataExporter();
+            console.log('✓ DataExporter initialized');
+        } catch (error) {
+            console.warn('Failed to load DataExporter, downloads will not be available:', error);
+        }
+    }
+    
+    /**
+     * Load the update manager that detects republished exports
+     */
+    async initializeUpdateManager() {
+        if (this.updateManager) return;
+        
+        // Called from both startup and import completion; share one load so there is a single instance
+        if (!this.updateManagerLoading) {
+            this.updateManagerLoading = import('./update-manager.js').then(({ UpdateManager }) => {
+                this.updateManager = new UpdateManager({
+                    onUpdate: (summary) => this.showUpdateBanner(summary)
+                });
+                console.log('✓ UpdateManager initialized');
+            }).catch(error => {
+                console.warn('Failed to load UpdateManager, update notifications will not be shown:', error);
+            });
+        }
+        await this.updateManagerLoading;
+    }
+    
+    /**
+     * Load the Code Block viewer used for Code Block reports
+     */
+    async initializeCodeBlockViewer() {
+        if (this.codeBlockViewer) return;
+        
+        try {
+            const { CodeBlockViewer } = await import('./code-block-viewer.js');
+            this.codeBlockViewer = new CodeBlockViewer({
+                onExpand: (value, title) => this.showJsonExpander(value, title),
+                onSelectInput: (uniqueId) => {
+                    const items = Array.isArray(this.currentWorkflow?.items) ? this.currentWorkflow.items : [];
+                    if (!items.some(i => i.uniqueId === uniqueId)) {
+                        this.showError(`"${uniqueId}" is an input of this workflow but was not included in the export.`, { type: 'warning' });
+                        return;
+                    }
+                    this.selectItem(uniqueId);
+                }
+            });
+            console.log('✓ CodeBlockViewer initialized');
+        } catch (error) {
+            console.warn('Failed to load CodeBlockViewer, Code Blocks will be shown as data tables:', error);
+        }
+    }
+    
+    /**
+     * Load the runner used to re-run JavaScript Code Blocks in a worker
+     */
+    async initializeCodeRunner() {
+        if (this.codeRunner) return;
+        
+        if (typeof Worker === 'undefined') {
+            console.warn('Web Workers are not supported, Code Blocks cannot be re-run');
+            return;
+        }
+        try {
+            const { CodeRunner } = await import('./code-runner.js');
+            this.codeRunner = new CodeRunner();
+            console.log('✓ CodeRunner initialized');
+        } catch (error) {
+            console.warn('Failed to load CodeRunner, Code Blocks cannot be re-run:', error);
+        }
+    }
+    
+    /**
+     * Load the what-if engine; Code Blocks downstream of an edit are re-run with the Code Block runner
+     */
+    async initializeWhatIf() {
+        if (this.whatIf) return;
+        
+        try {
+            const { WhatIfEngine } = await import('./what-if.js');
+            this.whatIf = new WhatIfEngine({
+                loadData: (uniqueId) => this.loadItemDataFromIndexedDB(uniqueId),
+                runExternal: async (item, inputs) => {
+                    const isCodeBlock = (item.itemName || item.settings?.itemName) === 'Code Block' || item.settings?.codeBlockType === 'code';
+                    if (!isCodeBlock) return null;
+                    
+                    await this.initializeCodeRunner();
+                    await this.initializeCodeBlockViewer();
+                    const language = this.codeBlockViewer ? this.codeBlockViewer.normalizeLanguage(item.settings?.language) : 'javascript';
+                    if (!this.codeRunner || !(await this.codeRunner.isAvailable(language))) return null;
+                    return this.codeRunner.run({ language, code: item.settings?.code || '', data: inputs, params: item.parameters || {}, args: item.arguments || {} });
+                }
+            });
+            console.log('✓ WhatIfEngine initialized');
+        } catch (error) {
+            console.warn('Failed to load WhatIfEngine, what-if recomputation will not be available:', error);
+        }
+    }
+    
+    /**
+     * Load the item handler registry and register handlers queued on window.HydroBloxItemHandlers
+     */
+    async initializeItemHandlers() {
+        if (this.itemHandlers) return;
+        
+        if (!this.itemHandlersLoading) {
+            this.itemHandlersLoading = import('./item-handlers.js').then(({ ItemHandlerRegistry }) => {
+                const registry = new ItemHandlerRegistry();
+                const queued = Array.isArray(window.HydroBloxItemHandlers) ? window.HydroBloxItemHandlers : [];
+                queued.forEach(handler => {
+                    try {
+                        registry.register(handler);
+                    } catch (error) {
+                        console.warn('Skipping invalid item handler:', error);
+                    }
+                });
+                // Handlers pushed after startup are registered right away
+                window.HydroBloxItemHandlers = { push: (...handlers) => handlers.forEach(handler => registry.register(handler)) };
+                this.itemHandlers = registry;
+                console.log('✓ ItemHandlerRegistry initialized');
+            }).catch(error => {
+                console.warn('Failed to load item handlers, items will be shown as data reports:', error);
+            });
+        }
+        await this.itemHandlersLoading;
+    }
+    
+    /**
+     * Load the workflow graph view; clicking a node goes through the same path as the dataset select
+     */
+    async initializeWorkflowGraph() {
+        if (this.workflowGraph) return;
+        
+        try {
+            const { WorkflowGraph } = await import('./workflow-graph.js');
+            this.workflowGraph = new WorkflowGraph({
+                onNodeClick: (uniqueId, item) => {
+                    if (!item) {
+                        this.showError(`"${uniqueId}" is an input of this workflow but was not included in the export.`, { type: 'warning' });
+                        return;
+                    }
+                    this.selectItem(uniqueId);
+                }
+            });
+            console.log('✓ WorkflowGraph initialized');
+        } catch (error) {
+            console.warn('Failed to load WorkflowGraph, graph view will not be available:', error);
+        }
+    }
+    
     /**
      * Use MetadataExplorer to open JSON data (like main app)
      */
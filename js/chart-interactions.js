@@ -0,0 +1,574 @@
+/**
+ * HydroBlox Time-Series Chart Interactions for PWA Export
+ *
+ * Interactive version of the built-in SVG chart used in the charts section:
+ * - Mouse wheel zooms around the cursor, dragging across the plot zooms to the selection
+ * - An overview strip below the chart holds a brush to move or resize the visible range
+ * - A crosshair follows the cursor on every panel; the tooltip lists each series' value at that point
+ * - A date range picker (sample numbers for series without dates) sets the range exactly
+ * - Double-click or Reset shows the full series again
+ * - Highlighted samples (e.g. rows picked in a linked table) are ringed on every panel
+ * - Every view is resolved again from the full stored data, so zooming in shows the samples
+ *   that maxPoints downsampling leaves out of the static chart
+ * - The downsample option may return a Promise (e.g. worker-based downsampling); views that were
+ *   replaced while it ran are dropped
+ */
+import { escapeHtml } from './html-escape.js';
+
+const WHEEL_ZOOM = 1.25;
+const MIN_VISIBLE_SAMPLES = 5;
+const DRAG_THRESHOLD = 4;
+const DAY = 24 * 3600 * 1000;
+// Most highlight markers drawn per panel
+const MAX_HIGHLIGHTS = 500;
+
+export class InteractiveChart {
+    /**
+     * @param {ChartRenderer} renderer - Built-in renderer used to draw each view
+     * @param {Object} options
+     * @param {Function} options.downsample - (points, target, { range }) => points or Promise; reduces a visible slice to about target points
+     * @param {Function} options.onRangeChange - Called with [start, end] after every zoom or pan
+     * @param {Array<number>} options.range - Initial [start, end], e.g. the range shown before a redraw
+     */
+    constructor(renderer, options = {}) {
+        this.renderer = renderer;
+        this.downsample = options.downsample || ((points, target) => this.stride(points, target));
+        this.onRangeChange = options.onRangeChange || null;
+        this.initialRange = options.range || null;
+
+        this.series = [];
+        this.panels = [];
+        this.plots = [];
+        this.domain = null;
+        this.fullDomain = null;
+        this.drag = null;
+        this.frame = null;
+        this.drawToken = 0;
+        this.highlights = [];
+    }
+
+    /**
+     * Render an interactive chart into a container
+     * @param {HTMLElement} container - Target element
+     * @param {Object} drawParams - { params, args, data } as passed to visualize.draw
+     * @returns {boolean} - false when the data holds no series with at least two samples
+     */
+    render(container, { params = {}, args = {}, data = [] } = {}) {
+        const names = this.renderer.parseNames(params.names ?? args.names);
+        const series = this.renderer.normalizeSeries(data, names);
+        if (series.length === 0) return false;
+
+        this.isDate = series.every(s => s.x && s.x.length > 0 && this.renderer.isDateLike(s.x[0]));
+        this.series = series.map((s, index) => {
+            const points = this.renderer.toPoints(s).filter(point => Number.isFinite(point.x));
+            // Lookups below use binary search on x
+            const sorted = points.every((point, i) => i === 0 || points[i - 1].x <= point.x);
+            return { name: s.name, color: this.renderer.color(index), points: sorted ? points : points.sort((a, b) => a.x - b.x) };
+        }).filter(s => s.points.length > 1);
+        if (this.series.length === 0) return false;
+
+        this.fullDomain = [
+            Math.min(...this.series.map(s => s.points[0].x)),
+            Math.max(...this.series.map(s => s.points[s.points.length - 1].x))
+        ];
+        if (this.fullDomain[0] === this.fullDomain[1]) return false;
+        this.minSpan = this.minimumSpan();
+
+        this.chartType = String(params.chartType || args.chartType || 'line').toLowerCase();
+        const partition = (params.partition === true || params.partition === 'true') && this.series.length > 1;
+        this.panels = partition
+            ? this.series.map((s, index) => ({ series: [s], colorOffset: index, height: 220 }))
+            : [{ series: this.series, colorOffset: 0, height: 360 }];
+
+        container.innerHTML = '';
+        this.container = container;
+        this.root = document.createElement('div');
+        this.root.className = 'ts-chart';
+
+        const title = params.name || args.title || '';
+        if (title) {
+            const heading = document.createElement('div');
+            heading.className = 'builtin-chart-title';
+            heading.style.cssText = 'font-weight: 600; font-size: 0.95rem; color: #212529; padding: 8px 4px 4px 4px;';
+            heading.textContent = title;
+            this.root.appendChild(heading);
+        }
+
+        this.root.appendChild(this.createToolbar());
+        this.panelsEl = document.createElement('div');
+        this.panelsEl.className = 'ts-chart-panels';
+        this.root.appendChild(this.panelsEl);
+        this.overviewEl = document.createElement('div');
+        this.overviewEl.className = 'ts-chart-overview';
+        this.overviewEl.title = 'Drag to select a range, drag the highlighted range to move it';
+        this.root.appendChild(this.overviewEl);
+        this.tooltip = document.createElement('div');
+        this.tooltip.className = 'ts-chart-tooltip';
+        this.tooltip.style.display = 'none';
+        this.root.appendChild(this.tooltip);
+        container.appendChild(this.root);
+
+        this.drawOverview().catch(err => console.warn('Could not draw the chart overview:', err));
+        this.setDomain(this.initialRange || this.fullDomain);
+        return true;
+    }
+
+    /**
+     * Range picker, reset button and visible sample count
+     */
+    createToolbar() {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'ts-chart-toolbar';
+
+        const createInput = (label) => {
+            const wrapper = document.createElement('label');
+            wrapper.textContent = label;
+            const input = document.createElement('input');
+            input.type = this.isDate ? 'date' : 'number';
+            input.className = 'form-control form-control-sm';
+            if (this.isDate) {
+                input.min = this.toDateInput(this.fullDomain[0]);
+                input.max = this.toDateInput(this.fullDomain[1]);
+            } else {
+                input.min = this.fullDomain[0];
+                input.max = this.fullDomain[1];
+                input.step = 1;
+            }
+            input.addEventListener('change', () => this.applyRangeInputs());
+            wrapper.appendChild(input);
+            toolbar.appendChild(wrapper);
+            return input;
+        };
+        this.fromInput = createInput(this.isDate ? 'From' : 'From sample');
+        this.toInput = createInput(this.isDate ? 'To' : 'To sample');
+
+        const reset = document.createElement('button');
+        reset.type = 'button';
+        reset.className = 'btn btn-sm btn-outline-secondary';
+        reset.innerHTML = '<i class="fas fa-expand"></i> Reset';
+        reset.addEventListener('click', () => this.reset());
+        toolbar.appendChild(reset);
+
+        this.statusEl = document.createElement('span');
+        this.statusEl.className = 'ts-chart-status';
+        toolbar.appendChild(this.statusEl);
+
+        const hint = document.createElement('span');
+        hint.className = 'ts-chart-hint';
+        hint.textContent = 'Scroll to zoom · drag to select · double-click to reset';
+        toolbar.appendChild(hint);
+        return toolbar;
+    }
+
+    /**
+     * Show a range of x values (ms for dates, sample numbers otherwise)
+     */
+    setDomain([start, end]) {
+        const [fullStart, fullEnd] = this.fullDomain;
+        if (start > end) [start, end] = [end, start];
+        const span = Math.min(Math.max(end - start, this.minSpan), fullEnd - fullStart);
+        start = Math.max(fullStart, Math.min(start, fullEnd - span));
+        this.domain = [start, start + span];
+
+        // A view that fails to resolve or draw leaves the previous one in place
+        this.drawPanels().catch(err => console.warn('Could not draw the chart view:', err));
+        this.updateBrush();
+        this.updateToolbar();
+        if (this.onRangeChange) this.onRangeChange([...this.domain]);
+    }
+
+    reset() {
+        this.setDomain(this.fullDomain);
+    }
+
+    /**
+     * Zoom by a factor, keeping the anchor x value under the cursor
+     */
+    zoomAround(anchor, factor) {
+        const [start, end] = this.domain;
+        this.setDomain([anchor - (anchor - start) * factor, anchor + (end - anchor) * factor]);
+    }
+
+    /**
+     * Draw the main panels for the current domain from the full-resolution series
+     */
+    async drawPanels() {
+        const width = this.width();
+        const domain = this.domain;
+        const token = ++this.drawToken;
+        const resolved = await Promise.all(this.panels.map(panel => Promise.all(panel.series.map(s => this.resolve(s.points, domain, width)))));
+        if (token !== this.drawToken) return;
+
+        const plots = this.panels.map((panel, index) => {
+            const visible = panel.series.map((s, i) => ({ name: s.name, points: resolved[index][i] }));
+            const svg = this.renderer.createPlot(visible, {
+                chartType: this.chartType,
+                width,
+                height: panel.height,
+                colorOffset: panel.colorOffset,
+                xDomain: domain,
+                isDate: this.isDate
+            });
+            svg.classList.add('ts-chart-plot');
+
+            const area = svg.plotArea;
+            svg.series = panel.series;
+            this.drawHighlights(svg);
+            svg.crosshair = this.renderer.el('line', { class: 'ts-chart-crosshair', x1: 0, x2: 0, y1: area.top, y2: area.top + area.height, visibility: 'hidden' });
+            svg.appendChild(svg.crosshair);
+            this.attachPlotEvents(svg);
+            return svg;
+        });
+
+        this.hideCrosshair();
+        this.panelsEl.replaceChildren(...plots);
+        this.plots = plots;
+    }
+
+    /**
+     * Ring the samples at some x values, replacing the previous highlight
+     * @param {Array} values - Dates (ms or date strings) or sample numbers; an empty array clears the highlight
+     * @returns {number} - Number of x values that match a sample
+     */
+    highlight(values) {
+        const xs = (Array.isArray(values) ? values : [])
+            .map(value => (typeof value === 'string' && this.renderer.isDateLike(value) ? this.renderer.parseDate(value) : Number(value)))
+            .filter(value => Number.isFinite(value));
+        this.highlights = [...new Set(xs)].sort((a, b) => a - b);
+        this.plots.forEach(svg => this.drawHighlights(svg));
+        return this.highlights.filter(x => this.series.some(s => s.points[this.nearestIndex(s.points, x)]?.x === x)).length;
+    }
+
+    /**
+     * Highlight markers of a panel for the samples inside the visible range
+     */
+    drawHighlights(svg) {
+        if (svg.highlightLayer) svg.highlightLayer.remove();
+        svg.highlightLayer = null;
+        if (this.highlights.length === 0 || !svg.series) return;
+
+        const area = svg.plotArea;
+        const [start, end] = this.domain;
+        const visible = this.highlights.filter(x => x >= start && x <= end).slice(0, MAX_HIGHLIGHTS);
+        const layer = this.renderer.el('g', { class: 'ts-chart-highlights' });
+        svg.series.forEach(s => {
+            visible.forEach(x => {
+                const point = s.points[this.nearestIndex(s.points, x)];
+                if (!point || point.x !== x || point.y === null) return;
+                layer.appendChild(this.renderer.el('circle', { class: 'ts-chart-highlight', cx: area.scaleX(x), cy: area.scaleY(point.y), r: 4.5, stroke: s.color }));
+            });
+        });
+        svg.appendChild(layer);
+        svg.highlightLayer = layer;
+    }
+
+    /**
+     * Overview of the full series with a brush for the visible range
+     */
+    async drawOverview() {
+        const width = this.width();
+        const overview = await Promise.all(this.series.map(s => this.downsample(s.points, width, { range: this.fullDomain })));
+        const svg = this.renderer.createPlot(
+            this.series.map((s, index) => ({ name: s.name, points: overview[index] })),
+            {
+                chartType: this.chartType === 'scatter' ? 'scatter' : 'line',
+                width,
+                height: 90,
+                colorOffset: 0,
+                xDomain: this.fullDomain,
+                isDate: this.isDate,
+                legend: false,
+                margin: { top: 6, bottom: 22 },
+                yTickCount: 2
+            }
+        );
+        svg.classList.add('ts-chart-overview-plot');
+        const area = svg.plotArea;
+        this.brush = this.renderer.el('rect', { class: 'ts-chart-brush', x: area.left, y: area.top, width: area.width, height: area.height });
+        svg.appendChild(this.brush);
+
+        svg.addEventListener('mousedown', (event) => {
+            if (event.button !== 0) return;
+            event.preventDefault();
+            const x = this.invert(svg, this.toViewX(svg, event));
+            const [start, end] = this.domain;
+            const panning = x >= start && x <= end && (start > this.fullDomain[0] || end < this.fullDomain[1]);
+            this.startDrag({
+                onMove: (moveEvent) => {
+                    const current = this.invert(svg, this.toViewX(svg, moveEvent));
+                    if (panning) {
+                        this.scheduleDomain([start + current - x, end + current - x]);
+                    } else if (Math.abs(current - x) > 0) {
+                        this.scheduleDomain([Math.min(x, current), Math.max(x, current)]);
+                    }
+                }
+            });
+        });
+
+        this.overviewEl.innerHTML = '';
+        this.overviewEl.appendChild(svg);
+        this.overview = svg;
+        this.updateBrush();
+    }
+
+    updateBrush() {
+        if (!this.overview || !this.brush) return;
+        const area = this.overview.plotArea;
+        const x0 = area.scaleX(this.domain[0]);
+        const x1 = area.scaleX(this.domain[1]);
+        this.brush.setAttribute('x', x0);
+        this.brush.setAttribute('width', Math.max(2, x1 - x0));
+    }
+
+    updateToolbar() {
+        const [start, end] = this.domain;
+        if (this.isDate) {
+            this.fromInput.value = this.toDateInput(start);
+            this.toInput.value = this.toDateInput(end);
+        } else {
+            this.fromInput.value = Math.round(start);
+            this.toInput.value = Math.round(end);
+        }
+
+        const visible = this.series[0].points;
+        const shown = this.indexAfter(visible, end) - this.indexBefore(visible, start);
+        this.statusEl.textContent = `${shown.toLocaleString()} of ${visible.length.toLocaleString()} samples`;
+    }
+
+    /**
+     * Apply the From/To inputs; empty or invalid values keep the current bound
+     */
+    applyRangeInputs() {
+        const parse = (input, fallback, endOfDay) => {
+            if (input.value === '') return fallback;
+            const value = this.isDate ? Date.parse(input.value) + (endOfDay ? DAY - 1 : 0) : Number(input.value);
+            return Number.isFinite(value) ? value : fallback;
+        };
+        this.setDomain([parse(this.fromInput, this.domain[0], false), parse(this.toInput, this.domain[1], true)]);
+    }
+
+    /**
+     * Wheel zoom, drag-to-zoom, crosshair and double-click reset on a main panel
+     */
+    attachPlotEvents(svg) {
+        svg.addEventListener('wheel', (event) => {
+            const vx = this.toViewX(svg, event);
+            if (!this.insidePlot(svg, vx)) return;
+            event.preventDefault();
+            this.zoomAround(this.invert(svg, vx), event.deltaY > 0 ? WHEEL_ZOOM : 1 / WHEEL_ZOOM);
+        }, { passive: false });
+
+        svg.addEventListener('mousedown', (event) => {
+            const start = this.toViewX(svg, event);
+            if (event.button !== 0 || !this.insidePlot(svg, start)) return;
+            event.preventDefault();
+
+            const area = svg.plotArea;
+            const selection = this.renderer.el('rect', { class: 'ts-chart-selection', x: start, y: area.top, width: 0, height: area.height });
+            svg.appendChild(selection);
+            this.startDrag({
+                onMove: (moveEvent) => {
+                    const current = this.clampToPlot(svg, this.toViewX(svg, moveEvent));
+                    selection.setAttribute('x', Math.min(start, current));
+                    selection.setAttribute('width', Math.abs(current - start));
+                },
+                onEnd: (endEvent) => {
+                    selection.remove();
+                    const end = this.clampToPlot(svg, this.toViewX(svg, endEvent));
+                    if (Math.abs(end - start) > DRAG_THRESHOLD) {
+                        this.setDomain([this.invert(svg, start), this.invert(svg, end)]);
+                    }
+                }
+            });
+        });
+
+        svg.addEventListener('mousemove', (event) => {
+            if (this.drag) return;
+            const vx = this.toViewX(svg, event);
+            if (this.insidePlot(svg, vx)) {
+                this.showCrosshair(this.invert(svg, vx), event);
+            } else {
+                this.hideCrosshair();
+            }
+        });
+        svg.addEventListener('mouseleave', () => this.hideCrosshair());
+        svg.addEventListener('dblclick', () => this.reset());
+    }
+
+    /**
+     * Track a drag on the whole window so it continues outside the chart
+     */
+    startDrag({ onMove, onEnd }) {
+        this.hideCrosshair();
+        const move = (event) => onMove(event);
+        const up = (event) => {
+            window.removeEventListener('mousemove', move);
+            window.removeEventListener('mouseup', up);
+            this.drag = null;
+            if (onEnd) onEnd(event);
+        };
+        this.drag = { move, up };
+        window.addEventListener('mousemove', move);
+        window.addEventListener('mouseup', up);
+    }
+
+    /**
+     * Redraw at most once per animation frame while brushing
+     */
+    scheduleDomain(domain) {
+        this.pendingDomain = domain;
+        if (this.frame) return;
+        const apply = () => {
+            this.frame = null;
+            this.setDomain(this.pendingDomain);
+        };
+        this.frame = typeof requestAnimationFrame === 'function' ? requestAnimationFrame(apply) : setTimeout(apply, 16);
+    }
+
+    /**
+     * Draw the crosshair on every panel and list each series' value next to the cursor
+     */
+    showCrosshair(x, event) {
+        // Snap to the nearest visible sample of the first series
+        const reference = this.series[0].points;
+        const first = this.indexBefore(reference, this.domain[0]);
+        const last = this.indexAfter(reference, this.domain[1]) - 1;
+        if (last < first) {
+            this.hideCrosshair();
+            return;
+        }
+        const snapped = reference[Math.min(last, Math.max(first, this.nearestIndex(reference, x)))].x;
+
+        this.plots.forEach(svg => {
+            const px = svg.plotArea.scaleX(snapped);
+            svg.crosshair.setAttribute('x1', px);
+            svg.crosshair.setAttribute('x2', px);
+            svg.crosshair.setAttribute('visibility', 'visible');
+        });
+
+        const rows = this.series.map(s => {
+            const point = s.points[this.nearestIndex(s.points, snapped)];
+            const value = point && point.x === snapped && point.y !== null ? this.renderer.formatNumber(point.y) : '—';
+            return `<div class="ts-chart-tooltip-row"><span class="ts-chart-swatch" style="background: ${s.color};"></span>${escapeHtml(s.name)}<strong>${value}</strong></div>`;
+        });
+        this.tooltip.innerHTML = `<div class="ts-chart-tooltip-title">${this.formatX(snapped)}</div>${rows.join('')}`;
+        this.tooltip.style.display = 'block';
+
+        const bounds = this.root.getBoundingClientRect();
+        const left = event.clientX - bounds.left + 14;
+        const overflow = left + this.tooltip.offsetWidth > bounds.width;
+        this.tooltip.style.left = `${overflow ? Math.max(0, event.clientX - bounds.left - this.tooltip.offsetWidth - 14) : left}px`;
+        this.tooltip.style.top = `${event.clientY - bounds.top + 14}px`;
+    }
+
+    hideCrosshair() {
+        this.plots.forEach(svg => svg.crosshair && svg.crosshair.setAttribute('visibility', 'hidden'));
+        if (this.tooltip) this.tooltip.style.display = 'none';
+    }
+
+    /**
+     * Samples of one series inside a domain (plus one on each side so lines reach the edges),
+     * reduced to about one per pixel
+     * @returns {Array|Promise<Array>}
+     */
+    resolve(points, [start, end], width) {
+        const from = Math.max(0, this.indexBefore(points, start) - 1);
+        const to = Math.min(points.length, this.indexAfter(points, end) + 1);
+        const visible = points.slice(from, to);
+        return visible.length > width ? this.downsample(visible, width, { range: [start, end] }) : visible;
+    }
+
+    /**
+     * Default downsampling: evenly spaced samples, keeping the first and last
+     */
+    stride(points, target) {
+        if (points.length <= target) return points;
+        const step = (points.length - 1) / (target - 1);
+        return Array.from({ length: target }, (_, i) => points[Math.round(i * step)]);
+    }
+
+    /**
+     * Index of the first point with x >= value
+     */
+    indexBefore(points, value) {
+        let low = 0;
+        let high = points.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (points[mid].x < value) low = mid + 1;
+            else high = mid;
+        }
+        return low;
+    }
+
+    /**
+     * Index after the last point with x <= value
+     */
+    indexAfter(points, value) {
+        let low = 0;
+        let high = points.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (points[mid].x <= value) low = mid + 1;
+            else high = mid;
+        }
+        return low;
+    }
+
+    nearestIndex(points, value) {
+        const index = this.indexBefore(points, value);
+        if (index === 0) return 0;
+        if (index === points.length) return points.length - 1;
+        return value - points[index - 1].x <= points[index].x - value ? index - 1 : index;
+    }
+
+    /**
+     * Smallest span the chart zooms to: a few samples of the densest series
+     */
+    minimumSpan() {
+        const spans = this.series.map(s => {
+            const step = (s.points[s.points.length - 1].x - s.points[0].x) / (s.points.length - 1);
+            return step * (MIN_VISIBLE_SAMPLES - 1);
+        }).filter(span => span > 0);
+        return spans.length > 0 ? Math.min(...spans) : (this.fullDomain[1] - this.fullDomain[0]) / 100;
+    }
+
+    width() {
+        return Math.max(this.container.clientWidth || 0, 320) || 800;
+    }
+
+    /**
+     * Mouse position in the SVG's viewBox units
+     */
+    toViewX(svg, event) {
+        const bounds = svg.getBoundingClientRect();
+        const viewWidth = svg.viewBox && svg.viewBox.baseVal ? svg.viewBox.baseVal.width : bounds.width;
+        const scale = bounds.width > 0 && viewWidth > 0 ? viewWidth / bounds.width : 1;
+        return (event.clientX - bounds.left) * scale;
+    }
+
+    invert(svg, viewX) {
+        const area = svg.plotArea;
+        return area.xMin + ((viewX - area.left) / area.width) * (area.xMax - area.xMin);
+    }
+
+    insidePlot(svg, viewX) {
+        const area = svg.plotArea;
+        return viewX >= area.left && viewX <= area.left + area.width;
+    }
+
+    clampToPlot(svg, viewX) {
+        const area = svg.plotArea;
+        return Math.max(area.left, Math.min(area.left + area.width, viewX));
+    }
+
+    formatX(x) {
+        if (!this.isDate) return `Sample ${Math.round(x)}`;
+        const iso = new Date(x).toISOString();
+        return iso.endsWith('T00:00:00.000Z') ? iso.substring(0, 10) : iso.substring(0, 16).replace('T', ' ');
+    }
+
+    toDateInput(ms) {
+        return new Date(ms).toISOString().substring(0, 10);
+    }
+}
@@ -0,0 +1,365 @@
+/**
+ * HydroBlox Built-in Chart Renderer for PWA Export
+ *
+ * Self-contained SVG renderer used when HydroLang `visualize.draw` is unavailable
+ * (offline, or the HydroLang bundle failed to load). It accepts the same
+ * { params, args, data } shape as `visualize.draw` and honours the `draw` item
+ * parameters: type/chartType, partition, maxPoints, name and names.
+ */
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const PALETTE = ['#0d6efd', '#dc3545', '#198754', '#fd7e14', '#6f42c1', '#20c997', '#d63384', '#6c757d'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+const MARGIN = { top: 28, right: 16, bottom: 36, left: 56 };
+
+export class ChartRenderer {
+    /**
+     * Render a chart into a container
+     * @param {HTMLElement} container - Target element
+     * @param {Object} drawParams - { params, args, data } as passed to visualize.draw
+     * @returns {boolean} - false when the data contains nothing plottable
+     */
+    render(container, { params = {}, args = {}, data = [] } = {}) {
+        const names = this.parseNames(params.names ?? args.names);
+        const series = this.normalizeSeries(data, names);
+        if (series.length === 0) {
+            return false;
+        }
+
+        const options = {
+            chartType: String(params.chartType || args.chartType || 'line').toLowerCase(),
+            partition: params.partition === true || params.partition === 'true',
+            maxPoints: Number(params.maxPoints) > 0 ? Number(params.maxPoints) : null,
+            title: params.name || args.title || ''
+        };
+
+        const plotted = series.map(s => options.maxPoints ? this.decimate(s, options.maxPoints) : s);
+
+        container.innerHTML = '';
+        const width = Math.max(container.clientWidth || 0, 320) || 800;
+
+        if (options.title) {
+            const heading = document.createElement('div');
+            heading.className = 'builtin-chart-title';
+            heading.style.cssText = 'font-weight: 600; font-size: 0.95rem; color: #212529; padding: 8px 4px 4px 4px;';
+            heading.textContent = options.title;
+            container.appendChild(heading);
+        }
+
+        if (options.partition && plotted.length > 1) {
+            plotted.forEach((s, index) => {
+                container.appendChild(this.createPlot([s], { ...options, width, height: 220, colorOffset: index }));
+            });
+        } else {
+            container.appendChild(this.createPlot(plotted, { ...options, width, height: 360, colorOffset: 0 }));
+        }
+
+        return true;
+    }
+
+    /**
+     * Turn draw data into a list of { name, x, y } series
+     * Supports numeric arrays, column-wise arrays (e.g. 4 x N), [[dates], [values]] pairs,
+     * arrays of [date, value] rows, objects holding numeric arrays and pre-built series objects.
+     * @param {Array} data - Draw data (one entry per dependency)
+     * @param {Array<string>} names - Optional series names in order
+     * @returns {Array<{name: string, x: Array|null, y: Array<number|null>}>}
+     */
+    normalizeSeries(data, names = []) {
+        const inputs = Array.isArray(data) ? data : [data];
+        const series = [];
+
+        const addSeries = (y, x = null, name = null) => {
+            const values = y.map(value => this.toNumber(value));
+            if (!values.some(value => value !== null)) return;
+            series.push({ name, x, y: values });
+        };
+
+        const visit = (entry, label) => {
+            if (entry === null || entry === undefined) return;
+
+            if (!Array.isArray(entry)) {
+                if (typeof entry !== 'object') return;
+                if (Array.isArray(entry.y)) {
+                    addSeries(entry.y, Array.isArray(entry.x) ? entry.x : null, entry.name || label);
+                    return;
+                }
+                // Objects (e.g. Code Block outputs): plot every numeric array they hold
+                Object.entries(entry).forEach(([key, value]) => {
+                    if (Array.isArray(value) || (value && typeof value === 'object')) {
+                        visit(value, key);
+                    }
+                });
+                return;
+            }
+
+            if (entry.length === 0) return;
+
+            if (entry.every(value => !Array.isArray(value) && (value === null || typeof value !== 'object'))) {
+                const { header, values } = this.splitHeader(entry);
+                addSeries(values, null, header || label);
+                return;
+            }
+
+            if (entry.every(Array.isArray)) {
+                // Rows of [date, value]
+                if (entry.length > 2 && entry.every(row => row.length === 2) && this.isDateLike(entry[0][0])) {
+                    addSeries(entry.map(row => row[1]), entry.map(row => row[0]), label);
+                    return;
+                }
+
+                const columns = entry.map(column => this.splitHeader(column));
+                const dateColumn = columns.findIndex(column => column.values.length > 0 && this.isDateLike(column.values[0]));
+                if (dateColumn !== -1) {
+                    // [[dates], [values], ...]
+                    const x = columns[dateColumn].values;
+                    columns.forEach((column, index) => {
+                        if (index !== dateColumn) addSeries(column.values, x, column.header || label);
+                    });
+                } else {
+                    columns.forEach((column, index) => {
+                        addSeries(column.values, null, column.header || (label ? `${label} ${index + 1}` : null));
+                    });
+                }
+            }
+        };
+
+        inputs.forEach(entry => visit(entry, null));
+
+        series.forEach((s, index) => {
+            s.name = names[index] || s.name || `Series ${index + 1}`;
+        });
+        return series;
+    }
+
+    /**
+     * Reduce a series to at most maxPoints by keeping evenly spaced samples
+     */
+    decimate(series, maxPoints) {
+        if (series.y.length <= maxPoints) return series;
+        const step = (series.y.length - 1) / (maxPoints - 1);
+        const indices = Array.from({ length: maxPoints }, (_, i) => Math.round(i * step));
+        return {
+            ...series,
+            x: series.x ? indices.map(i => series.x[i]) : null,
+            y: indices.map(i => series.y[i]),
+            index: indices
+        };
+    }
+
+    /**
+     * Build one SVG plot containing the given series
+     * Series may carry precomputed `points` ({x, y} with x in ms for dates). Options:
+     * xDomain fixes the visible x range (points outside are clipped), isDate overrides date detection,
+     * legend: false hides the legend, margin and yTickCount adjust the layout. The plot geometry is
+     * exposed as `svg.plotArea`.
+     */
+    createPlot(series, options) {
+        const { width, height, chartType, colorOffset } = options;
+        const margin = { ...MARGIN, ...options.margin };
+        const plotWidth = width - margin.left - margin.right;
+        const plotHeight = height - margin.top - margin.bottom;
+
+        const points = series.map(s => s.points || this.toPoints(s));
+        const isDate = options.isDate ?? series.every(s => s.x && s.x.length > 0 && this.isDateLike(s.x[0]));
+
+        const xs = points.flat().map(p => p.x);
+        const ys = points.flat()
+            .filter(p => !options.xDomain || (p.x >= options.xDomain[0] && p.x <= options.xDomain[1]))
+            .map(p => p.y)
+            .filter(y => y !== null);
+        if (ys.length === 0) ys.push(0);
+        let [xMin, xMax] = options.xDomain ? options.xDomain : [Math.min(...xs), Math.max(...xs)];
+        let [yMin, yMax] = [Math.min(...ys), Math.max(...ys)];
+        if (chartType === 'bar' || chartType === 'column') {
+            yMin = Math.min(0, yMin);
+            yMax = Math.max(0, yMax);
+        }
+        if (xMin === xMax) { xMin -= 1; xMax += 1; }
+        if (yMin === yMax) { yMin -= 1; yMax += 1; }
+
+        const yTicks = this.niceTicks(yMin, yMax, options.yTickCount || 5);
+        yMin = Math.min(yMin, yTicks[0]);
+        yMax = Math.max(yMax, yTicks[yTicks.length - 1]);
+
+        const scaleX = x => margin.left + ((x - xMin) / (xMax - xMin)) * plotWidth;
+        const scaleY = y => margin.top + plotHeight - ((y - yMin) / (yMax - yMin)) * plotHeight;
+
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        svg.setAttribute('width', '100%');
+        svg.setAttribute('class', 'builtin-chart');
+        svg.style.cssText = "display: block; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;";
+        svg.plotArea = { left: margin.left, top: margin.top, width: plotWidth, height: plotHeight, xMin, xMax, isDate, scaleX, scaleY };
+
+        // Keep zoomed series inside the plot area
+        const clipId = `builtin-chart-clip-${Math.random().toString(36).slice(2, 10)}`;
+        if (options.xDomain) {
+            const clip = this.el('clipPath', { id: clipId });
+            clip.appendChild(this.el('rect', { x: margin.left, y: margin.top - 2, width: plotWidth, height: plotHeight + 4 }));
+            svg.appendChild(clip);
+        }
+        const seriesLayer = this.el('g', options.xDomain ? { 'clip-path': `url(#${clipId})` } : {});
+
+        // Grid and y axis
+        yTicks.forEach(tick => {
+            const y = scaleY(tick);
+            svg.appendChild(this.el('line', { x1: margin.left, x2: width - margin.right, y1: y, y2: y, stroke: '#e9ecef' }));
+            svg.appendChild(this.el('text', { x: margin.left - 6, y: y + 3, 'text-anchor': 'end', 'font-size': 10, fill: '#6c757d' }, this.formatNumber(tick)));
+        });
+
+        // x axis
+        svg.appendChild(this.el('line', { x1: margin.left, x2: width - margin.right, y1: margin.top + plotHeight, y2: margin.top + plotHeight, stroke: '#adb5bd' }));
+        this.xTicks(xMin, xMax, isDate, Math.max(2, Math.floor(plotWidth / 90))).forEach(tick => {
+            const x = scaleX(tick);
+            svg.appendChild(this.el('line', { x1: x, x2: x, y1: margin.top + plotHeight, y2: margin.top + plotHeight + 4, stroke: '#adb5bd' }));
+            svg.appendChild(this.el('text', { x, y: margin.top + plotHeight + 16, 'text-anchor': 'middle', 'font-size': 10, fill: '#6c757d' }, isDate ? this.formatDate(tick, xMax - xMin) : this.formatNumber(tick)));
+        });
+
+        // Series
+        points.forEach((seriesPoints, index) => {
+            const color = this.color(index + colorOffset);
+            if (chartType === 'bar' || chartType === 'column') {
+                const barWidth = Math.max(1, (plotWidth / Math.max(seriesPoints.length, 1)) / points.length * 0.8);
+                seriesPoints.forEach(point => {
+                    if (point.y === null) return;
+                    const x = scaleX(point.x) - (barWidth * points.length) / 2 + index * barWidth;
+                    const y0 = scaleY(0);
+                    const y1 = scaleY(point.y);
+                    seriesLayer.appendChild(this.el('rect', { x, y: Math.min(y0, y1), width: barWidth, height: Math.max(1, Math.abs(y1 - y0)), fill: color }));
+                });
+            } else if (chartType === 'scatter') {
+                seriesPoints.forEach(point => {
+                    if (point.y === null) return;
+                    seriesLayer.appendChild(this.el('circle', { cx: scaleX(point.x), cy: scaleY(point.y), r: 2.5, fill: color }));
+                });
+            } else {
+                seriesLayer.appendChild(this.el('path', { d: this.linePath(seriesPoints, scaleX, scaleY), fill: 'none', stroke: color, 'stroke-width': 1.5 }));
+            }
+        });
+        svg.appendChild(seriesLayer);
+
+        // Legend
+        let legendX = margin.left;
+        (options.legend === false ? [] : series).forEach((s, index) => {
+            const color = this.color(index + colorOffset);
+            svg.appendChild(this.el('rect', { x: legendX, y: 8, width: 10, height: 10, fill: color }));
+            svg.appendChild(this.el('text', { x: legendX + 14, y: 17, 'font-size': 11, fill: '#495057' }, s.name));
+            legendX += 24 + s.name.length * 6.5;
+        });
+
+        return svg;
+    }
+
+    /**
+     * Colour of the n-th series
+     */
+    color(index) {
+        return PALETTE[index % PALETTE.length];
+    }
+
+    /**
+     * Build an SVG path, breaking the line at missing values
+     */
+    linePath(points, scaleX, scaleY) {
+        let d = '';
+        let penDown = false;
+        points.forEach(point => {
+            if (point.y === null) {
+                penDown = false;
+                return;
+            }
+            d += `${penDown ? 'L' : 'M'} ${scaleX(point.x).toFixed(1)} ${scaleY(point.y).toFixed(1)} `;
+            penDown = true;
+        });
+        return d.trim();
+    }
+
+    toPoints(series) {
+        return series.y.map((y, i) => {
+            let x = series.index ? series.index[i] : i;
+            if (series.x) {
+                const raw = series.x[i];
+                x = this.isDateLike(raw) ? this.parseDate(raw) : (this.toNumber(raw) ?? x);
+            }
+            return { x, y };
+        });
+    }
+
+    niceTicks(min, max, count) {
+        const step = this.niceStep((max - min) / count);
+        const ticks = [];
+        for (let tick = Math.floor(min / step) * step; tick <= max + step * 0.5; tick += step) {
+            ticks.push(Number(tick.toFixed(10)));
+        }
+        return ticks;
+    }
+
+    niceStep(rough) {
+        const exponent = Math.floor(Math.log10(rough || 1));
+        const fraction = rough / Math.pow(10, exponent);
+        const nice = fraction <= 1 ? 1 : fraction <= 2 ? 2 : fraction <= 5 ? 5 : 10;
+        return nice * Math.pow(10, exponent);
+    }
+
+    xTicks(min, max, isDate, count) {
+        if (!isDate) {
+            return this.niceTicks(min, max, count).filter(tick => tick >= min && tick <= max);
+        }
+        const step = (max - min) / count;
+        return Array.from({ length: count + 1 }, (_, i) => min + i * step);
+    }
+
+    formatDate(ms, span) {
+        const iso = new Date(ms).toISOString();
+        const year = 365 * 24 * 3600 * 1000;
+        if (span > 3 * year) return iso.substring(0, 4);
+        if (span > 60 * 24 * 3600 * 1000) return iso.substring(0, 7);
+        return iso.substring(0, 10);
+    }
+
+    formatNumber(value) {
+        const abs = Math.abs(value);
+        if (abs >= 1e6 || (abs > 0 && abs < 1e-3)) return value.toExponential(1);
+        return Number(value.toFixed(3)).toLocaleString();
+    }
+
+    parseNames(names) {
+        if (Array.isArray(names)) return names.map(String);
+        if (typeof names === 'string' && names.trim()) return names.split(',').map(name => name.trim());
+        return [];
+    }
+
+    splitHeader(column) {
+        if (column.length > 1 && typeof column[0] === 'string' && this.toNumber(column[0]) === null && !this.isDateLike(column[0])) {
+            return { header: column[0], values: column.slice(1) };
+        }
+        return { header: null, values: column };
+    }
+
+    isDateLike(value) {
+        return typeof value === 'string' && DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+    }
+
+    /**
+     * Timestamps without a time zone (e.g. WaterML dateTime values) are read as UTC so that
+     * axis labels do not shift with the browser's time zone
+     */
+    parseDate(value) {
+        const hasZone = value.length === 10 || /(Z|[+-]\d{2}:?\d{2})$/i.test(value);
+        return Date.parse(hasZone ? value : `${value}Z`);
+    }
+
+    toNumber(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const numeric = typeof value === 'number' ? value : Number(value);
+        return Number.isFinite(numeric) ? numeric : null;
+    }
+
+    el(tag, attributes, text = null) {
+        const element = document.createElementNS(SVG_NS, tag);
+        Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+        if (text !== null) element.textContent = text;
+        return element;
+    }
+}
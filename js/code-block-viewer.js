@@ -0,0 +1,320 @@
+/**
+ * HydroBlox Code Block Viewer for PWA Export
+ *
+ * Lets reviewers audit a Code Block without leaving the exported app:
+ * - Source from settings.code with syntax highlighting (Python and JavaScript)
+ * - The input items bound to `data`, in binding order, with a short preview of each
+ * - The stored output as collapsible sections, with array summaries and Data Explorer links
+ */
+import { escapeHtml } from './html-escape.js';
+
+const KEYWORDS = {
+    python: ['False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del', 'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield'],
+    javascript: ['async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'delete', 'do', 'else', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import', 'in', 'instanceof', 'let', 'new', 'null', 'of', 'return', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'undefined', 'var', 'void', 'while', 'yield']
+};
+
+const BUILTINS = {
+    python: ['abs', 'all', 'any', 'dict', 'enumerate', 'float', 'int', 'isinstance', 'len', 'list', 'max', 'min', 'print', 'range', 'round', 'set', 'sorted', 'str', 'sum', 'tuple', 'type', 'zip', 'np', 'data', 'result'],
+    javascript: ['Array', 'JSON', 'Math', 'Number', 'Object', 'String', 'console', 'data', 'result']
+};
+
+// Comments, strings, numbers and identifiers, in the order they are tried
+const TOKEN_PATTERNS = {
+    python: /(#[^\n]*)|([rRbBuUfF]{0,2}"""[\s\S]*?"""|[rRbBuUfF]{0,2}'''[\s\S]*?'''|[rRbBuUfF]{0,2}"(?:\\.|[^"\\\n])*"|[rRbBuUfF]{0,2}'(?:\\.|[^'\\\n])*')|(\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b)|([A-Za-z_]\w*)/g,
+    javascript: /(\/\/[^\n]*|\/\*[\s\S]*?\*\/)|(`(?:\\.|[^`\\])*`|"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*')|(\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b)|([A-Za-z_$][\w$]*)/g
+};
+
+const PREVIEW_VALUES = 8;
+
+export class CodeBlockViewer {
+    /**
+     * @param {Object} options
+     * @param {Function} options.onExpand - Called with (value, title) to open a value in the Data Explorer
+     * @param {Function} options.onSelectInput - Called with the uniqueId of an input item
+     */
+    constructor(options = {}) {
+        this.onExpand = options.onExpand || (() => {});
+        this.onSelectInput = options.onSelectInput || (() => {});
+    }
+
+    /**
+     * Render a Code Block into a container
+     * @param {HTMLElement} container - Target element
+     * @param {Object} block
+     * @param {Object} block.item - Code Block item (settings.code, settings.language, data)
+     * @param {Array<{id: string, item: Object|null, data: *}>} block.inputs - Inputs in `data` order
+     * @param {*} block.output - Stored result of the Code Block
+     * @param {Function|null} block.onRun - Re-runs the block with ({ code, parameters, arguments }); shows an editor when set
+     * @param {string|null} block.runNote - Shown instead of the editor when the block cannot be re-run
+     * @returns {HTMLElement} - The viewer root
+     */
+    render(container, { item, inputs = [], output, onRun = null, runNote = null }) {
+        const settings = item.settings || {};
+        const language = this.normalizeLanguage(settings.language);
+        const code = settings.code || item.code || '';
+
+        const root = document.createElement('div');
+        root.className = 'code-block-viewer';
+
+        const source = this.createSection(`Source (${language}, ${code ? code.split('\n').length : 0} lines)`, true);
+        const pre = document.createElement('pre');
+        pre.className = 'code-block-source';
+        pre.innerHTML = code ? this.highlight(code, language) : '<span class="cb-comment">No source code stored for this Code Block</span>';
+        source.body.appendChild(pre);
+        root.appendChild(source.element);
+
+        const inputSection = this.createSection(`Inputs (${inputs.length})`, true);
+        if (inputs.length === 0) {
+            inputSection.body.innerHTML = '<div class="code-block-empty">This Code Block has no input items.</div>';
+        }
+        inputs.forEach((input, index) => inputSection.body.appendChild(this.createInput(input, index, inputs.length)));
+        root.appendChild(inputSection.element);
+
+        const outputSection = this.createSection('Output', true);
+        this.renderValue(outputSection.body, output, 'result', 0);
+        root.appendChild(outputSection.element);
+
+        if (typeof onRun === 'function') {
+            root.appendChild(this.createRunSection(item, code, onRun));
+        } else if (runNote) {
+            const note = document.createElement('div');
+            note.className = 'code-block-empty';
+            note.textContent = runNote;
+            root.appendChild(note);
+        }
+
+        container.appendChild(root);
+        return root;
+    }
+
+    normalizeLanguage(language) {
+        const value = String(language || 'javascript').toLowerCase();
+        if (value === 'py' || value === 'python') return 'python';
+        return 'javascript';
+    }
+
+    /**
+     * Highlight source as HTML with cb-* token classes
+     * @param {string} code - Source code
+     * @param {string} language - 'python' or 'javascript'
+     * @returns {string}
+     */
+    highlight(code, language) {
+        const pattern = new RegExp(TOKEN_PATTERNS[language].source, 'g');
+        const keywords = new Set(KEYWORDS[language]);
+        const builtins = new Set(BUILTINS[language]);
+        let html = '';
+        let last = 0;
+        let match;
+
+        while ((match = pattern.exec(code)) !== null) {
+            html += escapeHtml(code.slice(last, match.index));
+            const [text, comment, string, number, word] = match;
+            let className = null;
+            if (comment) className = 'cb-comment';
+            else if (string) className = 'cb-string';
+            else if (number) className = 'cb-number';
+            else if (word && keywords.has(word)) className = 'cb-keyword';
+            else if (word && builtins.has(word)) className = 'cb-builtin';
+            else if (word && /^\s*\(/.test(code.slice(pattern.lastIndex))) className = 'cb-function';
+
+            html += className ? `<span class="${className}">${escapeHtml(text)}</span>` : escapeHtml(text);
+            last = pattern.lastIndex;
+        }
+        return html + escapeHtml(code.slice(last));
+    }
+
+    /**
+     * Editable copy of the source, parameters and arguments with a Run button.
+     * Edits only affect the re-run; the stored block is unchanged.
+     */
+    createRunSection(item, code, onRun) {
+        const section = this.createSection('Re-run (results are not saved)', false);
+        const json = (value) => JSON.stringify(value || {}, null, 2);
+        section.body.innerHTML = `
+            <textarea class="code-block-editor" spellcheck="false" rows="14"></textarea>
+            <div class="code-block-run-options">
+                <label>params <textarea class="code-block-params" spellcheck="false" rows="3"></textarea></label>
+                <label>args <textarea class="code-block-args" spellcheck="false" rows="3"></textarea></label>
+            </div>
+            <div class="code-block-run-actions">
+                <button type="button" class="btn btn-sm btn-primary code-block-run"><i class="fas fa-play" style="margin-right: 4px;"></i>Run</button>
+                <button type="button" class="btn btn-sm btn-outline-secondary code-block-reset">Reset</button>
+                <span class="code-block-muted code-block-run-status"></span>
+            </div>
+        `;
+
+        const editor = section.body.querySelector('.code-block-editor');
+        const params = section.body.querySelector('.code-block-params');
+        const args = section.body.querySelector('.code-block-args');
+        const status = section.body.querySelector('.code-block-run-status');
+        const runButton = section.body.querySelector('.code-block-run');
+
+        const reset = () => {
+            editor.value = code;
+            params.value = json(item.parameters || item.settings?.parameters);
+            args.value = json(item.arguments || item.settings?.arguments);
+            status.textContent = '';
+        };
+        reset();
+        section.body.querySelector('.code-block-reset').addEventListener('click', reset);
+
+        runButton.addEventListener('click', async () => {
+            let parameters;
+            let argumentValues;
+            try {
+                parameters = JSON.parse(params.value || '{}');
+                argumentValues = JSON.parse(args.value || '{}');
+            } catch (error) {
+                status.textContent = `params and args must be JSON: ${error.message}`;
+                return;
+            }
+
+            runButton.disabled = true;
+            status.textContent = 'Running…';
+            try {
+                const outcome = await onRun({ code: editor.value, parameters, arguments: argumentValues });
+                status.textContent = !outcome ? '' : (outcome.ok ? `Finished in ${outcome.duration} ms` : `Failed: ${outcome.error?.message || 'unknown error'}`);
+            } catch (error) {
+                status.textContent = `Failed: ${error.message}`;
+            } finally {
+                runButton.disabled = false;
+            }
+        });
+
+        return section.element;
+    }
+
+    createSection(title, open) {
+        const element = document.createElement('details');
+        element.className = 'code-block-section';
+        element.open = open;
+        const summary = document.createElement('summary');
+        summary.textContent = title;
+        const body = document.createElement('div');
+        body.className = 'code-block-section-body';
+        element.append(summary, body);
+        return { element, body };
+    }
+
+    /**
+     * One input item: its binding, where it comes from and a preview of its data
+     */
+    createInput(input, index, count) {
+        const row = document.createElement('div');
+        row.className = 'code-block-input';
+
+        // HydroBlox binds a single dependency as `data` and several as a list
+        const binding = count > 1 ? `data[${index}]` : 'data';
+        const label = input.item ? (input.item.name || input.id) : input.id;
+        const kind = input.item ? (input.item.itemName || input.item.type || '') : '';
+
+        const header = document.createElement('div');
+        header.className = 'code-block-input-header';
+        header.innerHTML = `
+            <code>${escapeHtml(binding)}</code>
+            <button type="button" class="code-block-link">${escapeHtml(label)}</button>
+            <span class="code-block-muted">${escapeHtml(kind)}${kind ? ' · ' : ''}${escapeHtml(input.id)}</span>
+        `;
+        header.querySelector('.code-block-link').addEventListener('click', () => this.onSelectInput(input.id));
+        row.appendChild(header);
+
+        const preview = document.createElement('div');
+        preview.className = 'code-block-preview';
+        if (!input.item) {
+            preview.textContent = 'Not included in this export.';
+        } else if (input.data === null || input.data === undefined) {
+            preview.textContent = 'No stored data.';
+        } else {
+            preview.textContent = this.describe(input.data);
+            if (typeof input.data === 'object') {
+                preview.appendChild(this.createExpandButton(input.data, label));
+            }
+        }
+        row.appendChild(preview);
+        return row;
+    }
+
+    /**
+     * Render a value as nested collapsible sections
+     */
+    renderValue(container, value, key, depth) {
+        if (value === null || value === undefined || typeof value !== 'object') {
+            const line = document.createElement('div');
+            line.className = 'code-block-scalar';
+            line.innerHTML = `<span class="code-block-key">${escapeHtml(key)}</span>: <span class="cb-${typeof value === 'number' ? 'number' : 'string'}">${escapeHtml(this.formatScalar(value))}</span>`;
+            container.appendChild(line);
+            return;
+        }
+
+        if (Array.isArray(value)) {
+            const line = document.createElement('div');
+            line.className = 'code-block-scalar';
+            line.innerHTML = `<span class="code-block-key">${escapeHtml(key)}</span>: <span class="code-block-muted">${escapeHtml(this.describe(value))}</span>`;
+            line.appendChild(this.createExpandButton(value, key));
+            container.appendChild(line);
+            return;
+        }
+
+        const entries = Object.entries(value);
+        // The top-level result object is already inside the Output section
+        if (depth === 0) {
+            if (entries.length === 0) {
+                container.innerHTML = '<div class="code-block-empty">No output stored for this Code Block.</div>';
+            }
+            entries.forEach(([childKey, child]) => this.renderValue(container, child, childKey, depth + 1));
+            return;
+        }
+
+        const section = this.createSection(`${key} (${entries.length} ${entries.length === 1 ? 'field' : 'fields'})`, depth === 1);
+        section.element.classList.add('code-block-nested');
+        entries.forEach(([childKey, child]) => this.renderValue(section.body, child, childKey, depth + 1));
+        container.appendChild(section.element);
+    }
+
+    createExpandButton(value, title) {
+        const button = document.createElement('span');
+        button.className = 'json-expand-btn';
+        button.style.cssText = 'cursor: pointer; color: #007bff; margin-left: 8px;';
+        button.innerHTML = '<i class="fas fa-expand-alt" style="margin-right: 4px;"></i>Explore';
+        button.addEventListener('click', () => this.onExpand(value, title));
+        return button;
+    }
+
+    /**
+     * One-line description of a value: shape, numeric range and the first values
+     * @param {*} value
+     * @returns {string}
+     */
+    describe(value) {
+        if (Array.isArray(value)) {
+            if (value.length > 0 && value.every(Array.isArray)) {
+                const lengths = value.map(column => column.length);
+                return `${value.length} columns × ${Math.max(...lengths)} rows`;
+            }
+            const numbers = value.filter(v => typeof v === 'number' && Number.isFinite(v));
+            if (numbers.length > 0 && numbers.length >= value.length / 2) {
+                const min = numbers.reduce((a, b) => Math.min(a, b), Infinity);
+                const max = numbers.reduce((a, b) => Math.max(a, b), -Infinity);
+                const mean = numbers.reduce((a, b) => a + b, 0) / numbers.length;
+                const head = value.slice(0, PREVIEW_VALUES).map(v => this.formatScalar(v)).join(', ');
+                return `Array(${value.length}) · min ${this.formatScalar(min)}, mean ${this.formatScalar(mean)}, max ${this.formatScalar(max)} · [${head}${value.length > PREVIEW_VALUES ? ', …' : ''}]`;
+            }
+            return `Array(${value.length})`;
+        }
+        if (value && typeof value === 'object') {
+            const keys = Object.keys(value);
+            return `Object(${keys.length} keys): ${keys.slice(0, PREVIEW_VALUES).join(', ')}${keys.length > PREVIEW_VALUES ? ', …' : ''}`;
+        }
+        return this.formatScalar(value);
+    }
+
+    formatScalar(value) {
+        if (value === null || value === undefined) return String(value);
+        if (typeof value === 'number') {
+            if (Number.isInteger(value)) return String(value);
+            return Math.abs(value) >= 1e6 || (Math.abs(value) < 1e-3 && value !== 0) ? value.toExponential(3) : String(Number(value.toFixed(4)));
+        }
+        return String(value);
+    }
+}
@@ -0,0 +1,97 @@
+// HydroBlox Code Block Worker
+// Runs one JavaScript Code Block per worker with no DOM and no network access.
+// This is a best-effort sandbox for auditing exported code, not a security boundary for untrusted code.
+// The page terminates the worker after each run (or when it times out).
+
+// Captured before the lockdown so the block cannot use them
+const send = self.postMessage.bind(self);
+const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+
+// Everything that can reach the network, storage or other contexts
+const BLOCKED_GLOBALS = [
+    'fetch', 'XMLHttpRequest', 'WebSocket', 'WebSocketStream', 'EventSource', 'WebTransport',
+    'importScripts', 'Request', 'Response', 'Headers', 'indexedDB', 'caches', 'BroadcastChannel',
+    'Worker', 'SharedWorker', 'MessageChannel', 'postMessage', 'close', 'navigator', 'location'
+];
+
+/**
+ * Remove a global from the worker scope and every prototype it is inherited from
+ */
+function blockGlobal(name) {
+    let scope = self;
+    while (scope && scope !== Object.prototype) {
+        const descriptor = Object.getOwnPropertyDescriptor(scope, name);
+        if (descriptor && descriptor.configurable) {
+            delete scope[name];
+        }
+        scope = Object.getPrototypeOf(scope);
+    }
+    try {
+        Object.defineProperty(self, name, { value: undefined, writable: false, configurable: false });
+    } catch (err) {
+        // Non-configurable globals stay as they are
+    }
+}
+
+/**
+ * Collect console output instead of writing to the page's devtools only
+ */
+function captureConsole(logs) {
+    ['log', 'info', 'warn', 'error', 'debug'].forEach(level => {
+        console[level] = (...values) => {
+            logs.push({
+                level,
+                text: values.map(value => {
+                    if (typeof value === 'string') return value;
+                    try {
+                        return JSON.stringify(value);
+                    } catch (err) {
+                        return String(value);
+                    }
+                }).join(' ')
+            });
+        };
+    });
+}
+
+/**
+ * Make a result safe to send back: structured-clonable values pass through, the rest goes through JSON
+ */
+function toTransferable(value) {
+    try {
+        structuredClone(value);
+        return value;
+    } catch (err) {
+        return JSON.parse(JSON.stringify(value));
+    }
+}
+
+self.onmessage = async (event) => {
+    const { code, data, params, args } = event.data || {};
+    const logs = [];
+    const started = Date.now();
+
+    BLOCKED_GLOBALS.forEach(blockGlobal);
+    self.onmessage = null;
+    captureConsole(logs);
+
+    try {
+        // import() cannot be removed like a global; refuse blocks that spell it out
+        if (/\bimport\s*\(/.test(code)) {
+            throw new Error('import() is not available to re-run Code Blocks');
+        }
+
+        // Same binding as HydroBlox: `data` (the list of dependency results), `params` and `args`.
+        // Blocks may `return` a value or leave it in a top-level `result` variable.
+        const run = new AsyncFunction('data', 'params', 'args', `${code}\n;return typeof result !== 'undefined' ? result : undefined;`);
+        const result = await run(data, params || {}, args || {});
+        send({ ok: true, result: toTransferable(result), logs, duration: Date.now() - started });
+    } catch (err) {
+        send({
+            ok: false,
+            error: { name: err && err.name ? err.name : 'Error', message: err && err.message ? err.message : String(err), stack: err && err.stack ? err.stack : '' },
+            logs,
+            duration: Date.now() - started
+        });
+    }
+};
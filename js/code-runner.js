@@ -0,0 +1,156 @@
+/**
+ * HydroBlox Code Runner for PWA Export
+ *
+ * Re-executes Code Blocks against their stored inputs:
+ * - Each run gets a fresh Web Worker without DOM or network access
+ * - JavaScript runs in js/code-runner-worker.js
+ * - Python runs in js/python-runner-worker.js on a Pyodide runtime bundled in js/pyodide/
+ *   (pyodide.js, pyodide.asm.js, pyodide.asm.wasm, python_stdlib.zip, pyodide-lock.json and
+ *   the wheels of the packages blocks import, e.g. numpy and scipy); nothing is fetched from a CDN
+ * - Runs that exceed the time limit are terminated
+ * - Results are never persisted; diff() compares them with the stored output
+ */
+const MAX_LISTED_DIFFERENCES = 50;
+
+const WORKERS = {
+    javascript: './code-runner-worker.js',
+    python: './python-runner-worker.js'
+};
+
+export class CodeRunner {
+    /**
+     * @param {Object} options
+     * @param {number} options.timeout - Time limit per JavaScript run in milliseconds
+     * @param {number} options.pythonTimeout - Time limit per Python run, including loading Pyodide
+     */
+    constructor(options = {}) {
+        this.timeouts = {
+            javascript: options.timeout || 30000,
+            python: options.pythonTimeout || 180000
+        };
+        this.pythonAvailable = null;
+    }
+
+    /**
+     * Whether blocks in a language can be re-run here
+     * @param {string} language - 'javascript' or 'python'
+     * @returns {Promise<boolean>}
+     */
+    async isAvailable(language) {
+        if (language === 'javascript') return true;
+        if (language !== 'python') return false;
+
+        if (this.pythonAvailable === null) {
+            try {
+                const response = await fetch(new URL('./pyodide/pyodide.js', import.meta.url));
+                this.pythonAvailable = response.ok;
+            } catch (error) {
+                this.pythonAvailable = false;
+            }
+            if (!this.pythonAvailable) {
+                console.warn('Pyodide is not bundled in js/pyodide/, Python Code Blocks cannot be re-run');
+            }
+        }
+        return this.pythonAvailable;
+    }
+
+    /**
+     * Run Code Block source in a sandboxed worker
+     * @param {Object} run
+     * @param {string} run.language - 'javascript' (default) or 'python'
+     * @param {string} run.code - Code Block source
+     * @param {Array} run.data - Bound input: the list of dependency results, also for a single dependency
+     * @param {Object} run.params - Code Block parameters
+     * @param {Object} run.args - Code Block arguments
+     * @returns {Promise<{ok: boolean, result?: *, error?: Object, logs: Array<{level: string, text: string}>, duration: number}>}
+     */
+    run({ language = 'javascript', code, data, params, args }) {
+        const timeout = this.timeouts[language];
+        return new Promise(resolve => {
+            if (!WORKERS[language]) {
+                resolve({ ok: false, error: { name: 'Error', message: `${language} Code Blocks cannot be re-run` }, logs: [], duration: 0 });
+                return;
+            }
+
+            let worker;
+            try {
+                worker = new Worker(new URL(WORKERS[language], import.meta.url));
+            } catch (error) {
+                resolve({ ok: false, error: { name: error.name, message: `Could not start the Code Block worker: ${error.message}` }, logs: [], duration: 0 });
+                return;
+            }
+
+            const finish = (outcome) => {
+                clearTimeout(timer);
+                worker.terminate();
+                resolve(outcome);
+            };
+            const timer = setTimeout(() => finish({
+                ok: false,
+                error: { name: 'TimeoutError', message: `Stopped after ${Math.round(timeout / 1000)} s` },
+                logs: [],
+                duration: timeout
+            }), timeout);
+
+            worker.onmessage = (event) => finish(event.data);
+            worker.onerror = (event) => {
+                event.preventDefault();
+                finish({ ok: false, error: { name: 'Error', message: event.message || 'Code Block worker failed' }, logs: [], duration: 0 });
+            };
+            worker.postMessage({ code, data, params, args });
+        });
+    }
+
+    /**
+     * Compare a re-run result with the stored output
+     * @param {*} original - Stored output
+     * @param {*} rerun - New result
+     * @param {Object} options
+     * @param {number} options.tolerance - Relative tolerance for numbers (floating point noise)
+     * @returns {{equal: boolean, count: number, byKey: Object<string, number>, differences: Array<{path: string, kind: string, original: *, rerun: *}>}}
+     */
+    diff(original, rerun, options = {}) {
+        const tolerance = options.tolerance ?? 1e-9;
+        const differences = [];
+        const byKey = {};
+        let count = 0;
+
+        const add = (path, kind, a, b) => {
+            count++;
+            // Differences per top-level output key (e.g. evapotranspiration, water_balance)
+            const key = (path || 'result').split(/[.[]/)[0] || 'result';
+            byKey[key] = (byKey[key] || 0) + 1;
+            if (differences.length < MAX_LISTED_DIFFERENCES) {
+                differences.push({ path: path || 'result', kind, original: a, rerun: b });
+            }
+        };
+
+        const compare = (a, b, path) => {
+            if (typeof a === 'number' && typeof b === 'number') {
+                if (Number.isNaN(a) && Number.isNaN(b)) return;
+                const scale = Math.max(Math.abs(a), Math.abs(b), 1);
+                if (Math.abs(a - b) > tolerance * scale) add(path, 'value', a, b);
+                return;
+            }
+            if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') {
+                if (a !== b) add(path, a === undefined ? 'added' : (b === undefined ? 'removed' : 'value'), a, b);
+                return;
+            }
+            if (Array.isArray(a) !== Array.isArray(b)) {
+                add(path, 'type', Array.isArray(a) ? 'array' : 'object', Array.isArray(b) ? 'array' : 'object');
+                return;
+            }
+            if (Array.isArray(a)) {
+                if (a.length !== b.length) add(`${path}.length`, 'length', a.length, b.length);
+                const shared = Math.min(a.length, b.length);
+                for (let i = 0; i < shared; i++) compare(a[i], b[i], `${path}[${i}]`);
+                return;
+            }
+            const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+            keys.forEach(key => compare(a[key], b[key], path ? `${path}.${key}` : key));
+        };
+
+        compare(original, rerun, '');
+        return { equal: count === 0, count, byKey, differences };
+    }
+}
@@ -0,0 +1,225 @@
+/**
+ * HydroBlox Data Exporter for PWA Export
+ *
+ * Turns stored item data into downloadable files:
+ * - Raw JSON of the stored record (as returned by DBManager.getResult)
+ * - Flattened CSV / Excel-compatible TSV for arrays of objects, column-wise
+ *   arrays (e.g. seasonal's 4 series) and objects holding equal-length arrays
+ * - A ZIP bundle with every item of a workflow (no compression, no dependencies)
+ */
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+export class DataExporter {
+    /**
+     * Serialize a stored record as pretty-printed JSON
+     * @param {*} record - Record or data to serialize
+     * @returns {string}
+     */
+    toJSON(record) {
+        return JSON.stringify(record, null, 2);
+    }
+
+    /**
+     * Serialize item data as delimited text
+     * @param {*} data - Item data
+     * @param {string} delimiter - ',' for CSV, '\t' for TSV
+     * @returns {string|null} - null when the data has no tabular form
+     */
+    toDelimited(data, delimiter = ',') {
+        const table = this.tabulate(data);
+        if (!table) return null;
+
+        const escape = (value) => {
+            if (value === null || value === undefined) return '';
+            const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+            return /["\n\r]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [table.headers.map(escape).join(delimiter)];
+        table.rows.forEach(row => lines.push(row.map(escape).join(delimiter)));
+        const text = lines.join('\r\n');
+
+        // Excel only detects UTF-8 in tab-separated files with a byte order mark
+        return delimiter === '\t' ? `\uFEFF${text}` : text;
+    }
+
+    /**
+     * Flatten item data into a header row and value rows
+     * @param {*} data - Item data
+     * @returns {{headers: Array<string>, rows: Array<Array>}|null}
+     */
+    tabulate(data) {
+        if (data === null || data === undefined) return null;
+
+        if (Array.isArray(data)) {
+            if (data.length === 0) return null;
+            const isPrimitive = value => value === null || typeof value !== 'object';
+
+            // Column-wise arrays: [[series 1], [series 2], ...]
+            if (data.every(entry => Array.isArray(entry) && entry.every(isPrimitive))) {
+                const longest = Math.max(...data.map(entry => entry.length));
+                if (data.length < longest) {
+                    const hasHeaders = data.every(entry => typeof entry[0] === 'string' && entry.slice(1).some(value => typeof value === 'number'));
+                    const offset = hasHeaders ? 1 : 0;
+                    const headers = ['index', ...data.map((entry, index) => (hasHeaders ? entry[0] : `series_${index + 1}`))];
+                    const rows = Array.from({ length: longest - offset }, (_, i) => [i, ...data.map(entry => entry[i + offset] ?? null)]);
+                    return { headers, rows };
+                }
+                const width = longest;
+                return {
+                    headers: Array.from({ length: width }, (_, i) => `column_${i + 1}`),
+                    rows: data.map(entry => Array.from({ length: width }, (_, i) => entry[i] ?? null))
+                };
+            }
+
+            // Arrays of objects: one column per (nested) key path
+            if (data.some(entry => entry && typeof entry === 'object' && !Array.isArray(entry))) {
+                const flattened = data.map(entry => (entry && typeof entry === 'object' && !Array.isArray(entry) ? this.flatten(entry) : { value: entry }));
+                const headers = [];
+                const seen = new Set();
+                flattened.forEach(entry => Object.keys(entry).forEach(key => {
+                    if (!seen.has(key)) {
+                        seen.add(key);
+                        headers.push(key);
+                    }
+                }));
+                return { headers, rows: flattened.map(entry => headers.map(key => entry[key] ?? null)) };
+            }
+
+            return { headers: ['index', 'value'], rows: data.map((value, i) => [i, value]) };
+        }
+
+        if (typeof data === 'object') {
+            const leaves = Object.entries(this.flatten(data, '', true));
+            const seriesLength = Math.max(0, ...leaves.filter(([, value]) => Array.isArray(value)).map(([, value]) => value.length));
+
+            // Objects holding series (e.g. Code Block outputs): one column per array, scalars repeated per row
+            if (seriesLength > 1) {
+                const headers = ['index', ...leaves.map(([key]) => key)];
+                const rows = Array.from({ length: seriesLength }, (_, i) => [
+                    i,
+                    ...leaves.map(([, value]) => (Array.isArray(value) ? value[i] ?? null : value))
+                ]);
+                return { headers, rows };
+            }
+
+            return { headers: ['property', 'value'], rows: leaves.map(([key, value]) => [key, value]) };
+        }
+
+        return { headers: ['value'], rows: [[data]] };
+    }
+
+    /**
+     * Flatten nested objects into dot-separated key paths
+     * @param {Object} object - Object to flatten
+     * @param {string} prefix - Key prefix
+     * @param {boolean} keepPrimitiveArrays - Keep arrays of primitives as leaves instead of JSON text
+     * @returns {Object}
+     */
+    flatten(object, prefix = '', keepPrimitiveArrays = false) {
+        const result = {};
+        Object.entries(object).forEach(([key, value]) => {
+            const path = prefix ? `${prefix}.${key}` : key;
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                Object.assign(result, this.flatten(value, path, keepPrimitiveArrays));
+            } else if (Array.isArray(value) && !(keepPrimitiveArrays && value.every(item => item === null || typeof item !== 'object'))) {
+                result[path] = JSON.stringify(value);
+            } else {
+                result[path] = value;
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Build an uncompressed ZIP archive
+     * @param {Array<{name: string, content: string}>} files - Archive entries
+     * @returns {Blob}
+     */
+    createZip(files) {
+        const encoder = new TextEncoder();
+        const { time, date } = this.dosDateTime(new Date());
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const content = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+            const crc = this.crc32(content);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true); // UTF-8 file names
+            local.setUint16(8, 0, true); // Stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, content.length, true);
+            local.setUint32(22, content.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, date, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, content.length, true);
+            central.setUint32(24, content.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+
+            localParts.push(local, name, content);
+            centralParts.push(central, name);
+            offset += 30 + name.length + content.length;
+        });
+
+        const centralSize = centralParts.reduce((size, part) => size + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+    }
+
+    crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    dosDateTime(value) {
+        return {
+            time: (value.getHours() << 11) | (value.getMinutes() << 5) | Math.floor(value.getSeconds() / 2),
+            date: ((value.getFullYear() - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+        };
+    }
+
+    /**
+     * Make a string safe to use as a file name
+     */
+    safeFileName(name) {
+        return String(name || 'item').replace(/[\\/:*?"<>|]+/g, '_').trim() || 'item';
+    }
+}
@@ -0,0 +1,488 @@
+/**
+ * HydroBlox Data Grid for PWA Export
+ *
+ * Virtualized table for item data of any size:
+ * - Only the rows in view are in the DOM, so full series (e.g. 4 x 1826) scroll smoothly
+ * - Column sorting, per-column text / numeric-range filters, column show/hide
+ * - Sticky header; object and long-text cells open in the Data Explorer through `onExpand`
+ * - With `onSelect`, rows are picked by clicking (Ctrl/Cmd-click toggles, Shift-click extends);
+ *   rows matching a linked selection can be highlighted from outside
+ */
+const ROW_HEIGHT = 32;
+const OVERSCAN = 10;
+const MAX_HEIGHT = 480;
+const TEXT_LIMIT = 40;
+
+const CELL_STYLE = 'padding: 0 12px; height: 32px; color: #495057; max-width: 220px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; border-bottom: 1px solid #f1f3f4;';
+const HEADER_STYLE = 'position: sticky; background: #f8f9fa; z-index: 1; padding: 6px 12px; text-align: left; font-weight: 500; color: #495057; white-space: nowrap;';
+const INPUT_STYLE = 'width: 100%; min-width: 50px; box-sizing: border-box; padding: 2px 4px; font-size: 11px; border: 1px solid #ced4da; border-radius: 3px;';
+const SELECTED_BACKGROUND = '#cfe2ff';
+const HIGHLIGHT_BACKGROUND = '#fff3cd';
+
+export class DataGrid {
+    /**
+     * @param {HTMLElement} container - Target element
+     * @param {*} data - Item data (array of objects, primitives, column-wise arrays, or an object)
+     * @param {Object} options
+     * @param {Function} options.onExpand - Called with (value, title) when an expandable cell is clicked
+     * @param {Function} options.onSelect - Called with the picked rows as objects (keyed by column) when the user
+     *                                      picks rows; without it rows cannot be picked
+     */
+    constructor(container, data, options = {}) {
+        this.container = container;
+        this.onExpand = options.onExpand || (() => {});
+        this.onSelect = options.onSelect || null;
+
+        const { columns, rows } = DataGrid.toModel(data);
+        this.columns = columns;
+        this.rows = rows;
+        this.view = rows.map((row, index) => index);
+        this.sort = { column: null, direction: 0 };
+        this.filters = new Map();
+        this.hidden = new Set();
+        this.selected = new Set();
+        this.highlighted = new Set();
+        this.anchor = null;
+        this.frame = null;
+
+        this.build();
+        this.applyView();
+    }
+
+    /**
+     * Convert item data into columns and rows
+     * Arrays of equal-length primitive arrays that are longer than they are wide
+     * (e.g. [[original], [trend], [seasonal], [residual]]) are read column-wise.
+     * @param {*} data - Item data
+     * @returns {{columns: Array<{key: string, label: string, numeric: boolean}>, rows: Array<Array>}}
+     */
+    static toModel(data) {
+        let columns = [];
+        let rows = [];
+
+        if (Array.isArray(data)) {
+            const isPrimitive = value => value === null || typeof value !== 'object';
+            if (data.every(entry => Array.isArray(entry) && entry.every(isPrimitive)) && data.length > 0) {
+                const longest = Math.max(...data.map(entry => entry.length));
+                if (data.length < longest) {
+                    // Column-wise arrays, optionally with a header string in the first cell
+                    const hasHeaders = data.every(entry => typeof entry[0] === 'string' && entry.slice(1).some(value => typeof value === 'number'));
+                    const offset = hasHeaders ? 1 : 0;
+                    columns = [{ key: 'index', label: 'Index' }, ...data.map((entry, index) => ({
+                        key: `col${index}`,
+                        label: hasHeaders ? entry[0] : `Column ${index + 1}`
+                    }))];
+                    const length = longest - offset;
+                    rows = Array.from({ length }, (_, i) => [i, ...data.map(entry => entry[i + offset] ?? null)]);
+                } else {
+                    const width = Math.max(...data.map(entry => entry.length));
+                    columns = [{ key: 'index', label: 'Index' }, ...Array.from({ length: width }, (_, i) => ({ key: `col${i}`, label: `Column ${i + 1}` }))];
+                    rows = data.map((entry, i) => [i, ...Array.from({ length: width }, (_, j) => entry[j] ?? null)]);
+                }
+            } else if (data.some(entry => entry !== null && typeof entry === 'object' && !Array.isArray(entry))) {
+                const keys = [];
+                const seen = new Set();
+                data.forEach(entry => {
+                    if (entry && typeof entry === 'object' && !Array.isArray(entry)) {
+                        Object.keys(entry).forEach(key => {
+                            if (!seen.has(key)) {
+                                seen.add(key);
+                                keys.push(key);
+                            }
+                        });
+                    }
+                });
+                columns = keys.map(key => ({ key, label: key }));
+                rows = data.map(entry => keys.map(key => (entry && typeof entry === 'object' ? entry[key] ?? null : null)));
+            } else {
+                columns = [{ key: 'index', label: 'Index' }, { key: 'value', label: 'Value' }];
+                rows = data.map((value, i) => [i, value]);
+            }
+        } else if (data && typeof data === 'object') {
+            const entries = Object.entries(data);
+            const lengths = entries.map(([, value]) => (Array.isArray(value) && value.every(item => item === null || typeof item !== 'object') ? value.length : -1));
+            if (entries.length > 1 && lengths.every(length => length > 1 && length === lengths[0])) {
+                // Object of equal-length primitive arrays: one column per key
+                columns = [{ key: 'index', label: 'Index' }, ...entries.map(([key]) => ({ key, label: key }))];
+                rows = Array.from({ length: lengths[0] }, (_, i) => [i, ...entries.map(([, value]) => value[i])]);
+            } else {
+                columns = [{ key: 'property', label: 'Property' }, { key: 'value', label: 'Value' }];
+                rows = entries.map(([key, value]) => [key, value]);
+            }
+        }
+
+        columns.forEach((column, index) => {
+            const values = rows.map(row => row[index]).filter(value => value !== null && value !== undefined);
+            column.numeric = values.length > 0 && values.every(value => typeof value === 'number');
+        });
+
+        return { columns, rows };
+    }
+
+    build() {
+        this.root = document.createElement('div');
+        this.root.className = 'data-grid-container';
+
+        // Toolbar: row count, column visibility, clear filters
+        const toolbar = document.createElement('div');
+        toolbar.className = 'data-grid-toolbar';
+        toolbar.style.cssText = 'display: flex; align-items: center; gap: 8px; padding: 6px 0; font-size: 12px; color: #6c757d; position: relative;';
+        toolbar.innerHTML = `
+            <span class="data-grid-count"></span>
+            <span style="flex: 1;"></span>
+            <button type="button" class="data-grid-clear" style="font-size: 11px; padding: 2px 8px; border: 1px solid #ced4da; background: #fff; border-radius: 3px; cursor: pointer;">Clear filters</button>
+            <button type="button" class="data-grid-columns" style="font-size: 11px; padding: 2px 8px; border: 1px solid #ced4da; background: #fff; border-radius: 3px; cursor: pointer;"><i class="fas fa-columns" style="margin-right: 4px;"></i>Columns</button>
+            <div class="data-grid-column-menu" style="display: none; position: absolute; right: 0; top: 100%; z-index: 5; background: #fff; border: 1px solid #dee2e6; border-radius: 4px; box-shadow: 0 2px 8px rgba(0,0,0,0.15); padding: 6px 10px; max-height: 240px; overflow-y: auto;"></div>
+        `;
+        this.countLabel = toolbar.querySelector('.data-grid-count');
+
+        const menu = toolbar.querySelector('.data-grid-column-menu');
+        this.columns.forEach((column, index) => {
+            const label = document.createElement('label');
+            label.style.cssText = 'display: block; white-space: nowrap; color: #495057; cursor: pointer;';
+            label.innerHTML = `<input type="checkbox" checked style="margin-right: 6px;">`;
+            label.appendChild(document.createTextNode(column.label));
+            label.querySelector('input').addEventListener('change', (e) => {
+                if (e.target.checked) {
+                    this.hidden.delete(index);
+                } else {
+                    this.hidden.add(index);
+                }
+                this.buildHeader();
+                // A hidden column's filter would keep dropping rows with no input left to show or clear it
+                if (!e.target.checked && this.filters.delete(index)) {
+                    this.applyView();
+                } else {
+                    this.renderRows();
+                }
+            });
+            menu.appendChild(label);
+        });
+        toolbar.querySelector('.data-grid-columns').addEventListener('click', () => {
+            menu.style.display = menu.style.display === 'none' ? 'block' : 'none';
+        });
+        toolbar.querySelector('.data-grid-clear').addEventListener('click', () => {
+            this.filters.clear();
+            this.buildHeader();
+            this.applyView();
+        });
+
+        // Scrolling viewport with a sticky header
+        this.viewport = document.createElement('div');
+        this.viewport.className = 'data-grid-viewport';
+        this.viewport.style.cssText = `max-height: ${MAX_HEIGHT}px; overflow: auto; background: white; border-radius: 4px; box-shadow: 0 1px 3px rgba(0,0,0,0.1);`;
+        this.viewport.addEventListener('scroll', () => {
+            if (this.frame) return;
+            this.frame = requestAnimationFrame(() => {
+                this.frame = null;
+                this.renderRows();
+            });
+        });
+
+        this.table = document.createElement('table');
+        this.table.className = 'data-grid';
+        this.table.style.cssText = 'width: 100%; border-collapse: separate; border-spacing: 0; font-size: 12px;';
+        this.thead = document.createElement('thead');
+        this.tbody = document.createElement('tbody');
+        this.table.appendChild(this.thead);
+        this.table.appendChild(this.tbody);
+        this.viewport.appendChild(this.table);
+
+        this.root.appendChild(toolbar);
+        this.root.appendChild(this.viewport);
+        this.container.appendChild(this.root);
+        this.buildHeader();
+    }
+
+    /**
+     * Header row with sort toggles and a filter row below it
+     */
+    buildHeader() {
+        this.thead.innerHTML = '';
+        const headerRow = document.createElement('tr');
+        const filterRow = document.createElement('tr');
+
+        this.visibleColumns().forEach(index => {
+            const column = this.columns[index];
+
+            const th = document.createElement('th');
+            th.style.cssText = `${HEADER_STYLE} top: 0; cursor: pointer;`;
+            th.title = `${column.label} (click to sort)`;
+            const arrow = this.sort.column === index ? (this.sort.direction > 0 ? ' ▲' : ' ▼') : '';
+            th.textContent = `${column.label.length > 20 ? column.label.substring(0, 20) + '...' : column.label}${arrow}`;
+            th.addEventListener('click', () => this.toggleSort(index));
+            headerRow.appendChild(th);
+
+            const filterCell = document.createElement('th');
+            filterCell.style.cssText = `${HEADER_STYLE} top: 0; padding: 2px 6px 6px 6px; border-bottom: 1px solid #e1e5e9;`;
+            const filter = this.filters.get(index) || {};
+            if (column.numeric) {
+                filterCell.innerHTML = `
+                    <div style="display: flex; gap: 2px;">
+                        <input type="number" step="any" placeholder="min" data-bound="min" style="${INPUT_STYLE}">
+                        <input type="number" step="any" placeholder="max" data-bound="max" style="${INPUT_STYLE}">
+                    </div>
+                `;
+                filterCell.querySelectorAll('input').forEach(input => {
+                    input.value = filter[input.dataset.bound] ?? '';
+                    input.addEventListener('input', () => this.setFilter(index, input.dataset.bound, input.value));
+                });
+            } else {
+                filterCell.innerHTML = `<input type="text" placeholder="filter" style="${INPUT_STYLE}">`;
+                const input = filterCell.querySelector('input');
+                input.value = filter.text ?? '';
+                input.addEventListener('input', () => this.setFilter(index, 'text', input.value));
+            }
+            filterRow.appendChild(filterCell);
+        });
+
+        this.thead.appendChild(headerRow);
+        this.thead.appendChild(filterRow);
+        this.stickFilterRow();
+    }
+
+    /**
+     * Keep the filter row stuck right below the header row, whose height depends on fonts and labels.
+     * Re-measured on every redraw, since a grid built while hidden has no height yet.
+     */
+    stickFilterRow() {
+        const [headerRow, filterRow] = this.thead.rows;
+        if (!headerRow || !filterRow) return;
+        const top = `${headerRow.offsetHeight || 0}px`;
+        Array.from(filterRow.cells).forEach(cell => {
+            if (cell.style.top !== top) cell.style.top = top;
+        });
+    }
+
+    toggleSort(index) {
+        if (this.sort.column !== index) {
+            this.sort = { column: index, direction: 1 };
+        } else if (this.sort.direction === 1) {
+            this.sort.direction = -1;
+        } else {
+            this.sort = { column: null, direction: 0 };
+        }
+        this.buildHeader();
+        this.applyView();
+    }
+
+    setFilter(index, field, value) {
+        const filter = { ...(this.filters.get(index) || {}) };
+        if (value === '') {
+            delete filter[field];
+        } else {
+            filter[field] = field === 'text' ? value.toLowerCase() : Number(value);
+        }
+        if (Object.keys(filter).length === 0) {
+            this.filters.delete(index);
+        } else {
+            this.filters.set(index, filter);
+        }
+        this.applyView();
+    }
+
+    /**
+     * Recompute the filtered and sorted row order, then redraw
+     */
+    applyView() {
+        const filters = Array.from(this.filters.entries());
+        let view = this.rows.map((row, index) => index).filter(rowIndex => {
+            const row = this.rows[rowIndex];
+            return filters.every(([column, filter]) => {
+                const value = row[column];
+                if (filter.text !== undefined) {
+                    return value !== null && value !== undefined && this.searchText(value).includes(filter.text);
+                }
+                if (typeof value !== 'number') return false;
+                if (filter.min !== undefined && value < filter.min) return false;
+                if (filter.max !== undefined && value > filter.max) return false;
+                return true;
+            });
+        });
+
+        if (this.sort.column !== null) {
+            const column = this.sort.column;
+            const direction = this.sort.direction;
+            const numeric = this.columns[column].numeric;
+            view.sort((a, b) => {
+                const left = this.rows[a][column];
+                const right = this.rows[b][column];
+                // Empty values always sort last
+                if (left === null || left === undefined) return right === null || right === undefined ? 0 : 1;
+                if (right === null || right === undefined) return -1;
+                const result = numeric ? left - right : this.searchText(left).localeCompare(this.searchText(right), undefined, { numeric: true });
+                return result * direction;
+            });
+        }
+
+        this.view = view;
+        this.anchor = null;
+        this.updateCount();
+        this.viewport.scrollTop = 0;
+        this.renderRows();
+    }
+
+    updateCount() {
+        const count = this.view.length === this.rows.length
+            ? `${this.rows.length} rows`
+            : `Showing ${this.view.length} of ${this.rows.length} rows`;
+        const marks = [
+            this.selected.size > 0 ? `${this.selected.size} selected` : null,
+            this.highlighted.size > 0 ? `${this.highlighted.size} highlighted` : null
+        ].filter(Boolean);
+        this.countLabel.textContent = [count, ...marks].join(' · ');
+    }
+
+    /**
+     * Pick a row: a plain click picks only it (or nothing, when it was the only picked row),
+     * Ctrl/Cmd-click toggles it, Shift-click picks the visible rows from the last picked one
+     */
+    selectRow(rowIndex, event) {
+        const position = this.view.indexOf(rowIndex);
+        if (event.shiftKey && this.anchor !== null && this.view.includes(this.anchor)) {
+            const from = this.view.indexOf(this.anchor);
+            if (!event.ctrlKey && !event.metaKey) this.selected.clear();
+            this.view.slice(Math.min(from, position), Math.max(from, position) + 1).forEach(index => this.selected.add(index));
+        } else if (event.ctrlKey || event.metaKey) {
+            if (this.selected.has(rowIndex)) this.selected.delete(rowIndex);
+            else this.selected.add(rowIndex);
+            this.anchor = rowIndex;
+        } else {
+            const only = this.selected.size === 1 && this.selected.has(rowIndex);
+            this.selected.clear();
+            if (!only) this.selected.add(rowIndex);
+            this.anchor = rowIndex;
+        }
+        this.updateCount();
+        this.renderRows();
+        this.onSelect([...this.selected].sort((a, b) => a - b).map(index => this.rowObject(index)));
+    }
+
+    /**
+     * Highlight the rows a predicate accepts and scroll the first visible one into view
+     * @param {Function|null} predicate - (row object) => boolean; null clears the highlight
+     * @returns {number} - Number of highlighted rows
+     */
+    highlight(predicate) {
+        this.highlighted = new Set(predicate ? this.rows.map((row, index) => index).filter(index => predicate(this.rowObject(index))) : []);
+        this.updateCount();
+
+        const first = this.view.findIndex(index => this.highlighted.has(index));
+        if (first !== -1) {
+            const top = first * ROW_HEIGHT;
+            const shown = this.viewport.scrollTop;
+            const height = this.viewport.clientHeight || MAX_HEIGHT;
+            if (top < shown || top > shown + height - ROW_HEIGHT * 2) this.viewport.scrollTop = top;
+        }
+        this.renderRows();
+        return this.highlighted.size;
+    }
+
+    /**
+     * A row as an object keyed by column
+     */
+    rowObject(rowIndex) {
+        const row = this.rows[rowIndex];
+        return Object.fromEntries(this.columns.map((column, index) => [column.key, row[index]]));
+    }
+
+    /**
+     * Render only the rows inside the viewport, with spacer rows keeping the scroll height
+     */
+    renderRows() {
+        const columns = this.visibleColumns();
+        this.stickFilterRow();
+        const headerHeight = this.thead.offsetHeight || 0;
+        const scrollTop = Math.max(0, this.viewport.scrollTop - headerHeight);
+        const visibleCount = Math.ceil(MAX_HEIGHT / ROW_HEIGHT) + OVERSCAN * 2;
+        const start = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+        const end = Math.min(this.view.length, start + visibleCount);
+
+        this.tbody.innerHTML = '';
+        this.tbody.appendChild(this.spacer(start * ROW_HEIGHT, columns.length));
+
+        for (let position = start; position < end; position++) {
+            const rowIndex = this.view[position];
+            const row = this.rows[rowIndex];
+            const tr = document.createElement('tr');
+            if (this.selected.has(rowIndex)) {
+                tr.className = 'data-grid-selected';
+                tr.style.background = SELECTED_BACKGROUND;
+            } else if (this.highlighted.has(rowIndex)) {
+                tr.className = 'data-grid-highlighted';
+                tr.style.background = HIGHLIGHT_BACKGROUND;
+            }
+            if (this.onSelect) {
+                tr.style.cursor = 'pointer';
+                tr.addEventListener('click', (event) => this.selectRow(rowIndex, event));
+            }
+            columns.forEach(index => tr.appendChild(this.createCell(row[index], this.columns[index], row)));
+            this.tbody.appendChild(tr);
+        }
+
+        this.tbody.appendChild(this.spacer((this.view.length - end) * ROW_HEIGHT, columns.length));
+
+        if (this.view.length === 0) {
+            const tr = document.createElement('tr');
+            tr.innerHTML = `<td colspan="${Math.max(columns.length, 1)}" style="padding: 20px; text-align: center; color: #6c757d;">No matching rows</td>`;
+            this.tbody.appendChild(tr);
+        }
+    }
+
+    spacer(height, colspan) {
+        const tr = document.createElement('tr');
+        tr.style.height = `${height}px`;
+        if (height > 0) {
+            const td = document.createElement('td');
+            td.colSpan = Math.max(colspan, 1);
+            td.style.cssText = 'padding: 0; border: none;';
+            tr.appendChild(td);
+        }
+        return tr;
+    }
+
+    createCell(value, column, row) {
+        const td = document.createElement('td');
+        td.style.cssText = CELL_STYLE;
+        // Property/value tables title the explorer with the property name
+        const label = column.key === 'value' && this.columns[0].key === 'property' ? row[0] : column.label;
+
+        if (value === null || value === undefined) {
+            td.innerHTML = '<em style="color: #adb5bd;">null</em>';
+        } else if (typeof value === 'object') {
+            const summary = Array.isArray(value) ? `Array(${value.length})` : `Object(${Object.keys(value).length} keys)`;
+            td.innerHTML = `<span class="json-expand-btn" style="cursor: pointer; color: #007bff;"><i class="fas fa-expand-alt" style="margin-right: 4px;"></i>${summary}</span>`;
+            td.querySelector('.json-expand-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.onExpand(value, `${label} - Data Explorer`);
+            });
+        } else if (typeof value === 'string' && value.length > TEXT_LIMIT) {
+            const span = document.createElement('span');
+            span.className = 'json-expand-btn';
+            span.style.cursor = 'pointer';
+            span.title = 'Click to expand';
+            span.textContent = value.substring(0, TEXT_LIMIT) + '...';
+            span.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.onExpand(value, `${label} - Text Content`);
+            });
+            td.appendChild(span);
+        } else {
+            td.textContent = String(value);
+            td.title = String(value);
+            if (column.key === 'index') {
+                td.style.color = '#6c757d';
+                td.style.fontFamily = 'monospace';
+            }
+        }
+        return td;
+    }
+
+    visibleColumns() {
+        return this.columns.map((column, index) => index).filter(index => !this.hidden.has(index));
+    }
+
+    searchText(value) {
+        return (typeof value === 'object' ? JSON.stringify(value) : String(value)).toLowerCase();
+    }
+}
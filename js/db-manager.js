@@ -3,20 +3,70 @@
  * 
  * This class handles database operations for the exported PWA:
  * - Initializes a separate IndexedDB database for exported data
- * - Imports data from the exported files
+ * - Upgrades the schema through ordered, versioned migration steps
+ * - Imports data from the exported files incrementally (only new or changed items are fetched)
  * - Provides methods to access the imported data
  */
 class DBManager {
     constructor() {
         this.dbName = 'HydroBloxExportDB';
-        this.version = 1;
+        
+        // Ordered schema upgrade steps. Never edit a released step; append a new one instead.
+        // Each step receives the database and the versionchange transaction.
+        this.migrations = [
+            {
+                version: 1,
+                description: 'Create workflows, items and appInfo stores',
+                upgrade: (db) => {
+                    if (!db.objectStoreNames.contains('workflows')) {
+                        const workflowStore = db.createObjectStore('workflows', { keyPath: 'id' });
+                        workflowStore.createIndex('name', 'name', { unique: false });
+                    }
+                    
+                    if (!db.objectStoreNames.contains('items')) {
+                        const itemStore = db.createObjectStore('items', { keyPath: 'uniqueId' });
+                        itemStore.createIndex('workflowId', 'workflowId', { unique: false });
+                        itemStore.createIndex('itemName', 'itemName', { unique: false });
+                    }
+                    
+                    if (!db.objectStoreNames.contains('appInfo')) {
+                        db.createObjectStore('appInfo', { keyPath: 'key' });
+                    }
+                }
+            },
+            {
+                version: 2,
+                description: 'Index items by export timestamp',
+                upgrade: (db, transaction) => {
+                    const itemStore = transaction.objectStore('items');
+                    if (!itemStore.indexNames.contains('timestamp')) {
+                        itemStore.createIndex('timestamp', 'timestamp', { unique: false });
+                    }
+                }
+            },
+            {
+                version: 3,
+                description: 'Track incremental import progress and the stored item manifest',
+                upgrade: (db) => {
+                    if (!db.objectStoreNames.contains('importState')) {
+                        db.createObjectStore('importState', { keyPath: 'key' });
+                    }
+                }
+            }
+        ];
+        this.version = this.migrations[this.migrations.length - 1].version;
+        
         this.db = null;
         this.ready = false;
         this.itemIndex = null;
+        // Outcome of the most recent importData() run (used by the export integrity check)
+        this.lastImport = null;
     }
 
     /**
      * Initialize the database
+     * If a migration fails, or the stored database is newer than this code, the database
+     * is deleted and rebuilt from scratch; importData() then repopulates it.
      * @returns {Promise<boolean>} - Promise resolving to true if successful
      */
     async initDB() {
@@ -27,49 +77,121 @@ class DBManager {
                 return true;
             }
 
-            return new Promise((resolve, reject) => {
-                const request = indexedDB.open(this.dbName, this.version);
+            try {
+                await this.openDatabase();
+            } catch (openError) {
+                if (!this.migrationFailed && openError?.name !== 'VersionError') {
+                    throw openError;
+                }
+                console.warn('Database schema could not be upgraded, rebuilding local database:', openError);
+                this.migrationFailed = false;
+                await this.deleteDatabase();
+                await this.openDatabase();
+            }
+            return true;
+        } catch (error) {
+            console.error('Error initializing database:', error);
+            throw error;
+        }
+    }
 
-                request.onupgradeneeded = (event) => {
-                    const db = event.target.result;
-                    
-                    // Create object stores for workflows, items, and application data
-                    if (!db.objectStoreNames.contains('workflows')) {
-                        const workflowStore = db.createObjectStore('workflows', { keyPath: 'id' });
-                        workflowStore.createIndex('name', 'name', { unique: false });
-                    }
-                    
-                    if (!db.objectStoreNames.contains('items')) {
-                        const itemStore = db.createObjectStore('items', { keyPath: 'uniqueId' });
-                        itemStore.createIndex('workflowId', 'workflowId', { unique: false });
-                        itemStore.createIndex('itemName', 'itemName', { unique: false });
-                    }
-                    
-                    if (!db.objectStoreNames.contains('appInfo')) {
-                        db.createObjectStore('appInfo', { keyPath: 'key' });
-                    }
-                };
+    /**
+     * Open the database, running any pending migrations
+     * @returns {Promise<IDBDatabase>}
+     */
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.version);
 
-                request.onsuccess = (event) => {
-                    this.db = event.target.result;
-                    this.ready = true;
-                    console.log('Database initialized successfully');
-                    resolve(true);
-                };
+            request.onupgradeneeded = (event) => {
+                try {
+                    this.runMigrations(event.target.result, event.target.transaction, event.oldVersion);
+                } catch (migrationError) {
+                    console.error('Database migration failed:', migrationError);
+                    this.migrationFailed = true;
+                    event.target.transaction.abort();
+                }
+            };
 
-                request.onerror = (event) => {
-                    console.error('Database error:', event.target.error);
-                    reject(event.target.error);
+            request.onsuccess = (event) => {
+                this.db = event.target.result;
+                this.ready = true;
+                
+                // Let another tab with newer code upgrade the schema
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.ready = false;
+                    console.warn('Database is being upgraded in another tab; connection closed');
                 };
-            });
-        } catch (error) {
-            console.error('Error initializing database:', error);
-            return false;
+                
+                console.log(`Database initialized successfully (schema v${this.version})`);
+                resolve(this.db);
+            };
+
+            request.onerror = (event) => {
+                console.error('Database error:', event.target.error);
+                reject(event.target.error);
+            };
+
+            request.onblocked = () => {
+                console.warn('Database upgrade is waiting for other open tabs of this app to close');
+            };
+        });
+    }
+
+    /**
+     * Apply every migration step newer than the stored schema, in order,
+     * and record the resulting schema version in the appInfo store
+     * @param {IDBDatabase} db - Database being upgraded
+     * @param {IDBTransaction} transaction - The versionchange transaction
+     * @param {number} oldVersion - Schema version before the upgrade (0 for a new database)
+     */
+    runMigrations(db, transaction, oldVersion) {
+        const pending = this.migrations
+            .filter(migration => migration.version > oldVersion)
+            .sort((a, b) => a.version - b.version);
+
+        pending.forEach(migration => {
+            console.log(`Applying database migration v${migration.version}: ${migration.description}`);
+            migration.upgrade(db, transaction);
+        });
+
+        transaction.objectStore('appInfo').put({
+            key: 'schema',
+            version: this.version,
+            previousVersion: oldVersion,
+            appliedSteps: pending.map(migration => migration.version),
+            migratedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Delete the whole database (used to rebuild after a failed or impossible migration)
+     * @returns {Promise<void>}
+     */
+    deleteDatabase() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
         }
+        this.ready = false;
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.deleteDatabase(this.dbName);
+            request.onsuccess = () => {
+                console.log('Database deleted for rebuild');
+                resolve();
+            };
+            request.onerror = (event) => reject(event.target.error);
+            request.onblocked = () => console.warn('Database deletion is waiting for other open tabs of this app to close');
+        });
     }
     
     /**
      * Import data from exported files
+     * Reuses stored data when the export is unchanged; otherwise compares item-index.json
+     * against the stored manifest, fetches only new or changed items and removes stale ones.
+     * Progress is kept in the importState store so an interrupted import resumes.
      * @param {Object} options - Options for importing data
      * @param {Function} options.updateProgress - Function to update progress display
      * @returns {Promise<boolean>} - Promise resolving to true if successful
@@ -77,6 +199,8 @@ class DBManager {
     async importData(options = {}) {
         const updateProgress = options.updateProgress || (msg => console.log(msg));
         const errors = [];
+        const failedItemDetails = [];
+        const storedIds = [];
         
         if (!this.ready) {
             try {
@@ -86,26 +210,46 @@ class DBManager {
                 const errorMsg = `Failed to initialize database: ${initError.message}`;
                 console.error(errorMsg, initError);
                 updateProgress(errorMsg);
+                this.recordImport({ success: false, workflows: {}, itemIndex: [], storedIds: [], failedItems: [], errors: [errorMsg] });
                 return false;
             }
         }
 
         try {
-            // Clear existing data before importing
+            // Read the export's app info first: it decides whether stored data can be reused
+            updateProgress('Loading application information...');
+            let appInfo = null;
             try {
-                updateProgress('Clearing previous data...');
-                await this.clearDatabase();
-            } catch (clearError) {
-                const warnMsg = `Warning: Failed to clear database: ${clearError.message}`;
-                console.warn(warnMsg, clearError);
-                updateProgress(warnMsg);
-                errors.push(warnMsg);
-                // Continue anyway
+                const appInfoResponse = await this.fetchWithRetry('./data/app-info.json');
+                if (appInfoResponse && appInfoResponse.ok) {
+                    const appInfoText = await appInfoResponse.text();
+                    if (appInfoText && appInfoText.trim()) {
+                        appInfo = JSON.parse(appInfoText);
+                        console.log('App info loaded successfully');
+                    } else {
+                        throw new Error('App info file is empty');
+                    }
+                } else {
+                    throw new Error(`Failed to fetch: HTTP ${appInfoResponse?.status || 'unknown'}`);
+                }
+            } catch (appInfoError) {
+                const errorMsg = `Failed to load app info: ${appInfoError.message}`;
+                console.warn(errorMsg, appInfoError);
+                updateProgress(errorMsg);
+                errors.push(errorMsg);
+            }
+
+            const storedExport = await this.getExportVersion();
+            if (appInfo && this.isSameExport(storedExport, appInfo)) {
+                return this.reuseStoredExport(storedExport, updateProgress, errors);
             }
 
             // First, fetch and store the item index with retry
             updateProgress('Fetching item index...');
             let itemIndexResponse;
+            // Stored items and workflows are only pruned against a source file that was actually read
+            let itemIndexLoaded = false;
+            let workflowsLoaded = false;
             try {
                 itemIndexResponse = await this.fetchWithRetry('./data/item-index.json');
                 
@@ -126,6 +270,7 @@ class DBManager {
                 }
                 
                 console.log(`Item index loaded: ${this.itemIndex.length} items found`);
+                itemIndexLoaded = true;
                 
             } catch (fetchError) {
                 const errorMsg = `Failed to load item index: ${fetchError.message}`;
@@ -136,38 +281,7 @@ class DBManager {
                 // Continue with empty index
             }
 
-            // Store app info with fallback
-            updateProgress('Loading application information...');
-            try {
-                const appInfoResponse = await this.fetchWithRetry('./data/app-info.json');
-                if (appInfoResponse && appInfoResponse.ok) {
-                    const appInfoText = await appInfoResponse.text();
-                    if (appInfoText && appInfoText.trim()) {
-                        const appInfo = JSON.parse(appInfoText);
-                        await this.storeAppInfo(appInfo);
-                        console.log('App info loaded successfully');
-                    } else {
-                        throw new Error('App info file is empty');
-                    }
-                } else {
-                    throw new Error(`Failed to fetch: HTTP ${appInfoResponse?.status || 'unknown'}`);
-                }
-            } catch (appInfoError) {
-                const errorMsg = `Failed to load app info: ${appInfoError.message}`;
-                console.warn(errorMsg, appInfoError);
-                updateProgress(errorMsg);
-                errors.push(errorMsg);
-                // Use fallback
-                await this.storeAppInfo({
-                    appInfo: {
-                        version: "1.0.0",
-                        exportDate: new Date().toISOString(),
-                        name: "HydroBlox"
-                    }
-                });
-            }
-
-            // Store workflows with fallback
+            // Fetch workflows with fallback
             updateProgress('Loading workflows...');
             let workflows = {};
             let workflowCount = 0;
@@ -224,7 +338,7 @@ class DBManager {
                     
                     workflows = validatedWorkflows;
                     workflowCount = Object.keys(workflows).length;
-                    await this.storeWorkflows(workflows);
+                    workflowsLoaded = true;
                     console.log(`Loaded ${workflowCount} workflow(s)`);
                 } else {
                     throw new Error(`Failed to fetch: HTTP ${workflowsResponse?.status || 'unknown'}`);
@@ -238,33 +352,129 @@ class DBManager {
                 // Continue with empty workflows
             }
 
-            // Store items in batches to avoid memory issues
-            const totalItems = this.itemIndex ? this.itemIndex.length : 0;
-            let processedItems = 0;
+            // Never wipe a working offline copy for an export that could not be read
+            if (storedExport && (this.itemIndex || []).length === 0 && workflowCount === 0) {
+                const warnMsg = 'Export files could not be loaded; keeping previously imported data';
+                console.warn(warnMsg);
+                updateProgress(warnMsg);
+                errors.push(warnMsg);
+                return this.reuseStoredExport(storedExport, updateProgress, errors);
+            }
+
+            if (storedExport) {
+                const exportInfo = appInfo ? (appInfo.appInfo || appInfo) : {};
+                updateProgress(`Export changed (v${storedExport.version}, ${storedExport.exportDate} -> v${exportInfo.version || '?'}, ${exportInfo.exportDate || '?'}); updating local data...`);
+            }
+
+            // Until this run finishes, the stored data must not be reused as-is
+            if (appInfo) {
+                await this.storeExportVersion(appInfo, this.itemIndex || [], false);
+            }
+
+            // Store app info with fallback
+            await this.storeAppInfo(appInfo || {
+                appInfo: {
+                    version: "1.0.0",
+                    exportDate: new Date().toISOString(),
+                    name: "HydroBlox"
+                }
+            });
+
+            let workflowsStored = false;
+            try {
+                await this.storeWorkflows(workflows);
+                workflowsStored = true;
+                if (workflowsLoaded) {
+                    await this.deleteStale('workflows', Object.keys(workflows));
+                }
+            } catch (storeError) {
+                const errorMsg = `Failed to store workflows: ${storeError.message}`;
+                console.error(errorMsg, storeError);
+                updateProgress(errorMsg);
+                errors.push(errorMsg);
+            }
+
+            // Store items incrementally: only new or changed items are fetched
+            const index = (this.itemIndex || []).filter(itemMeta => itemMeta && itemMeta.id);
+            const totalItems = index.length;
+            const exportKey = appInfo ? this.getExportKey(appInfo) : null;
+            const storedMeta = await this.getStoredItemMeta();
+            const manifest = Object.fromEntries(storedMeta);
+
+            // Resume an interrupted run of the same export: items it already stored are done
+            const previousState = await this.getImportState();
+            const resumed = !!(previousState && !previousState.finished && exportKey && previousState.exportKey === exportKey);
+            const doneIds = new Set(resumed ? previousState.doneIds : []);
+            if (resumed) {
+                updateProgress(`Resuming interrupted import: ${doneIds.size} of ${totalItems} items already stored`);
+            }
+
+            const toFetch = index.filter(itemMeta => !doneIds.has(itemMeta.id) && !this.isItemUnchanged(itemMeta, storedMeta.get(itemMeta.id)));
+            let skippedItems = totalItems - toFetch.length;
+            let updatedItems = 0;
             let failedItems = 0;
-            
+            storedIds.push(...index.filter(itemMeta => !toFetch.includes(itemMeta)).map(itemMeta => itemMeta.id));
+
+            const state = {
+                exportKey,
+                startedAt: resumed ? previousState.startedAt : new Date().toISOString(),
+                total: totalItems,
+                doneIds: index.filter(itemMeta => !toFetch.includes(itemMeta)).map(itemMeta => itemMeta.id),
+                failedIds: [],
+                finished: false
+            };
+            await this.storeImportState(state, manifest);
+
             if (totalItems > 0) {
+                updateProgress(`${toFetch.length} of ${totalItems} items are new or changed`);
                 const batchSize = 5; // Process 5 items at a time
 
-                for (let i = 0; i < totalItems; i += batchSize) {
-                    const batch = this.itemIndex.slice(i, i + batchSize);
-                    updateProgress(`Loading items ${i + 1} to ${Math.min(i + batchSize, totalItems)} of ${totalItems}...`);
+                for (let i = 0; i < toFetch.length; i += batchSize) {
+                    const batch = toFetch.slice(i, i + batchSize);
+                    updateProgress(`Loading items ${i + 1} to ${Math.min(i + batchSize, toFetch.length)} of ${toFetch.length} (skipped ${skippedItems}, updated ${updatedItems}, failed ${failedItems})...`);
                     try {
-                        const result = await this.storeItemBatch(batch);
-                        processedItems += result.succeeded;
+                        const result = await this.storeItemBatch(batch, storedMeta);
+                        updatedItems += result.succeeded;
+                        skippedItems += result.unchanged.length;
                         failedItems += result.failed;
+                        storedIds.push(...result.storedIds, ...result.unchanged);
+                        failedItemDetails.push(...result.failures);
+                        state.doneIds.push(...result.storedIds, ...result.unchanged);
+                        state.failedIds.push(...result.failures.map(failure => failure.id));
+                        result.manifest.forEach(entry => {
+                            manifest[entry.id] = { timestamp: entry.timestamp, contentHash: entry.contentHash };
+                        });
                     } catch (batchError) {
                         const errorMsg = `Batch ${i}-${i + batchSize} failed: ${batchError.message}`;
                         console.warn(errorMsg, batchError);
                         updateProgress(errorMsg);
                         errors.push(errorMsg);
                         failedItems += batch.length;
+                        batch.forEach(itemMeta => failedItemDetails.push({ id: itemMeta?.id, reason: errorMsg }));
+                        state.failedIds.push(...batch.map(itemMeta => itemMeta.id));
                         // Continue with next batch
                     }
+                    // Persist progress so an interrupted import can resume
+                    await this.storeImportState(state, manifest);
                 }
+            }
 
-                const successRate = totalItems > 0 ? Math.round((processedItems / totalItems) * 100) : 100;
-                const summaryMsg = `Import complete: ${processedItems}/${totalItems} items (${successRate}%) from ${workflowCount} workflow(s)`;
+            // Items that are no longer part of the export
+            let removedItems = 0;
+            if (itemIndexLoaded) {
+                const indexedIds = new Set(index.map(itemMeta => itemMeta.id));
+                removedItems = await this.deleteStale('items', Array.from(indexedIds));
+                Object.keys(manifest).forEach(id => {
+                    if (!indexedIds.has(id)) delete manifest[id];
+                });
+            }
+
+            state.finished = true;
+            state.finishedAt = new Date().toISOString();
+            await this.storeImportState(state, manifest);
+
+            if (totalItems > 0) {
+                const summaryMsg = `Import complete: ${totalItems} items from ${workflowCount} workflow(s) - skipped ${skippedItems} unchanged, updated ${updatedItems}, failed ${failedItems}, removed ${removedItems}`;
                 updateProgress(summaryMsg);
                 console.log(summaryMsg);
                 
@@ -280,6 +490,23 @@ class DBManager {
                 console.log(msg);
             }
 
+            // Only a complete import of a known export may be reused on the next start: the item index and
+            // workflows were read and stored, and every item was fetched
+            if (appInfo) {
+                const complete = itemIndexLoaded && workflowsLoaded && workflowsStored && failedItemDetails.length === 0;
+                await this.storeExportVersion(appInfo, this.itemIndex || [], complete);
+            }
+
+            this.recordImport({
+                success: true,
+                workflows,
+                itemIndex: this.itemIndex || [],
+                storedIds,
+                failedItems: failedItemDetails,
+                counts: { skipped: skippedItems, updated: updatedItems, failed: failedItems, removed: removedItems },
+                errors
+            });
+
             // Report any errors that occurred
             if (errors.length > 0) {
                 console.warn(`Import completed with ${errors.length} warning(s):`, errors);
@@ -291,10 +518,189 @@ class DBManager {
             const errorMsg = `Critical error during import: ${error.message}`;
             console.error(errorMsg, error);
             updateProgress(errorMsg);
+            this.recordImport({
+                success: false,
+                workflows: {},
+                itemIndex: this.itemIndex || [],
+                storedIds,
+                failedItems: failedItemDetails,
+                errors: [...errors, errorMsg]
+            });
             return false;
         }
     }
 
+    /**
+     * Keep the outcome of an import and announce it to the page
+     * @param {Object} result - Import outcome (workflows, itemIndex, storedIds, failedItems, errors)
+     */
+    recordImport(result) {
+        this.lastImport = {
+            ...result,
+            completedAt: new Date().toISOString()
+        };
+        document.dispatchEvent(new CustomEvent('db-import-complete', { detail: this.lastImport }));
+    }
+
+    /**
+     * Get the record describing the export currently stored in the database
+     * @returns {Promise<Object|null>} - { version, exportDate, schemaVersion, itemIndex, complete, importedAt } or null
+     */
+    async getExportVersion() {
+        return new Promise((resolve) => {
+            if (!this.ready) {
+                resolve(null);
+                return;
+            }
+            
+            const transaction = this.db.transaction(['appInfo'], 'readonly');
+            const request = transaction.objectStore('appInfo').get('exportVersion');
+            
+            request.onsuccess = () => {
+                resolve(request.result || null);
+            };
+            
+            request.onerror = (event) => {
+                console.warn('Error reading stored export version:', event.target.error);
+                resolve(null);
+            };
+        });
+    }
+
+    /**
+     * Read the user's layout state (e.g. map layer styles) kept across sessions
+     * @returns {Promise<Object|null>} - { mapStyles, updatedAt } or null
+     */
+    async getLayoutState() {
+        return new Promise((resolve) => {
+            if (!this.ready) {
+                resolve(null);
+                return;
+            }
+            
+            const transaction = this.db.transaction(['appInfo'], 'readonly');
+            const request = transaction.objectStore('appInfo').get('layoutState');
+            
+            request.onsuccess = () => {
+                resolve(request.result || null);
+            };
+            
+            request.onerror = (event) => {
+                console.warn('Error reading layout state:', event.target.error);
+                resolve(null);
+            };
+        });
+    }
+
+    /**
+     * Store the user's layout state
+     * @param {Object} state - { mapStyles }
+     * @returns {Promise<void>}
+     */
+    async storeLayoutState(state) {
+        return new Promise((resolve, reject) => {
+            if (!this.ready) {
+                reject(new Error('Database not initialized'));
+                return;
+            }
+            
+            const transaction = this.db.transaction(['appInfo'], 'readwrite');
+            const request = transaction.objectStore('appInfo').put({
+                ...state,
+                key: 'layoutState',
+                updatedAt: new Date().toISOString()
+            });
+            
+            request.onsuccess = () => {
+                resolve();
+            };
+            
+            request.onerror = (event) => {
+                console.error('Error storing layout state:', event.target.error);
+                reject(event.target.error);
+            };
+        });
+    }
+
+    /**
+     * Record which export (app-info version and exportDate) the database now holds
+     * @param {Object} appInfo - Contents of data/app-info.json
+     * @param {Array} itemIndex - Item index that was imported
+     * @param {boolean} complete - Whether every item was stored
+     * @returns {Promise<void>}
+     */
+    async storeExportVersion(appInfo, itemIndex, complete) {
+        const info = appInfo.appInfo || appInfo;
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['appInfo'], 'readwrite');
+            const request = transaction.objectStore('appInfo').put({
+                key: 'exportVersion',
+                version: info.version || null,
+                exportDate: info.exportDate || null,
+                schemaVersion: this.version,
+                itemIndex,
+                complete,
+                importedAt: new Date().toISOString()
+            });
+            
+            request.onsuccess = () => {
+                resolve();
+            };
+            
+            request.onerror = (event) => {
+                console.error('Error storing export version:', event.target.error);
+                reject(event.target.error);
+            };
+        });
+    }
+
+    /**
+     * Whether the stored data was completely imported from the same export under the current schema
+     * @param {Object|null} storedExport - Record from getExportVersion()
+     * @param {Object} appInfo - Contents of data/app-info.json
+     * @returns {boolean}
+     */
+    isSameExport(storedExport, appInfo) {
+        if (!storedExport || !storedExport.complete) return false;
+        const info = appInfo.appInfo || appInfo;
+        return storedExport.schemaVersion === this.version &&
+            storedExport.version === (info.version || null) &&
+            storedExport.exportDate === (info.exportDate || null);
+    }
+
+    /**
+     * Finish an import using the data already in the database
+     * @param {Object} storedExport - Record from getExportVersion()
+     * @param {Function} updateProgress - Progress callback
+     * @param {Array<string>} errors - Warnings collected so far
+     * @returns {Promise<boolean>}
+     */
+    async reuseStoredExport(storedExport, updateProgress, errors = []) {
+        const workflowList = await this.getWorkflows();
+        const workflows = {};
+        workflowList.forEach(workflow => {
+            workflows[workflow.id] = workflow;
+        });
+        const storedIds = await this.getItemIds();
+        this.itemIndex = Array.isArray(storedExport.itemIndex) ? storedExport.itemIndex : [];
+        
+        const msg = `Using stored export v${storedExport.version} (${storedExport.exportDate}): ${storedIds.length} items from ${workflowList.length} workflow(s)`;
+        updateProgress(msg);
+        console.log(msg);
+        
+        this.recordImport({
+            success: true,
+            reused: true,
+            workflows,
+            itemIndex: this.itemIndex,
+            storedIds,
+            failedItems: [],
+            errors
+        });
+        return true;
+    }
+
     /**
      * Fetch with retry mechanism
      * @param {string} url - URL to fetch
@@ -321,32 +727,51 @@ class DBManager {
     
     /**
      * Store a batch of items
+     * Items whose file content hash matches the stored manifest are not rewritten.
      * @param {Array} itemBatch - Array of item metadata to load and store
-     * @returns {Promise<{succeeded: number, failed: number}>}
+     * @param {Map} storedMeta - Manifest of stored items (id -> { timestamp, contentHash })
+     * @returns {Promise<{succeeded: number, failed: number, storedIds: Array<string>, unchanged: Array<string>, manifest: Array<Object>, failures: Array<{id: string, reason: string}>}>}
      */
-    async storeItemBatch(itemBatch) {
+    async storeItemBatch(itemBatch, storedMeta = new Map()) {
         let loadedCount = 0;
         let loadFailedCount = 0;
+        const failures = [];
+        const storedIds = [];
+        const unchanged = [];
+        const manifest = [];
+        const markFailed = (id, reason) => {
+            loadFailedCount++;
+            failures.push({ id: id || 'unknown', reason });
+        };
         
         const itemPromises = itemBatch.map(async (itemMeta) => {
             try {
                 if (!itemMeta || !itemMeta.id) {
                     console.warn('Invalid item metadata:', itemMeta);
-                    loadFailedCount++;
+                    markFailed(itemMeta?.id, 'Invalid item metadata');
                     return null;
                 }
                 
                 const itemResponse = await this.fetchWithRetry(`./data/items/${itemMeta.id}.json`, 2);
                 if (!itemResponse || !itemResponse.ok) {
                     console.warn(`Failed to fetch item ${itemMeta.id}: HTTP ${itemResponse ? itemResponse.status : 'No response'}`);
-                    loadFailedCount++;
+                    markFailed(itemMeta.id, `Item file could not be fetched (HTTP ${itemResponse ? itemResponse.status : 'no response'})`);
                     return null;
                 }
 
                 const itemText = await itemResponse.text();
                 if (!itemText || itemText.trim() === '') {
                     console.warn(`Item ${itemMeta.id} file is empty`);
-                    loadFailedCount++;
+                    markFailed(itemMeta.id, 'Item file is empty');
+                    return null;
+                }
+                
+                const contentHash = await this.hashText(itemText);
+                const timestamp = itemMeta.timestamp || new Date().toISOString();
+                const stored = storedMeta.get(itemMeta.id);
+                if (stored && contentHash && stored.contentHash === contentHash) {
+                    unchanged.push(itemMeta.id);
+                    manifest.push({ id: itemMeta.id, timestamp, contentHash });
                     return null;
                 }
                 
@@ -355,7 +780,7 @@ class DBManager {
                 // Validate item data structure
                 if (!itemData || typeof itemData !== 'object') {
                     console.warn(`Item ${itemMeta.id} has invalid data structure`);
-                    loadFailedCount++;
+                    markFailed(itemMeta.id, 'Item file has an invalid structure');
                     return null;
                 }
                 
@@ -364,7 +789,8 @@ class DBManager {
                     uniqueId: itemMeta.id,
                     workflowId: itemMeta.workflowId,
                     itemName: itemMeta.itemName,
-                    timestamp: itemMeta.timestamp || new Date().toISOString(),
+                    timestamp,
+                    contentHash,
                     data: itemData.data !== undefined ? itemData.data : itemData,
                     // CRITICAL: Include settings from item file (for code blocks, etc.)
                     settings: itemData.settings || {},
@@ -373,7 +799,7 @@ class DBManager {
                 };
             } catch (error) {
                 console.warn(`Error loading item ${itemMeta?.id || 'unknown'}:`, error);
-                loadFailedCount++;
+                markFailed(itemMeta?.id, `Error loading item file: ${error.message}`);
                 return null;
             }
         });
@@ -389,8 +815,10 @@ class DBManager {
             const validItems = items.filter(item => item !== null);
 
             if (validItems.length === 0) {
-                console.warn(`No valid items in batch to store (loaded: ${loadedCount}, failed: ${loadFailedCount})`);
-                resolve({ succeeded: 0, failed: loadFailedCount });
+                if (unchanged.length === 0) {
+                    console.warn(`No valid items in batch to store (loaded: ${loadedCount}, failed: ${loadFailedCount})`);
+                }
+                resolve({ succeeded: 0, failed: loadFailedCount, storedIds, unchanged, manifest, failures });
                 return;
             }
 
@@ -399,12 +827,15 @@ class DBManager {
 
                 request.onsuccess = () => {
                     storeCompleted++;
+                    storedIds.push(item.uniqueId);
+                    manifest.push({ id: item.uniqueId, timestamp: item.timestamp, contentHash: item.contentHash });
                     checkDone();
                 };
 
                 request.onerror = (event) => {
                     console.error(`Error storing item ${item.uniqueId}:`, event.target.error);
                     storeFailed++;
+                    failures.push({ id: item.uniqueId, reason: `Failed to store item: ${event.target.error?.message || 'unknown error'}` });
                     checkDone();
                 };
             });
@@ -416,7 +847,11 @@ class DBManager {
                     }
                     resolve({ 
                         succeeded: storeCompleted, 
-                        failed: loadFailedCount + storeFailed 
+                        failed: loadFailedCount + storeFailed,
+                        storedIds,
+                        unchanged,
+                        manifest,
+                        failures
                     });
                 }
             }
@@ -426,7 +861,11 @@ class DBManager {
                 if (storeCompleted + storeFailed === validItems.length) {
                     resolve({ 
                         succeeded: storeCompleted, 
-                        failed: loadFailedCount + storeFailed 
+                        failed: loadFailedCount + storeFailed,
+                        storedIds,
+                        unchanged,
+                        manifest,
+                        failures
                     });
                 }
             };
@@ -622,6 +1061,170 @@ class DBManager {
         });
     }
 
+    /**
+     * Key identifying one export (app-info version and exportDate)
+     * @param {Object} appInfo - Contents of data/app-info.json
+     * @returns {string}
+     */
+    getExportKey(appInfo) {
+        const info = appInfo.appInfo || appInfo;
+        return `${info.version || ''}|${info.exportDate || ''}`;
+    }
+
+    /**
+     * Whether an index entry matches the stored copy of the item
+     * Uses the entry's content hash when the export provides one, otherwise its timestamp.
+     * @param {Object} itemMeta - Entry from item-index.json
+     * @param {Object} stored - Manifest entry ({ timestamp, contentHash }) or undefined
+     * @returns {boolean}
+     */
+    isItemUnchanged(itemMeta, stored) {
+        if (!stored) return false;
+        if (itemMeta.hash) return stored.contentHash === itemMeta.hash;
+        return !!itemMeta.timestamp && stored.timestamp === itemMeta.timestamp;
+    }
+
+    /**
+     * Manifest entries for items that are actually present in the items store
+     * @returns {Promise<Map<string, {timestamp: string, contentHash: string}>>}
+     */
+    async getStoredItemMeta() {
+        const [record, storedIds] = await Promise.all([this.getImportRecord('manifest'), this.getItemIds()]);
+        const items = record?.items || {};
+        return new Map(storedIds.filter(id => items[id]).map(id => [id, items[id]]));
+    }
+
+    /**
+     * Progress of the last (possibly interrupted) import
+     * @returns {Promise<Object|null>}
+     */
+    async getImportState() {
+        return this.getImportRecord('progress');
+    }
+
+    /**
+     * Persist import progress and the item manifest in one transaction
+     * @param {Object} state - Progress (exportKey, total, doneIds, failedIds, finished)
+     * @param {Object} manifest - id -> { timestamp, contentHash }
+     * @returns {Promise<void>}
+     */
+    async storeImportState(state, manifest = null) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['importState'], 'readwrite');
+            const store = transaction.objectStore('importState');
+            store.put({ key: 'progress', ...state, updatedAt: new Date().toISOString() });
+            if (manifest) {
+                store.put({ key: 'manifest', items: manifest });
+            }
+            
+            transaction.oncomplete = () => {
+                resolve();
+            };
+            
+            transaction.onerror = (event) => {
+                console.error('Error storing import state:', event.target.error);
+                reject(event.target.error);
+            };
+        });
+    }
+
+    /**
+     * Read a record from the importState store
+     * @param {string} key - 'progress' or 'manifest'
+     * @returns {Promise<Object|null>}
+     */
+    async getImportRecord(key) {
+        return new Promise((resolve) => {
+            const transaction = this.db.transaction(['importState'], 'readonly');
+            const request = transaction.objectStore('importState').get(key);
+            
+            request.onsuccess = () => {
+                resolve(request.result || null);
+            };
+            
+            request.onerror = (event) => {
+                console.warn(`Error reading import state "${key}":`, event.target.error);
+                resolve(null);
+            };
+        });
+    }
+
+    /**
+     * Delete records whose key is not in keepKeys
+     * @param {string} storeName - Object store
+     * @param {Array<string>} keepKeys - Keys to keep
+     * @returns {Promise<number>} - Number of deleted records
+     */
+    async deleteStale(storeName, keepKeys) {
+        const keep = new Set(keepKeys);
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readwrite');
+            const store = transaction.objectStore(storeName);
+            const request = store.getAllKeys();
+            let deleted = 0;
+            
+            request.onsuccess = () => {
+                request.result.filter(key => !keep.has(key)).forEach(key => {
+                    store.delete(key);
+                    deleted++;
+                });
+            };
+            
+            transaction.oncomplete = () => {
+                if (deleted > 0) {
+                    console.log(`Removed ${deleted} stale record(s) from ${storeName}`);
+                }
+                resolve(deleted);
+            };
+            
+            transaction.onerror = (event) => {
+                console.error(`Error removing stale records from ${storeName}:`, event.target.error);
+                reject(event.target.error);
+            };
+        });
+    }
+
+    /**
+     * SHA-256 of an item file (null where SubtleCrypto is unavailable, e.g. plain HTTP)
+     * @param {string} text - File content
+     * @returns {Promise<string|null>}
+     */
+    async hashText(text) {
+        if (!globalThis.crypto || !crypto.subtle) return null;
+        try {
+            const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+            return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Get the IDs of all stored items
+     * @returns {Promise<Array<string>>}
+     */
+    async getItemIds() {
+        return new Promise((resolve, reject) => {
+            if (!this.ready) {
+                reject(new Error('Database not initialized'));
+                return;
+            }
+            
+            const transaction = this.db.transaction(['items'], 'readonly');
+            const request = transaction.objectStore('items').getAllKeys();
+            
+            request.onsuccess = () => {
+                resolve(request.result);
+            };
+            
+            request.onerror = (event) => {
+                console.error('Error getting item IDs:', event.target.error);
+                reject(event.target.error);
+            };
+        });
+    }
+
     /**
      * Get a specific result by ID
      * @param {string} uniqueId - ID of the item
@@ -660,14 +1263,24 @@ class DBManager {
                 return;
             }
             
-            const transaction = this.db.transaction(['workflows', 'items', 'appInfo'], 'readwrite');
+            const transaction = this.db.transaction(['workflows', 'items', 'appInfo', 'importState'], 'readwrite');
             const workflowStore = transaction.objectStore('workflows');
             const itemStore = transaction.objectStore('items');
             const appInfoStore = transaction.objectStore('appInfo');
             
             workflowStore.clear();
             itemStore.clear();
-            appInfoStore.clear();
+            transaction.objectStore('importState').clear();
+            
+            // Keep the schema record written by the migrations and the user's layout state
+            appInfoStore.openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                if (cursor.key !== 'schema' && cursor.key !== 'layoutState') {
+                    cursor.delete();
+                }
+                cursor.continue();
+            };
             
             transaction.oncomplete = () => {
                 console.log('Database cleared successfully');
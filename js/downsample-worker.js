@@ -0,0 +1,18 @@
+// HydroBlox Downsampling Worker
+// Module worker that reduces large series off the page for js/downsampler.js.
+// Receives { id, xs, ys, target, method, range } (Float64Arrays, NaN for missing values)
+// and answers with the indices to keep.
+
+import { Downsampler } from './downsampler.js';
+
+const downsampler = new Downsampler();
+
+self.onmessage = (event) => {
+    const { id, xs, ys, target, method, range } = event.data || {};
+    try {
+        const indices = downsampler.select(xs, ys, target, { method, range });
+        self.postMessage({ id, ok: true, indices }, [indices.buffer]);
+    } catch (err) {
+        self.postMessage({ id, ok: false, error: err && err.message ? err.message : String(err) });
+    }
+};
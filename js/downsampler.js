@@ -0,0 +1,311 @@
+/**
+ * HydroBlox Level-of-Detail Downsampler for PWA Export
+ *
+ * Reduces large series to what the chart can show before drawing:
+ * - Min/max bucket decimation (one bucket per pixel pair) for dense series, so every peak
+ *   and trough stays visible
+ * - Largest-Triangle-Three-Buckets (LTTB) for moderately sized series, with the extremes of the
+ *   range added back so they are never dropped
+ * - Missing values (null) keep breaking lines after downsampling
+ * - Series above workerThreshold samples are reduced in js/downsample-worker.js so the page stays responsive
+ */
+const MIN_MAX_RATIO = 4;
+
+export class Downsampler {
+    /**
+     * @param {Object} options
+     * @param {number} options.workerThreshold - Samples from which downsampleAsync uses the worker
+     * @param {number} options.timeout - Time to wait for the worker before reducing on the page instead
+     */
+    constructor(options = {}) {
+        this.workerThreshold = options.workerThreshold || 100000;
+        this.timeout = options.timeout || 10000;
+        this.worker = null;
+        this.workerFailed = false;
+        this.requests = new Map();
+        this.nextRequest = 1;
+    }
+
+    /**
+     * Reduce points to about target points
+     * @param {Array<{x: number, y: number|null}>} points - Samples sorted by x
+     * @param {number} target - Number of points to keep, usually the plot width in pixels
+     * @param {Object} options
+     * @param {string} options.method - 'auto' (default), 'minmax' or 'lttb'
+     * @param {Array<number>} options.range - [start, end] the buckets span, e.g. the visible x range
+     * @returns {Array<{x: number, y: number|null}>}
+     */
+    downsample(points, target, options = {}) {
+        if (!Array.isArray(points) || points.length <= target || target < 3) return points;
+        const { xs, ys } = this.toArrays(points);
+        return Array.from(this.select(xs, ys, target, options), index => points[index]);
+    }
+
+    /**
+     * Same as downsample(), in the worker for series above workerThreshold
+     * @returns {Promise<Array<{x: number, y: number|null}>>}
+     */
+    async downsampleAsync(points, target, options = {}) {
+        if (!Array.isArray(points) || points.length <= target || target < 3) return points;
+        if (points.length < this.workerThreshold || this.workerFailed || typeof Worker === 'undefined') {
+            return this.downsample(points, target, options);
+        }
+
+        const { xs, ys } = this.toArrays(points);
+        try {
+            const indices = await this.runInWorker(xs, ys, target, options);
+            return Array.from(indices, index => points[index]);
+        } catch (error) {
+            console.warn('Downsampling worker failed, reducing on the page:', error);
+            return this.downsample(points, target, options);
+        }
+    }
+
+    /**
+     * Reduce { name, x, y } series (as produced by ChartRenderer.normalizeSeries).
+     * Series sharing one x axis keep the same samples so they still line up as columns;
+     * the kept x values are the original ones (sample numbers when a series has no x).
+     * @param {Array<{name: string, x: Array|null, y: Array}>} series
+     * @param {number} target - Points to keep per series
+     * @returns {Promise<{series: Array<{name: string, x: Array, y: Array}>, aligned: boolean}>}
+     */
+    async reduceSeries(series, target) {
+        const length = series.length > 0 ? series[0].y.length : 0;
+        const aligned = series.every(s => s.y.length === length && (s.x === series[0].x || (!s.x && !series[0].x)));
+
+        const toPoints = s => s.y.map((y, index) => ({ x: s.x ? this.toX(s.x[index], index) : index, y, index }));
+        const pick = (s, indices) => ({
+            name: s.name,
+            x: indices.map(index => (s.x ? s.x[index] : index)),
+            y: indices.map(index => s.y[index])
+        });
+
+        if (!aligned) {
+            const reduced = await Promise.all(series.map(async s => {
+                const kept = await this.downsampleAsync(toPoints(s), target);
+                return pick(s, kept.map(point => point.index));
+            }));
+            return { series: reduced, aligned: false };
+        }
+
+        // Union of the samples each series needs, so peaks of every series survive
+        const kept = new Set();
+        for (const s of series) {
+            (await this.downsampleAsync(toPoints(s), target)).forEach(point => kept.add(point.index));
+        }
+        const indices = [...kept].sort((a, b) => a - b);
+        return { series: series.map(s => pick(s, indices)), aligned: true };
+    }
+
+    /**
+     * Indices to keep, in x order
+     * @param {Float64Array} xs - Sorted x values
+     * @param {Float64Array} ys - y values, NaN for missing
+     * @param {number} target - Number of points to keep
+     * @param {Object} options - { method, range }
+     * @returns {Uint32Array}
+     */
+    select(xs, ys, target, options = {}) {
+        const method = !options.method || options.method === 'auto'
+            ? (xs.length >= target * MIN_MAX_RATIO ? 'minmax' : 'lttb')
+            : options.method;
+        const indices = method === 'minmax'
+            ? this.minMax(xs, ys, Math.max(1, Math.floor(target / 2)), options.range)
+            : this.lttbWithGaps(xs, ys, target);
+        return Uint32Array.from(indices);
+    }
+
+    /**
+     * Min/max decimation: per x bucket keep the lowest and highest sample (in x order),
+     * plus the first missing value so gaps stay visible
+     */
+    minMax(xs, ys, buckets, range = null) {
+        const n = xs.length;
+        const start = range ? range[0] : xs[0];
+        const end = range ? range[1] : xs[n - 1];
+        const span = end - start || 1;
+        const indices = [0];
+
+        let bucket = -1;
+        let minIndex = -1;
+        let maxIndex = -1;
+        let gapIndex = -1;
+        const flush = () => {
+            const picked = [minIndex, maxIndex, gapIndex].filter(index => index > 0 && index < n - 1);
+            picked.sort((a, b) => a - b).forEach((index, i) => {
+                if (i === 0 || picked[i - 1] !== index) indices.push(index);
+            });
+        };
+
+        for (let i = 0; i < n; i++) {
+            const current = Math.min(buckets - 1, Math.max(0, Math.floor(((xs[i] - start) / span) * buckets)));
+            if (current !== bucket) {
+                if (bucket !== -1) flush();
+                bucket = current;
+                minIndex = -1;
+                maxIndex = -1;
+                gapIndex = -1;
+            }
+            const y = ys[i];
+            if (Number.isNaN(y)) {
+                if (gapIndex === -1) gapIndex = i;
+                continue;
+            }
+            if (minIndex === -1 || y < ys[minIndex]) minIndex = i;
+            if (maxIndex === -1 || y > ys[maxIndex]) maxIndex = i;
+        }
+        if (bucket !== -1) flush();
+        if (n > 1) indices.push(n - 1);
+        return indices;
+    }
+
+    /**
+     * LTTB on each run of values between missing samples, keeping one missing sample per gap
+     * and the overall minimum and maximum
+     */
+    lttbWithGaps(xs, ys, target) {
+        const runs = [];
+        let runStart = -1;
+        for (let i = 0; i <= xs.length; i++) {
+            const missing = i === xs.length || Number.isNaN(ys[i]);
+            if (!missing && runStart === -1) runStart = i;
+            if (missing && runStart !== -1) {
+                runs.push([runStart, i]);
+                runStart = -1;
+            }
+        }
+
+        if (runs.length === 0) return [0, xs.length - 1];
+
+        const valid = runs.reduce((sum, [from, to]) => sum + (to - from), 0);
+        const indices = [];
+        let lowest = -1;
+        let highest = -1;
+        runs.forEach(([from, to], r) => {
+            // Break the line where the gap before this run starts
+            if (r > 0) indices.push(runs[r - 1][1]);
+            const share = Math.max(2, Math.round((target * (to - from)) / Math.max(valid, 1)));
+            this.lttb(xs, ys, from, to, share).forEach(index => indices.push(index));
+            for (let i = from; i < to; i++) {
+                if (lowest === -1 || ys[i] < ys[lowest]) lowest = i;
+                if (highest === -1 || ys[i] > ys[highest]) highest = i;
+            }
+        });
+        if (runs.length > 0 && runs[0][0] > 0) indices.unshift(0);
+        if (runs.length > 0 && runs[runs.length - 1][1] < xs.length) indices.push(runs[runs.length - 1][1]);
+
+        [lowest, highest].forEach(index => {
+            if (index !== -1 && !indices.includes(index)) indices.push(index);
+        });
+        return indices.sort((a, b) => a - b);
+    }
+
+    /**
+     * Largest-Triangle-Three-Buckets on xs/ys[from, to)
+     */
+    lttb(xs, ys, from, to, target) {
+        const n = to - from;
+        if (n <= target || target < 3) {
+            return Array.from({ length: n }, (_, i) => from + i);
+        }
+
+        const indices = [from];
+        const every = (n - 2) / (target - 2);
+        let a = from;
+        for (let i = 0; i < target - 2; i++) {
+            // Average of the next bucket
+            const nextStart = from + Math.floor((i + 1) * every) + 1;
+            const nextEnd = Math.min(from + Math.floor((i + 2) * every) + 1, to);
+            let avgX = 0;
+            let avgY = 0;
+            for (let j = nextStart; j < nextEnd; j++) {
+                avgX += xs[j];
+                avgY += ys[j];
+            }
+            const count = Math.max(nextEnd - nextStart, 1);
+            avgX /= count;
+            avgY /= count;
+
+            // Point of this bucket forming the largest triangle with a and the average
+            const bucketStart = from + Math.floor(i * every) + 1;
+            const bucketEnd = from + Math.floor((i + 1) * every) + 1;
+            let maxArea = -1;
+            let chosen = bucketStart;
+            for (let j = bucketStart; j < bucketEnd; j++) {
+                const area = Math.abs((xs[a] - avgX) * (ys[j] - ys[a]) - (xs[a] - xs[j]) * (avgY - ys[a]));
+                if (area > maxArea) {
+                    maxArea = area;
+                    chosen = j;
+                }
+            }
+            indices.push(chosen);
+            a = chosen;
+        }
+        indices.push(to - 1);
+        return indices;
+    }
+
+    /**
+     * Run select() in the worker
+     * @returns {Promise<Uint32Array>}
+     */
+    runInWorker(xs, ys, target, options) {
+        if (!this.worker) {
+            this.worker = new Worker(new URL('./downsample-worker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = (event) => {
+                const request = this.requests.get(event.data.id);
+                if (!request) return;
+                this.requests.delete(event.data.id);
+                clearTimeout(request.timer);
+                if (event.data.ok) request.resolve(event.data.indices);
+                else request.reject(new Error(event.data.error));
+            };
+            this.worker.onerror = (event) => {
+                event.preventDefault();
+                this.failWorker(new Error(event.message || 'Downsampling worker failed'));
+            };
+        }
+
+        return new Promise((resolve, reject) => {
+            const id = this.nextRequest++;
+            const timer = setTimeout(() => {
+                this.requests.delete(id);
+                reject(new Error('Downsampling worker timed out'));
+            }, this.timeout);
+            this.requests.set(id, { resolve, reject, timer });
+            this.worker.postMessage({ id, xs, ys, target, method: options.method, range: options.range }, [xs.buffer, ys.buffer]);
+        });
+    }
+
+    /**
+     * Stop using the worker; pending and later requests are reduced on the page
+     */
+    failWorker(error) {
+        this.workerFailed = true;
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.requests.forEach(request => {
+            clearTimeout(request.timer);
+            request.reject(error);
+        });
+        this.requests.clear();
+    }
+
+    toArrays(points) {
+        const xs = new Float64Array(points.length);
+        const ys = new Float64Array(points.length);
+        points.forEach((point, i) => {
+            xs[i] = point.x;
+            ys[i] = point.y === null || point.y === undefined ? NaN : point.y;
+        });
+        return { xs, ys };
+    }
+
+    toX(value, index) {
+        if (typeof value === 'number') return value;
+        const numeric = Number(value);
+        if (value !== '' && value !== null && Number.isFinite(numeric)) return numeric;
+        const parsed = Date.parse(value);
+        return Number.isNaN(parsed) ? index : parsed;
+    }
+}
@@ -0,0 +1,149 @@
+/**
+ * HydroBlox Export Integrity Checker for PWA Export
+ *
+ * Cross-references the three parts of an export after import:
+ * - workflows.json (items and their `data` inputs)
+ * - item-index.json (one entry per exported item file)
+ * - the item files actually loaded into IndexedDB
+ *
+ * Item files can only be discovered through item-index.json (static hosting has
+ * no directory listing), so "orphaned" files are index entries that no workflow uses.
+ */
+export class ExportIntegrityChecker {
+    /**
+     * Run all checks
+     * @param {Object} input
+     * @param {Object} input.workflows - Workflows keyed by ID (as loaded from workflows.json)
+     * @param {Array} input.itemIndex - Entries from item-index.json ({ id, workflowId, itemName, timestamp })
+     * @param {Array<string>} [input.storedIds] - IDs of items successfully stored in IndexedDB
+     * @param {Array<Object>} [input.failedItems] - Item files that failed to load ({ id, reason })
+     * @returns {Object} - Report with one array per issue type and a summary
+     */
+    check({ workflows = {}, itemIndex = [], storedIds = null, failedItems = [] } = {}) {
+        const index = Array.isArray(itemIndex) ? itemIndex.filter(entry => entry && entry.id) : [];
+        const indexById = new Map();
+        index.forEach(entry => {
+            if (!indexById.has(entry.id)) indexById.set(entry.id, entry);
+        });
+
+        // Where each item ID appears across workflows
+        const workflowsByItem = new Map();
+        Object.entries(workflows || {}).forEach(([workflowId, workflow]) => {
+            const items = Array.isArray(workflow?.items) ? workflow.items : [];
+            items.forEach(item => {
+                if (!item || !item.uniqueId) return;
+                if (!workflowsByItem.has(item.uniqueId)) workflowsByItem.set(item.uniqueId, []);
+                workflowsByItem.get(item.uniqueId).push(workflowId);
+            });
+        });
+
+        const stored = Array.isArray(storedIds) ? new Set(storedIds) : null;
+        const failedById = new Map((failedItems || []).map(failure => [failure.id, failure.reason || 'Failed to load']));
+
+        const report = {
+            missingInputs: this.findMissingInputs(workflows, workflowsByItem, indexById),
+            missingItemFiles: this.findMissingItemFiles(workflows, indexById, stored, failedById),
+            orphanedItemFiles: index
+                .filter(entry => !workflowsByItem.has(entry.id))
+                .map(entry => ({ itemId: entry.id, workflowId: entry.workflowId || null })),
+            duplicateIds: this.findDuplicateIds(index, workflowsByItem),
+            workflowIdMismatches: this.findWorkflowIdMismatches(indexById, workflowsByItem),
+            checkedAt: new Date().toISOString()
+        };
+
+        const issueCount = report.missingInputs.length +
+            report.missingItemFiles.length +
+            report.orphanedItemFiles.length +
+            report.duplicateIds.length +
+            report.workflowIdMismatches.length;
+
+        report.summary = {
+            workflows: Object.keys(workflows || {}).length,
+            indexedItems: index.length,
+            storedItems: stored ? stored.size : null,
+            issueCount,
+            ok: issueCount === 0
+        };
+
+        return report;
+    }
+
+    /**
+     * Inputs referenced in an item's `data` that are neither a workflow item nor an exported file
+     */
+    findMissingInputs(workflows, workflowsByItem, indexById) {
+        const missing = [];
+        Object.entries(workflows || {}).forEach(([workflowId, workflow]) => {
+            const items = Array.isArray(workflow?.items) ? workflow.items : [];
+            items.forEach(item => {
+                const inputs = Array.isArray(item?.data) ? item.data : [];
+                inputs.forEach(inputId => {
+                    if (typeof inputId !== 'string' || !inputId) return;
+                    if (!workflowsByItem.has(inputId) && !indexById.has(inputId)) {
+                        missing.push({ workflowId, itemId: item.uniqueId, inputId });
+                    }
+                });
+            });
+        });
+        return missing;
+    }
+
+    /**
+     * Workflow items whose data file is absent from the index or failed to import
+     */
+    findMissingItemFiles(workflows, indexById, stored, failedById) {
+        const missing = [];
+        Object.entries(workflows || {}).forEach(([workflowId, workflow]) => {
+            const items = Array.isArray(workflow?.items) ? workflow.items : [];
+            items.forEach(item => {
+                if (!item || !item.uniqueId) return;
+                if (!indexById.has(item.uniqueId)) {
+                    missing.push({ workflowId, itemId: item.uniqueId, reason: 'Not listed in item-index.json' });
+                } else if (failedById.has(item.uniqueId)) {
+                    missing.push({ workflowId, itemId: item.uniqueId, reason: failedById.get(item.uniqueId) });
+                } else if (stored && !stored.has(item.uniqueId)) {
+                    missing.push({ workflowId, itemId: item.uniqueId, reason: 'Not stored in the local database' });
+                }
+            });
+        });
+        return missing;
+    }
+
+    /**
+     * IDs listed more than once in the index, or used by items in several workflows
+     */
+    findDuplicateIds(index, workflowsByItem) {
+        const duplicates = [];
+        const indexCounts = new Map();
+        index.forEach(entry => indexCounts.set(entry.id, (indexCounts.get(entry.id) || 0) + 1));
+
+        indexCounts.forEach((count, id) => {
+            if (count > 1) {
+                duplicates.push({ id, source: 'item-index.json', count });
+            }
+        });
+
+        workflowsByItem.forEach((workflowIds, id) => {
+            if (workflowIds.length > 1) {
+                duplicates.push({ id, source: 'workflows.json', count: workflowIds.length, workflowIds });
+            }
+        });
+
+        return duplicates;
+    }
+
+    /**
+     * Index entries whose workflowId does not match the workflow that contains the item
+     */
+    findWorkflowIdMismatches(indexById, workflowsByItem) {
+        const mismatches = [];
+        indexById.forEach((entry, id) => {
+            const workflowIds = workflowsByItem.get(id);
+            if (!workflowIds || !entry.workflowId) return;
+            if (!workflowIds.includes(entry.workflowId)) {
+                mismatches.push({ itemId: id, indexWorkflowId: entry.workflowId, workflowIds });
+            }
+        });
+        return mismatches;
+    }
+}
@@ -0,0 +1,15 @@
+/**
+ * HydroBlox HTML Escaping for PWA Export
+ *
+ * One escape helper for the modules that build markup from export values
+ * (series names, ids, parameter values, Code Block source).
+ */
+
+/**
+ * Escape text for HTML content and double-quoted attribute values
+ * @param {*} text - Value to escape; non-strings are converted with String()
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
@@ -0,0 +1,409 @@
+/**
+ * HydroBlox Hydrology Analytics for PWA Export
+ *
+ * Statistics for profiling one numeric time series:
+ * - Summary statistics and percentiles (linear interpolation between order statistics)
+ * - Duration / exceedance curve with Weibull plotting positions, as used for flow duration curves
+ * - Monthly and annual aggregates (mean, total, min, max, count)
+ * - Annual maxima series with return-period estimates from Gumbel (method of moments),
+ *   GEV (L-moments, Hosking 1985) and Log-Pearson III (Wilson-Hilferty frequency factors)
+ * - Climatology of daily series: day-of-year envelope, month x year means and anomalies
+ *   against the multi-year day-of-year mean (29 February is counted with 28 February)
+ * Missing values (null, NaN) are skipped everywhere and counted in the summary.
+ */
+const PERCENTILES = [1, 5, 10, 25, 50, 75, 90, 95, 99];
+const EXCEEDANCE_LEVELS = [5, 10, 25, 50, 75, 90, 95];
+const RETURN_PERIODS = [2, 5, 10, 25, 50, 100];
+const EULER_GAMMA = 0.5772156649;
+const DAY = 24 * 3600 * 1000;
+
+/**
+ * Linear interpolation between order statistics of sorted values (q in 0..1)
+ */
+function quantileSorted(sorted, q) {
+    if (sorted.length === 0) return null;
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Gamma function (Lanczos approximation)
+ */
+function gamma(z) {
+    if (z < 0.5) return Math.PI / (Math.sin(Math.PI * z) * gamma(1 - z));
+    const g = 7;
+    const c = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+        -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+    z -= 1;
+    let x = c[0];
+    for (let i = 1; i < g + 2; i++) x += c[i] / (z + i);
+    const t = z + g + 0.5;
+    return Math.sqrt(2 * Math.PI) * Math.pow(t, z + 0.5) * Math.exp(-t) * x;
+}
+
+/**
+ * Standard normal quantile (Acklam's rational approximation)
+ */
+function normalQuantile(p) {
+    const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+    const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+    const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+    const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+    const low = 0.02425;
+    if (p < low) {
+        const q = Math.sqrt(-2 * Math.log(p));
+        return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - low) {
+        return -normalQuantile(1 - p);
+    }
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+export class HydroAnalytics {
+    /**
+     * Finite numbers of a series, in order
+     * @param {Array} values - Raw values (numbers, numeric strings, null)
+     * @returns {Array<number>}
+     */
+    clean(values) {
+        return values
+            .map(value => (value === null || value === '' ? NaN : Number(value)))
+            .filter(Number.isFinite);
+    }
+
+    /**
+     * Count, missing values, mean, standard deviation, extremes and percentiles
+     * @param {Array} values - Series values
+     * @returns {{count: number, missing: number, mean: number, std: number, min: number, max: number, percentiles: Array<{p: number, value: number}>}|null}
+     */
+    summary(values) {
+        const clean = this.clean(values);
+        if (clean.length === 0) return null;
+        const sorted = [...clean].sort((a, b) => a - b);
+        const mean = clean.reduce((sum, value) => sum + value, 0) / clean.length;
+        const variance = clean.length > 1 ? clean.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (clean.length - 1) : 0;
+        return {
+            count: clean.length,
+            missing: values.length - clean.length,
+            mean,
+            std: Math.sqrt(variance),
+            min: sorted[0],
+            max: sorted[sorted.length - 1],
+            percentiles: PERCENTILES.map(p => ({ p, value: quantileSorted(sorted, p / 100) }))
+        };
+    }
+
+    /**
+     * Duration / exceedance curve: values sorted from high to low against the percentage of time
+     * each is equalled or exceeded (Weibull plotting position m / (n + 1))
+     * @param {Array} values - Series values
+     * @returns {{points: Array<{x: number, y: number}>, levels: Array<{exceedance: number, value: number}>}}
+     */
+    durationCurve(values) {
+        const descending = this.clean(values).sort((a, b) => b - a);
+        const n = descending.length;
+        const points = descending.map((value, index) => ({ x: ((index + 1) / (n + 1)) * 100, y: value }));
+        // Q5 is the value exceeded 5% of the time, i.e. the 95th percentile
+        const ascending = [...descending].reverse();
+        const levels = EXCEEDANCE_LEVELS.map(exceedance => ({ exceedance, value: quantileSorted(ascending, 1 - exceedance / 100) }));
+        return { points, levels };
+    }
+
+    /**
+     * Aggregate a dated series per calendar month or year (UTC)
+     * @param {Array} values - Series values
+     * @param {Array<number>} dates - Timestamps in ms, one per value
+     * @param {string} period - 'month' or 'year'
+     * @returns {Array<{period: string, start: number, mean: number, total: number, min: number, max: number, count: number}>}
+     */
+    aggregate(values, dates, period) {
+        const groups = new Map();
+        values.forEach((raw, index) => {
+            const value = raw === null || raw === '' ? NaN : Number(raw);
+            const date = new Date(dates[index]);
+            if (Number.isNaN(date.getTime())) return;
+            const key = period === 'year'
+                ? String(date.getUTCFullYear())
+                : `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    period: key,
+                    start: Date.UTC(date.getUTCFullYear(), period === 'year' ? 0 : date.getUTCMonth(), 1),
+                    values: []
+                });
+            }
+            if (Number.isFinite(value)) groups.get(key).values.push(value);
+        });
+
+        return [...groups.values()]
+            .sort((a, b) => a.start - b.start)
+            .map(({ period: key, start, values: group }) => ({
+                period: key,
+                start,
+                mean: group.length > 0 ? group.reduce((sum, value) => sum + value, 0) / group.length : null,
+                total: group.length > 0 ? group.reduce((sum, value) => sum + value, 0) : null,
+                min: group.length > 0 ? group.reduce((min, value) => Math.min(min, value), Infinity) : null,
+                max: group.length > 0 ? group.reduce((max, value) => Math.max(max, value), -Infinity) : null,
+                count: group.length
+            }));
+    }
+
+    /**
+     * Largest value of each calendar year, with its empirical return period (n + 1) / rank
+     * @param {Array} values - Series values
+     * @param {Array<number>} dates - Timestamps in ms, one per value
+     * @returns {Array<{year: number, date: number, value: number, count: number, returnPeriod: number}>}
+     */
+    annualMaxima(values, dates) {
+        const years = new Map();
+        values.forEach((raw, index) => {
+            const value = raw === null || raw === '' ? NaN : Number(raw);
+            if (!Number.isFinite(value) || !Number.isFinite(dates[index])) return;
+            const year = new Date(dates[index]).getUTCFullYear();
+            const entry = years.get(year) || { year, date: dates[index], value, count: 0 };
+            if (value > entry.value) {
+                entry.value = value;
+                entry.date = dates[index];
+            }
+            entry.count++;
+            years.set(year, entry);
+        });
+
+        const maxima = [...years.values()].sort((a, b) => a.year - b.year);
+        const ranked = [...maxima].sort((a, b) => b.value - a.value);
+        ranked.forEach((entry, index) => {
+            entry.returnPeriod = (maxima.length + 1) / (index + 1);
+        });
+        return maxima;
+    }
+
+    /**
+     * Return-period estimates from an annual maxima series
+     * @param {Array<number>} maxima - Annual maxima
+     * @param {Array<number>} periods - Return periods in years
+     * @returns {{periods: Array<number>, gumbel: Array<number>|null, gev: Array<number>|null, lp3: Array<number>|null, notes: Array<string>}}
+     */
+    returnPeriods(maxima, periods = RETURN_PERIODS) {
+        const notes = [];
+        const result = { periods, gumbel: null, gev: null, lp3: null, notes };
+        if (maxima.length < 3) {
+            notes.push(`${maxima.length} annual maxima; at least 3 are needed to fit a distribution`);
+            return result;
+        }
+        if (maxima.length < 10) {
+            notes.push(`Only ${maxima.length} annual maxima: estimates beyond a ${maxima.length}-year return period are extrapolations`);
+        }
+
+        result.gumbel = this.fitGumbel(maxima, periods);
+        result.gev = this.fitGEV(maxima, periods);
+        if (maxima.every(value => value > 0)) {
+            result.lp3 = this.fitLogPearson3(maxima, periods);
+        } else {
+            notes.push('Log-Pearson III needs positive annual maxima');
+        }
+        return result;
+    }
+
+    /**
+     * Gumbel (EV1) by the method of moments
+     */
+    fitGumbel(maxima, periods) {
+        const { mean, std } = this.moments(maxima);
+        const alpha = (Math.sqrt(6) * std) / Math.PI;
+        const u = mean - EULER_GAMMA * alpha;
+        return periods.map(T => u - alpha * Math.log(-Math.log(1 - 1 / T)));
+    }
+
+    /**
+     * GEV by probability-weighted moments / L-moments (Hosking, Wallis and Wood 1985)
+     */
+    fitGEV(maxima, periods) {
+        const sorted = [...maxima].sort((a, b) => a - b);
+        const n = sorted.length;
+        let b0 = 0;
+        let b1 = 0;
+        let b2 = 0;
+        sorted.forEach((value, index) => {
+            b0 += value;
+            b1 += (index / (n - 1)) * value;
+            b2 += ((index * (index - 1)) / ((n - 1) * (n - 2))) * value;
+        });
+        b0 /= n;
+        b1 /= n;
+        b2 /= n;
+        const l1 = b0;
+        const l2 = 2 * b1 - b0;
+        const l3 = 6 * b2 - 6 * b1 + b0;
+        if (l2 <= 0) return null;
+
+        const t3 = l3 / l2;
+        const c = 2 / (3 + t3) - Math.LN2 / Math.log(3);
+        const k = 7.8590 * c + 2.9554 * c * c;
+        if (Math.abs(k) < 1e-6) {
+            // Shape ~0: GEV reduces to Gumbel
+            const alpha = l2 / Math.LN2;
+            const xi = l1 - EULER_GAMMA * alpha;
+            return periods.map(T => xi - alpha * Math.log(-Math.log(1 - 1 / T)));
+        }
+        const alpha = (l2 * k) / ((1 - Math.pow(2, -k)) * gamma(1 + k));
+        const xi = l1 - (alpha * (1 - gamma(1 + k))) / k;
+        return periods.map(T => xi + (alpha / k) * (1 - Math.pow(-Math.log(1 - 1 / T), k)));
+    }
+
+    /**
+     * Log-Pearson III on log10 of the maxima with Wilson-Hilferty frequency factors
+     */
+    fitLogPearson3(maxima, periods) {
+        const logs = maxima.map(value => Math.log10(value));
+        const { mean, std } = this.moments(logs);
+        const n = logs.length;
+        const skew = std > 0
+            ? (n * logs.reduce((sum, value) => sum + ((value - mean) / std) ** 3, 0)) / ((n - 1) * (n - 2))
+            : 0;
+        return periods.map(T => {
+            const z = normalQuantile(1 - 1 / T);
+            const K = Math.abs(skew) < 1e-6
+                ? z
+                : (2 / skew) * (Math.pow(1 + (skew * z) / 6 - (skew * skew) / 36, 3) - 1);
+            return Math.pow(10, mean + K * std);
+        });
+    }
+
+    moments(values) {
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        const std = Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1));
+        return { mean, std };
+    }
+
+    /**
+     * Whether timestamps are (mostly) one day apart
+     * @param {Array<number>} dates - Timestamps in ms
+     * @returns {boolean}
+     */
+    isDaily(dates) {
+        const steps = [];
+        for (let i = 1; i < dates.length; i++) {
+            if (Number.isFinite(dates[i]) && Number.isFinite(dates[i - 1])) steps.push(dates[i] - dates[i - 1]);
+        }
+        if (steps.length === 0) return false;
+        const median = quantileSorted(steps.sort((a, b) => a - b), 0.5);
+        return Math.abs(median - DAY) < 3600 * 1000;
+    }
+
+    /**
+     * Day of a 365-day year (1-365); 29 February shares day 59 with 28 February
+     * @param {number} ms - Timestamp
+     * @returns {number}
+     */
+    dayOfYear(ms) {
+        const date = new Date(ms);
+        const year = date.getUTCFullYear();
+        const day = Math.floor((Date.UTC(year, date.getUTCMonth(), date.getUTCDate()) - Date.UTC(year, 0, 1)) / DAY) + 1;
+        const leap = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+        return leap && day >= 60 ? day - 1 : day;
+    }
+
+    /**
+     * Values of a daily series arranged by year and day of year
+     * @param {Array} values - Series values
+     * @param {Array<number>} dates - Timestamps in ms, one per value
+     * @returns {{years: Array<number>, byYear: Map<number, Array<number|null>>, days: Array<{day: number, min: number, median: number, max: number, mean: number, count: number}>}}
+     */
+    climatology(values, dates) {
+        const byYear = new Map();
+        values.forEach((raw, index) => {
+            const value = raw === null || raw === '' ? NaN : Number(raw);
+            if (!Number.isFinite(value) || !Number.isFinite(dates[index])) return;
+            const year = new Date(dates[index]).getUTCFullYear();
+            if (!byYear.has(year)) byYear.set(year, new Array(365).fill(null));
+            const days = byYear.get(year);
+            const day = this.dayOfYear(dates[index]);
+            // 28 and 29 February of leap years are averaged
+            days[day - 1] = days[day - 1] === null ? value : (days[day - 1] + value) / 2;
+        });
+
+        const years = [...byYear.keys()].sort((a, b) => a - b);
+        const days = Array.from({ length: 365 }, (_, index) => {
+            const sample = years.map(year => byYear.get(year)[index]).filter(value => value !== null).sort((a, b) => a - b);
+            return {
+                day: index + 1,
+                min: sample.length > 0 ? sample[0] : null,
+                median: quantileSorted(sample, 0.5),
+                max: sample.length > 0 ? sample[sample.length - 1] : null,
+                mean: sample.length > 0 ? sample.reduce((sum, value) => sum + value, 0) / sample.length : null,
+                count: sample.length
+            };
+        });
+        return { years, byYear, days };
+    }
+
+    /**
+     * Mean of each calendar month of each year
+     * @param {Array} values - Series values
+     * @param {Array<number>} dates - Timestamps in ms, one per value
+     * @returns {{years: Array<number>, cells: Array<Array<number|null>>, min: number, max: number}} - cells[year][month 0-11]
+     */
+    monthYearMatrix(values, dates) {
+        const monthly = this.aggregate(values, dates, 'month');
+        const years = [...new Set(monthly.map(row => new Date(row.start).getUTCFullYear()))].sort((a, b) => a - b);
+        const cells = years.map(() => new Array(12).fill(null));
+        monthly.forEach(row => {
+            const date = new Date(row.start);
+            cells[years.indexOf(date.getUTCFullYear())][date.getUTCMonth()] = row.mean;
+        });
+        const means = monthly.map(row => row.mean).filter(value => value !== null);
+        return { years, cells, min: Math.min(...means), max: Math.max(...means) };
+    }
+
+    /**
+     * Departure of each value from the multi-year mean of its day of year, with a centred moving average
+     * @param {Array} values - Series values
+     * @param {Array<number>} dates - Timestamps in ms, one per value
+     * @param {Object} climatology - Result of climatology()
+     * @param {number} window - Moving average window in samples
+     * @returns {{anomalies: Array<{x: number, y: number|null}>, smoothed: Array<{x: number, y: number|null}>}}
+     */
+    anomalies(values, dates, climatology, window = 30) {
+        const anomalies = values.map((raw, index) => {
+            const value = raw === null || raw === '' ? NaN : Number(raw);
+            const mean = Number.isFinite(dates[index]) ? climatology.days[this.dayOfYear(dates[index]) - 1].mean : null;
+            return { x: dates[index], y: Number.isFinite(value) && mean !== null ? value - mean : null };
+        });
+
+        const half = Math.floor(window / 2);
+        const smoothed = anomalies.map((point, index) => {
+            let sum = 0;
+            let count = 0;
+            for (let i = Math.max(0, index - half); i <= Math.min(anomalies.length - 1, index + half); i++) {
+                if (anomalies[i].y !== null) {
+                    sum += anomalies[i].y;
+                    count++;
+                }
+            }
+            return { x: point.x, y: count > half ? sum / count : null };
+        });
+        return { anomalies, smoothed };
+    }
+
+    /**
+     * Timestamps for a series stored without dates
+     * @param {number} length - Number of values
+     * @param {number} start - First timestamp in ms (UTC)
+     * @param {string} step - 'hour', 'day' or 'month'
+     * @returns {Array<number>}
+     */
+    generateDates(length, start, step) {
+        const first = new Date(start);
+        return Array.from({ length }, (_, index) => {
+            if (step === 'month') {
+                return Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + index, first.getUTCDate());
+            }
+            return start + index * (step === 'hour' ? 3600 * 1000 : 24 * 3600 * 1000);
+        });
+    }
+}
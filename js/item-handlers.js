@@ -0,0 +1,196 @@
+/**
+ * HydroBlox Item Handlers for PWA Export
+ *
+ * Decides how a workflow item is shown and downloaded:
+ * - Each handler registers a matcher, a renderer and an exporter for one kind of item
+ * - Built-in handlers cover retrieve, transform, analyze, Code Block, draw, renderMap, Layers and addCustomLegend
+ * - Custom HydroBlox blocks register their own handlers; the latest registration wins
+ * - Items that match no handler, or whose declared type disagrees with their handler, are reported
+ *
+ * A handler is { id, itemNames?, types?, match?(item, info), check?(item, info), render(app, item), export?(app, item, data) }.
+ * `itemNames` is a shortcut for matching on the item's itemName; `types` lists the item types
+ * ('data', 'analyze', 'visualization') the handler expects, anything else is reported as misrouted.
+ * `export` returns the data to write to CSV/TSV (defaults to app.getExportData).
+ */
+const showReport = (app, item) => app.generateQuickReport({ uniqueId: item.uniqueId, ...item });
+
+const BUILT_IN_HANDLERS = [
+    {
+        id: 'retrieve',
+        itemNames: ['retrieve'],
+        types: ['data'],
+        render: showReport,
+        // WaterML responses are exported as one row per observation
+        export: (app, item, data) => app.getExportData(data)
+    },
+    {
+        id: 'transform',
+        itemNames: ['transform'],
+        types: ['data'],
+        render: (app, item) => app.generateWhatIfReport(item)
+    },
+    {
+        id: 'analyze',
+        // HydroLang analyze functions keep their own itemName (interoutliers, seasonalDecompose, ...)
+        match: (item, info) => info.type === 'analyze' && info.itemName !== 'Code Block',
+        types: ['analyze'],
+        render: (app, item) => app.generateWhatIfReport(item)
+    },
+    {
+        id: 'Code Block',
+        itemNames: ['Code Block'],
+        match: (item) => item.settings?.codeBlockType === 'code',
+        types: ['analyze', 'data'],
+        render: (app, item) => app.generateQuickReport({ uniqueId: item.uniqueId, ...item }, {
+            render: (container, data) => app.renderCodeBlockReport(container, item, data)
+        })
+    },
+    {
+        id: 'draw',
+        itemNames: ['draw'],
+        types: ['visualization'],
+        check: (item) => {
+            const drawType = item.parameters?.type || item.settings?.parameters?.type;
+            return ['chart', 'table'].includes(drawType) ? [] : [`draw type "${drawType || 'none'}" is not a chart or table`];
+        },
+        render: async (app, item) => {
+            const drawType = item.parameters?.type || item.settings?.parameters?.type;
+            if (!['chart', 'table'].includes(drawType)) {
+                await showReport(app, item);
+                return;
+            }
+            app.showVisualizationTab(drawType === 'chart' ? 'charts' : 'tables');
+            await app.handleDrawItems(item);
+        }
+    },
+    {
+        id: 'renderMap',
+        itemNames: ['renderMap'],
+        types: ['visualization'],
+        render: async (app, item) => {
+            app.showVisualizationTab('maps');
+            await app.populateMaps(item);
+        }
+    },
+    {
+        id: 'Layers',
+        itemNames: ['Layers'],
+        types: ['visualization'],
+        render: async (app, item) => {
+            app.showVisualizationTab('maps');
+            await app.addLayersToMap(item);
+        }
+    },
+    {
+        id: 'addCustomLegend',
+        itemNames: ['addCustomLegend'],
+        types: ['visualization'],
+        render: async (app, item) => {
+            app.showVisualizationTab('maps');
+            await app.addLegendToMap(item);
+        }
+    }
+];
+
+export class ItemHandlerRegistry {
+    constructor() {
+        this.handlers = [];
+        BUILT_IN_HANDLERS.forEach(handler => this.register(handler));
+    }
+
+    /**
+     * Register a handler. A handler with the same id replaces the previous one.
+     * @param {Object} handler - Handler definition (see module comment)
+     * @returns {Function} - Removes the handler again
+     */
+    register(handler) {
+        if (!handler || typeof handler.id !== 'string' || !handler.id) {
+            throw new TypeError('Item handler needs a string id');
+        }
+        if (typeof handler.render !== 'function') {
+            throw new TypeError(`Item handler "${handler.id}" needs a render(app, item) function`);
+        }
+        if (typeof handler.match !== 'function' && !Array.isArray(handler.itemNames)) {
+            throw new TypeError(`Item handler "${handler.id}" needs itemNames or a match(item) function`);
+        }
+
+        this.unregister(handler.id);
+        this.handlers.push(handler);
+        return () => this.unregister(handler.id);
+    }
+
+    unregister(id) {
+        this.handlers = this.handlers.filter(handler => handler.id !== id);
+    }
+
+    /**
+     * Find the handler for an item
+     * @param {Object} item - Workflow item
+     * @returns {{handler: Object|null, itemName: string, problems: Array<string>}}
+     */
+    resolve(item) {
+        const info = {
+            itemName: item.itemName || item.settings?.itemName || '',
+            type: item.type || item.settings?.type || ''
+        };
+        const problems = [];
+
+        let handler = this.find(item, info);
+        if (!handler) {
+            // Exports from older HydroBlox versions can carry numbered names such as "Layers--01"
+            const recovered = this.recoverItemName(item, info);
+            if (recovered) {
+                problems.push(`itemName "${info.itemName || 'none'}" was read as "${recovered}"`);
+                info.itemName = recovered;
+                handler = this.find(item, info);
+            }
+        }
+
+        if (!handler) {
+            problems.push(`no handler is registered for itemName "${info.itemName || 'none'}" (type "${info.type || 'none'}")`);
+            return { handler: null, itemName: info.itemName, problems };
+        }
+
+        if (info.type && Array.isArray(handler.types) && !handler.types.includes(info.type)) {
+            problems.push(`item type "${info.type}" does not match the "${handler.id}" handler (expects ${handler.types.join(' or ')})`);
+        }
+        if (typeof handler.check === 'function') {
+            problems.push(...(handler.check(item, info) || []));
+        }
+
+        return { handler, itemName: info.itemName, problems };
+    }
+
+    /**
+     * Latest registration first, so custom handlers take precedence over built-in ones
+     */
+    find(item, info) {
+        for (let i = this.handlers.length - 1; i >= 0; i--) {
+            const handler = this.handlers[i];
+            if (Array.isArray(handler.itemNames) && handler.itemNames.includes(info.itemName)) return handler;
+            try {
+                if (typeof handler.match === 'function' && handler.match(item, info)) return handler;
+            } catch (error) {
+                console.warn(`Item handler "${handler.id}" failed to match ${item.uniqueId}:`, error);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Strip a numbered suffix from itemName or name and look it up among the registered itemNames
+     * @returns {string|null}
+     */
+    recoverItemName(item, info) {
+        const known = this.handlers.flatMap(handler => handler.itemNames || []);
+        const candidates = [info.itemName, item.name || item.settings?.name || '']
+            .map(value => String(value).replace(/[-_\s]*\d+$/, '').trim().toLowerCase())
+            .filter(Boolean);
+
+        for (const candidate of candidates) {
+            const match = known.find(name => name.toLowerCase() === candidate);
+            if (match && match !== info.itemName) return match;
+        }
+        return null;
+    }
+}
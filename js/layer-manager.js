@@ -0,0 +1,386 @@
+/**
+ * HydroBlox Layer Manager for PWA Export
+ *
+ * Panel listing the map layers added from the workflow's Layers items:
+ * - Visibility toggle, opacity slider and zoom-to-layer per layer
+ * - Drag to reorder; the top of the list is drawn on top
+ * - Attribute table of a layer's feature properties
+ * - Thematic style from a numeric property (choropleth or graduated points), computed by the injected MapStyle
+ * - Legend of the visible layers (with their style classes) and of the workflow's addCustomLegend items
+ * The map itself is driven through per-layer controls, so the same panel serves the
+ * HydroLang (Leaflet) map and the built-in map.
+ */
+const SWATCH_FALLBACK = '#6c757d';
+
+export class LayerManager {
+    /**
+     * @param {HTMLElement} container - Element the panel is drawn into (its content is replaced)
+     * @param {Object} options
+     * @param {Function} options.createTable - (container, rows, layer) => void, renders the attribute table of a layer
+     * @param {Object} options.styler - MapStyle instance; without it layers cannot be styled
+     * @param {Function} options.onStyleChange - (layerId, style) => void, called when the user edits a style
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.createTable = options.createTable || null;
+        this.styler = options.styler || null;
+        this.onStyleChange = options.onStyleChange || (() => {});
+        // Top of the list first
+        this.layers = [];
+        this.legends = [];
+        this.open = null;
+        this.styling = null;
+        this.dragging = null;
+        this.build();
+    }
+
+    /**
+     * Add a layer, on top of the others
+     * @param {Object} layer
+     * @param {string} layer.id - Layer ID
+     * @param {string} layer.name - Display name
+     * @param {string|null} layer.color - Swatch color
+     * @param {Object} layer.controls - { setVisible(visible), setOpacity(opacity), setStyle(paint), zoomTo(), bringToFront(),
+     *                                  features(), highlight(indexes) }; features() returns the GeoJSON features for the
+     *                                  attribute table and styling, setStyle takes MapStyle's paint function or null,
+     *                                  the optional highlight() emphasises the features at some indexes of features()
+     * @param {Object|null} layer.style - Stored style settings to apply
+     */
+    add({ id, name, color = null, controls, style = null }) {
+        const layer = { id, name, color, controls, visible: true, opacity: 1, style, legendEntries: null };
+        this.layers = this.layers.filter(existing => existing.id !== id);
+        this.layers.unshift(layer);
+        if (style) this.applyStyle(layer);
+        this.render();
+    }
+
+    /**
+     * Add an addCustomLegend item to the legend
+     * @param {Object} legend - { id, title, text, entries: [{ label, color }] }
+     */
+    addLegend({ id, title, text = '', entries = [] }) {
+        this.legends = this.legends.filter(existing => existing.id !== id);
+        this.legends.push({ id, title, text, entries });
+        this.renderLegend();
+    }
+
+    build() {
+        this.container.innerHTML = '';
+        this.container.classList.add('layer-manager');
+
+        const title = document.createElement('div');
+        title.className = 'layer-manager-title';
+        title.textContent = 'Layers';
+        this.list = document.createElement('ul');
+        this.list.className = 'layer-manager-list';
+        this.legend = document.createElement('div');
+        this.legend.className = 'layer-manager-legend';
+
+        this.container.appendChild(title);
+        this.container.appendChild(this.list);
+        this.container.appendChild(this.legend);
+        this.render();
+    }
+
+    render() {
+        this.list.innerHTML = '';
+        if (this.layers.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'layer-manager-empty';
+            empty.textContent = 'No layers added yet.';
+            this.list.appendChild(empty);
+        }
+        this.layers.forEach(layer => this.list.appendChild(this.renderLayer(layer)));
+        this.renderLegend();
+    }
+
+    renderLayer(layer) {
+        const entry = document.createElement('li');
+        entry.className = 'layer-manager-item';
+        entry.dataset.layer = layer.id;
+        entry.draggable = true;
+        this.attachDrag(entry, layer);
+
+        const row = document.createElement('div');
+        row.className = 'layer-manager-row';
+        const handle = document.createElement('span');
+        handle.className = 'layer-manager-handle';
+        handle.title = 'Drag to reorder';
+        handle.innerHTML = '<i class="fas fa-grip-vertical"></i>';
+
+        const visible = document.createElement('input');
+        visible.type = 'checkbox';
+        visible.checked = layer.visible;
+        visible.title = 'Show or hide';
+        visible.addEventListener('change', () => {
+            layer.visible = visible.checked;
+            layer.controls.setVisible(layer.visible);
+            entry.classList.toggle('hidden-layer', !layer.visible);
+            this.renderLegend();
+        });
+        entry.classList.toggle('hidden-layer', !layer.visible);
+
+        const name = document.createElement('span');
+        name.className = 'layer-manager-name';
+        name.title = layer.name;
+        name.appendChild(this.swatch(layer.color));
+        name.appendChild(document.createTextNode(layer.name));
+
+        const opacity = document.createElement('input');
+        opacity.type = 'range';
+        opacity.min = '0';
+        opacity.max = '100';
+        opacity.value = String(Math.round(layer.opacity * 100));
+        opacity.title = `Opacity ${opacity.value}%`;
+        opacity.className = 'layer-manager-opacity';
+        opacity.addEventListener('input', () => {
+            layer.opacity = Number(opacity.value) / 100;
+            opacity.title = `Opacity ${opacity.value}%`;
+            layer.controls.setOpacity(layer.opacity);
+        });
+        // Dragging the slider must not drag the entry
+        opacity.addEventListener('mousedown', () => { entry.draggable = false; });
+        opacity.addEventListener('mouseup', () => { entry.draggable = true; });
+
+        const button = (icon, title, action) => {
+            const element = document.createElement('button');
+            element.type = 'button';
+            element.className = 'btn btn-sm btn-outline-secondary';
+            element.title = title;
+            element.innerHTML = `<i class="fas fa-${icon}"></i>`;
+            element.addEventListener('click', action);
+            return element;
+        };
+        const attributes = document.createElement('div');
+        attributes.className = 'layer-manager-attributes';
+        const styleEditor = document.createElement('div');
+        styleEditor.className = 'layer-manager-style';
+
+        row.appendChild(handle);
+        row.appendChild(visible);
+        row.appendChild(name);
+        row.appendChild(opacity);
+        row.appendChild(button('search-plus', 'Zoom to layer', () => layer.controls.zoomTo()));
+        row.appendChild(button('table', 'Attribute table', () => {
+            this.open = this.open === layer.id ? null : layer.id;
+            this.renderAttributes(attributes, layer);
+        }));
+        if (this.styler) {
+            row.appendChild(button('palette', 'Style by attribute', () => {
+                this.styling = this.styling === layer.id ? null : layer.id;
+                this.renderStyleEditor(styleEditor, layer);
+            }));
+        }
+        entry.appendChild(row);
+        entry.appendChild(styleEditor);
+        entry.appendChild(attributes);
+        this.renderStyleEditor(styleEditor, layer);
+        this.renderAttributes(attributes, layer);
+        return entry;
+    }
+
+    /**
+     * Property, classification, classes, colour ramp and symbol of the layer's style
+     */
+    renderStyleEditor(container, layer) {
+        container.innerHTML = '';
+        container.style.display = this.styling === layer.id ? '' : 'none';
+        if (this.styling !== layer.id) return;
+
+        const features = layer.controls.features();
+        const properties = this.styler.numericProperties(features);
+        if (properties.length === 0) {
+            container.innerHTML = '<div class="layer-manager-note">This layer has no numeric attributes to style by.</div>';
+            return;
+        }
+        const style = layer.style || this.styler.defaults(properties[0]);
+        const select = (label, options, value, key, parse = text => text) => {
+            const element = document.createElement('select');
+            element.className = 'form-control form-control-sm';
+            options.forEach(([optionValue, text]) => element.appendChild(new Option(text, optionValue, false, optionValue === String(value))));
+            element.addEventListener('change', () => {
+                const property = key === 'property' ? element.value : (layer.style || style).property;
+                layer.style = property ? { ...(layer.style || style), [key]: parse(element.value) } : null;
+                this.applyStyle(layer);
+                this.onStyleChange(layer.id, layer.style);
+                this.renderStyleEditor(container, layer);
+                this.renderLegend();
+            });
+            const wrapper = document.createElement('label');
+            wrapper.textContent = label;
+            wrapper.appendChild(element);
+            container.appendChild(wrapper);
+        };
+
+        select('Property', [['', 'None'], ...properties.map(name => [name, name])], layer.style ? style.property : '', 'property');
+        if (!layer.style) return;
+        select('Classification', Object.entries(this.styler.methods), style.method, 'method');
+        select('Classes', [3, 4, 5, 6, 7, 8, 9].map(count => [String(count), String(count)]), style.classes, 'classes', Number);
+        if (features.some(feature => /Point$/.test(feature?.geometry?.type || ''))) {
+            select('Symbol', [['color', 'Colour ramp'], ['size', 'Graduated size']], style.symbol, 'symbol');
+        }
+        if (style.symbol !== 'size') {
+            select('Colours', Object.keys(this.styler.ramps).map(name => [name, name]), style.ramp, 'ramp');
+            const preview = document.createElement('div');
+            preview.className = 'layer-manager-ramp';
+            this.styler.ramp(style.ramp, 7).forEach(color => preview.appendChild(this.swatch(color)));
+            container.appendChild(preview);
+        }
+    }
+
+    /**
+     * Recompute the layer's style from its features and repaint it
+     */
+    applyStyle(layer) {
+        const resolved = layer.style && this.styler ? this.styler.resolve(layer.controls.features(), layer.style) : null;
+        layer.legendEntries = resolved ? resolved.legend : null;
+        layer.controls.setStyle(resolved ? resolved.paint : null);
+    }
+
+    /**
+     * Feature properties of the layer, one row per feature
+     */
+    renderAttributes(container, layer) {
+        container.innerHTML = '';
+        container.style.display = this.open === layer.id ? '' : 'none';
+        if (this.open !== layer.id) return;
+
+        const rows = this.attributeRows(layer.controls.features());
+        if (rows.length === 0) {
+            container.innerHTML = '<div class="layer-manager-note">This layer has no features with attributes.</div>';
+            return;
+        }
+        if (this.createTable) {
+            this.createTable(container, rows, layer);
+        }
+    }
+
+    /**
+     * Rows of simple feature properties, with the geometry type first
+     */
+    attributeRows(features) {
+        return (Array.isArray(features) ? features : []).map((feature, index) => {
+            const row = { feature: index + 1, geometry: feature?.geometry?.type || '' };
+            Object.entries(feature?.properties || {}).forEach(([key, value]) => {
+                if (value === null || typeof value !== 'object') row[key] = value;
+            });
+            return row;
+        });
+    }
+
+    /**
+     * HTML5 drag and drop within the list; dropping on the upper half of an entry puts the layer above it
+     */
+    attachDrag(entry, layer) {
+        entry.addEventListener('dragstart', (event) => {
+            this.dragging = layer.id;
+            entry.classList.add('dragging');
+            if (event.dataTransfer) {
+                event.dataTransfer.effectAllowed = 'move';
+                event.dataTransfer.setData('text/plain', layer.id);
+            }
+        });
+        entry.addEventListener('dragend', () => {
+            this.dragging = null;
+            entry.classList.remove('dragging');
+        });
+        entry.addEventListener('dragover', (event) => {
+            if (this.dragging && this.dragging !== layer.id) event.preventDefault();
+        });
+        entry.addEventListener('drop', (event) => {
+            event.preventDefault();
+            if (!this.dragging || this.dragging === layer.id) return;
+            const rect = entry.getBoundingClientRect();
+            const above = event.clientY < rect.top + rect.height / 2;
+            this.move(this.dragging, layer.id, above);
+        });
+    }
+
+    /**
+     * Move a layer above or below another one and redraw the map in the new order
+     */
+    move(id, targetId, above) {
+        const moving = this.layers.find(layer => layer.id === id);
+        if (!moving) return;
+        const rest = this.layers.filter(layer => layer !== moving);
+        const target = rest.findIndex(layer => layer.id === targetId);
+        if (target === -1) return;
+        rest.splice(above ? target : target + 1, 0, moving);
+        this.layers = rest;
+
+        // Bottom to top, so the first entry ends up in front
+        [...this.layers].reverse().forEach(layer => layer.controls.bringToFront());
+        this.render();
+    }
+
+    renderLegend() {
+        this.legend.innerHTML = '';
+        const visible = this.layers.filter(layer => layer.visible);
+        if (visible.length === 0 && this.legends.length === 0) {
+            this.legend.style.display = 'none';
+            return;
+        }
+        this.legend.style.display = '';
+
+        const title = document.createElement('div');
+        title.className = 'layer-manager-title';
+        title.textContent = 'Legend';
+        this.legend.appendChild(title);
+        visible.forEach(layer => {
+            if (!layer.legendEntries) {
+                this.legend.appendChild(this.legendEntry(layer.name, layer.color));
+                return;
+            }
+            const block = document.createElement('div');
+            block.className = 'layer-manager-legend-block';
+            const heading = document.createElement('div');
+            heading.className = 'layer-manager-legend-title';
+            heading.textContent = `${layer.name}: ${layer.style.property}`;
+            block.appendChild(heading);
+            layer.legendEntries.forEach(entry => block.appendChild(this.legendEntry(entry.label, entry.color || layer.color, entry.radius)));
+            this.legend.appendChild(block);
+        });
+
+        this.legends.forEach(legend => {
+            const block = document.createElement('div');
+            block.className = 'layer-manager-legend-block';
+            if (legend.title) {
+                const heading = document.createElement('div');
+                heading.className = 'layer-manager-legend-title';
+                heading.textContent = legend.title;
+                block.appendChild(heading);
+            }
+            legend.entries.forEach(entry => block.appendChild(this.legendEntry(entry.label, entry.color)));
+            if (legend.text) {
+                const text = document.createElement('div');
+                text.className = 'layer-manager-note';
+                text.textContent = legend.text;
+                block.appendChild(text);
+            }
+            this.legend.appendChild(block);
+        });
+    }
+
+    legendEntry(label, color, radius = null) {
+        const entry = document.createElement('div');
+        entry.className = 'layer-manager-legend-entry';
+        entry.appendChild(this.swatch(color, radius));
+        entry.appendChild(document.createTextNode(label));
+        return entry;
+    }
+
+    /**
+     * Colour square, or a circle of the given radius for graduated symbols
+     */
+    swatch(color, radius = null) {
+        const swatch = document.createElement('span');
+        swatch.className = 'layer-manager-swatch';
+        swatch.style.background = color || SWATCH_FALLBACK;
+        if (radius) {
+            swatch.classList.add('symbol');
+            swatch.style.width = `${radius * 2}px`;
+            swatch.style.height = `${radius * 2}px`;
+        }
+        return swatch;
+    }
+}
@@ -0,0 +1,223 @@
+/**
+ * HydroBlox Map Style for PWA Export
+ *
+ * Thematic styling of map features from a numeric property:
+ * - Classification by quantile, equal interval or natural breaks (Jenks)
+ * - Colour ramps interpolated to the number of classes (choropleth)
+ * - Graduated point symbols, sized by class
+ * - Legend entries matching the classes, with a "No data" entry for features without a value
+ * A style is plain settings ({ property, method, classes, ramp, symbol }) so it can be stored;
+ * the breaks are recomputed from the features each time it is applied.
+ */
+const RAMPS = {
+    Blues: ['#deebf7', '#9ecae1', '#3182bd', '#08306b'],
+    Greens: ['#e5f5e0', '#a1d99b', '#31a354', '#00441b'],
+    Oranges: ['#feedde', '#fdbe85', '#e6550d', '#7f2704'],
+    Viridis: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'],
+    Spectral: ['#d7191c', '#fdae61', '#ffffbf', '#abdda4', '#2b83ba']
+};
+const METHODS = {
+    quantile: 'Quantile',
+    equal: 'Equal interval',
+    jenks: 'Natural breaks'
+};
+const NO_DATA_COLOR = '#ced4da';
+const MIN_CLASSES = 2;
+const MAX_CLASSES = 9;
+// Natural breaks run on at most this many values (evenly spaced through the sorted values)
+const JENKS_SAMPLE = 1000;
+
+export class MapStyle {
+    constructor() {
+        this.ramps = RAMPS;
+        this.methods = METHODS;
+    }
+
+    /**
+     * Default settings for a property
+     */
+    defaults(property) {
+        return { property, method: 'quantile', classes: 5, ramp: 'Blues', symbol: 'color', minRadius: 4, maxRadius: 14 };
+    }
+
+    /**
+     * Properties with at least one numeric value (numbers or numeric strings)
+     * @param {Array<Object>} features - GeoJSON features
+     * @returns {Array<string>}
+     */
+    numericProperties(features) {
+        const names = new Set();
+        features.forEach(feature => {
+            Object.entries(feature?.properties || {}).forEach(([key, value]) => {
+                if (this.number(value) !== null) names.add(key);
+            });
+        });
+        return [...names];
+    }
+
+    /**
+     * Colour and size of each feature, and the legend, for a style
+     * @param {Array<Object>} features - GeoJSON features
+     * @param {Object} style - { property, method, classes, ramp, symbol: 'color'|'size', minRadius, maxRadius }
+     * @returns {{paint: Function, legend: Array<Object>, breaks: Array<number>}|null} - paint(feature) returns
+     *   { color, radius } (either may be null); null when no feature has a value for the property
+     */
+    resolve(features, style) {
+        if (!style || !style.property) return null;
+        const values = features.map(feature => this.number(feature?.properties?.[style.property]));
+        const present = values.filter(value => value !== null);
+        if (present.length === 0) return null;
+
+        const classes = Math.min(Math.max(Math.round(style.classes) || 5, MIN_CLASSES), MAX_CLASSES);
+        const breaks = this.breaks(present, style.method, classes);
+        const count = breaks.length - 1;
+        const colors = this.ramp(style.ramp, count);
+        const size = style.symbol === 'size';
+        const minRadius = style.minRadius ?? 4;
+        const maxRadius = style.maxRadius ?? 14;
+        const radii = colors.map((color, index) => (count > 1 ? minRadius + ((maxRadius - minRadius) * index) / (count - 1) : (minRadius + maxRadius) / 2));
+
+        const paint = (feature) => {
+            const value = this.number(feature?.properties?.[style.property]);
+            const point = /Point$/.test(feature?.geometry?.type || '');
+            if (value === null) return size ? null : { color: NO_DATA_COLOR, radius: null };
+            const index = this.classOf(value, breaks);
+            // Graduated symbols keep the layer colour and only apply to points
+            if (size) return point ? { color: null, radius: radii[index] } : null;
+            return { color: colors[index], radius: null };
+        };
+
+        const legend = colors.map((color, index) => ({
+            label: `${this.format(breaks[index])} – ${this.format(breaks[index + 1])}`,
+            color: size ? null : color,
+            radius: size ? radii[index] : null
+        }));
+        if (!size && present.length < values.length) {
+            legend.push({ label: 'No data', color: NO_DATA_COLOR, radius: null });
+        }
+        return { paint, legend, breaks };
+    }
+
+    /**
+     * Class boundaries [min, ..., max]; fewer classes than asked when values repeat
+     * @param {Array<number>} values - Finite values
+     * @param {string} method - 'quantile', 'equal' or 'jenks'
+     * @param {number} classes - Number of classes
+     * @returns {Array<number>}
+     */
+    breaks(values, method, classes) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const min = sorted[0];
+        const max = sorted[sorted.length - 1];
+        if (min === max) return [min, max];
+
+        let inner;
+        if (method === 'equal') {
+            inner = Array.from({ length: classes - 1 }, (_, i) => min + ((max - min) * (i + 1)) / classes);
+        } else if (method === 'jenks') {
+            inner = this.jenks(sorted, classes);
+        } else {
+            inner = Array.from({ length: classes - 1 }, (_, i) => sorted[Math.floor(((i + 1) * sorted.length) / classes)]);
+        }
+        const bounds = [min, ...inner.filter(value => value > min && value < max), max];
+        return bounds.filter((value, index) => index === 0 || value > bounds[index - 1]);
+    }
+
+    /**
+     * Inner natural breaks (Fisher-Jenks: least squared deviation within classes)
+     * @param {Array<number>} sorted - Values in ascending order
+     * @param {number} classes - Number of classes
+     * @returns {Array<number>} - Upper bounds of all classes but the last
+     */
+    jenks(sorted, classes) {
+        const data = sorted.length > JENKS_SAMPLE
+            ? Array.from({ length: JENKS_SAMPLE }, (_, i) => sorted[Math.round((i * (sorted.length - 1)) / (JENKS_SAMPLE - 1))])
+            : sorted;
+        const n = data.length;
+        const k = Math.min(classes, n);
+        // lower[i][j]: first index (1-based) of the last class in the best split of the first i values into j classes
+        const lower = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(0));
+        const cost = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(Infinity));
+        for (let j = 1; j <= k; j++) {
+            lower[1][j] = 1;
+            cost[1][j] = 0;
+        }
+
+        for (let i = 2; i <= n; i++) {
+            let sum = 0;
+            let squares = 0;
+            let variance = 0;
+            for (let m = 1; m <= i; m++) {
+                // Values m..i (1-based) form the last class
+                const start = i - m + 1;
+                const value = data[start - 1];
+                sum += value;
+                squares += value * value;
+                variance = squares - (sum * sum) / m;
+                if (start > 1) {
+                    for (let j = 2; j <= k; j++) {
+                        const total = variance + cost[start - 1][j - 1];
+                        if (total <= cost[i][j]) {
+                            lower[i][j] = start;
+                            cost[i][j] = total;
+                        }
+                    }
+                }
+            }
+            lower[i][1] = 1;
+            cost[i][1] = variance;
+        }
+
+        const inner = [];
+        let end = n;
+        for (let j = k; j >= 2; j--) {
+            const start = lower[end][j];
+            inner.unshift(data[start - 2]);
+            end = start - 1;
+        }
+        return inner;
+    }
+
+    /**
+     * Index of the class holding a value; class i spans (breaks[i], breaks[i + 1]], the first includes its minimum
+     */
+    classOf(value, breaks) {
+        for (let i = 1; i < breaks.length - 1; i++) {
+            if (value <= breaks[i]) return i - 1;
+        }
+        return breaks.length - 2;
+    }
+
+    /**
+     * Colours spread evenly along a ramp
+     * @param {string} name - Ramp name
+     * @param {number} count - Number of colours
+     * @returns {Array<string>}
+     */
+    ramp(name, count) {
+        const stops = (RAMPS[name] || RAMPS.Blues).map(color => this.rgb(color));
+        return Array.from({ length: count }, (_, i) => {
+            const t = count > 1 ? i / (count - 1) : 0.5;
+            const position = t * (stops.length - 1);
+            const low = Math.min(Math.floor(position), stops.length - 2);
+            const share = position - low;
+            const mixed = stops[low].map((channel, c) => Math.round(channel + (stops[low + 1][c] - channel) * share));
+            return `#${mixed.map(channel => channel.toString(16).padStart(2, '0')).join('')}`;
+        });
+    }
+
+    rgb(hex) {
+        return [1, 3, 5].map(offset => parseInt(hex.substring(offset, offset + 2), 16));
+    }
+
+    number(value) {
+        if (value === null || value === undefined || value === '' || typeof value === 'boolean') return null;
+        const numeric = Number(value);
+        return Number.isFinite(numeric) ? numeric : null;
+    }
+
+    format(value) {
+        if (Number.isInteger(value)) return String(value);
+        return Math.abs(value) >= 100 ? value.toFixed(0) : Number(value.toPrecision(3)).toString();
+    }
+}
@@ -0,0 +1,602 @@
+/**
+ * HydroBlox Built-in Map View for PWA Export
+ *
+ * Lightweight SVG map for when the HydroLang (Leaflet) map cannot be shown, e.g. offline:
+ * - Reads GeoJSON (FeatureCollection, Feature, bare geometries) and point records with
+ *   latitude/longitude fields
+ * - Draws the bundled offline basemap (coastlines, rivers, country borders, US states) from 30°
+ *   vector tiles; only the tiles in view are drawn
+ * - Web Mercator projection with Leaflet-compatible zoom levels, fit to the data extent,
+ *   drag to pan, wheel or buttons to zoom
+ * - Click popups for layers that supply a popup builder; the popup follows its feature while panning
+ * - Per-layer visibility, opacity, draw order and thematic style, and zoom to a single layer
+ * - Highlighted features (e.g. picked in a linked table) are outlined and drawn above the rest of their layer
+ */
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const PALETTE = ['#0d6efd', '#dc3545', '#198754', '#fd7e14', '#6f42c1', '#20c997', '#d63384', '#6c757d'];
+const MAX_LAT = 85.0511;
+const TILE_PIXELS = 256;
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 18;
+// Degrees shown around a lone point when fitting
+const MIN_FIT_SPAN = 0.5;
+const FIT_PADDING = 24;
+const HIGHLIGHT_COLOR = '#ffc107';
+const BASEMAP_STYLE = {
+    coastlines: { stroke: '#7a9cc6', width: 1 },
+    rivers: { stroke: '#9ec5e8', width: 0.7 },
+    borders: { stroke: '#adb5bd', width: 0.8, dash: '4 2' },
+    states: { stroke: '#ced4da', width: 0.6 }
+};
+const LAT_KEYS = ['latitude', 'lat'];
+const LON_KEYS = ['longitude', 'lon', 'lng', 'long'];
+
+export class MapView {
+    /**
+     * @param {HTMLElement} container - Element the map is drawn into (its content is replaced)
+     * @param {Object} options
+     * @param {Object|null} options.basemap - Parsed data/basemap/basemap.json, or null to draw without a basemap
+     * @param {number} options.height - Map height in pixels
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.basemap = options.basemap || null;
+        this.height = options.height || 400;
+        this.layers = [];
+        this.nextLayer = 1;
+        this.view = null;
+        this.frame = null;
+        this.popup = null;
+        // Set while a drag moves the map, so the click that ends it does not open a popup
+        this.dragged = false;
+        this.build();
+    }
+
+    /**
+     * Add a layer of features read from GeoJSON or point records
+     * @param {Object} layer - { id, name, data, color, popup, onSelect }; popup is (feature, layer) => HTMLElement|null,
+     *                         called when a feature is clicked, onSelect is (feature, layer) => void, called on the same click
+     * @returns {Object|null} - The layer, or null if the data holds no coordinates
+     */
+    addLayer({ id = null, name = null, data, color = null, popup = null, onSelect = null }) {
+        const features = this.readFeatures(data);
+        if (features.length === 0) return null;
+
+        const index = this.nextLayer++;
+        const layer = {
+            id: id || `layer-${index}`,
+            name: name || `Layer ${index}`,
+            color: color || PALETTE[(index - 1) % PALETTE.length],
+            features,
+            visible: true,
+            opacity: 1,
+            style: null,
+            highlight: null,
+            popup,
+            onSelect
+        };
+        this.layers = this.layers.filter(existing => existing.id !== layer.id);
+        this.layers.push(layer);
+        this.scheduleRender();
+        return layer;
+    }
+
+    removeLayer(id) {
+        this.layers = this.layers.filter(layer => layer.id !== id);
+        if (this.popup && this.popup.layer.id === id) this.closePopup();
+        this.scheduleRender();
+    }
+
+    /**
+     * Change a layer's visibility, opacity, style or highlighted features
+     * @param {string} id - Layer ID
+     * @param {Object} changes - { visible, opacity, style, highlight }; style is (feature) => { color, radius } or null,
+     *                           falling back to the layer colour and default size where it returns null;
+     *                           highlight is an array of the layer's features, or null
+     */
+    updateLayer(id, changes) {
+        const layer = this.layers.find(existing => existing.id === id);
+        if (!layer) return;
+        if (changes.visible !== undefined) layer.visible = Boolean(changes.visible);
+        if (changes.opacity !== undefined) layer.opacity = Math.min(Math.max(Number(changes.opacity), 0), 1);
+        if (changes.style !== undefined) layer.style = changes.style;
+        if (changes.highlight !== undefined) layer.highlight = changes.highlight && changes.highlight.length > 0 ? new Set(changes.highlight) : null;
+        this.scheduleRender();
+    }
+
+    /**
+     * Draw a layer above all others
+     */
+    bringToFront(id) {
+        const layer = this.layers.find(existing => existing.id === id);
+        if (!layer) return;
+        this.layers = this.layers.filter(existing => existing !== layer).concat(layer);
+        this.scheduleRender();
+    }
+
+    /**
+     * Fit the map to one layer, whether or not it is visible
+     */
+    fitLayer(id) {
+        const layer = this.layers.find(existing => existing.id === id);
+        if (layer) this.fit(this.bounds([layer]));
+    }
+
+    /**
+     * Show the layer's popup for a feature, anchored at a [lon, lat] position
+     */
+    openPopup(feature, layer, position) {
+        this.closePopup();
+        const content = layer.popup ? layer.popup(feature, layer) : null;
+        if (!content) return;
+
+        const element = document.createElement('div');
+        element.className = 'builtin-map-popup';
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.className = 'builtin-map-popup-close';
+        close.title = 'Close';
+        close.innerHTML = '&times;';
+        close.addEventListener('click', () => this.closePopup());
+        // Keep clicks and drags inside the popup from panning or zooming the map
+        ['mousedown', 'dblclick', 'wheel'].forEach(type => element.addEventListener(type, event => event.stopPropagation()));
+        element.appendChild(close);
+        element.appendChild(content);
+        this.svg.parentNode.appendChild(element);
+        this.popup = { element, feature, layer, position };
+        this.placePopup();
+    }
+
+    closePopup() {
+        if (!this.popup) return;
+        this.popup.element.remove();
+        this.popup = null;
+    }
+
+    /**
+     * Put the popup above its anchor, hiding it while the anchor is out of view
+     */
+    placePopup() {
+        if (!this.popup || !this.view) return;
+        const [x, y] = this.project(this.popup.position);
+        const inside = x >= 0 && x <= this.width() && y >= 0 && y <= this.height;
+        this.popup.element.style.left = `${x}px`;
+        this.popup.element.style.top = `${y}px`;
+        this.popup.element.style.display = inside ? '' : 'none';
+    }
+
+    /**
+     * GeoJSON features in data: FeatureCollection, Feature, geometry, point records
+     * ({ latitude, longitude, ...properties }) or arrays of any of these
+     * @param {*} data
+     * @returns {Array<Object>} - GeoJSON features with valid coordinates
+     */
+    readFeatures(data) {
+        const features = [];
+        const visit = (value) => {
+            if (!value || typeof value !== 'object') return;
+            if (Array.isArray(value)) {
+                value.forEach(visit);
+                return;
+            }
+            if (value.type === 'FeatureCollection' && Array.isArray(value.features)) {
+                value.features.forEach(visit);
+            } else if (value.type === 'Feature') {
+                if (this.validGeometry(value.geometry)) features.push({ type: 'Feature', properties: value.properties || {}, geometry: value.geometry });
+            } else if (this.validGeometry(value)) {
+                features.push({ type: 'Feature', properties: {}, geometry: value });
+            } else {
+                const point = this.readPoint(value);
+                if (point) features.push(point);
+            }
+        };
+        visit(data);
+        return features;
+    }
+
+    /**
+     * Point feature from a record with latitude/longitude fields (strings allowed)
+     */
+    readPoint(record) {
+        const find = keys => Object.keys(record).find(key => keys.includes(key.toLowerCase()));
+        const latKey = find(LAT_KEYS);
+        const lonKey = find(LON_KEYS);
+        if (!latKey || !lonKey) return null;
+        const lat = Number(record[latKey]);
+        const lon = Number(record[lonKey]);
+        if (record[latKey] === '' || record[lonKey] === '' || !this.validPosition([lon, lat])) return null;
+
+        const properties = {};
+        Object.entries(record).forEach(([key, value]) => {
+            if (key !== latKey && key !== lonKey && (value === null || typeof value !== 'object')) properties[key] = value;
+        });
+        return { type: 'Feature', properties, geometry: { type: 'Point', coordinates: [lon, lat] } };
+    }
+
+    validGeometry(geometry) {
+        if (!geometry || typeof geometry !== 'object') return false;
+        if (geometry.type === 'GeometryCollection') {
+            return Array.isArray(geometry.geometries) && geometry.geometries.some(part => this.validGeometry(part));
+        }
+        const depth = { Point: 0, MultiPoint: 1, LineString: 1, MultiLineString: 2, Polygon: 2, MultiPolygon: 3 }[geometry.type];
+        if (depth === undefined || !Array.isArray(geometry.coordinates)) return false;
+        const positions = depth === 0 ? [geometry.coordinates] : geometry.coordinates.flat(depth - 1);
+        return positions.length > 0 && positions.every(position => this.validPosition(position));
+    }
+
+    validPosition(position) {
+        return Array.isArray(position) && Number.isFinite(position[0]) && Number.isFinite(position[1])
+            && Math.abs(position[0]) <= 180 && Math.abs(position[1]) <= 90;
+    }
+
+    /**
+     * [west, south, east, north] of the layers (default: the visible ones), or null without features
+     */
+    bounds(layers = this.layers.filter(layer => layer.visible)) {
+        let bounds = null;
+        const extend = ([lon, lat]) => {
+            bounds = bounds
+                ? [Math.min(bounds[0], lon), Math.min(bounds[1], lat), Math.max(bounds[2], lon), Math.max(bounds[3], lat)]
+                : [lon, lat, lon, lat];
+        };
+        layers.forEach(layer => {
+            layer.features.forEach(feature => this.positions(feature.geometry).forEach(extend));
+        });
+        return bounds;
+    }
+
+    /**
+     * Zoom and center so the bounds fill the map
+     * @param {Array<number>} bounds - [west, south, east, north]; defaults to the layers' extent
+     */
+    fit(bounds = this.bounds()) {
+        if (!bounds) {
+            this.setView(20, 0, MIN_ZOOM);
+            return;
+        }
+        const [west, south, east, north] = this.padBounds(bounds);
+        const [x1, y1] = this.toMercator([west, north]);
+        const [x2, y2] = this.toMercator([east, south]);
+        const width = Math.max(this.width() - 2 * FIT_PADDING, 1);
+        const height = Math.max(this.height - 2 * FIT_PADDING, 1);
+        const scale = Math.min(width / Math.max(x2 - x1, 1e-9), height / Math.max(y2 - y1, 1e-9));
+        const zoom = Math.log2((scale * 360) / TILE_PIXELS);
+        this.view = {
+            x: (x1 + x2) / 2,
+            y: (y1 + y2) / 2,
+            zoom: Math.min(Math.max(zoom, MIN_ZOOM), MAX_ZOOM)
+        };
+        this.scheduleRender();
+    }
+
+    /**
+     * Center on a position at a Leaflet zoom level
+     */
+    setView(lat, lon, zoom) {
+        const [x, y] = this.toMercator([lon, lat]);
+        this.view = { x, y, zoom: Math.min(Math.max(zoom, MIN_ZOOM), MAX_ZOOM) };
+        this.scheduleRender();
+    }
+
+    /**
+     * Wrapper, toolbar, SVG and attribution
+     */
+    build() {
+        this.container.innerHTML = '';
+        const wrapper = document.createElement('div');
+        wrapper.className = 'builtin-map';
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'builtin-map-toolbar';
+        const button = (icon, title, action) => {
+            const element = document.createElement('button');
+            element.type = 'button';
+            element.title = title;
+            element.innerHTML = `<i class="fas fa-${icon}"></i>`;
+            element.addEventListener('click', action);
+            toolbar.appendChild(element);
+        };
+        button('plus', 'Zoom in', () => this.zoomAround(null, 1));
+        button('minus', 'Zoom out', () => this.zoomAround(null, -1));
+        button('expand', 'Fit to data', () => this.fit());
+
+        this.svg = document.createElementNS(SVG_NS, 'svg');
+        this.svg.setAttribute('class', 'builtin-map-svg');
+        this.svg.setAttribute('height', this.height);
+        this.attachEvents();
+
+        this.note = document.createElement('div');
+        this.note.className = 'builtin-map-note';
+
+        const attribution = document.createElement('div');
+        attribution.className = 'builtin-map-attribution';
+        attribution.textContent = this.basemap
+            ? `Offline basemap: ${this.basemap.attribution}`
+            : 'Basemap not available: only the data is drawn.';
+
+        wrapper.appendChild(this.svg);
+        wrapper.appendChild(toolbar);
+        wrapper.appendChild(this.note);
+        wrapper.appendChild(attribution);
+        this.container.appendChild(wrapper);
+    }
+
+    /**
+     * Drag to pan, wheel to zoom around the cursor, double-click to zoom in
+     */
+    attachEvents() {
+        this.svg.addEventListener('wheel', (event) => {
+            event.preventDefault();
+            this.zoomAround(this.pointer(event), event.deltaY > 0 ? -0.5 : 0.5);
+        }, { passive: false });
+
+        this.svg.addEventListener('dblclick', (event) => this.zoomAround(this.pointer(event), 1));
+
+        this.svg.addEventListener('mousedown', (event) => {
+            if (event.button !== 0 || !this.view) return;
+            event.preventDefault();
+            let last = this.pointer(event);
+            const start = last;
+            this.dragged = false;
+            const move = (moveEvent) => {
+                const current = this.pointer(moveEvent);
+                if (Math.abs(current[0] - start[0]) + Math.abs(current[1] - start[1]) > 3) this.dragged = true;
+                const scale = this.scale();
+                this.view = { ...this.view, x: this.view.x - (current[0] - last[0]) / scale, y: this.view.y - (current[1] - last[1]) / scale };
+                last = current;
+                this.scheduleRender();
+            };
+            const up = () => {
+                window.removeEventListener('mousemove', move);
+                window.removeEventListener('mouseup', up);
+                this.svg.classList.remove('dragging');
+            };
+            this.svg.classList.add('dragging');
+            window.addEventListener('mousemove', move);
+            window.addEventListener('mouseup', up);
+        });
+    }
+
+    /**
+     * Change the zoom by delta levels, keeping the point under the cursor (or the center) in place
+     */
+    zoomAround(point, delta) {
+        if (!this.view) return;
+        const zoom = Math.min(Math.max(this.view.zoom + delta, MIN_ZOOM), MAX_ZOOM);
+        if (zoom === this.view.zoom) return;
+        const anchor = point || [this.width() / 2, this.height / 2];
+        const before = this.toUnits(anchor);
+        this.view = { ...this.view, zoom };
+        const after = this.toUnits(anchor);
+        this.view = { ...this.view, x: this.view.x + before[0] - after[0], y: this.view.y + before[1] - after[1] };
+        this.scheduleRender();
+    }
+
+    /**
+     * Redraw at most once per animation frame
+     */
+    scheduleRender() {
+        if (this.frame) return;
+        const draw = () => {
+            this.frame = null;
+            this.render();
+        };
+        this.frame = typeof requestAnimationFrame === 'function' ? requestAnimationFrame(draw) : setTimeout(draw, 0);
+    }
+
+    render() {
+        if (!this.view) {
+            this.fit();
+            return;
+        }
+        const width = this.width();
+        this.svg.setAttribute('width', width);
+        this.svg.setAttribute('viewBox', `0 0 ${width} ${this.height}`);
+        while (this.svg.firstChild) this.svg.removeChild(this.svg.firstChild);
+
+        this.svg.appendChild(this.el('rect', { class: 'builtin-map-water', x: 0, y: 0, width, height: this.height }));
+        if (this.basemap) this.renderBasemap();
+        this.layers.filter(layer => layer.visible).forEach(layer => this.renderLayer(layer));
+
+        const drawn = this.layers.some(layer => layer.visible);
+        this.note.textContent = drawn ? '' : 'No features with coordinates to show.';
+        this.note.style.display = drawn ? 'none' : '';
+        if (this.popup && !this.popup.layer.visible) this.closePopup();
+        this.placePopup();
+    }
+
+    /**
+     * Basemap lines of the tiles that intersect the view
+     */
+    renderBasemap() {
+        const { tileSize, scale } = this.basemap;
+        const [west, north] = this.fromMercator(this.toUnits([0, 0]));
+        const [east, south] = this.fromMercator(this.toUnits([this.width(), this.height]));
+        const columns = [Math.floor(Math.max(west, -180) / tileSize), Math.floor(Math.min(east, 179.999) / tileSize)];
+        const rows = [Math.floor(Math.max(south, -90) / tileSize), Math.floor(Math.min(north, 89.999) / tileSize)];
+
+        this.basemap.layers.forEach(layer => {
+            const style = BASEMAP_STYLE[layer.id] || { stroke: '#ced4da', width: 0.6 };
+            let d = '';
+            for (let column = columns[0]; column <= columns[1]; column++) {
+                for (let row = rows[0]; row <= rows[1]; row++) {
+                    (layer.tiles[`${column},${row}`] || []).forEach(line => {
+                        for (let i = 0; i < line.length; i += 2) {
+                            const [x, y] = this.project([line[i] / scale, line[i + 1] / scale]);
+                            // Never join vertices on opposite sides of the antimeridian across the whole map
+                            const wraps = i > 0 && Math.abs(line[i] - line[i - 2]) > 180 * scale;
+                            d += `${i === 0 || wraps ? 'M' : 'L'}${x.toFixed(1)},${y.toFixed(1)}`;
+                        }
+                    });
+                }
+            }
+            if (!d) return;
+            const attributes = { d, class: `builtin-map-basemap ${layer.id}`, fill: 'none', stroke: style.stroke, 'stroke-width': style.width };
+            if (style.dash) attributes['stroke-dasharray'] = style.dash;
+            this.svg.appendChild(this.el('path', attributes));
+        });
+    }
+
+    renderLayer(layer) {
+        const group = this.el('g', { class: 'builtin-map-layer', 'data-layer': layer.id });
+        if (layer.opacity < 1) group.setAttribute('opacity', layer.opacity);
+        const features = layer.highlight
+            ? layer.features.filter(feature => !layer.highlight.has(feature)).concat(layer.features.filter(feature => layer.highlight.has(feature)))
+            : layer.features;
+        features.forEach(feature => this.renderGeometry(group, feature.geometry, feature, layer));
+        this.svg.appendChild(group);
+    }
+
+    renderGeometry(group, geometry, feature, layer) {
+        const { type, coordinates } = geometry;
+        const paint = layer.style ? layer.style(feature) : null;
+        const color = paint?.color || layer.color;
+        const highlighted = Boolean(layer.highlight && layer.highlight.has(feature));
+        const ring = positions => positions.map((position, i) => {
+            const [x, y] = this.project(position);
+            return `${i === 0 ? 'M' : 'L'}${x.toFixed(1)},${y.toFixed(1)}`;
+        }).join('');
+        let element = null;
+
+        if (type === 'GeometryCollection') {
+            geometry.geometries.filter(part => this.validGeometry(part)).forEach(part => this.renderGeometry(group, part, feature, layer));
+            return;
+        }
+        if (type === 'Point' || type === 'MultiPoint') {
+            (type === 'Point' ? [coordinates] : coordinates).forEach(position => {
+                const [cx, cy] = this.project(position);
+                const point = this.el('circle', {
+                    cx,
+                    cy,
+                    r: (paint?.radius || 5) + (highlighted ? 2 : 0),
+                    fill: color,
+                    stroke: highlighted ? HIGHLIGHT_COLOR : '#fff',
+                    'stroke-width': highlighted ? 3 : 1.5,
+                    class: highlighted ? 'builtin-map-point highlighted' : 'builtin-map-point'
+                });
+                this.describe(point, feature, layer);
+                this.clickable(point, feature, layer, () => position);
+                group.appendChild(point);
+            });
+            return;
+        }
+        if (type === 'LineString' || type === 'MultiLineString') {
+            const lines = type === 'LineString' ? [coordinates] : coordinates;
+            element = this.el('path', { d: lines.map(ring).join(''), fill: 'none', stroke: color, 'stroke-width': 2 });
+        } else {
+            const polygons = type === 'Polygon' ? [coordinates] : coordinates;
+            element = this.el('path', {
+                d: polygons.map(rings => rings.map(positions => `${ring(positions)}Z`).join('')).join(''),
+                fill: color,
+                // Styled polygons are filled more strongly so the classes can be told apart
+                'fill-opacity': paint?.color ? 0.7 : 0.25,
+                'fill-rule': 'evenodd',
+                stroke: color,
+                'stroke-width': 1.5
+            });
+        }
+        if (highlighted) {
+            element.setAttribute('stroke', HIGHLIGHT_COLOR);
+            element.setAttribute('stroke-width', 3.5);
+            element.classList.add('highlighted');
+        }
+        this.describe(element, feature, layer);
+        this.clickable(element, feature, layer, event => this.fromMercator(this.toUnits(this.pointer(event))));
+        group.appendChild(element);
+    }
+
+    /**
+     * Select the feature and open the layer's popup when the element is clicked (not at the end of a drag)
+     * @param {Function} anchor - (event) => [lon, lat] the popup points at
+     */
+    clickable(element, feature, layer, anchor) {
+        if (!layer.popup && !layer.onSelect) return;
+        element.classList.add('builtin-map-clickable');
+        element.addEventListener('click', (event) => {
+            if (this.dragged) return;
+            event.stopPropagation();
+            if (layer.onSelect) layer.onSelect(feature, layer);
+            this.openPopup(feature, layer, anchor(event));
+        });
+    }
+
+    /**
+     * Hover text: layer name and the feature's simple properties
+     */
+    describe(element, feature, layer) {
+        const lines = [layer.name];
+        Object.entries(feature.properties || {}).slice(0, 8).forEach(([key, value]) => {
+            if (value === null || typeof value !== 'object') lines.push(`${key}: ${value}`);
+        });
+        const title = this.el('title', {});
+        title.textContent = lines.join('\n');
+        element.appendChild(title);
+    }
+
+    positions(geometry) {
+        if (geometry.type === 'GeometryCollection') {
+            return geometry.geometries.filter(part => this.validGeometry(part)).flatMap(part => this.positions(part));
+        }
+        const depth = { Point: 0, MultiPoint: 1, LineString: 1, MultiLineString: 2, Polygon: 2, MultiPolygon: 3 }[geometry.type];
+        return depth === 0 ? [geometry.coordinates] : geometry.coordinates.flat(depth - 1);
+    }
+
+    /**
+     * Widen bounds narrower than MIN_FIT_SPAN so a lone point keeps some surroundings
+     */
+    padBounds([west, south, east, north]) {
+        const widen = (low, high, limit) => {
+            if (high - low >= MIN_FIT_SPAN) return [low, high];
+            const middle = (low + high) / 2;
+            return [Math.max(middle - MIN_FIT_SPAN / 2, -limit), Math.min(middle + MIN_FIT_SPAN / 2, limit)];
+        };
+        const [w, e] = widen(west, east, 180);
+        const [s, n] = widen(south, north, MAX_LAT);
+        return [w, s, e, n];
+    }
+
+    /**
+     * [lon, lat] to Web Mercator units (degrees of longitude at the equator; y grows southward)
+     */
+    toMercator([lon, lat]) {
+        const phi = (Math.max(Math.min(lat, MAX_LAT), -MAX_LAT) * Math.PI) / 180;
+        return [lon, -(Math.log(Math.tan(Math.PI / 4 + phi / 2)) * 180) / Math.PI];
+    }
+
+    fromMercator([x, y]) {
+        return [x, (Math.atan(Math.sinh((-y * Math.PI) / 180)) * 180) / Math.PI];
+    }
+
+    /**
+     * Pixels per Mercator unit at the current zoom
+     */
+    scale() {
+        return (TILE_PIXELS * 2 ** this.view.zoom) / 360;
+    }
+
+    project(position) {
+        const [x, y] = this.toMercator(position);
+        const scale = this.scale();
+        return [(x - this.view.x) * scale + this.width() / 2, (y - this.view.y) * scale + this.height / 2];
+    }
+
+    toUnits([px, py]) {
+        const scale = this.scale();
+        return [this.view.x + (px - this.width() / 2) / scale, this.view.y + (py - this.height / 2) / scale];
+    }
+
+    pointer(event) {
+        const rect = this.svg.getBoundingClientRect();
+        return [event.clientX - rect.left, event.clientY - rect.top];
+    }
+
+    width() {
+        return this.container.clientWidth || 640;
+    }
+
+    el(tag, attributes) {
+        const element = document.createElementNS(SVG_NS, tag);
+        Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+        return element;
+    }
+}
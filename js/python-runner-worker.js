@@ -0,0 +1,107 @@
+// HydroBlox Python Code Block Worker
+// Runs one Python Code Block per worker with the Pyodide runtime bundled in js/pyodide/.
+// Pyodide and the packages the block imports are loaded from that folder only (no CDN);
+// network globals are removed before the block itself runs.
+// The page terminates the worker after each run (or when it times out).
+
+const send = self.postMessage.bind(self);
+const PYODIDE_URL = new URL('./pyodide/', self.location.href).href;
+
+const BLOCKED_GLOBALS = [
+    'fetch', 'XMLHttpRequest', 'WebSocket', 'WebSocketStream', 'EventSource', 'WebTransport',
+    'importScripts', 'indexedDB', 'caches', 'BroadcastChannel', 'Worker', 'SharedWorker'
+];
+
+// Wraps the block in a function so a top-level `return result` works as it does in HydroBlox,
+// and converts the result (numpy arrays and scalars included) to JSON
+const HARNESS = `
+import ast, json, math
+
+def __hydroblox_run(source, data, params, args):
+    module = ast.parse(source, '<code block>')
+    wrapper = ast.parse('def __hydroblox_block(data, params, args):\\n    pass')
+    block = wrapper.body[0]
+    block.body = module.body + ast.parse("return locals().get('result')").body
+    ast.fix_missing_locations(wrapper)
+    namespace = {}
+    exec(compile(wrapper, '<code block>', 'exec'), namespace)
+    return __hydroblox_to_json(namespace['__hydroblox_block'](data, params, args))
+
+def __hydroblox_clean(value):
+    if hasattr(value, 'tolist'):
+        value = value.tolist()
+    elif hasattr(value, 'item') and callable(value.item):
+        value = value.item()
+    if isinstance(value, float):
+        return value if math.isfinite(value) else None
+    if isinstance(value, dict):
+        return {str(key): __hydroblox_clean(item) for key, item in value.items()}
+    if isinstance(value, (list, tuple, set)):
+        return [__hydroblox_clean(item) for item in value]
+    if value is None or isinstance(value, (bool, int, str)):
+        return value
+    return str(value)
+
+def __hydroblox_to_json(value):
+    return json.dumps(__hydroblox_clean(value))
+`;
+
+function blockGlobal(name) {
+    let scope = self;
+    while (scope && scope !== Object.prototype) {
+        const descriptor = Object.getOwnPropertyDescriptor(scope, name);
+        if (descriptor && descriptor.configurable) {
+            delete scope[name];
+        }
+        scope = Object.getPrototypeOf(scope);
+    }
+    try {
+        Object.defineProperty(self, name, { value: undefined, writable: false, configurable: false });
+    } catch (err) {
+        // Non-configurable globals stay as they are
+    }
+}
+
+self.onmessage = async (event) => {
+    const { code, data, params, args } = event.data || {};
+    const logs = [];
+    const started = Date.now();
+    self.onmessage = null;
+
+    try {
+        importScripts(`${PYODIDE_URL}pyodide.js`);
+        const pyodide = await self.loadPyodide({
+            indexURL: PYODIDE_URL,
+            stdout: text => logs.push({ level: 'stdout', text }),
+            stderr: text => logs.push({ level: 'stderr', text })
+        });
+
+        // numpy, scipy, ... must be in the bundled pyodide-lock.json and folder
+        await pyodide.loadPackagesFromImports(code, {
+            messageCallback: () => {},
+            errorCallback: text => logs.push({ level: 'stderr', text })
+        });
+        BLOCKED_GLOBALS.forEach(blockGlobal);
+
+        pyodide.runPython(HARNESS);
+        const run = pyodide.globals.get('__hydroblox_run');
+        const toPy = value => pyodide.toPy(value === undefined ? null : value);
+        const pyData = toPy(data);
+        const pyParams = toPy(params || {});
+        const pyArgs = toPy(args || {});
+        try {
+            const json = run(code, pyData, pyParams, pyArgs);
+            send({ ok: true, result: JSON.parse(json), logs, duration: Date.now() - started });
+        } finally {
+            [run, pyData, pyParams, pyArgs].forEach(proxy => proxy && typeof proxy.destroy === 'function' && proxy.destroy());
+        }
+    } catch (err) {
+        // Python exceptions arrive as PythonError with the traceback in message
+        send({
+            ok: false,
+            error: { name: err && err.type ? err.type : (err && err.name ? err.name : 'Error'), message: err && err.message ? err.message : String(err) },
+            logs,
+            duration: Date.now() - started
+        });
+    }
+};
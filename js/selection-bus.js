@@ -0,0 +1,70 @@
+/**
+ * HydroBlox Selection Bus for PWA Export
+ *
+ * Shared selection between the map, charts and tables shown side by side:
+ * - `station`: the station picked on the map ({ key, name, code, network }) or null
+ * - `range`: the time range brushed on a chart ({ start, end } in ms) or null
+ * - `rows`: the table rows picked by the user ({ rows, sites, layer }) or null
+ * Each channel keeps its last value. A view that publishes with itself as the source is not
+ * called back with its own selection.
+ */
+const CHANNELS = ['station', 'range', 'rows'];
+
+export class SelectionBus {
+    constructor() {
+        this.handlers = new Map(CHANNELS.map(channel => [channel, new Set()]));
+        this.values = new Map(CHANNELS.map(channel => [channel, null]));
+    }
+
+    /**
+     * Set a channel's selection and tell its subscribers
+     * @param {string} channel - 'station', 'range' or 'rows'
+     * @param {*} value - New selection, null to clear it
+     * @param {*} source - Publishing view; its own subscriptions are skipped
+     */
+    publish(channel, value, source = null) {
+        const handlers = this.channel(channel);
+        this.values.set(channel, value ?? null);
+        [...handlers].forEach(entry => {
+            if (source !== null && entry.source === source) return;
+            try {
+                entry.handler(value ?? null, source);
+            } catch (error) {
+                console.warn(`Selection handler for "${channel}" failed:`, error);
+            }
+        });
+    }
+
+    /**
+     * @param {string} channel - 'station', 'range' or 'rows'
+     * @param {Function} handler - (value, source) => void
+     * @param {*} source - View the handler belongs to, so it is not called for its own selections
+     * @returns {Function} - Removes the subscription
+     */
+    subscribe(channel, handler, source = null) {
+        const handlers = this.channel(channel);
+        const entry = { handler, source };
+        handlers.add(entry);
+        return () => handlers.delete(entry);
+    }
+
+    get(channel) {
+        this.channel(channel);
+        return this.values.get(channel);
+    }
+
+    /**
+     * Clear every channel that holds a selection
+     */
+    clear() {
+        CHANNELS.forEach(channel => {
+            if (this.values.get(channel) !== null) this.publish(channel, null);
+        });
+    }
+
+    channel(name) {
+        const handlers = this.handlers.get(name);
+        if (!handlers) throw new Error(`Unknown selection channel: ${name}`);
+        return handlers;
+    }
+}
@@ -0,0 +1,176 @@
+/**
+ * HydroBlox Update Manager for PWA Export
+ *
+ * Detects when a republished export is available:
+ * - A new service worker waiting to take over (sw.js or its cache changed)
+ * - A newer data/app-info.json (exportDate or version differs from the imported export)
+ * and summarizes what changed between the imported export and the published one.
+ */
+export class UpdateManager {
+    /**
+     * @param {Object} options
+     * @param {Function} options.onUpdate - Called with a change summary whenever an update is detected
+     */
+    constructor(options = {}) {
+        this.onUpdate = options.onUpdate || (() => {});
+        this.registration = null;
+        this.waitingWorker = null;
+        this.summary = null;
+    }
+
+    /**
+     * Watch the service worker registration for a new worker that is installed and waiting
+     */
+    async watchServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+
+        this.registration = await navigator.serviceWorker.getRegistration();
+        if (!this.registration) return;
+
+        if (this.registration.waiting && navigator.serviceWorker.controller) {
+            this.setWaitingWorker(this.registration.waiting);
+        }
+
+        this.registration.addEventListener('updatefound', () => {
+            const installing = this.registration.installing;
+            if (!installing) return;
+            installing.addEventListener('statechange', () => {
+                // Without a controller this is the first install, not an update
+                if (installing.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.setWaitingWorker(installing);
+                }
+            });
+        });
+
+        // Ask the browser to look for a new sw.js now and whenever the connection returns
+        this.registration.update().catch(() => {});
+        window.addEventListener('online', () => {
+            if (this.registration) this.registration.update().catch(() => {});
+        });
+    }
+
+    setWaitingWorker(worker) {
+        this.waitingWorker = worker;
+        this.report({ worker: true });
+    }
+
+    /**
+     * Compare the imported export with the published one
+     * @param {Object} current - { version, exportDate, itemIndex, workflows } of the imported export
+     * @returns {Promise<Object|null>} - Change summary, or null when up to date or offline
+     */
+    async checkExport(current) {
+        if (!current || !navigator.onLine) return null;
+
+        const appInfo = await this.fetchFresh('./data/app-info.json');
+        if (!appInfo) return null;
+
+        const info = appInfo.appInfo || appInfo;
+        if (info.version === current.version && info.exportDate === current.exportDate) {
+            return null;
+        }
+
+        const [itemIndex, workflows] = await Promise.all([
+            this.fetchFresh('./data/item-index.json'),
+            this.fetchFresh('./data/workflows.json')
+        ]);
+
+        const changes = this.diff(current, {
+            itemIndex: Array.isArray(itemIndex) ? itemIndex : [],
+            workflows: workflows && typeof workflows === 'object' ? workflows : {}
+        });
+
+        return this.report({
+            export: true,
+            from: { version: current.version, exportDate: current.exportDate },
+            to: { version: info.version || null, exportDate: info.exportDate || null },
+            ...changes
+        });
+    }
+
+    /**
+     * Workflows and items added, removed or changed between two exports
+     * @param {Object} current - { itemIndex, workflows }
+     * @param {Object} next - { itemIndex, workflows }
+     * @returns {Object}
+     */
+    diff(current, next) {
+        const currentWorkflows = Object.keys(current.workflows || {});
+        const nextWorkflows = Object.keys(next.workflows || {});
+        const currentItems = new Map((current.itemIndex || []).filter(entry => entry && entry.id).map(entry => [entry.id, entry]));
+        const nextItems = new Map((next.itemIndex || []).filter(entry => entry && entry.id).map(entry => [entry.id, entry]));
+
+        return {
+            workflowsAdded: nextWorkflows.filter(id => !currentWorkflows.includes(id)),
+            workflowsRemoved: currentWorkflows.filter(id => !nextWorkflows.includes(id)),
+            itemsAdded: Array.from(nextItems.keys()).filter(id => !currentItems.has(id)),
+            itemsRemoved: Array.from(currentItems.keys()).filter(id => !nextItems.has(id)),
+            itemsChanged: Array.from(nextItems.entries())
+                .filter(([id, entry]) => currentItems.has(id) && (
+                    currentItems.get(id).timestamp !== entry.timestamp ||
+                    (entry.hash && currentItems.get(id).hash !== entry.hash)
+                ))
+                .map(([id]) => id)
+        };
+    }
+
+    /**
+     * Merge a detected change into the summary and notify
+     */
+    report(change) {
+        this.summary = { ...(this.summary || {}), ...change };
+        this.onUpdate(this.summary);
+        return this.summary;
+    }
+
+    /**
+     * Activate the update: switch to the waiting worker or refresh the cached export files, then reload.
+     * The page re-runs DBManager.importData on load, which picks up the new export.
+     */
+    async apply() {
+        if (this.waitingWorker) {
+            let reloading = false;
+            navigator.serviceWorker.addEventListener('controllerchange', () => {
+                if (reloading) return;
+                reloading = true;
+                window.location.reload();
+            });
+            this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+            return;
+        }
+
+        const controller = navigator.serviceWorker && navigator.serviceWorker.controller;
+        if (controller) {
+            await this.requestDataRefresh(controller);
+        }
+        window.location.reload();
+    }
+
+    /**
+     * Ask the active worker to re-download the export's data files into its cache
+     */
+    requestDataRefresh(controller) {
+        return new Promise(resolve => {
+            const channel = new MessageChannel();
+            const timeout = setTimeout(resolve, 30000);
+            channel.port1.onmessage = () => {
+                clearTimeout(timeout);
+                resolve();
+            };
+            controller.postMessage({ type: 'REFRESH_DATA' }, [channel.port2]);
+        });
+    }
+
+    /**
+     * Fetch JSON bypassing the HTTP cache and the service worker cache
+     */
+    async fetchFresh(url) {
+        try {
+            const response = await fetch(url, { cache: 'no-store' });
+            return response.ok ? await response.json() : null;
+        } catch (error) {
+            console.warn(`Update check could not fetch ${url}:`, error);
+            return null;
+        }
+    }
+}
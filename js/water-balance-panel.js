@@ -0,0 +1,221 @@
+/**
+ * HydroBlox Water Balance Workspace for PWA Export
+ *
+ * Picks precipitation, evapotranspiration, storage-change and (optionally) reported balance series
+ * from the workflow and shows what WaterBalance makes of them:
+ * - Closure flags and notes
+ * - Mass curves (cumulative precipitation, evapotranspiration, storage change and residual)
+ * - Per-period sums with closure errors, and the reported balance against its drivers
+ * - Period and step tables as CSV/TSV downloads or in the tables section
+ * Plots, tables and date controls come from the injected AnalyticsPanel.
+ */
+const ROLES = [
+    { key: 'precipitation', label: 'Precipitation', pattern: /precip|rain/i, required: true },
+    { key: 'evapotranspiration', label: 'Evapotranspiration', pattern: /(^|[^a-z])et([^a-z]|$)|evapo/i, required: true },
+    { key: 'storage', label: 'Storage change', pattern: /storage|delta_?s\b|soil/i },
+    { key: 'reported', label: 'Reported balance', pattern: /balance/i, exclude: /cumul/i }
+];
+const ACCUMULATION = {
+    'water-year': 'Water year',
+    calendar: 'Calendar year',
+    record: 'Whole record'
+};
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const NO_DATA_CODES = [-9999, -999];
+
+export class WaterBalancePanel {
+    /**
+     * @param {Object} options
+     * @param {Object} options.waterBalance - WaterBalance instance
+     * @param {Object} options.panel - AnalyticsPanel instance (plots, tables, date controls)
+     */
+    constructor({ waterBalance, panel }) {
+        this.waterBalance = waterBalance;
+        this.panel = panel;
+    }
+
+    /**
+     * Render the workspace
+     * @param {HTMLElement} container - Target element
+     * @param {Object} options
+     * @param {Array<{label: string, series: {name: string, x: Array|null, y: Array}}>} options.candidates - Series to pick from
+     * @param {Function} options.guessDates - async (candidate) => { start, step, source } or null, for undated series
+     * @param {Function} options.onTable - (rows, title) => void, shows rows in the tables section
+     * @param {Function} options.onDownload - (rows, filename, format) => void, format 'csv' or 'tsv'
+     */
+    render(container, { candidates, guessDates = async () => null, onTable = null, onDownload = null }) {
+        container.innerHTML = '';
+        container.classList.add('analytics-panel', 'water-balance-panel');
+        this.panel.width = container.clientWidth || this.panel.width;
+
+        const controls = document.createElement('div');
+        controls.className = 'analytics-controls';
+        const dateControls = document.createElement('div');
+        dateControls.className = 'analytics-controls';
+        const results = document.createElement('div');
+        container.appendChild(controls);
+        container.appendChild(dateControls);
+        container.appendChild(results);
+
+        const state = { start: null, step: 'day', guessedFor: null, guess: null };
+        const selects = {};
+        ROLES.forEach(role => {
+            const select = document.createElement('select');
+            select.className = 'form-control form-control-sm';
+            if (!role.required) select.appendChild(new Option('None', ''));
+            candidates.forEach((candidate, index) => select.appendChild(new Option(candidate.label, String(index))));
+            const guess = candidates.findIndex(candidate => role.pattern.test(candidate.label) && !(role.exclude && role.exclude.test(candidate.label)));
+            if (guess !== -1) select.value = String(guess);
+            selects[role.key] = select;
+            controls.appendChild(this.panel.labelled(role.label, select));
+        });
+
+        const accumulation = document.createElement('select');
+        accumulation.className = 'form-control form-control-sm';
+        Object.entries(ACCUMULATION).forEach(([value, label]) => accumulation.appendChild(new Option(label, value)));
+        const waterYearMonth = document.createElement('select');
+        waterYearMonth.className = 'form-control form-control-sm';
+        MONTHS.forEach((month, index) => waterYearMonth.appendChild(new Option(month, String(index + 1), false, index === 9)));
+        const waterYearLabel = this.panel.labelled('Water year starts', waterYearMonth);
+        const tolerance = document.createElement('input');
+        tolerance.type = 'number';
+        tolerance.min = '0';
+        tolerance.step = '0.5';
+        tolerance.value = String(this.waterBalance.tolerance * 100);
+        tolerance.className = 'form-control form-control-sm analytics-no-data';
+        const noData = document.createElement('input');
+        noData.type = 'number';
+        noData.className = 'form-control form-control-sm analytics-no-data';
+        noData.placeholder = 'none';
+        controls.appendChild(this.panel.labelled('Accumulate by', accumulation));
+        controls.appendChild(waterYearLabel);
+        controls.appendChild(this.panel.labelled('Tolerance (%)', tolerance));
+        controls.appendChild(this.panel.labelled('Missing value', noData));
+
+        const picked = (key) => (selects[key].value === '' ? null : candidates[Number(selects[key].value)]);
+        const update = async () => {
+            const precipitation = picked('precipitation');
+            if (!precipitation || !picked('evapotranspiration')) {
+                results.innerHTML = '<div class="analytics-note">Pick a precipitation and an evapotranspiration series.</div>';
+                return;
+            }
+            // Undated series take their dates from the precipitation series' start date and step
+            if (!this.panel.hasDates(precipitation.series) && state.guessedFor !== precipitation) {
+                state.guessedFor = precipitation;
+                state.guess = await guessDates(precipitation);
+                state.start = state.guess ? state.guess.start : null;
+                state.step = state.guess ? state.guess.step : 'day';
+            }
+            this.panel.renderDateControls(dateControls, precipitation.series, state, state.guess, update);
+            waterYearLabel.style.display = accumulation.value === 'water-year' ? '' : 'none';
+
+            const code = noData.value === '' ? null : Number(noData.value);
+            const values = (key) => {
+                const candidate = picked(key);
+                return candidate ? candidate.series.y.map(value => (value === code ? null : value)) : null;
+            };
+            const result = this.waterBalance.compute({
+                precipitation: values('precipitation'),
+                evapotranspiration: values('evapotranspiration'),
+                storage: values('storage'),
+                reported: values('reported')
+            }, {
+                dates: this.panel.resolveDates(precipitation.series, state),
+                accumulation: accumulation.value,
+                waterYearMonth: Number(waterYearMonth.value),
+                tolerance: Math.max(Number(tolerance.value) || 0, 0) / 100
+            });
+            this.renderResults(results, result, { onTable, onDownload });
+        };
+
+        const pick = () => {
+            // Suggest a common missing-value code when a picked series contains one
+            const code = NO_DATA_CODES.find(candidate => ROLES.some(role => picked(role.key)?.series.y.includes(candidate)));
+            noData.value = code !== undefined ? String(code) : '';
+            update();
+        };
+        Object.values(selects).forEach(select => select.addEventListener('change', pick));
+        [accumulation, waterYearMonth, tolerance, noData].forEach(control => control.addEventListener('change', update));
+        pick();
+    }
+
+    /**
+     * Flags, mass curves, period table and reported-balance check
+     */
+    renderResults(container, result, { onTable, onDownload }) {
+        container.innerHTML = '';
+        const periodRows = this.waterBalance.periodRows(result);
+        const stepRows = this.waterBalance.stepRows(result);
+
+        const status = document.createElement('div');
+        status.className = `water-balance-flags ${result.flags.length > 0 ? 'open' : 'closed'}`;
+        const heading = document.createElement('div');
+        heading.className = 'analytics-section-title';
+        heading.textContent = result.flags.length > 0 ? 'Closure problems' : 'The balance closes in every period';
+        status.appendChild(heading);
+        if (result.flags.length > 0) {
+            const list = document.createElement('ul');
+            result.flags.forEach(flag => {
+                const item = document.createElement('li');
+                item.textContent = flag;
+                list.appendChild(item);
+            });
+            status.appendChild(list);
+        }
+        container.appendChild(status);
+        result.notes.forEach(text => {
+            const note = document.createElement('div');
+            note.className = 'analytics-note';
+            note.textContent = text;
+            container.appendChild(note);
+        });
+
+        const exports = document.createElement('div');
+        exports.className = 'water-balance-exports';
+        const button = (label, icon, action) => {
+            const element = document.createElement('button');
+            element.type = 'button';
+            element.className = 'btn btn-sm btn-outline-secondary';
+            element.innerHTML = `<i class="fas fa-${icon}"></i> ${label}`;
+            element.addEventListener('click', action);
+            exports.appendChild(element);
+        };
+        if (onTable) {
+            button('Periods table', 'table', () => onTable(periodRows, 'Water balance by period'));
+            button('Steps table', 'table', () => onTable(stepRows, 'Water balance by step'));
+        }
+        if (onDownload) {
+            button('Periods CSV', 'download', () => onDownload(periodRows, 'water-balance-periods.csv', 'csv'));
+            button('Steps CSV', 'download', () => onDownload(stepRows, 'water-balance-steps.csv', 'csv'));
+            button('Steps TSV', 'download', () => onDownload(stepRows, 'water-balance-steps.tsv', 'tsv'));
+        }
+        if (exports.childElementCount > 0) container.appendChild(exports);
+
+        const dated = result.steps.length > 0 && result.steps[0].date !== null;
+        const accumulation = result.accumulation === 'record' ? 'over the record' : `restarting each ${ACCUMULATION[result.accumulation].toLowerCase()}`;
+        const curves = this.panel.section(container, `Mass curves, ${accumulation}`);
+        const labels = { precipitation: 'Precipitation', evapotranspiration: 'Evapotranspiration', storage: 'Storage change', residual: 'Residual' };
+        const series = Object.entries(labels)
+            .filter(([term]) => term !== 'storage' || result.steps.some(step => step.storage !== null))
+            .map(([term, name]) => ({
+                name: `Cumulative ${name.toLowerCase()}`,
+                points: result.steps.map(step => ({ x: dated ? step.date : step.index + 1, y: step.cumulative[term] }))
+            }));
+        curves.appendChild(this.panel.plot(series, { chartType: 'line', isDate: dated, xLabel: dated ? '' : 'Step' }));
+
+        const periods = this.panel.section(container, 'Sums by period');
+        const columns = Object.keys(periodRows[0] || {});
+        periods.appendChild(this.panel.table(
+            columns.map(column => column.replace(/_/g, ' ')),
+            periodRows.map(row => columns.map(column => this.panel.format(row[column])))
+        ));
+
+        if (result.reported) {
+            const reported = this.panel.section(container, 'Reported balance against its drivers');
+            reported.appendChild(this.panel.table(
+                ['Steps compared', 'Beyond tolerance', 'Largest difference'],
+                [[result.reported.compared, result.reported.mismatches, this.panel.format(result.reported.maxDifference)]]
+            ));
+        }
+    }
+}
@@ -0,0 +1,228 @@
+/**
+ * HydroBlox Water Balance for PWA Export
+ *
+ * Relates a water balance to its drivers, step by step:
+ * - Residual = precipitation - evapotranspiration - storage change (storage change is optional);
+ *   the residual holds whatever the picked terms leave out, e.g. runoff and measurement error
+ * - Cumulative mass curves that restart at each water year (default 1 October), calendar year,
+ *   or run over the whole record
+ * - Closure errors: accumulation periods whose residual exceeds a share of their precipitation,
+ *   and steps where a reported balance series disagrees with its drivers
+ * - Series are aligned by position and cut to the shortest; missing values (null) are left out of the sums
+ */
+const TERMS = ['precipitation', 'evapotranspiration', 'storage', 'residual'];
+
+export class WaterBalance {
+    /**
+     * @param {Object} options
+     * @param {number} options.tolerance - Default closure tolerance as a fraction (0.05 = 5%)
+     */
+    constructor(options = {}) {
+        this.tolerance = options.tolerance ?? 0.05;
+    }
+
+    /**
+     * Residuals, mass curves and closure checks
+     * @param {Object} inputs - { precipitation, evapotranspiration, storage, reported }, value arrays;
+     *                          storage and reported are optional
+     * @param {Object} options
+     * @param {Array<number>|null} options.dates - Timestamps in ms, one per step
+     * @param {string} options.accumulation - 'water-year' (default), 'calendar' or 'record'; always 'record' without dates
+     * @param {number} options.waterYearMonth - First month of the water year, 1-12 (default 10)
+     * @param {number} options.tolerance - Closure tolerance as a fraction
+     * @returns {{steps: Array<Object>, periods: Array<Object>, reported: Object|null, flags: Array<string>, notes: Array<string>}}
+     */
+    compute(inputs, options = {}) {
+        const { dates = null, waterYearMonth = 10, tolerance = this.tolerance } = options;
+        const accumulation = dates ? (options.accumulation || 'water-year') : 'record';
+        const columns = {
+            precipitation: this.clean(inputs.precipitation),
+            evapotranspiration: this.clean(inputs.evapotranspiration),
+            storage: inputs.storage ? this.clean(inputs.storage) : null,
+            reported: inputs.reported ? this.clean(inputs.reported) : null
+        };
+        const lengths = Object.entries(columns).filter(([, values]) => values).map(([name, values]) => [name, values.length]);
+        if (dates) lengths.push(['dates', dates.length]);
+        const length = Math.min(...lengths.map(([, count]) => count));
+
+        const flags = [];
+        const notes = [];
+        if (new Set(lengths.map(([, count]) => count)).size > 1) {
+            flags.push(`Series lengths differ (${lengths.map(([name, count]) => `${name} ${count}`).join(', ')}): compared over the first ${length} steps.`);
+        }
+        if (!columns.storage) {
+            notes.push('No storage change picked: the residual also holds the change in storage.');
+        }
+
+        const spacing = dates && length > 1 ? dates[1] - dates[0] : 0;
+        const steps = [];
+        const periods = [];
+        let period = null;
+        let mismatches = 0;
+        let maxDifference = 0;
+        let compared = 0;
+
+        for (let i = 0; i < length; i++) {
+            const bounds = this.periodOf(dates ? dates[i] : null, accumulation, waterYearMonth);
+            if (!period || period.key !== bounds.key) {
+                period = { ...bounds, first: dates ? dates[i] : i, last: null, count: 0, missing: 0, precipitation: 0, evapotranspiration: 0, storage: 0, residual: 0 };
+                periods.push(period);
+            }
+
+            const precipitation = columns.precipitation[i];
+            const evapotranspiration = columns.evapotranspiration[i];
+            const storage = columns.storage ? columns.storage[i] : 0;
+            const complete = precipitation !== null && evapotranspiration !== null && storage !== null;
+            const residual = complete ? precipitation - evapotranspiration - storage : null;
+
+            period.count++;
+            period.last = dates ? dates[i] : i;
+            if (complete) {
+                period.precipitation += precipitation;
+                period.evapotranspiration += evapotranspiration;
+                period.storage += storage;
+                period.residual += residual;
+            } else {
+                period.missing++;
+            }
+
+            const reported = columns.reported ? columns.reported[i] : null;
+            let difference = null;
+            if (reported !== null && residual !== null) {
+                difference = reported - residual;
+                compared++;
+                maxDifference = Math.max(maxDifference, Math.abs(difference));
+                const scale = Math.abs(precipitation) + Math.abs(evapotranspiration) + Math.abs(storage);
+                if (Math.abs(difference) > Math.max(tolerance * scale, 1e-9)) mismatches++;
+            }
+
+            steps.push({
+                index: i,
+                date: dates ? dates[i] : null,
+                period: period.label,
+                precipitation,
+                evapotranspiration,
+                storage: columns.storage ? storage : null,
+                residual,
+                cumulative: Object.fromEntries(TERMS.map(term => [term, term === 'storage' && !columns.storage ? null : period[term]])),
+                reported,
+                difference
+            });
+        }
+
+        periods.forEach(entry => {
+            entry.closure = entry.precipitation !== 0 ? entry.residual / entry.precipitation : null;
+            entry.closed = entry.closure !== null ? Math.abs(entry.closure) <= tolerance : Math.abs(entry.residual) <= 1e-9;
+            // Periods the record starts or ends inside of
+            entry.partial = entry.start !== null && spacing > 0 && (entry.first - entry.start >= spacing || entry.end - entry.last > spacing);
+        });
+
+        const missing = periods.reduce((sum, entry) => sum + entry.missing, 0);
+        if (missing > 0) {
+            flags.push(`${missing} of ${length} steps miss a term and are left out of the sums.`);
+        }
+        const open = periods.filter(entry => !entry.closed);
+        if (open.length > 0) {
+            flags.push(`${open.length} of ${periods.length} periods do not close within ±${this.percent(tolerance)}: ${open.map(entry => entry.label).join(', ')}.`);
+        }
+        if (periods.some(entry => entry.partial)) {
+            notes.push('Periods marked partial are not covered by the record from start to end.');
+        }
+
+        let reportedCheck = null;
+        if (columns.reported) {
+            reportedCheck = { compared, mismatches, maxDifference };
+            if (mismatches > 0) {
+                flags.push(`The reported balance differs from its drivers by more than ±${this.percent(tolerance)} in ${mismatches} of ${compared} steps.`);
+            }
+        }
+
+        return { steps, periods, reported: reportedCheck, flags, notes, accumulation };
+    }
+
+    /**
+     * Accumulation period of a timestamp: key, label and [start, end) in ms (null for the whole record)
+     */
+    periodOf(ms, accumulation, waterYearMonth = 10) {
+        if (accumulation === 'record' || ms === null) {
+            return { key: 'record', label: 'Record', start: null, end: null };
+        }
+        const date = new Date(ms);
+        const year = date.getUTCFullYear();
+        if (accumulation === 'calendar') {
+            return { key: String(year), label: String(year), start: Date.UTC(year, 0, 1), end: Date.UTC(year + 1, 0, 1) };
+        }
+        // Water years are named after the calendar year they end in
+        const first = Math.min(Math.max(Math.round(waterYearMonth), 1), 12) - 1;
+        const endYear = first > 0 && date.getUTCMonth() >= first ? year + 1 : year;
+        const start = Date.UTC(first > 0 ? endYear - 1 : endYear, first, 1);
+        return { key: `WY${endYear}`, label: `WY${endYear}`, start, end: Date.UTC(new Date(start).getUTCFullYear() + 1, first, 1) };
+    }
+
+    /**
+     * Per-step rows for tables and CSV export
+     */
+    stepRows(result) {
+        const withStorage = result.steps.some(step => step.storage !== null);
+        const withReported = result.reported !== null;
+        const dateOnly = result.steps.every(step => step.date === null || step.date % (24 * 3600 * 1000) === 0);
+        return result.steps.map(step => {
+            const row = {
+                step: step.index + 1,
+                date: step.date !== null ? new Date(step.date).toISOString().substring(0, dateOnly ? 10 : 19) : '',
+                period: step.period,
+                precipitation: step.precipitation,
+                evapotranspiration: step.evapotranspiration
+            };
+            if (withStorage) row.storage_change = step.storage;
+            row.residual = step.residual;
+            row.cumulative_precipitation = step.cumulative.precipitation;
+            row.cumulative_evapotranspiration = step.cumulative.evapotranspiration;
+            if (withStorage) row.cumulative_storage_change = step.cumulative.storage;
+            row.cumulative_residual = step.cumulative.residual;
+            if (withReported) {
+                row.reported_balance = step.reported;
+                row.difference = step.difference;
+            }
+            return row;
+        });
+    }
+
+    /**
+     * Per-period rows for tables and CSV export
+     */
+    periodRows(result) {
+        const withStorage = result.steps.some(step => step.storage !== null);
+        const dated = result.steps.length > 0 && result.steps[0].date !== null;
+        // Step numbers (1-based) when the series have no dates
+        const position = value => (dated ? new Date(value).toISOString().substring(0, 10) : value + 1);
+        return result.periods.map(period => {
+            const row = {
+                period: period.label,
+                from: position(period.first),
+                to: position(period.last),
+                steps: period.count,
+                missing: period.missing,
+                precipitation: period.precipitation,
+                evapotranspiration: period.evapotranspiration
+            };
+            if (withStorage) row.storage_change = period.storage;
+            row.residual = period.residual;
+            row.closure_error_percent = period.closure !== null ? period.closure * 100 : null;
+            row.status = `${period.closed ? 'closed' : 'open'}${period.partial ? ' (partial)' : ''}`;
+            return row;
+        });
+    }
+
+    clean(values) {
+        return (Array.isArray(values) ? values : []).map(value => {
+            if (value === null || value === undefined || value === '') return null;
+            const numeric = Number(value);
+            return Number.isFinite(numeric) ? numeric : null;
+        });
+    }
+
+    percent(fraction) {
+        return `${Math.round(fraction * 1000) / 10}%`;
+    }
+}
@@ -0,0 +1,292 @@
+/**
+ * HydroBlox WaterML Parser for PWA Export
+ *
+ * Retrieved items are stored as XML-to-JSON WaterML 1.1 documents
+ * (`TimeSeriesResponse.timeSeriesResponse.timeSeries.values.value[]`).
+ * This class turns those payloads into normalized time series:
+ * - Timestamps, numeric values (noDataValue mapped to null)
+ * - Per-value qualifiers and censor codes with their definitions
+ * - Variable units and site metadata (name, code, location, elevation)
+ */
+export class WaterMLParser {
+    /**
+     * Check whether a payload looks like a WaterML time series response
+     * @param {*} data - Item data
+     * @returns {boolean}
+     */
+    isWaterML(data) {
+        return this.findResponse(data) !== null;
+    }
+
+    /**
+     * Parse a WaterML payload into normalized series
+     * @param {Object} data - XML-to-JSON WaterML document
+     * @returns {{query: Object, series: Array<Object>}|null} - null if the payload is not WaterML
+     */
+    parse(data) {
+        const response = this.findResponse(data);
+        if (!response) return null;
+
+        const queryInfo = this.child(response, 'queryInfo') || {};
+        const criteria = this.child(queryInfo, 'criteria') || {};
+        const timeParam = this.child(criteria, 'timeParam') || {};
+        const query = {
+            creationTime: this.text(this.child(queryInfo, 'creationTime')),
+            location: this.text(this.child(criteria, 'locationParam')),
+            variable: this.text(this.child(criteria, 'variableParam')),
+            beginDateTime: this.text(this.child(timeParam, 'beginDateTime')),
+            endDateTime: this.text(this.child(timeParam, 'endDateTime'))
+        };
+
+        const series = this.toArray(this.child(response, 'timeSeries'))
+            .map(timeSeries => this.parseTimeSeries(timeSeries))
+            .filter(parsed => parsed !== null);
+
+        return { query, series };
+    }
+
+    /**
+     * Parse a single timeSeries block
+     * @param {Object} timeSeries - WaterML timeSeries node
+     * @returns {Object|null}
+     */
+    parseTimeSeries(timeSeries) {
+        if (!timeSeries || typeof timeSeries !== 'object') return null;
+
+        const site = this.parseSite(this.child(timeSeries, 'sourceInfo') || {});
+        const variable = this.parseVariable(this.child(timeSeries, 'variable') || {});
+        const noData = variable.noDataValue;
+
+        const timestamps = [];
+        const values = [];
+        const qualifiers = [];
+        const censorCodes = [];
+        const qualifierDefinitions = {};
+        const censorCodeDefinitions = {};
+        let method = null;
+        let source = null;
+        let qualityControlLevel = null;
+
+        // A timeSeries can carry several values blocks (one per method/source)
+        this.toArray(this.child(timeSeries, 'values')).forEach(block => {
+            this.toArray(this.child(block, 'value')).forEach(point => {
+                const dateTime = this.attr(point, 'dateTime') || this.attr(point, 'dateTimeUTC');
+                if (!dateTime) return;
+
+                const raw = this.text(point);
+                const numeric = raw === null || raw === '' ? NaN : Number(raw);
+                const isMissing = Number.isNaN(numeric) || (noData !== null && numeric === noData);
+
+                timestamps.push(dateTime);
+                values.push(isMissing ? null : numeric);
+                const qualifierAttr = this.attr(point, 'qualifiers');
+                qualifiers.push(qualifierAttr ? qualifierAttr.split(/\s+/).filter(Boolean) : []);
+                censorCodes.push(this.attr(point, 'censorCode') || null);
+            });
+
+            this.toArray(this.child(block, 'qualifier')).forEach(qualifier => {
+                const code = this.text(this.child(qualifier, 'qualifierCode')) || this.attr(qualifier, 'qualifierCode');
+                if (code) {
+                    qualifierDefinitions[code] = this.text(this.child(qualifier, 'qualifierDescription')) || '';
+                }
+            });
+
+            this.toArray(this.child(block, 'censorCode')).forEach(censor => {
+                const code = this.text(this.child(censor, 'censorCode'));
+                if (code) {
+                    censorCodeDefinitions[code] = this.text(this.child(censor, 'censorCodeDescription')) || '';
+                }
+            });
+
+            const methodNode = this.child(block, 'method');
+            if (methodNode && !method) {
+                method = {
+                    code: this.text(this.child(methodNode, 'methodCode')),
+                    description: this.text(this.child(methodNode, 'methodDescription'))
+                };
+            }
+
+            const sourceNode = this.child(block, 'source');
+            if (sourceNode && !source) {
+                source = {
+                    code: this.text(this.child(sourceNode, 'sourceCode')),
+                    organization: this.text(this.child(sourceNode, 'organization')),
+                    description: this.text(this.child(sourceNode, 'sourceDescription')),
+                    link: this.text(this.child(sourceNode, 'sourceLink')),
+                    citation: this.text(this.child(sourceNode, 'citation'))
+                };
+            }
+
+            const qcNode = this.child(block, 'qualityControlLevel');
+            if (qcNode && !qualityControlLevel) {
+                qualityControlLevel = {
+                    code: this.text(this.child(qcNode, 'qualityControlLevelCode')),
+                    definition: this.text(this.child(qcNode, 'definition'))
+                };
+            }
+        });
+
+        const missingCount = values.filter(value => value === null).length;
+
+        return {
+            site,
+            variable,
+            units: variable.unit,
+            timestamps,
+            values,
+            qualifiers,
+            censorCodes,
+            qualifierDefinitions,
+            censorCodeDefinitions,
+            method,
+            source,
+            qualityControlLevel,
+            period: {
+                start: timestamps.length > 0 ? timestamps[0] : null,
+                end: timestamps.length > 0 ? timestamps[timestamps.length - 1] : null
+            },
+            count: values.length,
+            missingCount
+        };
+    }
+
+    /**
+     * Parse site metadata from a sourceInfo node
+     * @param {Object} sourceInfo - WaterML sourceInfo node
+     * @returns {Object}
+     */
+    parseSite(sourceInfo) {
+        const siteCode = this.child(sourceInfo, 'siteCode');
+        const geogLocation = this.child(this.child(sourceInfo, 'geoLocation') || {}, 'geogLocation') || {};
+
+        return {
+            name: this.text(this.child(sourceInfo, 'siteName')),
+            code: this.text(siteCode),
+            network: this.attr(siteCode, 'network'),
+            siteId: this.attr(siteCode, 'siteID'),
+            latitude: this.number(this.child(geogLocation, 'latitude')),
+            longitude: this.number(this.child(geogLocation, 'longitude')),
+            elevation: this.number(this.child(sourceInfo, 'elevation_m')),
+            verticalDatum: this.text(this.child(sourceInfo, 'verticalDatum'))
+        };
+    }
+
+    /**
+     * Parse variable metadata, including units and the no-data sentinel
+     * @param {Object} variable - WaterML variable node
+     * @returns {Object}
+     */
+    parseVariable(variable) {
+        const variableCode = this.child(variable, 'variableCode');
+        const unit = this.child(variable, 'unit') || {};
+        const timeScale = this.child(variable, 'timeScale') || {};
+        const timeUnit = this.child(timeScale, 'unit') || {};
+
+        return {
+            code: this.text(variableCode),
+            vocabulary: this.attr(variableCode, 'vocabulary'),
+            name: this.text(this.child(variable, 'variableName')),
+            valueType: this.text(this.child(variable, 'valueType')),
+            dataType: this.text(this.child(variable, 'dataType')),
+            generalCategory: this.text(this.child(variable, 'generalCategory')),
+            sampleMedium: this.text(this.child(variable, 'sampleMedium')),
+            unit: {
+                name: this.text(this.child(unit, 'unitName')),
+                abbreviation: this.text(this.child(unit, 'unitAbbreviation')),
+                code: this.text(this.child(unit, 'unitCode')),
+                type: this.text(this.child(unit, 'unitType'))
+            },
+            noDataValue: this.number(this.child(variable, 'noDataValue')),
+            timeScale: {
+                isRegular: this.attr(timeScale, 'isRegular') === 'true',
+                unit: this.text(this.child(timeUnit, 'unitAbbreviation')) || this.text(this.child(timeUnit, 'unitName')),
+                timeSupport: this.text(this.child(timeScale, 'timeSupport'))
+            }
+        };
+    }
+
+    /**
+     * Flatten a parsed series into row objects for tables and CSV export
+     * @param {Object} series - Parsed series from parse()
+     * @returns {Array<Object>}
+     */
+    toRows(series) {
+        if (!series || !Array.isArray(series.timestamps)) return [];
+        return series.timestamps.map((dateTime, index) => ({
+            dateTime,
+            value: series.values[index],
+            qualifiers: (series.qualifiers[index] || []).join(' '),
+            censorCode: series.censorCodes[index] || ''
+        }));
+    }
+
+    /**
+     * Locate the timeSeriesResponse node, tolerating wrappers and namespace prefixes
+     * @param {*} data - Candidate payload
+     * @returns {Object|null}
+     */
+    findResponse(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+
+        const wrapper = this.child(data, 'TimeSeriesResponse');
+        const response = this.child(wrapper || data, 'timeSeriesResponse') || (wrapper && this.child(wrapper, 'timeSeries') ? wrapper : null);
+        if (response && this.child(response, 'timeSeries')) {
+            return response;
+        }
+        return null;
+    }
+
+    /**
+     * Get a child node by local name, ignoring any namespace prefix (e.g. "ns1:values")
+     * @param {Object} node - Parent node
+     * @param {string} name - Local element name
+     * @returns {*}
+     */
+    child(node, name) {
+        if (!node || typeof node !== 'object') return undefined;
+        if (node[name] !== undefined) return node[name];
+        const key = Object.keys(node).find(k => k.split(':').pop() === name && !k.startsWith('@'));
+        return key !== undefined ? node[key] : undefined;
+    }
+
+    /**
+     * Get an attribute value ("@name") from a node
+     * @param {Object} node - Node
+     * @param {string} name - Attribute name without the "@"
+     * @returns {string|null}
+     */
+    attr(node, name) {
+        if (!node || typeof node !== 'object') return null;
+        const value = node[`@${name}`];
+        return value !== undefined && value !== null ? String(value) : null;
+    }
+
+    /**
+     * Get the text content of a node ("#text" or a bare primitive)
+     * @param {*} node - Node
+     * @returns {string|null}
+     */
+    text(node) {
+        if (node === null || node === undefined) return null;
+        if (typeof node !== 'object') return String(node);
+        const value = node['#text'];
+        return value !== undefined && value !== null ? String(value) : null;
+    }
+
+    /**
+     * Get the numeric text content of a node
+     * @param {*} node - Node
+     * @returns {number|null} - null when the node is missing or not numeric
+     */
+    number(node) {
+        const value = this.text(node);
+        if (value === null || value.trim() === '') return null;
+        const numeric = Number(value);
+        return Number.isFinite(numeric) ? numeric : null;
+    }
+
+    toArray(value) {
+        if (value === undefined || value === null) return [];
+        return Array.isArray(value) ? value : [value];
+    }
+}
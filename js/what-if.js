@@ -0,0 +1,377 @@
+/**
+ * HydroBlox What-If Engine for PWA Export
+ *
+ * Recomputes an item with edited parameters and everything downstream of it:
+ * - Local ports of the common HydroLang analyze/transform functions (interoutliers, normoutliers,
+ *   quantile, seasonalDecompose, transform); Code Blocks go through the app's Code Block runner
+ * - Items that cannot be recomputed go back to their stored data and are reported, with everything below them
+ * - A DAG walk over the items' `data` links decides what to recompute and in which order
+ * - Results are kept in memory as overrides and never written to IndexedDB
+ */
+const LOCAL_FUNCTIONS = {
+    interoutliers: {
+        defaults: { params: { q1: '0.25', q2: '0.75' } },
+        run: ({ params, data }) => {
+            const values = preprocessData(data);
+            const q1 = quantile(values, Number(params.q1 ?? 0.25));
+            const q3 = quantile(values, Number(params.q2 ?? 0.75));
+            const iqr = q3 - q1;
+            // HydroLang filters the raw input, not the preprocessed copy
+            const source = Array.isArray(data) ? data : values;
+            return source.filter(value => value >= q1 - 1.5 * iqr && value <= q3 + 1.5 * iqr);
+        }
+    },
+    normoutliers: {
+        defaults: { params: { lowerBound: '-0.5', upperBound: '0.5' } },
+        run: ({ params, data }) => {
+            const values = preprocessData(data);
+            const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+            const stddev = Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+            return {
+                min: mean - Number(params.lowerBound ?? -0.5) * stddev,
+                max: mean + Number(params.upperBound ?? 0.5) * stddev
+            };
+        }
+    },
+    quantile: {
+        defaults: { params: { q: '0.5' } },
+        run: ({ params, data }) => quantile(preprocessData(data), Number(params.q))
+    },
+    seasonalDecompose: {
+        defaults: { params: { period: '12', model: 'additive' } },
+        run: ({ params, data }) => seasonalDecompose(preprocessData(data), Number(params.period) || 12, params.model === 'multiplicative' ? 'multiplicative' : 'additive')
+    },
+    transform: {
+        defaults: {},
+        run: ({ params, args, data }) => transform(params, args, data)
+    }
+};
+
+/**
+ * Numeric values of HydroLang inputs: plain arrays, [[dates], [values]] columns and value objects
+ */
+function preprocessData(data) {
+    if (!Array.isArray(data)) {
+        const value = Number(data);
+        return typeof data === 'number' && !Number.isNaN(data) ? [data] : (Number.isNaN(value) ? [] : [value]);
+    }
+
+    let rows = data;
+    if (rows.length > 0 && rows.every(Array.isArray) && rows.length < rows[0].length && rows.length < 20) {
+        for (const column of rows) {
+            const numeric = column.slice(0, 10).filter(value => typeof value === 'number' || (typeof value === 'string' && !Number.isNaN(Number(value)))).length;
+            if (numeric > 5 || (column.length < 10 && numeric > 0)) {
+                return column.map(Number).filter(value => !Number.isNaN(value));
+            }
+        }
+    }
+    if (rows.length > 1 && Array.isArray(rows[0]) && Array.isArray(rows[1])) {
+        const headerRow = rows[0].every(value => typeof value === 'string' && Number.isNaN(Number(value)));
+        const numericRow = rows[1].some(value => typeof value === 'number' || !Number.isNaN(Number(value)));
+        if (headerRow && numericRow) rows = rows.slice(1);
+    }
+
+    const toNumber = (value) => {
+        if (typeof value === 'number') return Number.isNaN(value) ? null : value;
+        if (typeof value === 'string') {
+            const number = Number(value);
+            return Number.isNaN(number) ? null : number;
+        }
+        if (value && typeof value === 'object') {
+            for (const key of ['#text', 'value', 'val', 'amount', 'number']) {
+                if (value[key] !== undefined && !Number.isNaN(Number(value[key]))) return Number(value[key]);
+            }
+            if (Array.isArray(value)) {
+                if (value.length === 2) {
+                    const second = toNumber(value[1]);
+                    if (second !== null) return second;
+                    const first = toNumber(value[0]);
+                    if (first !== null) return first;
+                }
+                for (const entry of value) {
+                    const number = toNumber(entry);
+                    if (number !== null) return number;
+                }
+            } else {
+                for (const key in value) {
+                    const number = Number(value[key]);
+                    if (!Number.isNaN(number)) return number;
+                }
+            }
+        }
+        return null;
+    };
+
+    return rows.map(toNumber).filter(value => value !== null);
+}
+
+function quantile(values, q) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const position = (sorted.length - 1) * q;
+    if (position % 1 === 0) return sorted[position];
+    const base = Math.floor(position);
+    const rest = position - base;
+    return sorted[base + 1] !== undefined ? sorted[base] + rest * (sorted[base + 1] - sorted[base]) : sorted[base];
+}
+
+/**
+ * Classical decomposition as in HydroLang: [original, trend, seasonal, residual]
+ */
+function seasonalDecompose(values, period, model) {
+    const length = values.length;
+    const half = Math.floor(period / 2);
+    const trend = new Array(length).fill(null);
+
+    for (let i = half; i < length - half; i++) {
+        if (period % 2 === 0) {
+            let first = 0;
+            for (let j = -half; j < half; j++) first += values[i + j];
+            let second = 0;
+            for (let j = 1 - half; j <= half; j++) second += values[i + j];
+            trend[i] = (first + second) / (2 * period);
+        } else {
+            let sum = 0;
+            for (let j = -half; j <= half; j++) sum += values[i + j];
+            trend[i] = sum / period;
+        }
+    }
+
+    const detrended = values.map((value, i) => {
+        if (trend[i] === null) return null;
+        if (model === 'additive') return value - trend[i];
+        return trend[i] !== 0 ? value / trend[i] : null;
+    });
+
+    const sums = new Array(period).fill(0);
+    const counts = new Array(period).fill(0);
+    detrended.forEach((value, i) => {
+        if (value !== null && !Number.isNaN(value)) {
+            sums[i % period] += value;
+            counts[i % period]++;
+        }
+    });
+    const factors = sums.map((sum, i) => (counts[i] > 0 ? sum / counts[i] : 0));
+    const mean = factors.reduce((sum, value) => sum + value, 0) / period;
+    for (let i = 0; i < period; i++) {
+        factors[i] = model === 'additive' ? factors[i] - mean : factors[i] / mean;
+    }
+
+    const seasonal = values.map((value, i) => factors[i % period]);
+    const residual = values.map((value, i) => {
+        if (model === 'additive') return value - trend[i] - seasonal[i];
+        return trend[i] !== null && seasonal[i] !== 0 ? value / (trend[i] * seasonal[i]) : null;
+    });
+
+    return [values, trend, seasonal, residual];
+}
+
+/**
+ * The array-shaping part of HydroLang's data.transform: save, parse, pick, flatten, keep and ARR output
+ */
+function transform(params = {}, args = {}, input) {
+    if (['aorc', 'nwm', 'threedep', 'prism'].includes(params.source) || (input && typeof input === 'object' && input.variable)) {
+        throw new Error('Gridded transforms cannot be recomputed locally');
+    }
+    if (args.type && !['ARR', 'ARR-col', 'JSON'].includes(args.type)) {
+        throw new Error(`transform type "${args.type}" cannot be recomputed locally`);
+    }
+
+    const toNumber = value => (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value)) ? Number(value) : value);
+    const parse = value => (Array.isArray(value) ? value.map(parse) : (value && typeof value === 'object' ? Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, parse(entry)])) : toNumber(value)));
+    let keep = args.keep;
+    if (typeof keep === 'string') keep = JSON.parse(keep);
+
+    let data = structuredClone(input);
+    if (params.save !== undefined) {
+        data = findKey(data, params.save);
+        if (keep && data) {
+            const pattern = new RegExp(keep.join('|'));
+            const filter = entry => (entry && typeof entry === 'object' && !Array.isArray(entry)
+                ? Object.fromEntries(Object.entries(entry).filter(([key]) => pattern.test(key)))
+                : entry);
+            data = Array.isArray(data) ? data.map(filter) : filter(data);
+        }
+    }
+    if (args.parse) data = parse(data);
+
+    if (args.pick !== undefined && Array.isArray(data) && Array.isArray(data[0])) {
+        const index = Number(args.pick);
+        if (!Number.isNaN(index) && data.length > index) data = data[index];
+    }
+    if (args.mode === 'flatten' && Array.isArray(data)) {
+        if (Array.isArray(data[0]) && typeof data[0][0] === 'string' && data[0].length > 1) {
+            return data[0].slice(1).map(toNumber);
+        }
+        return data.map(toNumber).filter(value => typeof value === 'number' && !Number.isNaN(value));
+    }
+
+    if (args.type === 'JSON') return JSON.stringify(data);
+    if ((args.type === 'ARR' || args.type === 'ARR-col') && Array.isArray(data)) {
+        const columns = Array.isArray(keep) ? keep : (data.length > 0 ? Object.keys(data[0]).sort() : []);
+        return columns.map(column => {
+            const values = data.map(row => row?.[column]);
+            return args.attachNames === false ? values : [column, ...values];
+        });
+    }
+    return data;
+}
+
+/**
+ * First array stored under `key` anywhere in the object (HydroLang's recursiveSearch)
+ */
+function findKey(object, key) {
+    if (!object || typeof object !== 'object') return undefined;
+    for (const [name, value] of Object.entries(object)) {
+        if (name === key && Array.isArray(value)) return value;
+        if (value && typeof value === 'object') {
+            const found = findKey(value, key);
+            if (found !== undefined) return found;
+        }
+    }
+    return undefined;
+}
+
+export class WhatIfEngine {
+    /**
+     * @param {Object} options
+     * @param {Function} options.loadData - async (uniqueId) => stored data of an item, or null
+     * @param {Function} options.runExternal - async (item, inputs) => { ok, result, error } for items without
+     *   a local implementation (e.g. Code Blocks), or null when the item cannot be run; inputs is the list of
+     *   dependency results, bound as `data` the way HydroBlox binds it
+     */
+    constructor(options = {}) {
+        this.loadData = options.loadData || (async () => null);
+        this.runExternal = options.runExternal || (async () => null);
+        this.overrides = new Map();
+    }
+
+    canRecompute(item) {
+        return Boolean(item && LOCAL_FUNCTIONS[item.itemName || item.settings?.itemName]);
+    }
+
+    /**
+     * Editable parameters and arguments of an item: the stored ones plus the function's defaults
+     * @returns {{params: Object, args: Object}}
+     */
+    getEditableValues(item) {
+        const fn = LOCAL_FUNCTIONS[item.itemName || item.settings?.itemName] || {};
+        return {
+            params: { ...(fn.defaults?.params || {}), ...(item.parameters || item.settings?.parameters || {}) },
+            args: { ...(fn.defaults?.args || {}), ...(item.arguments || item.settings?.arguments || {}) }
+        };
+    }
+
+    /**
+     * Items downstream of an item, in dependency order
+     * @param {Array<Object>} items - Workflow items
+     * @param {string} startId - Edited item
+     * @returns {Array<Object>} - The edited item first, then every item that depends on it
+     */
+    getAffectedItems(items, startId) {
+        const inputsOf = item => (Array.isArray(item.data) ? item.data : (Array.isArray(item.settings?.data) ? item.settings.data : []));
+        const affected = new Set([startId]);
+        let grew = true;
+        while (grew) {
+            grew = false;
+            items.forEach(item => {
+                if (!affected.has(item.uniqueId) && inputsOf(item).some(id => affected.has(id))) {
+                    affected.add(item.uniqueId);
+                    grew = true;
+                }
+            });
+        }
+
+        // Kahn's algorithm restricted to the affected items
+        const ordered = [];
+        const done = new Set();
+        const pending = items.filter(item => affected.has(item.uniqueId));
+        while (pending.length > 0) {
+            const index = pending.findIndex(item => inputsOf(item).every(id => !affected.has(id) || done.has(id) || id === item.uniqueId));
+            // A cycle in the links: take the rest in workflow order
+            const [next] = pending.splice(index === -1 ? 0 : index, 1);
+            ordered.push(next);
+            done.add(next.uniqueId);
+        }
+        return ordered;
+    }
+
+    /**
+     * Recompute an item with edited values and everything downstream of it
+     * @param {Array<Object>} items - Workflow items
+     * @param {string} itemId - Edited item
+     * @param {{params: Object, args: Object}} values - Edited parameters and arguments
+     * @returns {Promise<{recomputed: Array<string>, redraw: Array<string>, stale: Array<Object>}>}
+     *   stale lists { id, reason } for items that could not be recomputed; earlier what-if results of
+     *   these items are dropped, so they show their stored data again
+     */
+    async recompute(items, itemId, values) {
+        const recomputed = [];
+        const redraw = [];
+        const stale = [];
+        const staleIds = new Set();
+        const results = new Map();
+        // Stale items whose earlier what-if result was dropped
+        const cleared = new Set();
+        const markStale = (id, reason) => {
+            staleIds.add(id);
+            stale.push({ id, reason });
+            if (this.overrides.delete(id)) cleared.add(id);
+        };
+
+        for (const item of this.getAffectedItems(items, itemId)) {
+            const id = item.uniqueId;
+            const inputIds = Array.isArray(item.data) ? item.data : (Array.isArray(item.settings?.data) ? item.settings.data : []);
+            const type = item.type || item.settings?.type;
+
+            if (type === 'visualization') {
+                if (inputIds.some(inputId => results.has(inputId) || cleared.has(inputId))) redraw.push(id);
+                continue;
+            }
+
+            const staleInput = inputIds.find(inputId => staleIds.has(inputId));
+            if (staleInput) {
+                markStale(id, `depends on "${staleInput}", which was not recomputed`);
+                continue;
+            }
+            const inputs = await Promise.all(inputIds.map(inputId => (results.has(inputId) ? results.get(inputId) : this.loadData(inputId))));
+            const missing = inputIds.filter((inputId, index) => inputs[index] === null || inputs[index] === undefined);
+            if (missing.length > 0) {
+                markStale(id, `input ${missing.map(m => `"${m}"`).join(', ')} is not in this export`);
+                continue;
+            }
+
+            const { params, args } = id === itemId ? values : this.getEditableValues(item);
+            // The local HydroLang ports take a single input as is; Code Blocks get the full list below
+            const data = inputs.length === 1 ? inputs[0] : inputs;
+            try {
+                let result;
+                if (this.canRecompute(item)) {
+                    result = LOCAL_FUNCTIONS[item.itemName || item.settings?.itemName].run({ params: params || {}, args: args || {}, data });
+                } else {
+                    const outcome = await this.runExternal({ ...item, parameters: params, arguments: args }, inputs);
+                    if (!outcome) throw new Error(`${item.itemName || 'this item'} cannot be recomputed here`);
+                    if (!outcome.ok) throw new Error(outcome.error?.message || 'recomputation failed');
+                    result = outcome.result;
+                }
+                results.set(id, result);
+                recomputed.push(id);
+            } catch (error) {
+                markStale(id, error.message);
+            }
+        }
+
+        results.forEach((data, id) => this.overrides.set(id, data));
+        return { recomputed, redraw, stale };
+    }
+
+    /**
+     * Drop what-if results, optionally only for some items
+     */
+    reset(ids = null) {
+        if (!ids) {
+            this.overrides.clear();
+            return;
+        }
+        ids.forEach(id => this.overrides.delete(id));
+    }
+}
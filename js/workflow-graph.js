@@ -0,0 +1,326 @@
+/**
+ * HydroBlox Workflow Graph for PWA Export
+ *
+ * Draws a workflow as a directed acyclic graph (DAG):
+ * - Nodes are workflow items, placed at their saved canvas coordinates (settings.x/y)
+ * - Edges follow each item's `data` inputs (input -> consumer)
+ * - Inputs that are not part of the export are drawn as dashed "missing" nodes
+ */
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const NODE_WIDTH = 150;
+const NODE_HEIGHT = 40;
+const LAYER_SPACING = 200;
+const ROW_SPACING = 70;
+const PADDING = 20;
+
+const TYPE_COLORS = {
+    data: '#0d6efd',
+    analyze: '#6f42c1',
+    transform: '#20c997',
+    visualization: '#fd7e14',
+    missing: '#adb5bd'
+};
+
+export class WorkflowGraph {
+    /**
+     * @param {Object} options
+     * @param {Function} options.onNodeClick - Called with (uniqueId, item) when a node is clicked; item is null for missing inputs
+     */
+    constructor(options = {}) {
+        this.onNodeClick = options.onNodeClick || (() => {});
+        this.svg = null;
+        this.nodeElements = new Map();
+        this.selectedId = null;
+    }
+
+    /**
+     * Render a workflow into a container
+     * @param {HTMLElement} container - Target element
+     * @param {Object} workflow - Workflow with an `items` array
+     */
+    render(container, workflow) {
+        container.innerHTML = '';
+        this.nodeElements.clear();
+
+        const items = Array.isArray(workflow?.items) ? workflow.items.filter(item => item && item.uniqueId) : [];
+        if (items.length === 0) {
+            container.innerHTML = '<div style="text-align: center; color: #6c757d; padding: 20px; font-size: 12px;">No items in this workflow</div>';
+            return;
+        }
+
+        const { nodes, edges } = this.buildGraph(items);
+        this.layout(nodes);
+
+        // Normalize coordinates so the graph starts at the padding offset
+        const minX = Math.min(...nodes.map(node => node.x));
+        const minY = Math.min(...nodes.map(node => node.y));
+        nodes.forEach(node => {
+            node.x = node.x - minX + PADDING;
+            node.y = node.y - minY + PADDING;
+        });
+        const width = Math.max(...nodes.map(node => node.x)) + NODE_WIDTH + PADDING;
+        const height = Math.max(...nodes.map(node => node.y)) + NODE_HEIGHT + PADDING;
+
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        svg.setAttribute('width', '100%');
+        svg.setAttribute('preserveAspectRatio', 'xMidYMin meet');
+        svg.style.cssText = `display: block; max-height: 420px; min-height: ${Math.min(height, 160)}px; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;`;
+        svg.innerHTML = `
+            <defs>
+                <marker id="workflow-graph-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+                    <path d="M 0 0 L 10 5 L 0 10 z" fill="#6c757d"></path>
+                </marker>
+            </defs>
+        `;
+
+        const nodeById = new Map(nodes.map(node => [node.id, node]));
+        const edgeGroup = document.createElementNS(SVG_NS, 'g');
+        edges.forEach(edge => {
+            const from = nodeById.get(edge.from);
+            const to = nodeById.get(edge.to);
+            if (!from || !to) return;
+            edgeGroup.appendChild(this.createEdge(from, to));
+        });
+        svg.appendChild(edgeGroup);
+
+        const nodeGroup = document.createElementNS(SVG_NS, 'g');
+        nodes.forEach(node => {
+            const element = this.createNode(node);
+            this.nodeElements.set(node.id, element);
+            nodeGroup.appendChild(element);
+        });
+        svg.appendChild(nodeGroup);
+
+        container.appendChild(svg);
+        this.svg = svg;
+
+        if (this.selectedId) {
+            this.setSelected(this.selectedId);
+        }
+    }
+
+    /**
+     * Build nodes and edges from workflow items and their `data` links
+     * @param {Array} items - Workflow items
+     * @returns {{nodes: Array, edges: Array}}
+     */
+    buildGraph(items) {
+        const nodes = [];
+        const edges = [];
+        const known = new Set(items.map(item => item.uniqueId));
+        const missing = new Set();
+
+        items.forEach(item => {
+            const position = this.getSavedPosition(item);
+            nodes.push({
+                id: item.uniqueId,
+                item,
+                label: item.name || item.settings?.name || item.uniqueId,
+                subtitle: item.itemName || item.settings?.itemName || '',
+                type: item.type || item.settings?.type || 'data',
+                x: position ? position.x : null,
+                y: position ? position.y : null,
+                missing: false
+            });
+
+            this.getInputs(item).forEach(inputId => {
+                edges.push({ from: inputId, to: item.uniqueId });
+                if (!known.has(inputId)) {
+                    missing.add(inputId);
+                }
+            });
+        });
+
+        missing.forEach(inputId => {
+            nodes.push({
+                id: inputId,
+                item: null,
+                label: inputId,
+                subtitle: 'not in export',
+                type: 'missing',
+                x: null,
+                y: null,
+                missing: true
+            });
+        });
+
+        this.edges = edges;
+        return { nodes, edges };
+    }
+
+    /**
+     * Place nodes without saved coordinates
+     * Missing inputs go to the left of their first consumer; remaining nodes are layered by depth.
+     * @param {Array} nodes - Graph nodes (mutated)
+     */
+    layout(nodes) {
+        const nodeById = new Map(nodes.map(node => [node.id, node]));
+        const placed = [];
+
+        // Saved canvas positions can overlap at this node size (e.g. Code Blocks stored under `position`)
+        nodes.filter(node => node.x !== null && node.y !== null).forEach(node => {
+            this.resolveOverlap(node, placed);
+            placed.push(node);
+        });
+
+        // Missing inputs sit next to the item that consumes them
+        nodes.filter(node => node.missing).forEach(node => {
+            const consumerEdge = this.edges.find(edge => edge.from === node.id && nodeById.get(edge.to)?.x !== null);
+            const consumer = consumerEdge ? nodeById.get(consumerEdge.to) : null;
+            if (consumer) {
+                node.x = consumer.x - LAYER_SPACING;
+                node.y = consumer.y;
+                this.resolveOverlap(node, placed);
+                placed.push(node);
+            }
+        });
+
+        const unplaced = nodes.filter(node => node.x === null || node.y === null);
+        if (unplaced.length === 0) return;
+
+        // Longest-path layering for anything without saved coordinates
+        const depth = new Map();
+        const visiting = new Set();
+        const getDepth = (id) => {
+            if (depth.has(id)) return depth.get(id);
+            if (visiting.has(id)) return 0; // Guard against cycles in malformed exports
+            visiting.add(id);
+            const inputs = this.edges.filter(edge => edge.to === id).map(edge => edge.from);
+            const value = inputs.length === 0 ? 0 : Math.max(...inputs.map(getDepth)) + 1;
+            visiting.delete(id);
+            depth.set(id, value);
+            return value;
+        };
+
+        const offsetY = placed.length > 0 ? Math.max(...placed.map(node => node.y)) + ROW_SPACING * 1.5 : 0;
+        const offsetX = placed.length > 0 ? Math.min(...placed.map(node => node.x)) : 0;
+        const rowsPerLayer = new Map();
+        unplaced.forEach(node => {
+            const layer = getDepth(node.id);
+            const row = rowsPerLayer.get(layer) || 0;
+            rowsPerLayer.set(layer, row + 1);
+            node.x = offsetX + layer * LAYER_SPACING;
+            node.y = offsetY + row * ROW_SPACING;
+        });
+    }
+
+    /**
+     * Shift a node down until it no longer overlaps already placed nodes
+     * @param {Object} node - Node to move (mutated)
+     * @param {Array} placed - Nodes already positioned
+     */
+    resolveOverlap(node, placed) {
+        while (placed.some(other => Math.abs(other.x - node.x) < NODE_WIDTH && Math.abs(other.y - node.y) < NODE_HEIGHT + 6)) {
+            node.y += NODE_HEIGHT + 10;
+        }
+    }
+
+    createEdge(from, to) {
+        const startX = from.x + NODE_WIDTH;
+        const startY = from.y + NODE_HEIGHT / 2;
+        const endX = to.x;
+        const endY = to.y + NODE_HEIGHT / 2;
+        const bend = Math.max(40, Math.abs(endX - startX) / 2);
+
+        const path = document.createElementNS(SVG_NS, 'path');
+        path.setAttribute('d', `M ${startX} ${startY} C ${startX + bend} ${startY}, ${endX - bend} ${endY}, ${endX} ${endY}`);
+        path.setAttribute('fill', 'none');
+        path.setAttribute('stroke', from.missing ? '#adb5bd' : '#6c757d');
+        path.setAttribute('stroke-width', '1.5');
+        path.setAttribute('marker-end', 'url(#workflow-graph-arrow)');
+        if (from.missing) {
+            path.setAttribute('stroke-dasharray', '4 3');
+        }
+        return path;
+    }
+
+    createNode(node) {
+        const color = TYPE_COLORS[node.type] || TYPE_COLORS.data;
+        const group = document.createElementNS(SVG_NS, 'g');
+        group.setAttribute('transform', `translate(${node.x}, ${node.y})`);
+        group.dataset.nodeId = node.id;
+        group.style.cursor = 'pointer';
+
+        const title = document.createElementNS(SVG_NS, 'title');
+        title.textContent = node.missing
+            ? `${node.id} (referenced input missing from this export)`
+            : `${node.label} [${node.subtitle || node.type}]`;
+        group.appendChild(title);
+
+        const rect = document.createElementNS(SVG_NS, 'rect');
+        rect.setAttribute('width', NODE_WIDTH);
+        rect.setAttribute('height', NODE_HEIGHT);
+        rect.setAttribute('rx', '6');
+        rect.setAttribute('fill', node.missing ? '#f8f9fa' : '#fff');
+        rect.setAttribute('stroke', color);
+        rect.setAttribute('stroke-width', '1.5');
+        if (node.missing) {
+            rect.setAttribute('stroke-dasharray', '5 3');
+        }
+        group.appendChild(rect);
+
+        const accent = document.createElementNS(SVG_NS, 'rect');
+        accent.setAttribute('width', '5');
+        accent.setAttribute('height', NODE_HEIGHT);
+        accent.setAttribute('rx', '2');
+        accent.setAttribute('fill', color);
+        group.appendChild(accent);
+
+        const label = document.createElementNS(SVG_NS, 'text');
+        label.setAttribute('x', '12');
+        label.setAttribute('y', '17');
+        label.setAttribute('font-size', '11');
+        label.setAttribute('font-weight', '600');
+        label.setAttribute('fill', node.missing ? '#6c757d' : '#212529');
+        label.textContent = this.truncate(node.label, 20);
+        group.appendChild(label);
+
+        const subtitle = document.createElementNS(SVG_NS, 'text');
+        subtitle.setAttribute('x', '12');
+        subtitle.setAttribute('y', '31');
+        subtitle.setAttribute('font-size', '9');
+        subtitle.setAttribute('fill', '#6c757d');
+        subtitle.textContent = this.truncate(node.subtitle, 26);
+        group.appendChild(subtitle);
+
+        group.addEventListener('click', () => {
+            this.setSelected(node.id);
+            this.onNodeClick(node.id, node.item);
+        });
+
+        return group;
+    }
+
+    /**
+     * Highlight a node
+     * @param {string|null} uniqueId - Node to highlight (null clears the selection)
+     */
+    setSelected(uniqueId) {
+        this.selectedId = uniqueId;
+        this.nodeElements.forEach((element, id) => {
+            const rect = element.querySelector('rect');
+            if (!rect) return;
+            rect.setAttribute('stroke-width', id === uniqueId ? '3' : '1.5');
+        });
+    }
+
+    getSavedPosition(item) {
+        const settings = item.settings || {};
+        const x = Number(settings.x ?? settings.position?.x);
+        const y = Number(settings.y ?? settings.position?.y);
+        if (settings.x === undefined && settings.position?.x === undefined) return null;
+        return Number.isFinite(x) && Number.isFinite(y) ? { x, y } : null;
+    }
+
+    getInputs(item) {
+        const inputs = Array.isArray(item.data) && item.data.length > 0 ? item.data : (item.settings?.data || []);
+        return Array.isArray(inputs) ? inputs.filter(id => typeof id === 'string' && id) : [];
+    }
+
+    truncate(text, length) {
+        const value = String(text || '');
+        return value.length > length ? `${value.substring(0, length - 1)}…` : value;
+    }
+}
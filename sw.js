@@ -1,7 +1,8 @@
 // HydroBlox Service Worker
-const CACHE_NAME = 'hydroblox-offline-v2';
+const CACHE_NAME = 'hydroblox-offline-v3';
 
 // Files to cache immediately on install
+// Item files are not listed here: they are read from data/item-index.json (see precacheItems)
 const PRECACHE_URLS = [
     './',
     './index.html',
@@ -9,13 +10,38 @@ const PRECACHE_URLS = [
     './manifest.json',
     './js/app.js',
     './js/db-manager.js',
+    './js/metadata-explorer.js',
+    './js/waterml-parser.js',
+    './js/workflow-graph.js',
+    './js/export-integrity.js',
+    './js/chart-renderer.js',
+    './js/chart-interactions.js',
+    './js/downsampler.js',
+    './js/downsample-worker.js',
+    './js/hydro-analytics.js',
+    './js/analytics-panel.js',
+    './js/water-balance.js',
+    './js/water-balance-panel.js',
+    './js/map-view.js',
+    './js/layer-manager.js',
+    './js/map-style.js',
+    './js/selection-bus.js',
+    './js/data-grid.js',
+    './js/data-exporter.js',
+    './js/html-escape.js',
+    './js/update-manager.js',
+    './js/item-handlers.js',
+    './js/code-block-viewer.js',
+    './js/code-runner.js',
+    './js/code-runner-worker.js',
+    './js/python-runner-worker.js',
+    './js/what-if.js',
     './js/hydrolang/hydrolang.js',
+    './js/hydrolang/56.hydrolang.js',
+    './js/hydrolang/163.hydrolang.js',
     './js/hydrolang/181.hydrolang.js',
-    './js/hydrolang/841.hydrolang.js',
+    './js/hydrolang/275.hydrolang.js',
     './js/hydrolang/972.hydrolang.js',
-    './js/hydrolang/utils/nn.worker.js',
-    './js/hydrolang/hydrolang_functions_schema2.json',
-    './js/hydrolang/hydrolang_datasources_schema.json',
     './styles/results.css',
     './styles/data-visualizer.css',
     './styles/exports.css',
@@ -24,10 +50,133 @@ const PRECACHE_URLS = [
     './icons/maskable-icon.svg',
     './data/app-info.json',
     './data/item-index.json',
-    './data/workflows.json'
+    './data/workflows.json',
+    './data/layout.json',
+    './data/basemap/basemap.json'
 ];
 
-// Install event - precache critical files
+const ITEM_INDEX_URL = './data/item-index.json';
+
+// Optional Pyodide runtime for re-running Python Code Blocks (see js/code-runner.js)
+const PYODIDE_URL = './js/pyodide/';
+const PYODIDE_CORE = ['pyodide.js', 'pyodide.asm.js', 'pyodide.asm.wasm', 'python_stdlib.zip', 'pyodide-lock.json'];
+// Packages cached with their dependencies when the export bundles them
+const PYODIDE_PACKAGES = ['numpy', 'scipy'];
+
+/**
+ * URL of an exported item file (IDs may contain spaces, e.g. "analyze-Code Block-1")
+ */
+function itemUrl(itemId) {
+    return `./data/items/${encodeURIComponent(itemId)}.json`;
+}
+
+/**
+ * Send a message to every open page of the app, including pages this worker does not control yet
+ */
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    clients.forEach(client => client.postMessage(message));
+}
+
+/**
+ * Read the item index from the network, falling back to the cache
+ */
+async function readItemIndex(cache) {
+    let response = null;
+    try {
+        response = await fetch(ITEM_INDEX_URL, { cache: 'no-cache' });
+        if (response.ok) {
+            await cache.put(ITEM_INDEX_URL, response.clone());
+        }
+    } catch (err) {
+        response = await cache.match(ITEM_INDEX_URL);
+    }
+    if (!response || !response.ok) return [];
+
+    const index = await response.json();
+    return Array.isArray(index) ? index.filter(entry => entry && entry.id) : [];
+}
+
+/**
+ * Precache every item file listed in item-index.json, reporting each result to the page
+ */
+async function precacheItems(cache) {
+    const index = await readItemIndex(cache);
+    const failed = [];
+
+    await Promise.all(index.map(async entry => {
+        const url = itemUrl(entry.id);
+        try {
+            await cache.add(new Request(url, { cache: 'reload' }));
+            await notifyClients({ type: 'PRECACHE_RESULT', itemId: entry.id, url, ok: true });
+        } catch (err) {
+            console.warn(`[SW] Failed to cache ${url}:`, err);
+            failed.push(entry.id);
+            await notifyClients({ type: 'PRECACHE_RESULT', itemId: entry.id, url, ok: false, error: err.message });
+        }
+    }));
+
+    const status = { type: 'PRECACHE_COMPLETE', total: index.length, cached: index.length - failed.length, missing: failed };
+    console.log(`[SW] Cached ${status.cached}/${status.total} item files`);
+    await notifyClients(status);
+    return status;
+}
+
+/**
+ * Precache the bundled Pyodide runtime and the wheels listed in its lock file.
+ * Exports without js/pyodide/ skip this; package files are only ever read from that folder.
+ */
+async function precachePyodide(cache) {
+    const core = await Promise.allSettled(PYODIDE_CORE.map(file => cache.add(PYODIDE_URL + file)));
+    if (core.some(result => result.status === 'rejected')) {
+        console.log('[SW] Pyodide is not bundled with this export');
+        return;
+    }
+
+    const lockResponse = await cache.match(PYODIDE_URL + 'pyodide-lock.json');
+    const lock = lockResponse ? await lockResponse.json() : {};
+    const packages = lock.packages || {};
+    const files = new Set();
+    const pending = [...PYODIDE_PACKAGES];
+    while (pending.length > 0) {
+        const entry = packages[pending.pop()];
+        if (!entry || !entry.file_name || files.has(entry.file_name) || /^https?:/.test(entry.file_name)) continue;
+        files.add(entry.file_name);
+        pending.push(...(entry.depends || []));
+    }
+
+    await Promise.allSettled(Array.from(files).map(file =>
+        cache.add(PYODIDE_URL + file).catch(err => console.warn(`[SW] Failed to cache ${file}:`, err))
+    ));
+    console.log(`[SW] Cached Pyodide and ${files.size} package files`);
+}
+
+/**
+ * Re-download the export's data files and items, bypassing the HTTP cache
+ */
+async function refreshData() {
+    const cache = await caches.open(CACHE_NAME);
+    const dataUrls = PRECACHE_URLS.filter(url => url.startsWith('./data/'));
+    await Promise.allSettled(dataUrls.map(url => cache.add(new Request(url, { cache: 'reload' }))));
+    return precacheItems(cache);
+}
+
+/**
+ * Count the item files currently available in the cache
+ */
+async function getOfflineStatus() {
+    const cache = await caches.open(CACHE_NAME);
+    const index = await readItemIndex(cache);
+    const missing = [];
+    await Promise.all(index.map(async entry => {
+        if (!(await cache.match(itemUrl(entry.id)))) {
+            missing.push(entry.id);
+        }
+    }));
+    return { type: 'OFFLINE_STATUS', total: index.length, cached: index.length - missing.length, missing };
+}
+
+// Install event - precache critical files, then every exported item
 self.addEventListener('install', event => {
     console.log('[SW] Install event');
     event.waitUntil(
@@ -41,11 +190,14 @@ self.addEventListener('install', event => {
                             console.warn(`[SW] Failed to cache ${url}:`, err)
                         )
                     )
-                );
+                ).then(() => precacheItems(cache)).then(() => precachePyodide(cache));
             })
             .then(() => {
                 console.log('[SW] Critical resources cached successfully');
-                return self.skipWaiting();
+                // Take over right away only on first install; updates wait until the page applies them
+                if (!self.registration.active) {
+                    return self.skipWaiting();
+                }
             })
             .catch(err => {
                 console.error('[SW] Error during install:', err);
@@ -75,6 +227,13 @@ self.addEventListener('activate', event => {
 self.addEventListener('fetch', event => {
     const req = event.request;
     const url = new URL(req.url);
+
+    // Update checks ask for the published files, never a cached copy
+    if (req.cache === 'no-store') {
+        event.respondWith(fetch(req));
+        return;
+    }
+
     const isScriptOrStyle = req.destination === 'script' || req.destination === 'style' || url.pathname.endsWith('.js') || url.pathname.endsWith('.css');
 
     if (isScriptOrStyle) {
@@ -132,4 +291,13 @@ self.addEventListener('message', event => {
   if (event.data && event.data.type === 'SKIP_WAITING') {
     self.skipWaiting();
   }
+  if (event.data && event.data.type === 'REFRESH_DATA') {
+    const port = event.ports && event.ports[0];
+    event.waitUntil(refreshData().then(status => {
+      if (port) port.postMessage(status);
+    }));
+  }
+  if (event.data && event.data.type === 'GET_OFFLINE_STATUS' && event.source) {
+    event.waitUntil(getOfflineStatus().then(status => event.source.postMessage(status)));
+  }
 });
\ No newline at end of file
@@ -0,0 +1,53 @@
+// Code Block re-runs bind `data` as HydroBlox does: the list of dependency results, also for a single one.
+// Run with `node --test tests/`. The Python case needs the `pyodide` npm package and is skipped without it.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+const JS_DIR = new URL('../js/', import.meta.url);
+const pyodide = await import('pyodide').catch(() => null);
+
+/**
+ * Minimal Web Worker: runs a worker script in its own context, where `self` is the global scope
+ */
+class TestWorker {
+    constructor(url) {
+        const scope = {
+            console: { log() {}, info() {}, warn() {}, error() {}, debug() {} },
+            structuredClone,
+            URL,
+            location: { href: url.href },
+            postMessage: message => this.onmessage && this.onmessage({ data: structuredClone(message) }),
+            importScripts: () => {
+                // The bundled js/pyodide/pyodide.js defines loadPyodide; use the npm build instead
+                scope.loadPyodide = options => pyodide.loadPyodide({ stdout: options.stdout, stderr: options.stderr });
+            }
+        };
+        scope.self = scope;
+        this.context = vm.createContext(scope);
+        vm.runInContext(readFileSync(url, 'utf8'), this.context, { filename: url.pathname });
+    }
+
+    postMessage(message) {
+        this.context.onmessage({ data: structuredClone(message) });
+    }
+
+    terminate() {}
+}
+globalThis.Worker = TestWorker;
+
+const { CodeRunner } = await import(new URL('code-runner.js', JS_DIR));
+
+test('a JavaScript block with one dependency gets [value] as data', async () => {
+    const run = await new CodeRunner().run({ language: 'javascript', code: 'result = data;', data: [[1, 2, 3]] });
+    assert.equal(run.ok, true, run.error?.message);
+    assert.deepEqual(run.result, [[1, 2, 3]]);
+});
+
+test('a Python block with one dependency gets [value] as data', { skip: !pyodide && 'pyodide is not installed' }, async () => {
+    const code = 'result = {"kind": type(data).__name__, "length": len(data), "first": data[0]}';
+    const run = await new CodeRunner().run({ language: 'python', code, data: [[1, 2, 3]] });
+    assert.equal(run.ok, true, run.error?.message);
+    assert.deepEqual(run.result, { kind: 'list', length: 1, first: [1, 2, 3] });
+});